@@ -0,0 +1,245 @@
+/**
+ * ============================================================================
+ * Black & White UI Engineering
+ * BWDataTable - Aggregates
+ * ============================================================================
+ *
+ * Column aggregates (sum, avg, min, max, count, distinct) for a set of
+ * scopes - the whole view and each row group - kept up to date row by row.
+ *
+ * add() and remove() adjust every aggregate of the row's scopes, so editing
+ * one row of 100k costs O(columns x scopes) instead of another pass over
+ * all of them. min, max and distinct keep a count per value: removing the
+ * current min only looks through the distinct values left.
+ *
+ * A custom aggregate (a function) can't take a row back out, so its scopes
+ * are marked stale and it's called again with their rows when next read.
+ *
+ * @module core/Aggregates
+ * @license MIT
+ * ============================================================================
+ */
+
+/** Built-in aggregates */
+export const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count', 'distinct'];
+
+/**
+ * Comparable key of a value: Dates by time, so equal dates count as one
+ * @param {*} value
+ * @returns {*}
+ */
+function toKey(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * @param {*} value
+ * @returns {number|null} The value as a number, null if it isn't one
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Running state of one built-in aggregate
+ * @param {string} type - One of AGGREGATES
+ * @returns {{add: Function, remove: Function, result: Function}}
+ */
+function createAccumulator(type) {
+  switch (type) {
+    case 'sum':
+    case 'avg': {
+      let sum = 0;
+      let n = 0;
+      return {
+        add(value) {
+          const number = toNumber(value);
+          if (number === null) return;
+          sum += number;
+          n++;
+        },
+        remove(value) {
+          const number = toNumber(value);
+          if (number === null) return;
+          sum -= number;
+          n--;
+        },
+        result() {
+          if (type === 'sum') return sum;
+          return n ? sum / n : null;
+        },
+      };
+    }
+
+    case 'count': {
+      let n = 0;
+      return {
+        add() {
+          n++;
+        },
+        remove() {
+          n--;
+        },
+        result: () => n,
+      };
+    }
+
+    default: {
+      // min, max, distinct: key -> { value, count }
+      const values = new Map();
+      let extreme;
+      let stale = false;
+
+      const better = (a, b) => (type === 'min' ? a < b : a > b);
+
+      return {
+        add(value) {
+          if (value === null || value === undefined || value === '') return;
+
+          const key = toKey(value);
+          const entry = values.get(key);
+          if (entry) {
+            entry.count++;
+          } else {
+            values.set(key, { value, count: 1 });
+          }
+
+          if (!stale && (extreme === undefined || better(key, extreme))) {
+            extreme = key;
+          }
+        },
+        remove(value) {
+          if (value === null || value === undefined || value === '') return;
+
+          const key = toKey(value);
+          const entry = values.get(key);
+          if (!entry) return;
+
+          if (--entry.count === 0) {
+            values.delete(key);
+            if (key === extreme) stale = true;
+          }
+        },
+        result() {
+          if (type === 'distinct') return values.size;
+
+          if (stale) {
+            extreme = undefined;
+            for (const key of values.keys()) {
+              if (extreme === undefined || better(key, extreme)) extreme = key;
+            }
+            stale = false;
+          }
+
+          return extreme === undefined ? null : values.get(extreme).value;
+        },
+      };
+    }
+  }
+}
+
+export class Aggregates {
+  /** @type {Object[]} [{ id, field, aggregate }] */
+  #columns;
+
+  /** @type {Function} (scope) => rows of a scope, for custom aggregates */
+  #rowsOf;
+
+  /** @type {Map<string, Object>} scope -> { accumulators, custom, stale } */
+  #scopes = new Map();
+
+  /**
+   * @param {Object[]} columns - [{ id, field, aggregate }], aggregate being
+   *   one of AGGREGATES or a function (values, rows) => result
+   * @param {Function} rowsOf - (scope) => the rows of a scope
+   */
+  constructor(columns, rowsOf) {
+    this.#columns = columns;
+    this.#rowsOf = rowsOf;
+  }
+
+  /**
+   * Count a row into scopes
+   * @param {Object} row
+   * @param {string[]} scopes - Keys of the scopes the row is in
+   */
+  add(row, scopes) {
+    for (const key of scopes) {
+      const scope = this.#getScope(key);
+      this.#columns.forEach((col, i) => {
+        const accumulator = scope.accumulators[i];
+        if (accumulator) accumulator.add(row[col.field]);
+      });
+      if (scope.custom) scope.stale = true;
+    }
+  }
+
+  /**
+   * Take a row, as it was added, back out of scopes
+   * @param {Object} row
+   * @param {string[]} scopes
+   */
+  remove(row, scopes) {
+    for (const key of scopes) {
+      const scope = this.#scopes.get(key);
+      if (!scope) continue;
+      this.#columns.forEach((col, i) => {
+        const accumulator = scope.accumulators[i];
+        if (accumulator) accumulator.remove(row[col.field]);
+      });
+      if (scope.custom) scope.stale = true;
+    }
+  }
+
+  /**
+   * Aggregates of a scope (those of no rows if nothing was added to it)
+   * @param {string} key
+   * @returns {Object} columnId -> result
+   */
+  get(key) {
+    const scope = this.#getScope(key);
+
+    if (scope.stale) {
+      const rows = this.#rowsOf(key);
+      this.#columns.forEach((col, i) => {
+        if (typeof col.aggregate !== 'function') return;
+        scope.custom[i] = col.aggregate(
+          rows.map((row) => row[col.field]),
+          rows
+        );
+      });
+      scope.stale = false;
+    }
+
+    const result = {};
+    this.#columns.forEach((col, i) => {
+      const accumulator = scope.accumulators[i];
+      result[col.id] = accumulator ? accumulator.result() : scope.custom[i];
+    });
+    return result;
+  }
+
+  #getScope(key) {
+    let scope = this.#scopes.get(key);
+    if (!scope) {
+      const custom = this.#columns.some(
+        (col) => typeof col.aggregate === 'function'
+      );
+      scope = {
+        accumulators: this.#columns.map((col) =>
+          typeof col.aggregate === 'function'
+            ? null
+            : createAccumulator(col.aggregate)
+        ),
+        custom: custom ? [] : null,
+        stale: custom,
+      };
+      this.#scopes.set(key, scope);
+    }
+    return scope;
+  }
+}
+
+export default Aggregates;
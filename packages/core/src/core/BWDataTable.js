@@ -6,10 +6,66 @@
  * Architecture:
  * - Data: Plain array in memory (100k rows = ~10MB, fine)
  * - DOM: Only renders visible rows + buffer (~70 rows)
+ *   (rows of different heights are placed via RowHeightIndex), and
+ *   optionally only the columns in view (virtualColumns)
  * - Scroll: Recalculate window, update DOM
  * - Sort/Filter: Direct array operations, then re-render window
+ *   (optionally in a Web Worker for large data, see ViewWorker)
+ * - Aggregates: per row group and for the whole view, adjusted row by
+ *   row on edits (see Aggregates)
+ * - Server-side rows (dataSource): sort/filter/paging happen remotely,
+ *   rows are fetched in blocks as they scroll into view; infiniteScroll
+ *   loads more as the bottom comes near
  */
 
+import { createViewPipeline } from './ViewPipeline.js';
+import { ViewWorker } from './ViewWorker.js';
+import { RowHeightIndex } from './RowHeightIndex.js';
+import { Aggregates, AGGREGATES } from './Aggregates.js';
+import { createPivot } from './Pivot.js';
+
+/**
+ * Named sort types shared by all tables: name → (a, b, rowA, rowB) => number.
+ * Plugins contribute types via BWDataTable.registerSortType().
+ * @type {Map<string, Function>}
+ */
+const SORT_TYPES = new Map();
+
+/** Bumped by each BWDataTable.registerSortType(), so tables pick it up */
+let sortTypesVersion = 0;
+
+/**
+ * Column filter operators and their labels in the filter builder
+ * @type {Object<string, string>}
+ */
+const FILTER_OPERATOR_LABELS = {
+  contains: 'contains',
+  eq: '=',
+  in: 'is any of',
+  gt: '>',
+  lt: '<',
+  between: 'between',
+  startsWith: 'starts with',
+  regex: 'matches',
+  empty: 'is empty',
+};
+
+/**
+ * Column filter operators accepted by filterColumn()
+ * @type {string[]}
+ */
+const FILTER_OPERATORS = Object.keys(FILTER_OPERATOR_LABELS);
+
+const {
+  computeView,
+  createRowFilter,
+  createViewComparator,
+  groupView,
+  treeView,
+  fuzzyMatch,
+  toCollator,
+} = createViewPipeline();
+
 class BWDataTable {
   // ==========================================================================
   // PRIVATE FIELDS
@@ -24,6 +80,9 @@ class BWDataTable {
   /** @type {Array} Filtered/sorted view (indices into #data) */
   #view = [];
 
+  /** @type {Array} Displayed rows: #view, with group rows when grouped */
+  #rows = [];
+
   /** @type {Array} Column definitions */
   #columns = [];
 
@@ -33,18 +92,41 @@ class BWDataTable {
   /** @type {Set<string>} Selected row IDs */
   #selected = new Set();
 
-  /** @type {Object} Current sort state */
-  #sort = { column: null, direction: null };
+  /** @type {Array} Sort model in priority order: [{ column, direction }] */
+  #sort = [];
+
+  /** @type {Intl.Collator} String comparison for sorting */
+  #collator = null;
+
+  /** @type {Map<string, Function>} Sort types registered on this instance */
+  #sortTypes = new Map();
+
+  /** @type {Map<string, Function>|null} Shared and own sort types, merged */
+  #allSortTypes = null;
+
+  /** @type {number} sortTypesVersion #allSortTypes was merged at */
+  #allSortTypesVersion = -1;
+
+  /** @type {Set<string>} Unknown sort types already warned about */
+  #unknownSortTypes = new Set();
 
   /** @type {string} Current global filter */
   #globalFilter = '';
 
-  /** @type {Object} Column filters */
+  /** @type {Object|null} Parsed global filter: { text, terms: [...] } */
+  #searchQuery = null;
+
+  /** @type {Object} Column filters: { columnId: { op, value } } */
   #columnFilters = {};
 
+  /** @type {Object|null} Filter tree: AND/OR groups of column conditions */
+  #filterModel = null;
+
   // Scroll state
   #scrollTop = 0;
+  #scrollLeft = 0;
   #viewportHeight = 0;
+  #viewportWidth = 0;
   #rowHeight = 40;
   #bufferSize = 20;
 
@@ -53,15 +135,24 @@ class BWDataTable {
   #table = null;
   #thead = null;
   #tbody = null;
+  #pinnedTop = null; // Sticky sections for pinned rows
+  #pinnedBottom = null;
+  #bodyFiller = null;
   #scrollContainer = null;
   #heightSpacer = null;
 
   // Current render range
   #renderedRange = { start: 0, end: 0 };
 
+  // Columns the header was rendered with (see #getColumnWindow)
+  #headerColumns = null;
+
   // Event callbacks
   #eventHandlers = {};
 
+  // Aborted by destroy() to remove the table's document listeners
+  #documentListeners = new AbortController();
+
   // Plugins
   #plugins = [];
 
@@ -88,7 +179,8 @@ class BWDataTable {
     this.#options = {
       data: [],
       columns: null, // Auto-detect if not provided
-      rowHeight: 40, // Fixed row height in pixels
+      rowHeight: 40, // Row height in pixels, or (row) => pixels
+      autoRowHeight: false, // Measure rendered rows (rowHeight is the estimate)
       bufferSize: 20, // Extra rows above/below viewport
       rowId: 'id', // Field to use as row ID
       sortable: true,
@@ -96,11 +188,52 @@ class BWDataTable {
       selectable: true,
       editable: true, // Enable inline cell editing
       resizable: true,
+      reorderable: true, // Drag headers (or Alt+Arrow) to move columns
+      filterRow: false, // Per-column filter controls under the header
+      filterSetLimit: 12, // Max distinct values for a checkbox list filter
+      filterBuilder: false, // Toolbar button opening the AND/OR filter builder
+      columnChooser: false, // Toolbar "Columns" menu to show/hide columns
+      groupBy: [], // Group rows by these column IDs, outermost first
+      groupsExpanded: true, // Whether groups start expanded
+      groupPanel: false, // Bar above the table to drag headers into to group
+      totalsRow: true, // Footer row of the column aggregates (if any)
+      treeData: null, // { childrenField } or { parentIdField }: rows form a tree
+      detailRenderer: null, // (row) => HTML or element shown under an expanded row
+      detailHeight: 200, // Detail row height until it's been measured
+      pivot: null, // { rows, columns, values }: pivot the rows (see setPivot)
+      pivotPanel: false, // Panel to drag columns into pivot rows, columns and values
+      searchSyntax: true, // Parse quotes, -negation and column:value in search
+      searchMode: 'contains', // 'contains' | 'fuzzy'
+      searchHidden: false, // Global search also looks in hidden columns
+      sortByRelevance: true, // Fuzzy mode: best matches first when unsorted
+      highlightSearch: null, // <mark> matches in cells (null = fuzzy mode only)
+      collator: null, // Intl.Collator or { locale, ...Intl.CollatorOptions }
+      worker: false, // Filter/sort in a Web Worker: true | { threshold, create }
+      holdRowPosition: false, // Edited rows stay put until the next sort/filter
+      pagination: false, // Pager instead of endless scroll: true | { pageSize, pageSizes }
+      virtualColumns: false, // Render only columns in view: true | { buffer, columnWidth }
+      pinnedTopRows: [], // Rows kept above the scrolling rows (e.g. a "new entry" row)
+      pinnedBottomRows: [], // Rows kept below the scrolling rows (e.g. totals)
+      dataSource: null, // Server-side rows: { getRows, blockSize, debounce, maxRows }
+      infiniteScroll: null, // Load more at the bottom: { loadMore, blockSize, threshold, maxRows }
       ...options,
     };
 
-    this.#rowHeight = this.#options.rowHeight;
+    this.#rowSource = this.#createRowSource();
+
+    const { rowHeight, autoRowHeight } = this.#options;
+    this.#rowHeight = typeof rowHeight === 'number' ? rowHeight : 40;
+    if (
+      typeof rowHeight === 'function' ||
+      autoRowHeight ||
+      this.#options.detailRenderer
+    ) {
+      this.#heightIndex = new RowHeightIndex();
+    }
     this.#bufferSize = this.#options.bufferSize;
+    this.#pageSize =
+      this.#options.pagination?.pageSize || this.#getPageSizes()[0] || 0;
+    this.#collator = toCollator(this.#options.collator);
 
     // Editing state
     this.#editingCell = null; // { rowId, columnId, rowIndex, colIndex }
@@ -115,16 +248,125 @@ class BWDataTable {
   #focusedCell = null;
   #skipBlurSave = false;
 
+  // Pinned rows: { id, row } entries above and below the scrolling rows
+  #pinnedRows = { top: [], bottom: [] };
+
   // Column resizing state
   #columnWidths = new Map();
   #resizing = null; // { columnId, startX, startWidth }
 
+  // Column reordering state
+  #columnDrag = null; // { columnId, startX, moved, target }
+  #dropIndicator = null;
+
+  // Pinned columns: column ID -> 'left' | 'right'
+  #pinnedColumns = new Map();
+  #pinnedWidths = new Map(); // Measured widths for sticky offsets
+  #checkboxWidth = 48;
+
+  // Hidden column IDs (still sortable/filterable, just not rendered)
+  #hiddenColumns = new Set();
+
+  // Column groups (nested `columns: [{ header, children }]`): group ID ->
+  // { id, header, parent, depth, collapsible, collapsed }, each column's
+  // innermost group (or null), and the column IDs collapsed groups leave out
+  #columnGroups = new Map();
+  #columnParents = new Map();
+  #collapsedColumns = new Set();
+  #colgroup = null;
+
+  // Row grouping: column IDs, whether groups are expanded unless toggled,
+  // the keys of groups toggled the other way, the keys of all groups, and
+  // the group panel
+  #groupBy = [];
+  #groupsExpanded = true;
+  #toggledGroups = new Set();
+  #groupKeys = new Set();
+  #groupPanel = null;
+
+  // Column aggregates (see Aggregates), the view, grouping and columns
+  // they were counted for, and the rows of each scope for custom aggregates
+  // (built on first use)
+  #aggregates = null;
+  #aggregatesBuiltFor = null;
+  #scopeRows = null;
+
+  // Tree data: the treeData option, each row's parent (for the data it was
+  // found in), whether nodes start expanded and the IDs of those toggled
+  // the other way, lazy child loads in flight / done, the level and shown
+  // children of each shown node, and the view whose matches were expanded
+  #treeData = null;
+  #treeParents = null; // { data, parents: Int32Array }
+  #nodesExpanded = false;
+  #toggledNodes = new Set();
+  #loadingNodes = new Set();
+  #loadedNodes = new Set();
+  #treeLevels = new Map();
+  #treeChildren = new Map();
+  #treeViewSeen = null;
+
+  // Detail rows: IDs of the expanded rows, and per row its panel content
+  // (HTML or an element, kept while expanded) and measured height
+  #expandedRows = new Set();
+  #detailContent = new WeakMap();
+  #detailHeights = new WeakMap();
+
+  // Pivot mode: the config, the rows and column state from before (see
+  // #applyPivot), the config panel and a chip being dragged in it
+  #pivot = null;
+  #pivotSource = null;
+  #pivotPanel = null;
+  #pivotDrag = null; // { zone, index, columnId, startX, startY, moved, target }
+
   // Threshold for showing loader
   #loaderThreshold = 10000;
 
   // Loader element
   #loader = null;
 
+  // Distinct values per column for checkbox list filters (null = too many)
+  #distinctCache = new Map();
+
+  // Filter builder popover and the tree being edited in it
+  #filterBuilder = null;
+  #builderDraft = null;
+
+  // Column chooser popover
+  #columnChooser = null;
+
+  // View worker (null = not started, false = unavailable) and whether it
+  // holds the current rows
+  #viewWorker = null;
+  #workerHasRows = false;
+
+  // Bumped per view refresh; results of older refreshes are dropped
+  #viewGeneration = 0;
+
+  // `after` callback of a worker refresh still waiting for its result
+  #pendingViewRefresh = null;
+
+  // Pagination (page size 0 = one endless virtual scroll)
+  #page = 0;
+  #pageSize = 0;
+  #pager = null;
+
+  // Rows loaded on demand (dataSource / infiniteScroll): the normalized
+  // source, loaded blocks (least recently used first), requests in flight
+  // (block → AbortController), the debounce timer for new requests and
+  // whether an infinite list has more rows to load
+  #rowSource = null;
+  #loadedBlocks = new Set();
+  #blockRequests = new Map();
+  #blockTimer = null;
+  #hasMoreRows = true;
+
+  // Rows of different heights (rowHeight function / autoRowHeight):
+  // heights in view order, rebuilt after the view changes, and the
+  // measured height of each row (autoRowHeight)
+  #heightIndex = null;
+  #heightsStale = true;
+  #measuredHeights = new WeakMap();
+
   // ==========================================================================
   // LOADER
   // ==========================================================================
@@ -173,41 +415,128 @@ class BWDataTable {
   // ==========================================================================
 
   #init() {
-    // 1. Load data
-    this.#data = this.#options.data || [];
+    // 1. Load data (a data source fills it in once the first block arrives)
+    this.#treeData = this.#toTreeData(this.#options.treeData);
+    this.#nodesExpanded = Boolean(this.#treeData?.expanded);
+    this.#data = this.#rowSource
+      ? []
+      : this.#flattenNodes(this.#options.data || []);
 
     // 2. Create initial view (all rows, original order)
     this.#view = this.#data.map((_, i) => i);
+    this.#pinnedRows = {
+      top: this.#toPinnedRows(this.#options.pinnedTopRows, 'top'),
+      bottom: this.#toPinnedRows(this.#options.pinnedBottomRows, 'bottom'),
+    };
 
     // 3. Auto-detect columns if not provided
-    this.#columns = this.#options.columns || this.#autoDetectColumns();
+    this.#setColumns(
+      this.#options.columns
+        ? this.#flattenColumns(this.#options.columns)
+        : this.#autoDetectColumns()
+    );
 
-    // 4. Create DOM structure
+    // 4. Group rows, or pivot them
+    this.#groupBy = this.#toGroupBy(this.#options.groupBy || []);
+    this.#groupsExpanded = this.#options.groupsExpanded !== false;
+    const pivot = this.#toPivotConfig(this.#options.pivot);
+    if (pivot) this.#applyPivot(pivot);
+    this.#updateRows();
+
+    // 5. Create DOM structure
     this.#createDOM();
 
-    // 5. Create loader
+    // 6. Create loader
     this.#createLoader();
 
-    // 6. Bind events
+    // 7. Bind events
     this.#bindEvents();
 
-    // 7. Initial render
+    // 8. Initial render
     this.#calculateViewport();
     this.#render(true);
+
+    // 9. First block from the data source
+    if (this.#rowSource) this.#refreshView(() => this.#render(true));
+  }
+
+  /**
+   * Use these columns, pinned and hidden as they say
+   * @param {Array} columns - Flat column definitions
+   */
+  #setColumns(columns) {
+    for (const col of columns) {
+      if (col.pinned === 'left' || col.pinned === 'right') {
+        this.#pinnedColumns.set(col.id, col.pinned);
+      }
+      if (col.hidden) this.#hiddenColumns.add(col.id);
+    }
+    this.#columns = this.#arrangeColumns(columns);
+    this.#collapsedColumns = this.#getCollapsedColumns();
+  }
+
+  /**
+   * Columns from the `columns` option, with groups taken out into
+   * #columnGroups
+   * @param {Array} defs - Columns and groups (`{ header, children }`)
+   * @returns {Array} The columns, in order
+   */
+  #flattenColumns(defs) {
+    const columns = [];
+
+    const visit = (list, parent, depth) => {
+      for (const def of list) {
+        if (!Array.isArray(def.children)) {
+          if (
+            def.aggregate &&
+            typeof def.aggregate !== 'function' &&
+            !AGGREGATES.includes(def.aggregate)
+          ) {
+            throw new Error(
+              `BWDataTable: Unknown aggregate "${def.aggregate}" for column "${def.id}"`
+            );
+          }
+          this.#columnParents.set(def.id, parent);
+          columns.push(def);
+          continue;
+        }
+
+        const id = def.id ?? `group-${this.#columnGroups.size + 1}`;
+        if (this.#columnGroups.has(id)) {
+          throw new Error(`BWDataTable: Duplicate column group ID "${id}"`);
+        }
+        const group = {
+          id,
+          header: def.header ?? '',
+          parent,
+          depth,
+          collapsible: Boolean(def.collapsible || def.collapsed),
+          collapsed: Boolean(def.collapsed),
+        };
+        this.#columnGroups.set(id, group);
+        visit(def.children, group, depth + 1);
+      }
+    };
+    visit(defs, null, 0);
+
+    return columns;
   }
 
   #autoDetectColumns() {
     if (this.#data.length === 0) return [];
 
     const firstRow = this.#data[0];
-    return Object.keys(firstRow).map((key) => ({
-      id: key,
-      field: key,
-      header: this.#formatHeader(key),
-      type: this.#detectType(firstRow[key]),
-      sortable: true,
-      filterable: true,
-    }));
+    const childrenField = this.#treeData?.childrenField;
+    return Object.keys(firstRow)
+      .filter((key) => key !== childrenField)
+      .map((key) => ({
+        id: key,
+        field: key,
+        header: this.#formatHeader(key),
+        type: this.#detectType(firstRow[key]),
+        sortable: true,
+        filterable: true,
+      }));
   }
 
   #formatHeader(key) {
@@ -237,19 +566,51 @@ class BWDataTable {
     // Main wrapper
     this.#wrapper = document.createElement('div');
     this.#wrapper.className = 'bw-datatable';
+    if (
+      typeof this.#options.rowHeight === 'function' ||
+      this.#options.autoRowHeight
+    ) {
+      this.#wrapper.classList.add('bw-datatable--variable-rows');
+    }
+    if (this.#options.virtualColumns) {
+      this.#wrapper.classList.add('bw-datatable--virtual-columns');
+    }
 
     // Toolbar
-    if (this.#options.filterable) {
+    if (this.#options.filterable || this.#options.columnChooser) {
       const toolbar = document.createElement('div');
       toolbar.className = 'bw-datatable__toolbar';
-      toolbar.innerHTML = `
-        <input type="text" 
-          class="bw-datatable__search" 
-          placeholder="Search...">
-      `;
+
+      if (this.#options.filterable) {
+        toolbar.innerHTML = `
+          <input type="text" 
+            class="bw-datatable__search" 
+            placeholder="Search...">
+        `;
+
+        if (this.#options.filterBuilder) {
+          toolbar.insertAdjacentHTML(
+            'beforeend',
+            `<button type="button" class="bw-datatable__toolbar-btn bw-datatable__filter-builder-toggle"
+              aria-haspopup="dialog" aria-expanded="false">Filter</button>`
+          );
+        }
+      }
+
+      if (this.#options.columnChooser) {
+        toolbar.insertAdjacentHTML(
+          'beforeend',
+          `<button type="button" class="bw-datatable__toolbar-btn bw-datatable__column-chooser-toggle"
+            aria-haspopup="dialog" aria-expanded="false">Columns</button>`
+        );
+      }
+
       this.#wrapper.appendChild(toolbar);
     }
 
+    if (this.#options.groupPanel) this.#createGroupPanel();
+    if (this.#options.pivotPanel) this.#createPivotPanel();
+
     // Scroll container (this is what scrolls)
     this.#scrollContainer = document.createElement('div');
     this.#scrollContainer.className = 'bw-datatable__scroll-container';
@@ -294,1379 +655,6999 @@ class BWDataTable {
     this.#tbody = document.createElement('tbody');
     this.#tbody.className = 'bw-datatable__body';
 
+    // Pinned rows - sticky under the header and at the bottom
+    this.#pinnedTop = document.createElement('tbody');
+    this.#pinnedTop.className = 'bw-datatable__pinned-top';
+    this.#pinnedBottom = document.createElement('tfoot');
+    this.#pinnedBottom.className = 'bw-datatable__pinned-bottom';
+
+    // Filler - stretches the table to the height of all rows (see #render)
+    const filler = document.createElement('tbody');
+    filler.innerHTML =
+      '<tr class="bw-datatable__spacer-row" aria-hidden="true"><td style="padding:0;border:0;"></td></tr>';
+    this.#bodyFiller = filler.querySelector('td');
+
     // Assemble
     this.#table.appendChild(this.#thead);
+    this.#table.appendChild(this.#pinnedTop);
     this.#table.appendChild(this.#tbody);
+    this.#table.appendChild(filler);
+    this.#table.appendChild(this.#pinnedBottom);
     this.#scrollContainer.appendChild(this.#heightSpacer);
     this.#scrollContainer.appendChild(this.#table);
     this.#wrapper.appendChild(this.#scrollContainer);
+    if (this.#pageSize) this.#createPager();
     this.#container.appendChild(this.#wrapper);
 
     // Render header
     this.#renderHeader();
   }
 
-  #renderHeader() {
-    let html = '<tr class="bw-datatable__header-row">';
+  /**
+   * Groups a column is in, outermost first
+   * @param {string} columnId
+   * @returns {Object[]}
+   */
+  #getGroupPath(columnId) {
+    const path = [];
+    for (
+      let group = this.#columnParents.get(columnId);
+      group;
+      group = group.parent
+    ) {
+      path.unshift(group);
+    }
+    return path;
+  }
 
-    // Checkbox column
-    if (this.#options.selectable) {
-      html += `
-        <th class="bw-datatable__th bw-datatable__th--checkbox" style="width:48px;">
-          <input type="checkbox" class="bw-datatable__select-all">
-        </th>
-      `;
+  #renderHeader() {
+    const columns = this.#getColumnWindow();
+    this.#headerColumns = columns;
+
+    // Header cells left to right: spacers and columns
+    const slots = [];
+    for (const colIdx of columns.indexes) {
+      if (colIdx === columns.start && columns.left) {
+        slots.push({ spacer: columns.left });
+      }
+      const path = this.#getGroupPath(this.#columns[colIdx].id);
+      slots.push({ colIdx, path });
+      if (colIdx === columns.end - 1 && columns.right) {
+        slots.push({ spacer: columns.right });
+      }
     }
 
-    // Data columns
-    for (const col of this.#columns) {
-      const sortable = this.#options.sortable && col.sortable !== false;
-      const sortClass =
-        this.#sort.column === col.id
-          ? `bw-datatable__th--sort-${this.#sort.direction}`
-          : '';
-
-      // Column width
-      const width = this.#columnWidths.get(col.id) || col.width || 'auto';
-      const widthStyle =
-        width !== 'auto'
-          ? `width:${typeof width === 'number' ? width + 'px' : width};`
-          : '';
-      const minWidth = col.minWidth || 50;
-      const minWidthStyle = `min-width:${
-        typeof minWidth === 'number' ? minWidth + 'px' : minWidth
-      };`;
+    // A row per level of column groups, then the column headers. Columns
+    // in fewer groups than the deepest span down through the rest.
+    const depth = Math.max(0, ...slots.map((slot) => slot.path?.length || 0));
+    let html = '';
 
-      html += `
-        <th class="bw-datatable__th ${sortClass} ${
-        sortable ? 'bw-datatable__th--sortable' : ''
-      }"
-            data-column="${col.id}"
-            style="${widthStyle}${minWidthStyle}">
-          <span class="bw-datatable__th-content">
-            <span class="bw-datatable__th-text">${this.#escapeHtml(
-              col.header || col.id
-            )}</span>
-            ${sortable ? '<span class="bw-datatable__th-sort"></span>' : ''}
-          </span>
-          ${
-            this.#options.resizable !== false
-              ? `<div class="bw-datatable__resize-handle" data-column="${col.id}"></div>`
-              : ''
-          }
-        </th>
-      `;
-    }
+    for (let row = 0; row <= depth; row++) {
+      html += '<tr class="bw-datatable__header-row">';
 
-    html += '</tr>';
-    this.#thead.innerHTML = html;
-  }
+      // Checkbox column
+      if (row === 0 && this.#options.selectable) {
+        const pin = this.#getPinnedCell(columns, -1, 'th');
+        html += `
+          <th class="bw-datatable__th bw-datatable__th--checkbox ${
+            pin.className
+          }"${depth ? ` rowspan="${depth + 1}"` : ''} style="width:48px;${
+          pin.style
+        }">
+            <input type="checkbox" class="bw-datatable__select-all">
+          </th>
+        `;
+      }
 
-  // ==========================================================================
-  // EVENT BINDING
-  // ==========================================================================
+      for (let i = 0; i < slots.length; i++) {
+        const { spacer, colIdx, path } = slots[i];
+        if (spacer) {
+          html += this.#renderColumnSpacer('th', spacer);
+          continue;
+        }
+        if (path.length === row) {
+          html += this.#renderColumnHeader(colIdx, columns, depth - row + 1);
+          continue;
+        }
 
-  #bindEvents() {
-    // Scroll event for virtual scrolling
-    this.#scrollContainer.addEventListener('scroll', this.#onScroll.bind(this));
+        // Spanned by the column's header from a row above
+        const group = path[row];
+        if (!group) continue;
+
+        // Neighbouring columns of the group (pinned to the same side)
+        // share one cell
+        const side = columns.pinned.get(colIdx)?.side;
+        let end = i + 1;
+        while (
+          end < slots.length &&
+          slots[end].path?.[row] === group &&
+          columns.pinned.get(slots[end].colIdx)?.side === side
+        ) {
+          end++;
+        }
 
-    // Resize observer for viewport
-    const resizeObserver = new ResizeObserver(() => {
-      this.#calculateViewport();
-      this.#render();
-    });
-    resizeObserver.observe(this.#scrollContainer);
+        const colIdxs = slots.slice(i, end).map((slot) => slot.colIdx);
+        html += this.#renderGroupHeader(group, colIdxs, columns);
+        i = end - 1;
+      }
 
-    // Track if we just finished resizing (to prevent sort click)
-    let justResized = false;
+      html += '</tr>';
+    }
 
-    // Column resize handlers
-    if (this.#options.resizable !== false) {
-      this.#thead.addEventListener('mousedown', (e) => {
-        const handle = e.target.closest('.bw-datatable__resize-handle');
-        if (handle) {
-          e.preventDefault();
-          e.stopPropagation();
-          const columnId = handle.dataset.column;
-          const th = handle.closest('th');
-          const startWidth = th.offsetWidth;
-          const colIndex = this.#columns.findIndex((c) => c.id === columnId);
+    if (this.#options.filterRow) {
+      html += this.#renderFilterRow(columns);
+    }
 
-          this.#resizing = {
-            columnId,
-            startX: e.clientX,
-            startWidth,
-            colIndex,
-          };
-          document.body.style.cursor = 'col-resize';
-          document.body.style.userSelect = 'none';
+    this.#renderColgroup(columns.virtual && depth ? slots : null);
+    this.#thead.innerHTML = html;
+    this.#pinnedTop.style.top = `${this.#thead.offsetHeight}px`;
+  }
 
-          // Add class to table for visual feedback
-          this.#container.classList.add('bw-datatable--resizing');
+  /**
+   * Header cell of one column (sort, resize and drag live here)
+   * @param {number} colIdx - Column index
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @param {number} rowspan - Header rows the cell spans
+   * @returns {string} HTML
+   */
+  #renderColumnHeader(colIdx, columns, rowspan) {
+    const col = this.#columns[colIdx];
+    const pin = this.#getPinnedCell(columns, colIdx, 'th');
+    const sortable = this.#options.sortable && col.sortable !== false;
+    const sortIndex = this.#sort.findIndex((s) => s.column === col.id);
+    const sortClass =
+      sortIndex !== -1
+        ? `bw-datatable__th--sort-${this.#sort[sortIndex].direction}`
+        : '';
+
+    // Priority badge only when sorting by more than one column
+    const sortBadge =
+      sortIndex !== -1 && this.#sort.length > 1
+        ? `<span class="bw-datatable__th-sort-index">${sortIndex + 1}</span>`
+        : '';
+
+    // Column width (virtual columns always need one to be placed)
+    const width = columns.virtual
+      ? this.#getColumnWidth(col)
+      : this.#columnWidths.get(col.id) || col.width || 'auto';
+    const widthStyle =
+      width !== 'auto'
+        ? `width:${typeof width === 'number' ? width + 'px' : width};`
+        : '';
+    const minWidth = col.minWidth || 50;
+    const minWidthStyle = `min-width:${
+      typeof minWidth === 'number' ? minWidth + 'px' : minWidth
+    };`;
+    const movable = this.#options.reorderable !== false;
+
+    return `
+      <th class="bw-datatable__th ${sortClass} ${
+      sortable ? 'bw-datatable__th--sortable' : ''
+    } ${movable ? 'bw-datatable__th--movable' : ''} ${pin.className}"
+          data-column="${col.id}"${movable ? ' tabindex="0"' : ''}${
+      rowspan > 1 ? ` rowspan="${rowspan}"` : ''
+    }
+          style="${widthStyle}${minWidthStyle}${pin.style}">
+        <span class="bw-datatable__th-content">
+          <span class="bw-datatable__th-text">${this.#escapeHtml(
+            col.header || col.id
+          )}</span>
+          ${sortable ? '<span class="bw-datatable__th-sort"></span>' : ''}
+          ${sortBadge}
+        </span>
+        ${
+          this.#options.resizable !== false
+            ? `<div class="bw-datatable__resize-handle" data-column="${col.id}"></div>`
+            : ''
         }
-      });
+      </th>
+    `;
+  }
 
-      // Double-click to reset column width
-      this.#thead.addEventListener('dblclick', (e) => {
-        const handle = e.target.closest('.bw-datatable__resize-handle');
-        if (handle) {
-          e.preventDefault();
-          e.stopPropagation();
-          const columnId = handle.dataset.column;
+  /**
+   * Fixed table layout (virtual columns) takes the column widths from the
+   * first header row, which with groups has cells spanning several, so
+   * they go in a <colgroup> instead
+   * @param {Array|null} slots - Header cells (see #renderHeader), or null
+   *   to remove it
+   */
+  #renderColgroup(slots) {
+    if (!slots) {
+      this.#colgroup?.remove();
+      this.#colgroup = null;
+      return;
+    }
 
-          // Remove stored width - column will auto-size
-          this.#columnWidths.delete(columnId);
+    if (!this.#colgroup) {
+      this.#colgroup = document.createElement('colgroup');
+      this.#table.insertBefore(this.#colgroup, this.#thead);
+    }
 
-          // Clear inline styles
-          const th = this.#thead.querySelector(`[data-column="${columnId}"]`);
-          if (th) {
-            th.style.width = '';
-            th.style.minWidth = '';
-          }
+    let html = this.#options.selectable ? '<col style="width:48px;">' : '';
+    for (const { spacer, colIdx } of slots) {
+      const width = spacer ?? this.#getColumnWidth(this.#columns[colIdx]);
+      html += `<col style="width:${width}px;">`;
+    }
+    this.#colgroup.innerHTML = html;
+  }
 
-          // Re-render to apply
-          this.#renderedRange = { start: -1, end: -1 };
-          this.#render(true);
+  /**
+   * Header cell spanning the columns of a group. Collapsible groups get a
+   * toggle button.
+   * @param {Object} group - From #columnGroups
+   * @param {number[]} colIdxs - The group's rendered columns, in order
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {string} HTML
+   */
+  #renderGroupHeader(group, colIdxs, columns) {
+    // Pinned groups stick where their outermost column does
+    const first = columns.pinned.get(colIdxs[0]);
+    const last = columns.pinned.get(colIdxs[colIdxs.length - 1]);
+    let pin;
+    if (first) {
+      const [outer, inner] =
+        first.side === 'left' ? [first, last] : [last, first];
+      pin = { side: first.side, offset: outer.offset, edge: inner.edge };
+    }
+    const pinCell = this.#getPinnedCell(columns, colIdxs[0], 'th', pin);
+
+    const header = this.#escapeHtml(group.header);
+    const toggle = group.collapsible
+      ? `<button type="button" class="bw-datatable__group-toggle"
+            data-group-toggle="${this.#escapeHtml(group.id)}"
+            aria-expanded="${!group.collapsed}"
+            aria-label="${
+              group.collapsed ? 'Expand' : 'Collapse'
+            } ${header}"></button>`
+      : '';
+
+    return `
+      <th class="bw-datatable__th bw-datatable__th--group ${pinCell.className}"
+          colspan="${colIdxs.length}" data-group="${this.#escapeHtml(group.id)}"
+          style="${pinCell.style}">
+        <span class="bw-datatable__th-content">
+          <span class="bw-datatable__th-text">${header}</span>
+          ${toggle}
+        </span>
+      </th>
+    `;
+  }
 
-          this.#emit('column:resize:reset', { columnId });
-        }
-      });
+  // ==========================================================================
+  // FILTER ROW
+  // ==========================================================================
 
-      document.addEventListener('mousemove', (e) => {
-        if (!this.#resizing) return;
+  /**
+   * Build the optional second header row with per-column filter controls.
+   * Control values are restored from #columnFilters.
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {string} HTML
+   */
+  #renderFilterRow(columns) {
+    let html = '<tr class="bw-datatable__filter-row">';
 
-        const { columnId, startX, startWidth, colIndex } = this.#resizing;
-        const diff = e.clientX - startX;
-        const col = this.#columns[colIndex];
-        const minWidth = col?.minWidth || 20; // Allow very small
-        const maxWidth = col?.maxWidth || 2000;
+    if (this.#options.selectable) {
+      const pin = this.#getPinnedCell(columns, -1, 'th');
+      html += `<th class="bw-datatable__filter-cell bw-datatable__th--checkbox ${pin.className}" style="${pin.style}"></th>`;
+    }
 
-        let newWidth = Math.max(
-          minWidth,
-          Math.min(maxWidth, startWidth + diff)
-        );
+    for (const colIdx of columns.indexes) {
+      if (colIdx === columns.start) {
+        html += this.#renderColumnSpacer('th', columns.left);
+      }
 
-        // Update header cell width directly
-        const th = this.#thead.querySelector(`[data-column="${columnId}"]`);
-        if (th) {
-          th.style.width = `${newWidth}px`;
-          th.style.minWidth = `${newWidth}px`;
-        }
+      const col = this.#columns[colIdx];
+      const pin = this.#getPinnedCell(columns, colIdx, 'th');
+      const control = this.#getFilterControl(col);
+      const filterAttrs = control
+        ? ` data-filter-column="${col.id}" data-filter="${control}"`
+        : '';
+      const content = control ? this.#renderFilterControl(col, control) : '';
+      html += `<th class="bw-datatable__filter-cell ${pin.className}" style="${pin.style}"${filterAttrs}>${content}</th>`;
+
+      if (colIdx === columns.end - 1) {
+        html += this.#renderColumnSpacer('th', columns.right);
+      }
+    }
 
-        // Update body cells - they have data-col-index
-        const bodyCells = this.#tbody.querySelectorAll(
-          `[data-col-index="${colIndex}"]`
-        );
-        bodyCells.forEach((cell) => {
-          cell.style.width = `${newWidth}px`;
-          cell.style.minWidth = `${newWidth}px`;
-        });
+    html += '</tr>';
+    return html;
+  }
 
-        // Store for mouseup
-        this.#resizing.newWidth = newWidth;
-      });
+  /**
+   * Pick the filter control for a column: explicit `filter` option,
+   * otherwise by type, with a checkbox list for low-cardinality strings
+   * @param {Object} col - Column definition
+   * @returns {string|null} 'text' | 'number' | 'date' | 'boolean' | 'set'
+   */
+  #getFilterControl(col) {
+    if (col.filter === false || col.filterable === false) return null;
+    if (col.filter) return col.filter;
 
-      document.addEventListener('mouseup', () => {
-        if (this.#resizing) {
-          const { columnId, newWidth } = this.#resizing;
+    switch (col.type) {
+      case 'number':
+      case 'date':
+      case 'boolean':
+        return col.type;
+      default:
+        // Loaded rows say nothing about a data source's distinct values
+        return !this.#rowSource &&
+          this.#getDistinctValues(col, this.#options.filterSetLimit)
+          ? 'set'
+          : 'text';
+    }
+  }
 
-          // Save final width
-          if (newWidth) {
-            this.#columnWidths.set(columnId, newWidth);
-          }
+  /**
+   * Sorted distinct non-empty values of a column, cached until data changes
+   * @param {Object} col - Column definition
+   * @param {number} limit - Give up (return null) above this many values
+   * @returns {Array|null}
+   */
+  #getDistinctValues(col, limit = Infinity) {
+    const key = `${col.id}:${limit}`;
+    if (this.#distinctCache.has(key)) return this.#distinctCache.get(key);
+
+    const field = col.field || col.id;
+    const values = new Set();
+    let result = null;
+
+    for (const row of this.#data) {
+      if (!row) continue;
+      const value = row[field];
+      if (value === null || value === undefined || value === '') continue;
+      values.add(value);
+      if (values.size > limit) break;
+    }
 
-          this.#resizing = null;
-          justResized = true;
+    if (values.size > 0 && values.size <= limit) {
+      result = Array.from(values).sort((a, b) =>
+        this.#collator.compare(String(a), String(b))
+      );
+    }
 
-          document.body.style.cursor = '';
-          document.body.style.userSelect = '';
-          this.#container.classList.remove('bw-datatable--resizing');
+    this.#distinctCache.set(key, result);
+    return result;
+  }
 
-          // Emit event
-          this.#emit('column:resize', {
-            columnId,
-            width: this.#columnWidths.get(columnId),
-          });
+  /**
+   * Render one filter control, pre-filled from the column's current filter
+   * @param {Object} col - Column definition
+   * @param {string} control - Control type from #getFilterControl()
+   * @returns {string} HTML
+   */
+  #renderFilterControl(col, control) {
+    const filter = this.#columnFilters[col.id];
+    const attr = (value) =>
+      this.#escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
 
-          // Reset flag after a short delay
-          setTimeout(() => {
-            justResized = false;
-          }, 100);
-        }
-      });
-    }
+    switch (control) {
+      case 'number':
+      case 'date': {
+        let [min, max] = [null, null];
+        if (filter?.op === 'between') [min, max] = filter.value;
+        if (filter?.op === 'gt') min = filter.value;
+        if (filter?.op === 'lt') max = filter.value;
+
+        const inputType = control === 'date' ? 'date' : 'number';
+        return `
+          <span class="bw-datatable__filter-range">
+            <input type="${inputType}" class="bw-datatable__filter-input"
+              data-filter-role="min" placeholder="Min"
+              aria-label="${attr(col.header || col.id)} from"
+              value="${attr(min)}">
+            <input type="${inputType}" class="bw-datatable__filter-input"
+              data-filter-role="max" placeholder="Max"
+              aria-label="${attr(col.header || col.id)} to"
+              value="${attr(max)}">
+          </span>
+        `;
+      }
 
-    // Header click (sort)
-    this.#thead.addEventListener('click', (e) => {
-      // Ignore clicks on resize handle or if we just finished resizing
-      if (e.target.closest('.bw-datatable__resize-handle')) return;
-      if (justResized) return;
+      case 'boolean': {
+        const current = filter?.op === 'eq' ? String(filter.value) : '';
+        const option = (value, label) =>
+          `<option value="${value}"${
+            current === value ? ' selected' : ''
+          }>${label}</option>`;
+        return `
+          <select class="bw-datatable__filter-input" data-filter-role="bool"
+            aria-label="${attr(col.header || col.id)}">
+            ${option('', 'All')}${option('true', 'Yes')}${option('false', 'No')}
+          </select>
+        `;
+      }
 
-      const th = e.target.closest('[data-column]');
-      if (th && this.#options.sortable) {
-        const columnId = th.dataset.column;
-        const col = this.#columns.find((c) => c.id === columnId);
-        if (col && col.sortable !== false) {
-          this.#handleSort(columnId);
+      case 'set': {
+        const values = this.#getDistinctValues(col) || [];
+        const checked =
+          filter?.op === 'in'
+            ? new Set(filter.value.map((v) => String(v).toLowerCase()))
+            : null;
+
+        let options = '';
+        for (const value of values) {
+          const isChecked =
+            !checked || checked.has(String(value).toLowerCase());
+          options += `
+            <label class="bw-datatable__filter-option">
+              <input type="checkbox" data-filter-role="option"
+                value="${attr(value)}"${isChecked ? ' checked' : ''}>
+              ${this.#escapeHtml(String(value))}
+            </label>
+          `;
         }
-      }
 
-      // Select all checkbox
-      if (e.target.classList.contains('bw-datatable__select-all')) {
-        this.#handleSelectAll(e.target.checked);
+        return `
+          <details class="bw-datatable__filter-set">
+            <summary class="bw-datatable__filter-summary">${this.#getSetSummary(
+              checked ? checked.size : values.length,
+              values.length
+            )}</summary>
+            <div class="bw-datatable__filter-options">${options}</div>
+          </details>
+        `;
       }
-    });
 
-    // Body click (row selection and cell focus)
-    this.#tbody.addEventListener('click', (e) => {
-      // Row checkbox
-      const checkbox = e.target.closest('.bw-datatable__row-checkbox');
-      if (checkbox) {
-        this.#handleRowSelect(checkbox.dataset.rowId, checkbox.checked);
-        return;
+      default: {
+        const text =
+          filter && ['contains', 'startsWith', 'eq'].includes(filter.op)
+            ? filter.value
+            : '';
+        return `
+          <input type="search" class="bw-datatable__filter-input"
+            data-filter-role="text" placeholder="Filter..."
+            aria-label="Filter ${attr(col.header || col.id)}"
+            value="${attr(text)}">
+        `;
       }
+    }
+  }
 
-      // Cell click for focus/editing
-      const cell = e.target.closest('.bw-datatable__td');
-      if (cell && !cell.classList.contains('bw-datatable__td--checkbox')) {
-        const row = cell.closest('.bw-datatable__row');
-        if (row && this.#options.editable) {
-          const viewIndex = parseInt(row.dataset.viewIndex);
-          const colIndex = Array.from(cell.parentNode.children).indexOf(cell);
-          const adjustedColIndex = this.#options.selectable
-            ? colIndex - 1
-            : colIndex;
+  /**
+   * Summary label for a checkbox list filter
+   * @param {number} checkedCount - Checked values
+   * @param {number} total - All values
+   * @returns {string}
+   */
+  #getSetSummary(checkedCount, total) {
+    if (checkedCount >= total) return 'All';
+    if (checkedCount === 0) return 'None';
+    return `${checkedCount} selected`;
+  }
 
-          // Check if clicking on already focused cell → start editing
-          if (
-            this.#focusedCell &&
-            this.#focusedCell.rowIndex === viewIndex &&
-            this.#focusedCell.colIndex === adjustedColIndex
-          ) {
-            this.#startEditing(viewIndex, adjustedColIndex);
-          } else {
-            // First click → just focus
-            this.#setFocusedCell(viewIndex, adjustedColIndex);
-          }
-          return;
-        }
-      }
+  /**
+   * Read a filter cell's controls into a filterColumn() value
+   * @param {HTMLElement} cell - Filter row <th>
+   * @returns {*} Filter value, or null to clear
+   */
+  #readFilterCell(cell) {
+    const get = (role) =>
+      cell.querySelector(`[data-filter-role="${role}"]`)?.value ?? '';
 
-      // Row click for selection (only if not editable or clicking elsewhere)
-      const row = e.target.closest('.bw-datatable__row');
-      if (row && this.#options.selectable && !this.#options.editable) {
-        const rowId = row.dataset.rowId;
-        this.#handleRowSelect(rowId, !this.#selected.has(rowId));
+    switch (cell.dataset.filter) {
+      case 'number':
+      case 'date': {
+        const parse = (v) =>
+          v === '' ? null : cell.dataset.filter === 'number' ? Number(v) : v;
+        const min = parse(get('min'));
+        const max = parse(get('max'));
+        if (min === null && max === null) return null;
+        return { op: 'between', value: [min, max] };
       }
-    });
 
-    // Double-click to edit (backup)
-    this.#tbody.addEventListener('dblclick', (e) => {
-      if (!this.#options.editable) return;
+      case 'boolean': {
+        const value = get('bool');
+        return value === '' ? null : { op: 'eq', value: value === 'true' };
+      }
 
-      const cell = e.target.closest('.bw-datatable__td');
-      if (cell && !cell.classList.contains('bw-datatable__td--checkbox')) {
-        const row = cell.closest('.bw-datatable__row');
-        if (row) {
-          const colIndex = Array.from(cell.parentNode.children).indexOf(cell);
-          const adjustedColIndex = this.#options.selectable
-            ? colIndex - 1
-            : colIndex;
-          this.#startEditing(row.dataset.viewIndex, adjustedColIndex);
+      case 'set': {
+        const boxes = Array.from(
+          cell.querySelectorAll('[data-filter-role="option"]')
+        );
+        const checked = boxes.filter((b) => b.checked).map((b) => b.value);
+        const summary = cell.querySelector('.bw-datatable__filter-summary');
+        if (summary) {
+          summary.textContent = this.#getSetSummary(
+            checked.length,
+            boxes.length
+          );
         }
+        if (checked.length === boxes.length) return null;
+        return { op: 'in', value: checked };
       }
-    });
 
-    // Search input
-    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
-    if (searchInput) {
-      let debounceTimer;
-      searchInput.addEventListener('input', (e) => {
-        clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(() => {
-          this.filter(e.target.value);
-        }, 200);
-      });
+      default:
+        return get('text');
     }
+  }
 
-    // Keyboard navigation
-    this.#scrollContainer.tabIndex = 0;
-    this.#scrollContainer.addEventListener(
-      'keydown',
-      this.#onKeyDown.bind(this)
+  /**
+   * Re-render filter controls after a programmatic filter change.
+   * Skipped while the user is interacting with the row, so focus and an
+   * open checkbox list aren't lost mid-typing.
+   */
+  #refreshFilterRow() {
+    if (!this.#options.filterRow) return;
+
+    const row = this.#thead.querySelector('.bw-datatable__filter-row');
+    if (row && row.contains(document.activeElement)) return;
+
+    this.#renderHeader();
+  }
+
+  // ==========================================================================
+  // FILTER BUILDER
+  // ==========================================================================
+
+  /**
+   * Open the AND/OR filter builder popover, editing a copy of the model
+   */
+  #openFilterBuilder() {
+    if (!this.#filterBuilder) {
+      this.#filterBuilder = document.createElement('div');
+      this.#filterBuilder.className = 'bw-datatable__filter-builder';
+      this.#filterBuilder.setAttribute('role', 'dialog');
+      this.#filterBuilder.setAttribute('aria-label', 'Filter builder');
+      this.#wrapper.appendChild(this.#filterBuilder);
+      this.#bindFilterBuilderEvents();
+    }
+
+    // structuredClone keeps RegExp and Date values, unlike JSON
+    this.#builderDraft = this.#filterModel
+      ? structuredClone(this.#filterModel)
+      : { op: 'and', children: [] };
+    if (this.#builderDraft.children === undefined) {
+      // Model is a bare condition - wrap it so it can be edited as a group
+      this.#builderDraft = { op: 'and', children: [this.#builderDraft] };
+    }
+
+    this.#renderFilterBuilder();
+    this.#filterBuilder.classList.add('bw-datatable__filter-builder--open');
+    this.#setFilterBuilderExpanded(true);
+  }
+
+  #closeFilterBuilder() {
+    if (!this.#filterBuilder) return;
+    this.#filterBuilder.classList.remove('bw-datatable__filter-builder--open');
+    this.#builderDraft = null;
+    this.#setFilterBuilderExpanded(false);
+  }
+
+  #setFilterBuilderExpanded(expanded) {
+    const toggle = this.#wrapper.querySelector(
+      '.bw-datatable__filter-builder-toggle'
     );
+    if (toggle) toggle.setAttribute('aria-expanded', String(expanded));
   }
 
-  #onScroll() {
-    this.#scrollTop = this.#scrollContainer.scrollTop;
-    this.#render();
+  #renderFilterBuilder() {
+    this.#filterBuilder.innerHTML = `
+      <div class="bw-datatable__fb-tree">
+        ${this.#renderBuilderNode(this.#builderDraft, '')}
+      </div>
+      <div class="bw-datatable__fb-actions">
+        <button type="button" class="bw-datatable__toolbar-btn" data-fb="clear">Clear</button>
+        <button type="button" class="bw-datatable__toolbar-btn" data-fb="cancel">Cancel</button>
+        <button type="button" class="bw-datatable__toolbar-btn bw-datatable__toolbar-btn--primary" data-fb="apply">Apply</button>
+      </div>
+    `;
   }
 
-  #onKeyDown(e) {
-    const totalHeight = this.#view.length * this.#rowHeight;
-    const totalRows = this.#view.length;
-    const totalCols = this.#columns.length;
+  /**
+   * Render a group (recursively) or a condition of the draft tree.
+   * Nodes are addressed by their child-index path, e.g. "0.2".
+   * @param {Object} node - Filter node
+   * @param {string} path - Path from the root ('' for the root)
+   * @returns {string} HTML
+   */
+  #renderBuilderNode(node, path) {
+    const childPath = (i) => (path === '' ? String(i) : `${path}.${i}`);
+    const remove =
+      path !== ''
+        ? '<button type="button" class="bw-datatable__fb-remove" data-fb="remove" aria-label="Remove">×</button>'
+        : '';
+
+    if (Array.isArray(node.children)) {
+      const children = node.children
+        .map((child, i) => this.#renderBuilderNode(child, childPath(i)))
+        .join('');
+
+      return `
+        <div class="bw-datatable__fb-group" data-path="${path}">
+          <div class="bw-datatable__fb-group-head">
+            <label class="bw-datatable__fb-not">
+              <input type="checkbox" data-fb="not"${
+                node.not ? ' checked' : ''
+              }> NOT
+            </label>
+            <select class="bw-datatable__filter-input" data-fb="logic" aria-label="Match">
+              <option value="and"${
+                node.op === 'and' ? ' selected' : ''
+              }>All of (AND)</option>
+              <option value="or"${
+                node.op === 'or' ? ' selected' : ''
+              }>Any of (OR)</option>
+            </select>
+            <button type="button" class="bw-datatable__toolbar-btn" data-fb="add-condition">+ Condition</button>
+            <button type="button" class="bw-datatable__toolbar-btn" data-fb="add-group">+ Group</button>
+            ${remove}
+          </div>
+          <div class="bw-datatable__fb-children">${children}</div>
+        </div>
+      `;
+    }
 
-    // If currently editing, handle edit-specific keys
-    if (this.#editingCell) {
-      return; // Let the input handle its own events
+    const attr = (value) =>
+      this.#escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
+
+    const columnOptions = this.#columns
+      .filter((col) => col.filterable !== false)
+      .map(
+        (col) =>
+          `<option value="${attr(col.id)}"${
+            col.id === node.column ? ' selected' : ''
+          }>${this.#escapeHtml(col.header || col.id)}</option>`
+      )
+      .join('');
+
+    const opOptions = Object.entries(FILTER_OPERATOR_LABELS)
+      .map(
+        ([op, label]) =>
+          `<option value="${op}"${
+            op === node.op ? ' selected' : ''
+          }>${label}</option>`
+      )
+      .join('');
+
+    let valueInputs = '';
+    if (node.op === 'between') {
+      const [min, max] = Array.isArray(node.value) ? node.value : [];
+      valueInputs = `
+        <input type="text" class="bw-datatable__filter-input" data-fb="min" placeholder="From" value="${attr(
+          min
+        )}">
+        <input type="text" class="bw-datatable__filter-input" data-fb="max" placeholder="To" value="${attr(
+          max
+        )}">
+      `;
+    } else if (node.op === 'in') {
+      const list = Array.isArray(node.value) ? node.value.join(', ') : '';
+      valueInputs = `<input type="text" class="bw-datatable__filter-input" data-fb="value" placeholder="a, b, c" value="${attr(
+        list
+      )}">`;
+    } else if (node.op !== 'empty') {
+      valueInputs = `<input type="text" class="bw-datatable__filter-input" data-fb="value" placeholder="Value" value="${attr(
+        node.value
+      )}">`;
     }
 
-    // Navigation with arrow keys when cell is focused
-    if (this.#focusedCell) {
-      const { rowIndex, colIndex } = this.#focusedCell;
+    return `
+      <div class="bw-datatable__fb-condition" data-path="${path}">
+        <select class="bw-datatable__filter-input" data-fb="column" aria-label="Column">${columnOptions}</select>
+        <select class="bw-datatable__filter-input" data-fb="op" aria-label="Operator">${opOptions}</select>
+        ${valueInputs}
+        ${remove}
+      </div>
+    `;
+  }
 
-      switch (e.key) {
-        case 'Tab':
-          e.preventDefault();
-          if (e.shiftKey) {
-            // Move left or up to previous row
-            if (colIndex > 0) {
-              this.#setFocusedCell(rowIndex, colIndex - 1);
-            } else if (rowIndex > 0) {
-              this.#setFocusedCell(rowIndex - 1, totalCols - 1);
-            }
-          } else {
-            // Move right or down to next row
-            if (colIndex < totalCols - 1) {
-              this.#setFocusedCell(rowIndex, colIndex + 1);
-            } else if (rowIndex < totalRows - 1) {
-              this.#setFocusedCell(rowIndex + 1, 0);
-            }
-          }
-          return;
+  #getBuilderNode(path) {
+    if (path === '') return this.#builderDraft;
+    return path
+      .split('.')
+      .reduce((node, i) => node.children[Number(i)], this.#builderDraft);
+  }
 
-        case 'Enter':
-          e.preventDefault();
-          if (this.#options.editable) {
-            this.#startEditing(rowIndex, colIndex);
-          }
-          return;
+  #bindFilterBuilderEvents() {
+    const builder = this.#filterBuilder;
 
-        case 'ArrowUp':
-          e.preventDefault();
-          if (rowIndex > 0) {
-            this.#setFocusedCell(rowIndex - 1, colIndex);
-          }
-          return;
+    builder.addEventListener('click', (e) => {
+      const action = e.target.closest('button[data-fb]')?.dataset.fb;
+      if (!action) return;
 
-        case 'ArrowDown':
-          e.preventDefault();
-          if (rowIndex < totalRows - 1) {
-            this.#setFocusedCell(rowIndex + 1, colIndex);
-          }
-          return;
+      const path = e.target.closest('[data-path]')?.dataset.path ?? '';
+      const node = this.#getBuilderNode(path);
 
-        case 'ArrowLeft':
-          e.preventDefault();
-          if (colIndex > 0) {
-            this.#setFocusedCell(rowIndex, colIndex - 1);
-          }
+      switch (action) {
+        case 'add-condition': {
+          const col = this.#columns.find((c) => c.filterable !== false);
+          node.children.push({
+            column: col?.id,
+            op: col?.type === 'string' || !col?.type ? 'contains' : 'eq',
+            value: '',
+          });
+          break;
+        }
+        case 'add-group':
+          node.children.push({ op: 'or', children: [] });
+          break;
+        case 'remove': {
+          const parts = path.split('.');
+          const index = Number(parts.pop());
+          this.#getBuilderNode(parts.join('.')).children.splice(index, 1);
+          break;
+        }
+        case 'apply':
+          this.setFilterModel(this.#builderDraft);
+          this.#closeFilterBuilder();
           return;
-
-        case 'ArrowRight':
-          e.preventDefault();
-          if (colIndex < totalCols - 1) {
-            this.#setFocusedCell(rowIndex, colIndex + 1);
-          }
+        case 'clear':
+          this.setFilterModel(null);
+          this.#closeFilterBuilder();
           return;
-
-        case 'Escape':
-          e.preventDefault();
-          this.#clearFocusedCell();
+        case 'cancel':
+          this.#closeFilterBuilder();
           return;
       }
-    }
 
-    // Default scroll navigation
-    switch (e.key) {
-      case 'Home':
-        e.preventDefault();
-        this.#scrollContainer.scrollTop = 0;
-        if (this.#options.editable) {
-          this.#setFocusedCell(0, 0);
-        }
-        break;
+      this.#renderFilterBuilder();
+    });
 
-      case 'End':
-        e.preventDefault();
-        this.#scrollContainer.scrollTop = totalHeight - this.#viewportHeight;
-        if (this.#options.editable) {
-          this.#setFocusedCell(totalRows - 1, 0);
+    // Field edits update the draft in place; only structural changes
+    // (operator, which swaps the value inputs) re-render
+    const onEdit = (e) => {
+      const field = e.target.dataset.fb;
+      const holder = e.target.closest('[data-path]');
+      if (!field || !holder) return;
+
+      const node = this.#getBuilderNode(holder.dataset.path);
+      const value =
+        e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+
+      switch (field) {
+        case 'not':
+          node.not = value;
+          break;
+        case 'logic':
+          node.op = value;
+          break;
+        case 'column':
+          node.column = value;
+          break;
+        case 'op':
+          node.op = value;
+          node.value =
+            value === 'between' ? ['', ''] : value === 'in' ? [] : '';
+          if (e.type === 'change') this.#renderFilterBuilder();
+          break;
+        case 'value':
+          node.value =
+            node.op === 'in'
+              ? value
+                  .split(',')
+                  .map((v) => v.trim())
+                  .filter(Boolean)
+              : value;
+          break;
+        case 'min':
+        case 'max': {
+          const range = Array.isArray(node.value) ? node.value : ['', ''];
+          range[field === 'min' ? 0 : 1] = value;
+          node.value = range;
+          break;
         }
-        break;
-
-      case 'PageDown':
-        e.preventDefault();
-        this.#scrollContainer.scrollTop += this.#viewportHeight;
-        break;
-
-      case 'PageUp':
-        e.preventDefault();
-        this.#scrollContainer.scrollTop -= this.#viewportHeight;
-        break;
+      }
+    };
+    builder.addEventListener('input', onEdit);
+    builder.addEventListener('change', onEdit);
 
-      case 'Tab':
-        // Start at first cell if no cell focused
-        if (this.#options.editable && !this.#focusedCell) {
-          e.preventDefault();
-          this.#setFocusedCell(0, 0);
-        }
-        break;
-    }
+    builder.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.#closeFilterBuilder();
+        this.#wrapper
+          .querySelector('.bw-datatable__filter-builder-toggle')
+          ?.focus();
+      }
+    });
   }
 
   // ==========================================================================
-  // CELL FOCUS & EDITING
+  // COLUMN CHOOSER
   // ==========================================================================
 
-  #setFocusedCell(rowIndex, colIndex) {
-    this.#focusedCell = {
-      rowIndex: parseInt(rowIndex),
-      colIndex: parseInt(colIndex),
-    };
-
-    // Ensure row is visible
-    this.#scrollToRowIfNeeded(this.#focusedCell.rowIndex);
-
-    // Re-render to show focus
-    this.#renderedRange = { start: -1, end: -1 }; // Force re-render
-    this.#render();
+  /**
+   * Open the "Columns" popover: a checkbox per column and a search box
+   */
+  #openColumnChooser() {
+    if (!this.#columnChooser) {
+      this.#columnChooser = document.createElement('div');
+      this.#columnChooser.className = 'bw-datatable__column-chooser';
+      this.#columnChooser.setAttribute('role', 'dialog');
+      this.#columnChooser.setAttribute('aria-label', 'Columns');
+      this.#columnChooser.innerHTML = `
+        <input type="search" class="bw-datatable__column-chooser-search"
+          placeholder="Find column..." aria-label="Find column">
+        <div class="bw-datatable__column-chooser-list"></div>
+      `;
+      this.#wrapper.appendChild(this.#columnChooser);
+      this.#bindColumnChooserEvents();
+    }
 
-    // Keep focus on scroll container for keyboard events
-    this.#scrollContainer.focus();
+    this.#columnChooser.querySelector(
+      '.bw-datatable__column-chooser-search'
+    ).value = '';
+    this.#renderColumnChooser();
+    this.#columnChooser.classList.add('bw-datatable__column-chooser--open');
+    this.#setColumnChooserExpanded(true);
+    this.#columnChooser
+      .querySelector('.bw-datatable__column-chooser-search')
+      .focus();
   }
 
-  #clearFocusedCell() {
-    this.#focusedCell = null;
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render();
-    this.#scrollContainer.focus();
+  #closeColumnChooser() {
+    if (!this.#isColumnChooserOpen()) return;
+    this.#columnChooser.classList.remove('bw-datatable__column-chooser--open');
+    this.#setColumnChooserExpanded(false);
   }
 
-  #scrollToRowIfNeeded(rowIndex) {
-    const rowTop = rowIndex * this.#rowHeight;
-    const rowBottom = rowTop + this.#rowHeight;
-    const viewTop = this.#scrollTop;
-    const viewBottom = this.#scrollTop + this.#viewportHeight;
-
-    if (rowTop < viewTop) {
-      this.#scrollContainer.scrollTop = rowTop;
-    } else if (rowBottom > viewBottom) {
-      this.#scrollContainer.scrollTop = rowBottom - this.#viewportHeight;
-    }
+  #isColumnChooserOpen() {
+    return !!this.#columnChooser?.classList.contains(
+      'bw-datatable__column-chooser--open'
+    );
   }
 
-  #getCellElement(rowIndex, colIndex) {
-    const row = this.#tbody.querySelector(`[data-view-index="${rowIndex}"]`);
-    if (!row) return null;
-
-    const cells = row.querySelectorAll(
-      '.bw-datatable__td:not(.bw-datatable__td--checkbox)'
+  #setColumnChooserExpanded(expanded) {
+    const toggle = this.#wrapper.querySelector(
+      '.bw-datatable__column-chooser-toggle'
     );
-    return cells[colIndex] || null;
+    if (toggle) toggle.setAttribute('aria-expanded', String(expanded));
   }
 
-  #startEditing(rowIndex, colIndex) {
-    if (!this.#options.editable) return;
+  /**
+   * Fill the column list, in display order, keeping the search applied.
+   * The last visible column can't be unchecked.
+   */
+  #renderColumnChooser() {
+    const query = this.#columnChooser
+      .querySelector('.bw-datatable__column-chooser-search')
+      .value.trim()
+      .toLowerCase();
+    const visibleCount = this.#columns.length - this.#hiddenColumns.size;
 
-    rowIndex = parseInt(rowIndex);
-    colIndex = parseInt(colIndex);
+    let html = '';
+    for (const col of this.#columns) {
+      const header = String(col.header || col.id);
+      const visible = !this.#hiddenColumns.has(col.id);
+      const hidden = query && !header.toLowerCase().includes(query);
 
-    const dataIndex = this.#view[rowIndex];
-    if (dataIndex === undefined) return;
+      html += `
+        <label class="bw-datatable__column-chooser-item"${
+          hidden ? ' hidden' : ''
+        }>
+          <input type="checkbox" data-column-id="${this.#escapeHtml(col.id)}"
+            ${visible ? 'checked' : ''}
+            ${visible && visibleCount === 1 ? 'disabled' : ''}>
+          ${this.#escapeHtml(header)}
+        </label>
+      `;
+    }
 
-    const row = this.#data[dataIndex];
-    const column = this.#columns[colIndex];
+    this.#columnChooser.querySelector(
+      '.bw-datatable__column-chooser-list'
+    ).innerHTML = html;
+  }
 
-    if (!row || !column) return;
-    if (column.editable === false) return;
+  #bindColumnChooserEvents() {
+    const chooser = this.#columnChooser;
 
-    const rowId = this.#getRowId(row, dataIndex);
-    const currentValue = row[column.field || column.id];
+    chooser.addEventListener('change', (e) => {
+      const columnId = e.target.dataset.columnId;
+      if (columnId !== undefined) {
+        this.setColumnVisibility({ [columnId]: e.target.checked });
+      }
+    });
+
+    chooser.addEventListener('input', (e) => {
+      if (e.target.classList.contains('bw-datatable__column-chooser-search')) {
+        this.#renderColumnChooser();
+      }
+    });
+
+    chooser.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.#closeColumnChooser();
+        this.#wrapper
+          .querySelector('.bw-datatable__column-chooser-toggle')
+          ?.focus();
+      }
+    });
+  }
+
+  // ==========================================================================
+  // EVENT BINDING
+  // ==========================================================================
+
+  #bindEvents() {
+    // Scroll event for virtual scrolling
+    this.#scrollContainer.addEventListener('scroll', this.#onScroll.bind(this));
+
+    // Resize observer for viewport
+    const resizeObserver = new ResizeObserver(() => {
+      this.#calculateViewport();
+      // Text may wrap differently at the new width
+      this.#render(!!this.#options.autoRowHeight);
+    });
+    resizeObserver.observe(this.#scrollContainer);
+
+    // Track if we just finished resizing (to prevent sort click)
+    let justResized = false;
+
+    // Column resize handlers
+    if (this.#options.resizable !== false) {
+      this.#thead.addEventListener('mousedown', (e) => {
+        const handle = e.target.closest('.bw-datatable__resize-handle');
+        if (handle) {
+          e.preventDefault();
+          e.stopPropagation();
+          const columnId = handle.dataset.column;
+          const th = handle.closest('th');
+          const startWidth = th.offsetWidth;
+          const colIndex = this.#columns.findIndex((c) => c.id === columnId);
+
+          this.#resizing = {
+            columnId,
+            startX: e.clientX,
+            startWidth,
+            colIndex,
+          };
+          document.body.style.cursor = 'col-resize';
+          document.body.style.userSelect = 'none';
+
+          // Add class to table for visual feedback
+          this.#container.classList.add('bw-datatable--resizing');
+        }
+      });
+
+      // Double-click to reset column width
+      this.#thead.addEventListener('dblclick', (e) => {
+        const handle = e.target.closest('.bw-datatable__resize-handle');
+        if (handle) {
+          e.preventDefault();
+          e.stopPropagation();
+          const columnId = handle.dataset.column;
+
+          // Remove stored width - column will auto-size
+          this.#columnWidths.delete(columnId);
+
+          // Clear inline styles
+          const th = this.#thead.querySelector(`[data-column="${columnId}"]`);
+          if (th) {
+            th.style.width = '';
+            th.style.minWidth = '';
+          }
+
+          // Re-render to apply
+          if (this.#options.virtualColumns) this.#renderHeader();
+          this.#renderedRange = { start: -1, end: -1 };
+          this.#render(true);
+
+          this.#emit('column:resize:reset', { columnId });
+        }
+      });
+
+      document.addEventListener('mousemove', (e) => {
+        if (!this.#resizing) return;
+
+        const { columnId, startX, startWidth, colIndex } = this.#resizing;
+        const diff = e.clientX - startX;
+        const col = this.#columns[colIndex];
+        const minWidth = col?.minWidth || 20; // Allow very small
+        const maxWidth = col?.maxWidth || 2000;
+
+        let newWidth = Math.max(
+          minWidth,
+          Math.min(maxWidth, startWidth + diff)
+        );
+
+        // Update header cell width directly
+        const th = this.#thead.querySelector(`[data-column="${columnId}"]`);
+        if (th) {
+          th.style.width = `${newWidth}px`;
+          th.style.minWidth = `${newWidth}px`;
+        }
+
+        // Update body cells - they have data-col-index
+        const bodyCells = this.#tbody.querySelectorAll(
+          `[data-col-index="${colIndex}"]`
+        );
+        bodyCells.forEach((cell) => {
+          cell.style.width = `${newWidth}px`;
+          cell.style.minWidth = `${newWidth}px`;
+        });
+
+        // Store for mouseup
+        this.#resizing.newWidth = newWidth;
+
+        // Virtual columns: the table is exactly as wide as its columns
+        if (this.#options.virtualColumns) {
+          this.#columnWidths.set(columnId, newWidth);
+          this.#table.style.width = `${this.#getColumnWindow().width}px`;
+        }
+      });
+
+      document.addEventListener('mouseup', () => {
+        if (this.#resizing) {
+          const { columnId, newWidth } = this.#resizing;
+
+          // Save final width
+          if (newWidth) {
+            this.#columnWidths.set(columnId, newWidth);
+          }
+
+          this.#resizing = null;
+          justResized = true;
+
+          // Other columns may have moved into or out of view, or
+          // pinned columns next to this one need new sticky offsets
+          if (
+            this.#options.virtualColumns ||
+            this.#pinnedColumns.has(columnId)
+          ) {
+            this.#renderHeader();
+            this.#render(true);
+          }
+
+          document.body.style.cursor = '';
+          document.body.style.userSelect = '';
+          this.#container.classList.remove('bw-datatable--resizing');
+
+          // Emit event
+          this.#emit('column:resize', {
+            columnId,
+            width: this.#columnWidths.get(columnId),
+          });
+
+          // Reset flag after a short delay
+          setTimeout(() => {
+            justResized = false;
+          }, 100);
+        }
+      });
+    }
+
+    // Track if we just dropped a dragged column (to prevent sort click)
+    let justMoved = false;
+
+    // Column reordering: drag a header (pointer events cover mouse and
+    // touch), or Alt+ArrowLeft/Right on a focused header. Dropping a
+    // header on the group panel groups by it instead.
+    const reorderable = this.#options.reorderable !== false;
+    if (reorderable || this.#groupPanel) {
+      this.#thead.addEventListener('pointerdown', (e) => {
+        const th = e.target.closest('.bw-datatable__header-row [data-column]');
+        if (!th || e.button !== 0) return;
+        if (e.target.closest('.bw-datatable__resize-handle')) return;
+
+        this.#columnDrag = {
+          columnId: th.dataset.column,
+          startX: e.clientX,
+          moved: false,
+          target: null,
+        };
+      });
+
+      const { signal } = this.#documentListeners;
+      document.addEventListener(
+        'pointermove',
+        (e) => {
+          const drag = this.#columnDrag;
+          if (!drag) return;
+
+          // A few pixels of slack so a sloppy click still sorts
+          if (!drag.moved) {
+            if (Math.abs(e.clientX - drag.startX) < 5) return;
+            drag.moved = true;
+            document.body.style.cursor = 'grabbing';
+            document.body.style.userSelect = 'none';
+            this.#thead
+              .querySelector(`[data-column="${drag.columnId}"]`)
+              ?.classList.add('bw-datatable__th--dragging');
+          }
+
+          const overPanel = this.#isPointerOver(this.#groupPanel, e);
+          this.#groupPanel?.classList.toggle(
+            'bw-datatable__group-panel--over',
+            overPanel
+          );
+          if (overPanel) {
+            drag.target = { group: true };
+          } else {
+            drag.target = reorderable
+              ? this.#getColumnDropTarget(drag.columnId, e.clientX)
+              : null;
+          }
+          this.#showDropIndicator(drag.target?.x ?? null);
+        },
+        { signal }
+      );
+
+      const endDrag = (drop) => {
+        const drag = this.#columnDrag;
+        this.#columnDrag = null;
+        if (!drag?.moved) return;
+
+        document.body.style.cursor = '';
+        document.body.style.userSelect = '';
+        this.#showDropIndicator(null);
+        this.#thead
+          .querySelector(`[data-column="${drag.columnId}"]`)
+          ?.classList.remove('bw-datatable__th--dragging');
+
+        this.#groupPanel?.classList.remove('bw-datatable__group-panel--over');
+        if (drop && drag.target?.group) {
+          this.setGroupBy([...this.#groupBy, drag.columnId]);
+        } else if (drop && drag.target) {
+          this.moveColumn(drag.columnId, drag.target.index);
+        }
+
+        justMoved = true;
+        setTimeout(() => {
+          justMoved = false;
+        }, 100);
+      };
+      document.addEventListener('pointerup', () => endDrag(true), { signal });
+      document.addEventListener('pointercancel', () => endDrag(false), {
+        signal,
+      });
+
+      this.#thead.addEventListener('keydown', (e) => {
+        if (!reorderable || !e.altKey) return;
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        const th = e.target.closest('.bw-datatable__header-row [data-column]');
+        if (!th) return;
+
+        e.preventDefault();
+        const columnId = th.dataset.column;
+        const index = this.getColumnOrder().indexOf(columnId);
+
+        // Past the next visible column, so the move always shows
+        const next = this.#stepColumn(index, e.key === 'ArrowLeft' ? -1 : 1);
+        if (next !== -1) this.moveColumn(columnId, next);
+        this.#thead.querySelector(`[data-column="${columnId}"]`)?.focus();
+      });
+    }
+
+    // Header click (group toggle, sort)
+    this.#thead.addEventListener('click', (e) => {
+      const toggle = e.target.closest('[data-group-toggle]');
+      if (toggle) {
+        const groupId = toggle.dataset.groupToggle;
+        const group = this.#columnGroups.get(groupId);
+        this.#setGroupCollapsed(groupId, !group.collapsed);
+        this.#thead.querySelector(`[data-group-toggle="${groupId}"]`)?.focus();
+        return;
+      }
+
+      // Ignore clicks on resize handle or if we just finished resizing
+      // or dragging
+      if (e.target.closest('.bw-datatable__resize-handle')) return;
+      if (justResized || justMoved) return;
+
+      const th = e.target.closest('[data-column]');
+      if (th && this.#options.sortable) {
+        const columnId = th.dataset.column;
+        const col = this.#columns.find((c) => c.id === columnId);
+        if (col && col.sortable !== false) {
+          // Shift+click adds/toggles a secondary sort key
+          this.#handleSort(columnId, e.shiftKey);
+        }
+      }
+
+      // Select all checkbox
+      if (e.target.classList.contains('bw-datatable__select-all')) {
+        this.#handleSelectAll(e.target.checked);
+      }
+    });
+
+    // Body click (row selection and cell focus)
+    // Body and pinned rows
+    this.#table.addEventListener('click', (e) => {
+      if (this.#isInDetailPanel(e.target)) return;
+
+      // Group row: focus and expand/collapse it
+      const groupRow = e.target.closest('.bw-datatable__group-row');
+      if (groupRow) {
+        const rowIndex = Number(groupRow.dataset.viewIndex);
+        const group = this.#rows[rowIndex];
+        this.#focusedCell = {
+          rowIndex,
+          colIndex: this.#focusedCell?.colIndex ?? this.#stepColumn(-1, 1),
+        };
+        this.#setGroupExpanded(group.key, !group.expanded);
+        this.#scrollContainer.focus();
+        return;
+      }
+
+      // Detail toggle: focus its cell and show/hide the row's details
+      const detailToggle = e.target.closest('[data-detail-toggle]');
+      if (detailToggle) {
+        const cell = detailToggle.closest('.bw-datatable__td');
+        const rowIndex = Number(cell.closest('tr').dataset.viewIndex);
+        const dataIndex = this.#rows[rowIndex];
+        const rowId = this.#getRowId(this.#data[dataIndex], dataIndex);
+        this.#focusedCell = {
+          rowIndex,
+          colIndex: Number(cell.dataset.colIndex),
+        };
+        this.#setRowExpanded(dataIndex, !this.#expandedRows.has(rowId));
+        this.#scrollContainer.focus();
+        return;
+      }
+
+      // Tree toggle: focus its cell and expand/collapse the node
+      const treeToggle = e.target.closest('[data-tree-toggle]');
+      if (treeToggle) {
+        const cell = treeToggle.closest('.bw-datatable__td');
+        const rowIndex = Number(cell.closest('tr').dataset.viewIndex);
+        const dataIndex = this.#rows[rowIndex];
+        this.#focusedCell = {
+          rowIndex,
+          colIndex: Number(cell.dataset.colIndex),
+        };
+        this.#setNodeExpanded(dataIndex, !this.#isNodeExpanded(dataIndex));
+        this.#scrollContainer.focus();
+        return;
+      }
+
+      // Row checkbox
+      const checkbox = e.target.closest('.bw-datatable__row-checkbox');
+      if (checkbox) {
+        this.#handleRowSelect(checkbox.dataset.rowId, checkbox.checked);
+        return;
+      }
+
+      // Cell click for focus/editing (data cells, not checkbox or spacer)
+      const cell = e.target.closest('.bw-datatable__td');
+      if (cell?.dataset.colIndex !== undefined) {
+        const row = cell.closest('.bw-datatable__row');
+        if (row && this.#options.editable) {
+          const viewIndex = parseInt(row.dataset.viewIndex);
+          const adjustedColIndex = parseInt(cell.dataset.colIndex);
+
+          // Check if clicking on already focused cell → start editing
+          if (
+            this.#focusedCell &&
+            this.#focusedCell.rowIndex === viewIndex &&
+            this.#focusedCell.colIndex === adjustedColIndex
+          ) {
+            this.#startEditing(viewIndex, adjustedColIndex);
+          } else {
+            // First click → just focus
+            this.#setFocusedCell(viewIndex, adjustedColIndex);
+          }
+          return;
+        }
+      }
+
+      // Row click for selection (only if not editable or clicking elsewhere)
+      const row = e.target.closest('.bw-datatable__row');
+      if (
+        row?.dataset.rowId &&
+        this.#options.selectable &&
+        !this.#options.editable
+      ) {
+        const rowId = row.dataset.rowId;
+        this.#handleRowSelect(rowId, !this.#selected.has(rowId));
+      }
+    });
+
+    // Double-click to edit (backup)
+    this.#table.addEventListener('dblclick', (e) => {
+      if (!this.#options.editable || this.#isInDetailPanel(e.target)) return;
+
+      const cell = e.target.closest('.bw-datatable__td');
+      if (cell?.dataset.colIndex !== undefined) {
+        const row = cell.closest('.bw-datatable__row');
+        if (row) {
+          this.#startEditing(row.dataset.viewIndex, cell.dataset.colIndex);
+        }
+      }
+    });
+
+    // Search input
+    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
+    if (searchInput) {
+      let debounceTimer;
+      searchInput.addEventListener('input', (e) => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+          this.filter(e.target.value);
+        }, 200);
+      });
+    }
+
+    // Filter builder popover
+    const builderToggle = this.#wrapper.querySelector(
+      '.bw-datatable__filter-builder-toggle'
+    );
+    if (builderToggle) {
+      builderToggle.addEventListener('click', () => {
+        if (this.#builderDraft) {
+          this.#closeFilterBuilder();
+        } else {
+          this.#openFilterBuilder();
+        }
+      });
+
+      // Close on outside click
+      document.addEventListener(
+        'mousedown',
+        (e) => {
+          if (
+            this.#builderDraft &&
+            !this.#filterBuilder.contains(e.target) &&
+            !builderToggle.contains(e.target)
+          ) {
+            this.#closeFilterBuilder();
+          }
+        },
+        { signal: this.#documentListeners.signal }
+      );
+    }
+
+    // Column chooser popover
+    const chooserToggle = this.#wrapper.querySelector(
+      '.bw-datatable__column-chooser-toggle'
+    );
+    if (chooserToggle) {
+      chooserToggle.addEventListener('click', () => {
+        if (this.#isColumnChooserOpen()) {
+          this.#closeColumnChooser();
+        } else {
+          this.#openColumnChooser();
+        }
+      });
+
+      // Close on outside click
+      document.addEventListener(
+        'mousedown',
+        (e) => {
+          if (
+            this.#isColumnChooserOpen() &&
+            !this.#columnChooser.contains(e.target) &&
+            !chooserToggle.contains(e.target)
+          ) {
+            this.#closeColumnChooser();
+          }
+        },
+        { signal: this.#documentListeners.signal }
+      );
+    }
+
+    // Filter row controls
+    if (this.#options.filterRow) {
+      let filterTimer;
+      const applyFilter = (e, delay) => {
+        const cell = e.target.closest('[data-filter-column]');
+        if (!cell) return;
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => {
+          this.filterColumn(
+            cell.dataset.filterColumn,
+            this.#readFilterCell(cell)
+          );
+        }, delay);
+      };
+
+      this.#thead.addEventListener('input', (e) => {
+        if (e.target.matches('input[type="checkbox"], select')) return;
+        applyFilter(e, 200);
+      });
+      this.#thead.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-filter-role="option"], select')) return;
+        applyFilter(e, 0);
+      });
+    }
+
+    // Keyboard navigation
+    this.#scrollContainer.tabIndex = 0;
+    this.#scrollContainer.addEventListener(
+      'keydown',
+      this.#onKeyDown.bind(this)
+    );
+  }
+
+  #onScroll() {
+    this.#scrollTop = this.#scrollContainer.scrollTop;
+    this.#scrollLeft = this.#scrollContainer.scrollLeft;
+    this.#render();
+  }
+
+  #onKeyDown(e) {
+    // Let header cells and filter row controls handle their own keys
+    if (
+      e.target.closest('.bw-datatable__header-row, .bw-datatable__filter-row')
+    ) {
+      return;
+    }
+
+    // Same for detail panels, except that Escape leaves one
+    if (this.#isInDetailPanel(e.target)) {
+      if (e.key === 'Escape' && !e.defaultPrevented) {
+        e.preventDefault();
+        this.#scrollContainer.focus();
+      }
+      return;
+    }
+
+    const totalHeight = this.#rowTop(this.#rows.length);
+    const totalRows = this.#rows.length;
+
+    // Pinned rows sit before the first and after the last row
+    const firstRow = -this.#pinnedRows.top.length;
+    const lastRow = totalRows + this.#pinnedRows.bottom.length - 1;
+
+    // If currently editing, handle edit-specific keys
+    if (this.#editingCell) {
+      return; // Let the input handle its own events
+    }
+
+    // Navigation with arrow keys when cell is focused
+    if (this.#focusedCell) {
+      const { rowIndex, colIndex } = this.#focusedCell;
+
+      if (this.#isGroupRow(rowIndex) && this.#onGroupRowKey(e, rowIndex)) {
+        return;
+      }
+      if (this.#hasDetailRows() && this.#onDetailKey(e, rowIndex)) {
+        return;
+      }
+      if (this.#treeData && this.#onTreeKey(e, rowIndex)) return;
+
+      switch (e.key) {
+        case 'Tab':
+          e.preventDefault();
+          if (e.shiftKey) {
+            // Move left or up to previous row
+            const prev = this.#stepColumn(colIndex, -1);
+            if (prev !== -1) {
+              this.#setFocusedCell(rowIndex, prev);
+            } else if (rowIndex > firstRow) {
+              this.#setFocusedCell(
+                rowIndex - 1,
+                this.#stepColumn(this.#columns.length, -1)
+              );
+            }
+          } else {
+            // Move right or down to next row
+            const next = this.#stepColumn(colIndex, 1);
+            if (next !== -1) {
+              this.#setFocusedCell(rowIndex, next);
+            } else if (rowIndex < lastRow) {
+              this.#setFocusedCell(rowIndex + 1, this.#stepColumn(-1, 1));
+            }
+          }
+          return;
+
+        case 'Enter':
+          e.preventDefault();
+          if (this.#options.editable) {
+            this.#startEditing(rowIndex, colIndex);
+          }
+          return;
+
+        case 'ArrowUp':
+          e.preventDefault();
+          if (rowIndex > firstRow) {
+            this.#setFocusedCell(rowIndex - 1, colIndex);
+          }
+          return;
+
+        case 'ArrowDown':
+          e.preventDefault();
+          if (rowIndex < lastRow) {
+            this.#setFocusedCell(rowIndex + 1, colIndex);
+          }
+          return;
+
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+          e.preventDefault();
+          const next = this.#stepColumn(
+            colIndex,
+            e.key === 'ArrowLeft' ? -1 : 1
+          );
+          if (next !== -1) {
+            this.#setFocusedCell(rowIndex, next);
+          }
+          return;
+        }
+
+        case 'Escape':
+          e.preventDefault();
+          this.#clearFocusedCell();
+          return;
+      }
+    }
+
+    // Default scroll navigation
+    switch (e.key) {
+      case 'Home':
+        e.preventDefault();
+        this.#scrollContainer.scrollTop = 0;
+        if (this.#options.editable) {
+          this.#setFocusedCell(0, 0);
+        }
+        break;
+
+      case 'End':
+        e.preventDefault();
+        this.#scrollContainer.scrollTop = totalHeight - this.#viewportHeight;
+        if (this.#options.editable) {
+          this.#setFocusedCell(totalRows - 1, 0);
+        }
+        break;
+
+      case 'PageDown':
+        e.preventDefault();
+        this.#scrollContainer.scrollTop += this.#viewportHeight;
+        break;
+
+      case 'PageUp':
+        e.preventDefault();
+        this.#scrollContainer.scrollTop -= this.#viewportHeight;
+        break;
+
+      case 'Tab':
+        // Start at first cell if no cell focused
+        if (this.#options.editable && !this.#focusedCell) {
+          e.preventDefault();
+          this.#setFocusedCell(0, 0);
+        }
+        break;
+    }
+  }
+
+  // ==========================================================================
+  // CELL FOCUS & EDITING
+  // ==========================================================================
+
+  #setFocusedCell(rowIndex, colIndex) {
+    this.#focusedCell = {
+      rowIndex: parseInt(rowIndex),
+      colIndex: parseInt(colIndex),
+    };
+
+    // Ensure row and column are visible
+    this.#scrollToRowIfNeeded(this.#focusedCell.rowIndex);
+    this.#scrollToColumnIfNeeded(this.#focusedCell.colIndex);
+
+    // Re-render to show focus
+    this.#renderedRange = { start: -1, end: -1 }; // Force re-render
+    this.#render();
+
+    // Keep focus on scroll container for keyboard events
+    this.#scrollContainer.focus();
+  }
+
+  #clearFocusedCell() {
+    this.#focusedCell = null;
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render();
+    this.#scrollContainer.focus();
+  }
+
+  #scrollToRowIfNeeded(rowIndex) {
+    // Pinned rows are always in view
+    if (rowIndex < 0 || rowIndex >= this.#rows.length) return;
+
+    // Paginated: turn to the row's page, then scroll within it
+    let pageStart = 0;
+    if (this.#pageSize) {
+      const page = Math.floor(rowIndex / this.#pageSize);
+      if (page !== this.#page) this.#changePage(page);
+      pageStart = this.#page * this.#pageSize;
+    }
+
+    const pageTop = this.#rowTop(pageStart);
+    const rowTop = this.#rowTop(rowIndex) - pageTop;
+    const rowBottom = this.#rowTop(rowIndex + 1) - pageTop;
+    // Pinned rows take part of the viewport
+    const viewHeight =
+      this.#viewportHeight -
+      this.#pinnedTop.offsetHeight -
+      this.#pinnedBottom.offsetHeight;
+    const viewTop = this.#scrollTop;
+    const viewBottom = this.#scrollTop + viewHeight;
+
+    if (rowTop < viewTop) {
+      this.#scrollContainer.scrollTop = rowTop;
+    } else if (rowBottom > viewBottom) {
+      this.#scrollContainer.scrollTop = rowBottom - viewHeight;
+    }
+  }
+
+  /**
+   * Next visible column from colIndex in a direction
+   * @param {number} colIndex - Start (exclusive); -1 or #columns.length to
+   *   get the first or last visible column
+   * @param {number} step - 1 (right) or -1 (left)
+   * @returns {number} Column index, or -1 if there is none
+   */
+  #stepColumn(colIndex, step) {
+    for (
+      let i = colIndex + step;
+      i >= 0 && i < this.#columns.length;
+      i += step
+    ) {
+      if (!this.#isColumnHidden(this.#columns[i].id)) return i;
+    }
+    return -1;
+  }
+
+  #scrollToColumnIfNeeded(colIndex) {
+    const col = this.#columns[colIndex];
+    const columns = this.#getColumnWindow();
+    if (!col || columns.pinned.has(colIndex)) return;
+
+    // Virtual columns may not be in the DOM yet, so place them by width
+    let colLeft, colRight;
+    if (this.#options.virtualColumns) {
+      const offsets = this.#getColumnOffsets();
+      colLeft = offsets[colIndex];
+      colRight = offsets[colIndex + 1];
+    } else {
+      const th = this.#thead.querySelector(`[data-column="${col.id}"]`);
+      if (!th) return;
+      colLeft = th.offsetLeft;
+      colRight = colLeft + th.offsetWidth;
+    }
+
+    // Pinned columns cover the edges of the viewport
+    const viewLeft = this.#scrollLeft + columns.pinnedLeftWidth;
+    const viewRight =
+      this.#scrollLeft + this.#viewportWidth - columns.pinnedRightWidth;
+
+    if (colLeft < viewLeft) {
+      this.#scrollContainer.scrollLeft = colLeft - columns.pinnedLeftWidth;
+    } else if (colRight > viewRight) {
+      this.#scrollContainer.scrollLeft =
+        colRight - this.#viewportWidth + columns.pinnedRightWidth;
+    }
+
+    // Scroll events are async; the render that follows needs the new window
+    this.#scrollLeft = this.#scrollContainer.scrollLeft;
+  }
+
+  #getCellElement(rowIndex, colIndex) {
+    const row = this.#table.querySelector(`[data-view-index="${rowIndex}"]`);
+    if (!row) return null;
+
+    return row.querySelector(`[data-col-index="${colIndex}"]`);
+  }
+
+  #startEditing(rowIndex, colIndex) {
+    // Pivoted cells are aggregates, not values to edit
+    if (!this.#options.editable || this.#pivot) return;
+
+    rowIndex = parseInt(rowIndex);
+    colIndex = parseInt(colIndex);
+
+    const dataIndex = this.#rows[rowIndex];
+    if (typeof dataIndex !== 'number') return;
+
+    const row = this.#data[dataIndex];
+    const column = this.#columns[colIndex];
+
+    if (!row || !column) return;
+    if (column.editable === false) return;
+
+    const rowId = this.#getRowId(row, dataIndex);
+    const currentValue = row[column.field || column.id];
+
+    this.#editingCell = {
+      rowId,
+      rowIndex,
+      colIndex,
+      dataIndex,
+      columnId: column.id,
+      field: column.field || column.id,
+      originalValue: currentValue,
+    };
+
+    // Re-render to show input
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render();
+
+    // Focus the input
+    setTimeout(() => {
+      const input = this.#tbody.querySelector('.bw-datatable__edit-input');
+      if (input) {
+        input.focus();
+        input.select();
+      }
+    }, 0);
+
+    this.#emit('cell:edit:start', {
+      rowId,
+      rowIndex,
+      colIndex,
+      columnId: column.id,
+      value: currentValue,
+    });
+  }
+
+  #saveEdit(newValue) {
+    if (!this.#editingCell) return;
+
+    const {
+      dataIndex,
+      field,
+      originalValue,
+      rowId,
+      columnId,
+      rowIndex,
+      colIndex,
+    } = this.#editingCell;
+    const row = this.#data[dataIndex];
+
+    // Store old value for history
+    const oldValue = originalValue;
+    const oldRow = { ...row };
+    const previousPage = this.#page;
+
+    // Update data
+    row[field] = newValue;
+    this.#syncWorkerRow(dataIndex);
+    this.#patchView(dataIndex, oldRow);
+
+    // Clear editing state
+    this.#editingCell = null;
+
+    // Keep focus on cell, following the row if it moved
+    const position = this.#rows.indexOf(dataIndex);
+    this.#focusedCell = {
+      rowIndex:
+        position === -1
+          ? Math.max(0, Math.min(rowIndex, this.#rows.length - 1))
+          : position,
+      colIndex,
+    };
+    if (position !== -1 && position !== rowIndex) {
+      this.#scrollToRowIfNeeded(position);
+    }
+
+    // Re-render
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render();
+
+    // Refocus scroll container for keyboard nav
+    this.#scrollContainer.focus();
+
+    // Emit event for history plugin
+    this.#emit('cell:edit', {
+      rowId,
+      rowIndex,
+      colIndex,
+      columnId,
+      field,
+      oldValue,
+      newValue,
+      row: { ...row },
+    });
+
+    this.#emit('cell:edit:end', {
+      rowId,
+      columnId,
+      oldValue,
+      newValue,
+    });
+    this.#emitPageChange(previousPage);
+
+    return position;
+  }
+
+  #cancelEdit() {
+    if (!this.#editingCell) return;
+
+    const { rowIndex, colIndex } = this.#editingCell;
+
+    this.#editingCell = null;
+    this.#focusedCell = { rowIndex, colIndex };
+
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render();
+
+    // Refocus scroll container for keyboard nav
+    this.#scrollContainer.focus();
+
+    this.#emit('cell:edit:cancel');
+  }
+
+  #handleEditKeyDown(e) {
+    if (!this.#editingCell) return;
+
+    const input = e.target;
+    const { colIndex } = this.#editingCell;
+
+    switch (e.key) {
+      case 'Enter': {
+        e.preventDefault();
+        e.stopPropagation();
+        this.#skipBlurSave = true;
+        const position = this.#saveEdit(input.value);
+        // Move to next row, stay in same column. A row filtered out by
+        // the edit is gone, so its successor is already focused.
+        const next =
+          position === -1 ? this.#focusedCell.rowIndex : position + 1;
+        if (next < this.#rows.length) {
+          this.#setFocusedCell(next, colIndex);
+        }
+        this.#skipBlurSave = false;
+        break;
+      }
+
+      case 'Tab': {
+        e.preventDefault();
+        e.stopPropagation();
+        this.#skipBlurSave = true;
+        this.#saveEdit(input.value);
+        // The edit may have moved the row; continue from where it is now
+        const rowIndex = this.#focusedCell.rowIndex;
+        const totalRows = this.#rows.length;
+        // Move to next/prev cell and start editing
+        const prev = this.#stepColumn(colIndex, -1);
+        const next = this.#stepColumn(colIndex, 1);
+        if (e.shiftKey) {
+          if (prev !== -1) {
+            this.#startEditing(rowIndex, prev);
+          } else if (rowIndex > 0) {
+            this.#startEditing(
+              rowIndex - 1,
+              this.#stepColumn(this.#columns.length, -1)
+            );
+          } else {
+            this.#setFocusedCell(rowIndex, colIndex);
+          }
+        } else {
+          if (next !== -1) {
+            this.#startEditing(rowIndex, next);
+          } else if (rowIndex < totalRows - 1) {
+            this.#startEditing(rowIndex + 1, this.#stepColumn(-1, 1));
+          } else {
+            this.#setFocusedCell(rowIndex, colIndex);
+          }
+        }
+        this.#skipBlurSave = false;
+        break;
+      }
+
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        this.#skipBlurSave = true;
+        this.#cancelEdit();
+        this.#skipBlurSave = false;
+        break;
+    }
+  }
+
+  // ==========================================================================
+  // VIEWPORT CALCULATION
+  // ==========================================================================
+
+  #calculateViewport() {
+    this.#viewportHeight = this.#scrollContainer.clientHeight;
+    this.#viewportWidth = this.#scrollContainer.clientWidth;
+  }
+
+  #getVisibleRange() {
+    const page = this.#getPageBounds();
+    const totalRows = page.end - page.start;
+    const heights = this.#getHeightIndex();
+
+    if (heights) {
+      const top = heights.offsetOf(page.start) + this.#scrollTop;
+      const first = Math.max(
+        page.start,
+        Math.min(heights.indexAt(top), page.end - 1)
+      );
+      const last = Math.min(
+        page.end - 1,
+        heights.indexAt(top + this.#viewportHeight - 1)
+      );
+      const visibleCount = last - first + 1;
+
+      return {
+        start: Math.max(page.start, first - visibleCount),
+        end: Math.min(page.end, last + 1 + visibleCount),
+        visibleStart: first - page.start,
+        visibleCount,
+      };
+    }
+
+    // Calculate visible start
+    const visibleStart = Math.floor(this.#scrollTop / this.#rowHeight);
+    const visibleCount = Math.ceil(this.#viewportHeight / this.#rowHeight);
+
+    // Buffer = 100% of visible (so we render 2x visible rows total)
+    const buffer = visibleCount;
+    const start = page.start + Math.max(0, visibleStart - buffer);
+    const end =
+      page.start + Math.min(totalRows, visibleStart + visibleCount + buffer);
+
+    return { start, end, visibleStart, visibleCount };
+  }
+
+  // ==========================================================================
+  // ROW HEIGHTS
+  // ==========================================================================
+
+  /**
+   * Heights of the rows in view order, or null when every row is
+   * `rowHeight` tall
+   * @returns {RowHeightIndex|null}
+   */
+  #getHeightIndex() {
+    if (this.#heightIndex && this.#heightsStale) {
+      const heights = new Float64Array(this.#rows.length);
+      for (let i = 0; i < heights.length; i++) {
+        const entry = this.#rows[i];
+        heights[i] =
+          entry?.type === 'detail'
+            ? this.#getDetailHeight(this.#data[entry.dataIndex])
+            : this.#getRowHeight(this.#data[entry]);
+      }
+      this.#heightIndex.reset(heights);
+      this.#heightsStale = false;
+    }
+    return this.#heightIndex;
+  }
+
+  /**
+   * Re-read the height of one row (and of its detail panel) whose content
+   * changed, instead of rebuilding the whole index. Its old measurement
+   * has to be dropped first (see #patchView).
+   * @param {number} dataIndex
+   */
+  #updateRowHeight(dataIndex) {
+    if (!this.#heightIndex || this.#heightsStale) return;
+
+    const index = this.#rows.indexOf(dataIndex);
+    if (index === -1) return;
+
+    const row = this.#data[dataIndex];
+    this.#heightIndex.set(index, this.#getRowHeight(row));
+    if (this.#rows[index + 1]?.type === 'detail') {
+      this.#heightIndex.set(index + 1, this.#getDetailHeight(row));
+    }
+  }
+
+  /**
+   * Measured height of a row, else its `rowHeight`
+   * @param {Object} [row] - Undefined while loading from a data source
+   * @returns {number}
+   */
+  #getRowHeight(row) {
+    if (row === undefined) return this.#rowHeight;
+
+    const measured = this.#measuredHeights.get(row);
+    if (measured !== undefined) return measured;
+
+    const { rowHeight } = this.#options;
+    return typeof rowHeight === 'function' ? rowHeight(row) : this.#rowHeight;
+  }
+
+  /**
+   * Top of a view row, from the top of the whole view
+   * @param {number} index - View index (view length = total height)
+   * @returns {number}
+   */
+  #rowTop(index) {
+    const heights = this.#getHeightIndex();
+    return heights ? heights.offsetOf(index) : index * this.#rowHeight;
+  }
+
+  /**
+   * Inline height for a row whose height isn't left to its content
+   * @param {Object} [row]
+   * @returns {string}
+   */
+  #getRowStyle(row) {
+    if (!this.#heightIndex) return '';
+    if (this.#options.autoRowHeight && row !== undefined) return '';
+    return ` style="height:${this.#getRowHeight(row)}px"`;
+  }
+
+  /**
+   * autoRowHeight: record the real height of each rendered row (and of
+   * detail rows either way). Rows above the first visible one that turned
+   * out taller or shorter than estimated would push it around, so scroll
+   * by the difference to keep it where it was on screen.
+   * @param {Object} range - The rendered range
+   * @param {number} pageTop - Top of the current page
+   */
+  #measureRows(range, pageTop) {
+    const heights = this.#getHeightIndex();
+    const anchor = heights.indexAt(pageTop + this.#scrollTop);
+    let shift = 0;
+    let changed = false;
+
+    for (const tr of this.#tbody.children) {
+      const index = Number(tr.dataset.viewIndex);
+      const entry = this.#rows[index];
+      const isDetail = entry?.type === 'detail';
+      const row = this.#data[isDetail ? entry.dataIndex : entry];
+      const height = tr.offsetHeight;
+
+      // Skeleton rows and rows that aren't laid out (hidden table)
+      if (row === undefined || !height || height === heights.get(index)) {
+        continue;
+      }
+      if (!isDetail && !this.#options.autoRowHeight) continue;
+
+      if (index < anchor) shift += height - heights.get(index);
+      (isDetail ? this.#detailHeights : this.#measuredHeights).set(row, height);
+      heights.set(index, height);
+      changed = true;
+    }
+
+    if (!changed) return;
+
+    const page = this.#getPageBounds();
+    this.#heightSpacer.style.height = `${this.#rowTop(page.end) - pageTop}px`;
+    this.#updateBodyFiller(range);
+
+    if (shift) {
+      this.#scrollContainer.scrollTop += shift;
+      this.#scrollTop = this.#scrollContainer.scrollTop;
+    }
+
+    // Shorter rows than estimated may leave part of the viewport empty
+    const next = this.#getVisibleRange();
+    if (next.start !== range.start || next.end !== range.end) {
+      this.#render();
+    }
+  }
+
+  // ==========================================================================
+  // COLUMN WINDOW
+  // ==========================================================================
+
+  /**
+   * `virtualColumns` with defaults filled in
+   * @returns {{buffer: number, columnWidth: number}}
+   */
+  #getVirtualColumnOptions() {
+    const { buffer = 2, columnWidth = 150 } =
+      this.#options.virtualColumns === true ? {} : this.#options.virtualColumns;
+    return { buffer, columnWidth };
+  }
+
+  /**
+   * Width a column is laid out with under `virtualColumns` (and the first
+   * guess for a pinned one): resized width, then `col.width` when it's in
+   * pixels, then the `columnWidth` default
+   * @param {Object} col
+   * @returns {number}
+   */
+  #getColumnWidth(col) {
+    const width = this.#columnWidths.get(col.id) ?? col.width;
+    const minWidth = typeof col.minWidth === 'number' ? col.minWidth : 50;
+    return Math.max(
+      minWidth,
+      typeof width === 'number'
+        ? width
+        : this.#getVirtualColumnOptions().columnWidth
+    );
+  }
+
+  /**
+   * Left edge of every column (plus the right edge of the last one),
+   * after the checkbox column
+   * @returns {number[]}
+   */
+  #getColumnOffsets() {
+    const offsets = [this.#options.selectable ? this.#checkboxWidth : 0];
+    for (const col of this.#columns) {
+      const width = this.#isColumnHidden(col.id)
+        ? 0
+        : this.#getColumnWidth(col);
+      offsets.push(offsets[offsets.length - 1] + width);
+    }
+    return offsets;
+  }
+
+  /**
+   * Columns to render, in order (`indexes`): the pinned ones, and of the
+   * rest all of them, or with `virtualColumns` only [start, end) - those in
+   * the horizontal scroll window plus `buffer` either side. `left`/`right`
+   * are the widths the spacer cells before `start` and after `end` stand in
+   * for. `pinned` maps column index (-1 for the checkbox column) to its
+   * sticky side and offset.
+   * @returns {Object}
+   */
+  #getColumnWindow() {
+    const count = this.#columns.length;
+
+    // #arrangeColumns keeps pinned columns at either end
+    let pinnedLeft = 0;
+    while (
+      pinnedLeft < count &&
+      this.#pinnedColumns.get(this.#columns[pinnedLeft].id) === 'left'
+    ) {
+      pinnedLeft++;
+    }
+    let pinnedRight = count;
+    while (
+      pinnedRight > pinnedLeft &&
+      this.#pinnedColumns.get(this.#columns[pinnedRight - 1].id) === 'right'
+    ) {
+      pinnedRight--;
+    }
+
+    const columnWindow = {
+      virtual: !!this.#options.virtualColumns,
+      indexes: [],
+      start: pinnedLeft,
+      end: pinnedRight,
+      left: 0,
+      right: 0,
+      width: 0,
+      ...this.#getPinnedOffsets(pinnedLeft, pinnedRight),
+    };
+
+    let start = pinnedLeft;
+    let end = pinnedRight;
+    const offsets = columnWindow.virtual ? this.#getColumnOffsets() : null;
+
+    if (offsets) {
+      const viewLeft = this.#scrollLeft + columnWindow.pinnedLeftWidth;
+      const viewRight =
+        this.#scrollLeft + this.#viewportWidth - columnWindow.pinnedRightWidth;
+
+      // First column ending after the left edge, last one starting before the right
+      let first = pinnedLeft;
+      while (first < pinnedRight - 1 && offsets[first + 1] <= viewLeft) {
+        first++;
+      }
+      let last = first;
+      while (last < pinnedRight - 1 && offsets[last + 1] < viewRight) last++;
+
+      const { buffer } = this.#getVirtualColumnOptions();
+      start = Math.max(pinnedLeft, first - buffer);
+      end = Math.min(pinnedRight, last + 1 + buffer);
+    }
+
+    // Hidden columns aren't rendered, so [start, end) begins and ends with
+    // visible ones (the spacers go next to them). They have no width, so
+    // the spacers' widths don't change.
+    const visible = (i) => !this.#isColumnHidden(this.#columns[i].id);
+    while (start < end && !visible(start)) start++;
+    while (end > start && !visible(end - 1)) end--;
+    columnWindow.start = start;
+    columnWindow.end = end;
+
+    if (offsets) {
+      columnWindow.left = offsets[start] - offsets[pinnedLeft];
+      columnWindow.right = offsets[pinnedRight] - offsets[end];
+      columnWindow.width = offsets[count];
+    }
+
+    const push = (from, to) => {
+      for (let i = from; i < to; i++) {
+        if (visible(i)) columnWindow.indexes.push(i);
+      }
+    };
+    push(0, pinnedLeft);
+    push(start, end);
+    push(pinnedRight, count);
+
+    return columnWindow;
+  }
+
+  /**
+   * Cell standing in for the columns `virtualColumns` leaves out
+   * @param {string} tag - 'th' or 'td'
+   * @param {number} width - Width of the left-out columns
+   * @returns {string}
+   */
+  #renderColumnSpacer(tag, width) {
+    if (!width) return '';
+    return `<${tag} class="bw-datatable__${tag} bw-datatable__${tag}--spacer" style="width:${width}px;" aria-hidden="true"></${tag}>`;
+  }
+
+  // ==========================================================================
+  // PINNED COLUMNS
+  // ==========================================================================
+
+  /**
+   * Order columns left-pinned, unpinned, right-pinned (stable), since
+   * sticky cells only stay put at the edges of the table. Columns of a
+   * group are kept together.
+   * @param {Array} columns
+   * @returns {Array}
+   */
+  #arrangeColumns(columns) {
+    columns = this.#groupColumns(columns);
+    const side = (col) => this.#pinnedColumns.get(col.id);
+    return [
+      ...columns.filter((col) => side(col) === 'left'),
+      ...columns.filter((col) => !side(col)),
+      ...columns.filter((col) => side(col) === 'right'),
+    ];
+  }
+
+  /**
+   * Pull the columns of each group together where its first column is
+   * (stable otherwise)
+   * @param {Array} columns
+   * @returns {Array}
+   */
+  #groupColumns(columns) {
+    if (!this.#columnGroups.size) return columns;
+
+    const firstIndex = new Map();
+    const keys = new Map();
+    columns.forEach((col, i) => {
+      const path = this.#getGroupPath(col.id);
+      for (const group of path) {
+        if (!firstIndex.has(group)) firstIndex.set(group, i);
+      }
+      keys.set(col, [...path.map((group) => firstIndex.get(group)), i]);
+    });
+
+    return [...columns].sort((a, b) => {
+      const keyA = keys.get(a);
+      const keyB = keys.get(b);
+      for (let i = 0; i < Math.min(keyA.length, keyB.length); i++) {
+        if (keyA[i] !== keyB[i]) return keyA[i] - keyB[i];
+      }
+      return keyA.length - keyB.length;
+    });
+  }
+
+  /**
+   * Rearrange #columns and re-render. Focus and editing follow their
+   * column to its new index.
+   * @param {Function} update - Changes #columns (and/or the pins)
+   */
+  #updateColumns(update) {
+    const focusedId = this.#columns[this.#focusedCell?.colIndex]?.id;
+    const editingId = this.#columns[this.#editingCell?.colIndex]?.id;
+
+    update();
+    this.#collapsedColumns = this.#getCollapsedColumns();
+
+    const indexOf = (id) => this.#columns.findIndex((c) => c.id === id);
+    if (focusedId) this.#focusedCell.colIndex = indexOf(focusedId);
+    if (editingId) this.#editingCell.colIndex = indexOf(editingId);
+
+    this.#renderHeader();
+    this.#rerenderKeepingEdit();
+  }
+
+  // ==========================================================================
+  // COLUMN GROUPS
+  // ==========================================================================
+
+  /**
+   * Columns hidden with hideColumn() or by a collapsed group
+   * @param {string} columnId
+   * @returns {boolean}
+   */
+  #isColumnHidden(columnId) {
+    return (
+      this.#hiddenColumns.has(columnId) || this.#collapsedColumns.has(columnId)
+    );
+  }
+
+  /**
+   * Columns the collapsible groups leave out. Collapsed, a group shows its
+   * columns with `groupShow: 'collapsed'`, or else just its first visible
+   * one not marked `'expanded'`; expanded, it shows all but the
+   * `'collapsed'` ones. Inner groups go first, so an
+   * outer group picks from what they leave.
+   * @returns {Set<string>}
+   */
+  #getCollapsedColumns() {
+    const collapsed = new Set();
+    const groups = [...this.#columnGroups.values()].sort(
+      (a, b) => b.depth - a.depth
+    );
+
+    for (const group of groups) {
+      if (!group.collapsible) continue;
+
+      const columns = this.#columns.filter((col) =>
+        this.#getGroupPath(col.id).includes(group)
+      );
+      const summary = columns.filter(
+        (col) =>
+          this.#columnParents.get(col.id) === group &&
+          col.groupShow === 'collapsed'
+      );
+
+      if (group.collapsed) {
+        const first = columns.find(
+          (col) =>
+            col.groupShow !== 'expanded' &&
+            !this.#hiddenColumns.has(col.id) &&
+            !collapsed.has(col.id)
+        );
+        const shown = summary.length ? summary : [first];
+        for (const col of columns) {
+          if (!shown.includes(col)) collapsed.add(col.id);
+        }
+      } else {
+        for (const col of summary) collapsed.add(col.id);
+      }
+    }
+
+    return collapsed;
+  }
+
+  /**
+   * Index for moveColumn() that keeps groups whole: within the column's
+   * own group, and not between the columns of another
+   * @param {string} columnId - Column being moved
+   * @param {string[]} order - Column IDs without it
+   * @param {number} index - Requested index in order
+   * @param {number} fromIndex - Where it was
+   * @returns {number}
+   */
+  #snapToGroups(columnId, order, index, fromIndex) {
+    const parent = this.#columnParents.get(columnId);
+
+    if (parent) {
+      const inParent = order.flatMap((id, i) =>
+        this.#getGroupPath(id).includes(parent) ? [i] : []
+      );
+      if (!inParent.length) return fromIndex;
+      index = Math.max(
+        inParent[0],
+        Math.min(index, inParent[inParent.length - 1] + 1)
+      );
+    }
+
+    // Past a neighbouring group in the direction of the move
+    const level = parent ? parent.depth + 1 : 0;
+    const groupAt = (i) =>
+      order[i] === undefined ? undefined : this.#getGroupPath(order[i])[level];
+    const group = groupAt(index);
+    if (group && groupAt(index - 1) === group) {
+      if (index > fromIndex) {
+        while (groupAt(index) === group) index++;
+      } else {
+        while (groupAt(index - 1) === group) index--;
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {boolean} collapsed
+   * @returns {boolean} False if the group doesn't exist
+   */
+  #setGroupCollapsed(groupId, collapsed) {
+    const group = this.#columnGroups.get(groupId);
+    if (!group) return false;
+    if (group.collapsed === collapsed) return true;
+
+    group.collapsible = true;
+    group.collapsed = collapsed;
+    const nowCollapsed = this.#getCollapsedColumns();
+
+    // The cell being edited or focused may be going away
+    const isHiding = (cell) =>
+      nowCollapsed.has(this.#columns[cell?.colIndex]?.id);
+    if (isHiding(this.#editingCell)) this.#cancelEdit();
+    if (isHiding(this.#focusedCell)) this.#focusedCell = null;
+
+    this.#updateColumns(() => {});
+
+    this.#emit('column:group:toggle', { groupId, collapsed });
+    return true;
+  }
+
+  // ==========================================================================
+  // COLUMN REORDERING
+  // ==========================================================================
+
+  /**
+   * Where a dragged column would land: before the first header (of its own
+   * pinned group) whose middle is right of the pointer, else after the last
+   * @param {string} columnId - Dragged column
+   * @param {number} clientX - Pointer position
+   * @returns {{index: number, x: number}|null} Index for moveColumn() and
+   *   the client x of the gap
+   */
+  #getColumnDropTarget(columnId, clientX) {
+    const side = this.#pinnedColumns.get(columnId);
+    const fromIndex = this.getColumnOrder().indexOf(columnId);
+    const headers = this.#thead.querySelectorAll(
+      '.bw-datatable__header-row [data-column]'
+    );
+
+    let target = null;
+    for (const th of headers) {
+      if (this.#pinnedColumns.get(th.dataset.column) !== side) continue;
+
+      const rect = th.getBoundingClientRect();
+      const before = clientX < rect.left + rect.width / 2;
+      const index =
+        this.getColumnOrder().indexOf(th.dataset.column) + (before ? 0 : 1);
+
+      // Insertion point counts the dragged column, moveColumn() doesn't
+      target = {
+        index: index > fromIndex ? index - 1 : index,
+        x: before ? rect.left : rect.right,
+      };
+      if (before) break;
+    }
+    return target;
+  }
+
+  /**
+   * Show the drop indicator line at a client x, or hide it
+   * @param {number|null} clientX
+   */
+  #showDropIndicator(clientX) {
+    if (clientX === null) {
+      this.#dropIndicator?.remove();
+      this.#dropIndicator = null;
+      return;
+    }
+
+    if (!this.#dropIndicator) {
+      this.#dropIndicator = document.createElement('div');
+      this.#dropIndicator.className = 'bw-datatable__drop-indicator';
+      this.#scrollContainer.appendChild(this.#dropIndicator);
+    }
+
+    const container = this.#scrollContainer;
+    const left =
+      clientX - container.getBoundingClientRect().left + container.scrollLeft;
+    Object.assign(this.#dropIndicator.style, {
+      left: `${left - 1}px`,
+      top: `${container.scrollTop}px`,
+      height: `${container.clientHeight}px`,
+    });
+  }
+
+  /**
+   * Sticky offsets of the pinned columns, and how much of the viewport they
+   * cover on either side. With left-pinned columns the checkbox column is
+   * pinned too, at 0.
+   * @param {number} pinnedLeft - Number of left-pinned columns
+   * @param {number} pinnedRight - Index of the first right-pinned column
+   * @returns {{pinned: Map, pinnedLeftWidth: number, pinnedRightWidth: number}}
+   */
+  #getPinnedOffsets(pinnedLeft, pinnedRight) {
+    const pinned = new Map();
+    const width = (col) =>
+      this.#pinnedWidths.get(col.id) ?? this.#getColumnWidth(col);
+
+    // Hidden columns take no space
+    const visible = (from, to) => {
+      const indexes = [];
+      for (let i = from; i < to; i++) {
+        if (!this.#isColumnHidden(this.#columns[i].id)) indexes.push(i);
+      }
+      return indexes;
+    };
+    const leftIndexes = visible(0, pinnedLeft);
+    const rightIndexes = visible(pinnedRight, this.#columns.length).reverse();
+
+    let left = 0;
+    if (leftIndexes.length && this.#options.selectable) {
+      pinned.set(-1, { side: 'left', offset: 0, edge: false });
+      left = this.#checkboxWidth;
+    }
+    leftIndexes.forEach((i, n) => {
+      const edge = n === leftIndexes.length - 1;
+      pinned.set(i, { side: 'left', offset: left, edge });
+      left += width(this.#columns[i]);
+    });
+
+    let right = 0;
+    rightIndexes.forEach((i, n) => {
+      const edge = n === rightIndexes.length - 1;
+      pinned.set(i, { side: 'right', offset: right, edge });
+      right += width(this.#columns[i]);
+    });
+
+    return { pinned, pinnedLeftWidth: left, pinnedRightWidth: right };
+  }
+
+  /**
+   * Class and sticky offset for a cell of a pinned column
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @param {number} colIdx - Column index, -1 for the checkbox column
+   * @param {string} tag - 'th' or 'td'
+   * @param {Object} [pin] - Side and offset, if not the column's own
+   * @returns {{className: string, style: string}}
+   */
+  #getPinnedCell(columns, colIdx, tag, pin = columns.pinned.get(colIdx)) {
+    if (!pin) return { className: '', style: '' };
+
+    let className = `bw-datatable__${tag}--pinned`;
+    if (pin.edge) className += ` bw-datatable__${tag}--pinned-${pin.side}-edge`;
+    return { className, style: `${pin.side}:${pin.offset}px;` };
+  }
+
+  /**
+   * Auto table layout sizes columns by their content, so read back the
+   * widths of the pinned ones and re-render if the sticky offsets were off.
+   * (Virtual columns are laid out at known widths.)
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   */
+  #measurePinnedColumns(columns) {
+    if (columns.virtual || !columns.pinned.size) return;
+
+    let changed = false;
+    for (const th of this.#thead.querySelectorAll(
+      '.bw-datatable__header-row > th'
+    )) {
+      const width = th.offsetWidth;
+      const columnId = th.dataset.column;
+      if (!width) continue;
+
+      if (th.classList.contains('bw-datatable__th--checkbox')) {
+        if (width !== this.#checkboxWidth) changed = true;
+        this.#checkboxWidth = width;
+      } else if (this.#pinnedColumns.has(columnId)) {
+        if (width !== this.#pinnedWidths.get(columnId)) changed = true;
+        this.#pinnedWidths.set(columnId, width);
+      }
+    }
+
+    if (changed) {
+      this.#renderHeader();
+      this.#render(true);
+    }
+  }
+
+  // ==========================================================================
+  // RENDERING - THE CORE
+  // ==========================================================================
+
+  #render(force = false) {
+    const page = this.#getPageBounds();
+    const pageTop = this.#rowTop(page.start);
+    const totalHeight = this.#rowTop(page.end) - pageTop;
+
+    // Spacer creates the scrollable height
+    this.#heightSpacer.style.height = `${totalHeight}px`;
+
+    // Get visible range
+    const range = this.#getVisibleRange();
+    const columns = this.#getColumnWindow();
+    const columnsMoved =
+      columns.start !== this.#headerColumns?.start ||
+      columns.end !== this.#headerColumns?.end;
+
+    // Only skip re-render if range unchanged AND not forced
+    if (
+      !force &&
+      !columnsMoved &&
+      range.start === this.#renderedRange.start &&
+      range.end === this.#renderedRange.end
+    ) {
+      return;
+    }
+
+    this.#renderedRange = range;
+    if (columnsMoved) this.#renderHeader();
+    if (columns.virtual) this.#table.style.width = `${columns.width}px`;
+
+    if (this.#rowSource) this.#requestBlocks(range);
+
+    // Calculate offset for positioning
+    const offsetY = this.#rowTop(range.start) - pageTop;
+
+    // Build rows HTML
+    let html = '';
+    const detailElements = [];
+
+    for (let i = range.start; i < range.end; i++) {
+      const dataIndex = this.#rows[i];
+      if (this.#isGroupRow(i)) {
+        html += this.#renderGroupRow(dataIndex, i, columns);
+        continue;
+      }
+      if (this.#isDetailRow(i)) {
+        const detail = this.#renderDetailRow(dataIndex, i, columns);
+        html += detail.html;
+        if (detail.element) detailElements.push([i, detail.element]);
+        continue;
+      }
+
+      const row = this.#data[dataIndex];
+
+      // Not loaded from the data source yet
+      if (row === undefined) {
+        html += this.#renderSkeletonRow(i, columns);
+        continue;
+      }
+
+      const rowId = this.#getRowId(row, dataIndex);
+      const isSelected = this.#selected.has(rowId);
+      const rowStyle = this.#getRowStyle(row);
+
+      html += `<tr class="bw-datatable__row ${
+        isSelected ? 'bw-datatable__row--selected' : ''
+      }" data-row-id="${rowId}" data-view-index="${i}"${rowStyle}${this.#getTreeRowAttrs(
+        dataIndex
+      )}>`;
+
+      // Checkbox
+      if (this.#options.selectable) {
+        const pin = this.#getPinnedCell(columns, -1, 'td');
+        html += `
+          <td class="bw-datatable__td bw-datatable__td--checkbox ${
+            pin.className
+          }" style="${pin.style}">
+            <input type="checkbox" 
+              class="bw-datatable__row-checkbox" 
+              data-row-id="${rowId}"
+              ${isSelected ? 'checked' : ''}>
+          </td>
+        `;
+      }
+
+      html += this.#renderCells(row, i, columns);
+      html += '</tr>';
+    }
+
+    // Update DOM
+    this.#tbody.innerHTML = html;
+    for (const [viewIndex, element] of detailElements) {
+      this.#tbody
+        .querySelector(`[data-view-index="${viewIndex}"] .bw-datatable__detail`)
+        .append(element);
+    }
+
+    // Position tbody using transform to show correct rows at scroll position
+    this.#tbody.style.transform = `translateY(${offsetY}px)`;
+    this.#updateBodyFiller(range);
+    this.#renderPinnedRows(columns);
+
+    // Bind edit input events if editing
+    if (this.#editingCell) {
+      const input = this.#tbody.querySelector('.bw-datatable__edit-input');
+      if (input) {
+        input.addEventListener('keydown', (e) => this.#handleEditKeyDown(e));
+        input.addEventListener('blur', (e) => {
+          // Save on blur unless explicitly skipped (keyboard nav) or cancelled
+          if (this.#editingCell && !this.#skipBlurSave) {
+            this.#saveEdit(e.target.value);
+          }
+        });
+      }
+    }
+
+    // Update header select-all checkbox
+    this.#updateSelectAllCheckbox();
+    this.#updatePager();
+
+    if (this.#options.autoRowHeight || this.#expandedRows.size) {
+      this.#measureRows(range, pageTop);
+    }
+    this.#measurePinnedColumns(columns);
+  }
+
+  /**
+   * The tbody only holds the rendered rows (moved into place with a
+   * transform), so pad the table after it by the height of the rows that
+   * aren't rendered. The table's box then spans the whole scroll height,
+   * which the sticky header and pinned rows are positioned within.
+   * @param {Object} range - Rendered rows
+   */
+  #updateBodyFiller(range) {
+    const page = this.#getPageBounds();
+    const totalHeight = this.#rowTop(page.end) - this.#rowTop(page.start);
+    const renderedHeight = this.#rowTop(range.end) - this.#rowTop(range.start);
+    this.#bodyFiller.style.height = `${totalHeight - renderedHeight}px`;
+  }
+
+  /**
+   * Render the pinned rows. For focus they're numbered on from the view:
+   * ..., -2, -1 for the top ones and view.length, ... for the bottom ones.
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   */
+  #renderPinnedRows(columns) {
+    const { top, bottom } = this.#pinnedRows;
+
+    const renderRow = ({ id, row }, viewIndex) => {
+      let html = `<tr class="bw-datatable__row bw-datatable__row--pinned" data-pinned-row-id="${id}" data-view-index="${viewIndex}">`;
+      if (this.#options.selectable) {
+        const pin = this.#getPinnedCell(columns, -1, 'td');
+        html += `<td class="bw-datatable__td bw-datatable__td--checkbox ${pin.className}" style="${pin.style}"></td>`;
+      }
+      return html + this.#renderCells(row, viewIndex, columns) + '</tr>';
+    };
+
+    this.#pinnedTop.innerHTML = top
+      .map((entry, i) => renderRow(entry, i - top.length))
+      .join('');
+    this.#pinnedBottom.innerHTML = bottom
+      .map((entry, i) => renderRow(entry, this.#rows.length + i))
+      .concat(this.#renderTotalsRow(columns))
+      .join('');
+  }
+
+  /**
+   * @param {Object[]} rows - Pinned row objects
+   * @param {string} side - 'top' or 'bottom', for rows without an ID
+   * @returns {Array<{id: string, row: Object}>}
+   */
+  #toPinnedRows(rows, side) {
+    return (rows || []).map((row, i) => ({
+      id: this.#getRowId(row, `${side}-${i}`),
+      row,
+    }));
+  }
+
+  /**
+   * Data cells of one row, with spacers for left-out virtual columns
+   * @param {Object} row
+   * @param {number} viewIndex - Focus/edit position of the row
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {string}
+   */
+  #renderCells(row, viewIndex, columns) {
+    let html = '';
+
+    // Tree rows are indented in the first column, which also has the
+    // detail toggle (pinned rows have neither)
+    const isBodyRow = viewIndex >= 0 && viewIndex < this.#rows.length;
+    const firstColumn =
+      isBodyRow && (this.#treeData || this.#hasDetailRows())
+        ? this.#stepColumn(-1, 1)
+        : -1;
+
+    for (const colIdx of columns.indexes) {
+      if (colIdx === columns.start) {
+        html += this.#renderColumnSpacer('td', columns.left);
+      }
+
+      const col = this.#columns[colIdx];
+      const value = row[col.field || col.id];
+
+      const isFocused =
+        this.#focusedCell &&
+        this.#focusedCell.rowIndex === viewIndex &&
+        this.#focusedCell.colIndex === colIdx;
+
+      const isEditing =
+        this.#editingCell &&
+        this.#editingCell.rowIndex === viewIndex &&
+        this.#editingCell.colIndex === colIdx;
+
+      const focusClass = isFocused ? 'bw-datatable__td--focused' : '';
+      const editClass = isEditing ? 'bw-datatable__td--editing' : '';
+      const widthStyle = this.#getWidthStyle(col);
+      const pin = this.#getPinnedCell(columns, colIdx, 'td');
+
+      html += `<td class="bw-datatable__td ${focusClass} ${editClass} ${
+        pin.className
+      }" 
+                   tabindex="${isFocused ? '0' : '-1'}"
+                   data-col-index="${colIdx}"
+                   style="${widthStyle}${pin.style}">`;
+
+      if (isEditing) {
+        const escapedValue = this.#escapeHtml(String(value ?? ''));
+        html += `<input type="text" 
+                        class="bw-datatable__edit-input" 
+                        value="${escapedValue.replace(/"/g, '&quot;')}"
+                        data-original="${escapedValue.replace(
+                          /"/g,
+                          '&quot;'
+                        )}">`;
+      } else {
+        let formatted = this.#formatValue(value, col, row);
+        if (colIdx === firstColumn) {
+          const dataIndex = this.#rows[viewIndex];
+          if (this.#treeData) {
+            formatted = this.#renderTreeCell(dataIndex, formatted);
+          }
+          if (this.#hasDetailRows()) {
+            formatted = this.#renderDetailToggle(dataIndex) + formatted;
+          }
+        }
+        html += formatted;
+      }
+
+      html += '</td>';
+
+      if (colIdx === columns.end - 1) {
+        html += this.#renderColumnSpacer('td', columns.right);
+      }
+    }
+
+    return html;
+  }
+
+  /**
+   * Placeholder row for a row the data source hasn't delivered yet
+   * @param {number} viewIndex
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {string}
+   */
+  #renderSkeletonRow(viewIndex, columns) {
+    let html = `<tr class="bw-datatable__row bw-datatable__row--loading" aria-busy="true" data-view-index="${viewIndex}"${this.#getRowStyle()}>`;
+
+    if (this.#options.selectable) {
+      const pin = this.#getPinnedCell(columns, -1, 'td');
+      html += `<td class="bw-datatable__td bw-datatable__td--checkbox ${pin.className}" style="${pin.style}"></td>`;
+    }
+
+    for (const colIdx of columns.indexes) {
+      if (colIdx === columns.start) {
+        html += this.#renderColumnSpacer('td', columns.left);
+      }
+
+      const col = this.#columns[colIdx];
+      const isFocused =
+        this.#focusedCell?.rowIndex === viewIndex &&
+        this.#focusedCell.colIndex === colIdx;
+
+      const focusClass = isFocused ? 'bw-datatable__td--focused' : '';
+      const tabindex = isFocused ? '0' : '-1';
+      const widthStyle = this.#getWidthStyle(col);
+      const pin = this.#getPinnedCell(columns, colIdx, 'td');
+
+      html += `<td class="bw-datatable__td ${focusClass} ${pin.className}" tabindex="${tabindex}" data-col-index="${colIdx}" style="${widthStyle}${pin.style}">`;
+      html += '<span class="bw-datatable__skeleton"></span></td>';
+
+      if (colIdx === columns.end - 1) {
+        html += this.#renderColumnSpacer('td', columns.right);
+      }
+    }
+
+    return html + '</tr>';
+  }
+
+  #getWidthStyle(col) {
+    const width = this.#columnWidths.get(col.id) || col.width;
+    return width
+      ? `width:${typeof width === 'number' ? width + 'px' : width};`
+      : '';
+  }
+
+  /**
+   * Force a render, keeping what the user has typed into a cell editor
+   */
+  #rerenderKeepingEdit() {
+    const editInput = this.#editingCell
+      ? this.#tbody.querySelector('.bw-datatable__edit-input')
+      : null;
+
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render(true);
+
+    const newInput = editInput
+      ? this.#tbody.querySelector('.bw-datatable__edit-input')
+      : null;
+    if (newInput) {
+      newInput.value = editInput.value;
+      newInput.focus();
+    }
+  }
+
+  #getRowId(row, index) {
+    // Pivoted rows don't have the ID field
+    if (this.#pivot) return `__row_${index}`;
+
+    const idField = this.#options.rowId;
+    if (typeof idField === 'function') {
+      return String(idField(row, index));
+    }
+    return String(row[idField] ?? `__row_${index}`);
+  }
+
+  #formatValue(value, col, row) {
+    // Null/undefined
+    if (value === null || value === undefined) return '';
+
+    // Custom renderer
+    if (col.render && typeof col.render === 'function') {
+      return col.render(value, row, col);
+    }
+
+    const highlight = this.#shouldHighlight();
+
+    // Type formatting
+    switch (col.type) {
+      case 'boolean':
+        return value ? '✓' : '✗';
+      case 'number': {
+        const text = typeof value === 'number' ? value.toLocaleString() : value;
+        return highlight ? this.#highlightText(String(text), col) : text;
+      }
+      case 'date': {
+        const text =
+          value instanceof Date ? value.toLocaleDateString() : String(value);
+        return highlight ? this.#highlightText(text, col) : text;
+      }
+      default:
+        return highlight
+          ? this.#highlightText(String(value), col)
+          : this.#escapeHtml(String(value));
+    }
+  }
+
+  #shouldHighlight() {
+    if (!this.#searchQuery) return false;
+    return (
+      this.#options.highlightSearch ?? this.#options.searchMode === 'fuzzy'
+    );
+  }
+
+  /**
+   * Escape text and wrap the parts matching the search in <mark>
+   * @param {string} text - Display text of a cell
+   * @param {Object} col - Column definition
+   * @returns {string} HTML
+   */
+  #highlightText(text, col) {
+    const lower = text.toLowerCase();
+    const fuzzy = this.#options.searchMode === 'fuzzy';
+    const ranges = [];
+
+    for (const term of this.#searchQuery.terms) {
+      if (term.negate || term.op !== 'contains') continue;
+      if (term.column && term.column !== col.id) continue;
+
+      if (fuzzy && !term.column) {
+        const match = fuzzyMatch(lower, term.value);
+        if (match) ranges.push(...match.ranges);
+        continue;
+      }
+
+      let idx = lower.indexOf(term.value);
+      while (idx !== -1) {
+        ranges.push([idx, idx + term.value.length]);
+        idx = lower.indexOf(term.value, idx + term.value.length);
+      }
+    }
+
+    if (ranges.length === 0) return this.#escapeHtml(text);
+
+    // Merge overlapping ranges from different terms
+    ranges.sort((a, b) => a[0] - b[0]);
+    let html = '';
+    let pos = 0;
+
+    for (let i = 0; i < ranges.length; i++) {
+      let [start, end] = ranges[i];
+      if (end <= pos) continue;
+      start = Math.max(start, pos);
+      while (i + 1 < ranges.length && ranges[i + 1][0] <= end) {
+        end = Math.max(end, ranges[++i][1]);
+      }
+
+      html += this.#escapeHtml(text.slice(pos, start));
+      html += `<mark class="bw-datatable__mark">${this.#escapeHtml(
+        text.slice(start, end)
+      )}</mark>`;
+      pos = end;
+    }
+
+    return html + this.#escapeHtml(text.slice(pos));
+  }
+
+  #escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // ==========================================================================
+  // SORTING
+  // ==========================================================================
+
+  /**
+   * Cycle a column through asc → desc → none
+   * @param {string} columnId - Column ID
+   * @param {boolean} additive - Keep other sort keys (Shift+click)
+   */
+  #handleSort(columnId, additive = false) {
+    const current = this.#sort.find((s) => s.column === columnId);
+
+    // Toggle direction
+    let direction = 'asc';
+    if (current) {
+      if (current.direction === 'asc') {
+        direction = 'desc';
+      } else if (current.direction === 'desc') {
+        direction = null; // Remove sort
+      }
+    }
+
+    if (!additive) {
+      this.sort(columnId, direction);
+      return;
+    }
+
+    // Multi-sort: update in place to keep priority, append new keys last
+    let model = this.#sort.map((s) => ({ ...s }));
+    if (!current) {
+      model.push({ column: columnId, direction });
+    } else if (direction) {
+      model.find((s) => s.column === columnId).direction = direction;
+    } else {
+      model = model.filter((s) => s.column !== columnId);
+    }
+
+    this.sort(model);
+  }
+
+  /**
+   * Normalize a sort model, dropping empty and duplicate entries.
+   * Accepts `dir` as an alias for `direction` (StateManager shape).
+   * @param {Array} model - [{ column, direction }]
+   * @returns {Array}
+   */
+  #normalizeSort(model) {
+    const seen = new Set();
+    const result = [];
+
+    for (const entry of model || []) {
+      const column = entry?.column;
+      const direction = entry?.direction ?? entry?.dir;
+      if (!column || seen.has(column)) continue;
+      if (direction !== 'asc' && direction !== 'desc') continue;
+      seen.add(column);
+      result.push({ column, direction });
+    }
+
+    return result;
+  }
+
+  /**
+   * Sort by column, or by several columns in priority order
+   * @param {string|Array} columnId - Column ID, or [{ column, direction }]
+   * @param {string|null} direction - 'asc', 'desc', or null
+   *
+   * @example
+   *   table.sort('amount', 'desc');
+   *   table.sort([
+   *     { column: 'region', direction: 'asc' },
+   *     { column: 'amount', direction: 'desc' },
+   *   ]);
+   */
+  sort(columnId, direction = 'asc') {
+    if (Array.isArray(columnId)) {
+      this.#sort = this.#normalizeSort(columnId);
+      columnId = this.#sort[0]?.column ?? null;
+      direction = this.#sort[0]?.direction ?? null;
+    } else {
+      this.#sort = direction ? [{ column: columnId, direction }] : [];
+    }
+
+    const sortModel = this.getSortModel();
+
+    this.#refreshView(() => {
+      // Re-render header (for sort indicator)
+      this.#renderHeader();
+
+      // Reset scroll and force render
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      this.#emit('sort', { column: columnId, direction, sort: sortModel });
+      this.#emit('sort:after', {
+        column: columnId,
+        direction,
+        sort: sortModel,
+      });
+    });
+  }
+
+  /**
+   * Get the active sort keys in priority order
+   * @returns {Array} [{ column, direction }]
+   */
+  getSortModel() {
+    return this.#sort.map((s) => ({ ...s }));
+  }
+
+  /**
+   * Register a named sort type for this table only
+   * @param {string} name - Sort type name (used as column `sortType`)
+   * @param {Function} compare - (a, b, rowA, rowB) => number
+   * @returns {BWDataTable}
+   */
+  registerSortType(name, compare) {
+    if (typeof compare !== 'function') {
+      throw new Error(
+        `BWDataTable: Sort type "${name}" needs a compare function`
+      );
+    }
+    this.#sortTypes.set(name, compare);
+    this.#allSortTypes = null;
+    return this;
+  }
+
+  /**
+   * Register a named sort type for all tables
+   * @param {string} name - Sort type name (used as column `sortType`)
+   * @param {Function} compare - (a, b, rowA, rowB) => number
+   *
+   * @example
+   *   BWDataTable.registerSortType('semver', (a, b) =>
+   *     a.localeCompare(b, undefined, { numeric: true })
+   *   );
+   */
+  static registerSortType(name, compare) {
+    if (typeof compare !== 'function') {
+      throw new Error(
+        `BWDataTable: Sort type "${name}" needs a compare function`
+      );
+    }
+    SORT_TYPES.set(name, compare);
+    sortTypesVersion++;
+  }
+
+  /**
+   * Sort types of this table: its own over the shared ones. Merged again
+   * only after a registration.
+   * @returns {Map<string, Function>}
+   */
+  #getSortTypes() {
+    if (!this.#allSortTypes || this.#allSortTypesVersion !== sortTypesVersion) {
+      this.#allSortTypes = new Map([...SORT_TYPES, ...this.#sortTypes]);
+      this.#allSortTypesVersion = sortTypesVersion;
+    }
+    return this.#allSortTypes;
+  }
+
+  /**
+   * Warn once per name about sort keys whose column names an unknown
+   * `sortType` (they sort by the column `type`)
+   * @param {Map<string, Function>} sortTypes
+   */
+  #checkSortTypes(sortTypes) {
+    for (const { column } of this.#sort) {
+      const name = this.#columns.find((col) => col.id === column)?.sortType;
+      if (!name || sortTypes.has(name) || this.#unknownSortTypes.has(name)) {
+        continue;
+      }
+      this.#unknownSortTypes.add(name);
+      console.warn(`BWDataTable: Unknown sort type "${name}"`);
+    }
+  }
+
+  // ==========================================================================
+  // FILTERING
+  // ==========================================================================
+
+  /**
+   * Filter by search term
+   * @param {string} term - Search term
+   */
+  filter(term) {
+    this.#globalFilter = term?.toLowerCase() || '';
+    this.#searchQuery = this.#globalFilter
+      ? this.#parseSearchQuery(this.#globalFilter)
+      : null;
+
+    this.#refreshView(() => {
+      // Reset scroll and force render
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      const query = this.getState().searchQuery;
+      this.#emit('filter', { term, query });
+      this.#emit('filter:after', { term, query, count: this.#view.length });
+    });
+  }
+
+  /**
+   * Parse the global search into AND-ed terms:
+   *   acme london        both words, anywhere in the row
+   *   "acme corp"        exact phrase
+   *   -closed            rows NOT containing the word
+   *   status:open        column contains value (column ID or field)
+   *   amount:>500        also <, = and ranges like amount:100..500
+   * Qualifiers naming an unknown column are searched as plain text.
+   * With `searchSyntax: false` the whole term is one substring.
+   * @param {string} text - Search term
+   * @returns {Object} { text, terms: [{ column, op, value, negate }] }
+   */
+  #parseSearchQuery(text) {
+    if (!this.#options.searchSyntax) {
+      return {
+        text,
+        terms: [{ column: null, op: 'contains', value: text, negate: false }],
+      };
+    }
+
+    const terms = [];
+    const pattern = /(-?)(?:([\w.]+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      const [, minus, qualifier, phrase, word] = match;
+      const negate = minus === '-';
+      let value = phrase ?? word;
+
+      const col = qualifier ? this.#findQualifierColumn(qualifier) : null;
+
+      if (qualifier && !col) {
+        // Not a column - search the token as typed (e.g. "10:30")
+        value = `${qualifier}:${value}`;
+      }
+
+      // Skip half-typed tokens like "-" or "status:"
+      if (
+        !value ||
+        value === '-' ||
+        (value.endsWith(':') && this.#findQualifierColumn(value.slice(0, -1)))
+      ) {
+        continue;
+      }
+
+      if (!col) {
+        terms.push({ column: null, op: 'contains', value, negate });
+        continue;
+      }
+
+      terms.push({
+        column: col.id,
+        ...this.#parseQualifierValue(value, phrase !== undefined),
+        negate,
+      });
+    }
+
+    return { text, terms };
+  }
+
+  /**
+   * Find the column a search qualifier refers to, by ID or field
+   * @param {string} name - Lowercased qualifier
+   * @returns {Object|undefined}
+   */
+  #findQualifierColumn(name) {
+    return this.#columns.find(
+      (c) =>
+        c.id.toLowerCase() === name ||
+        (c.field && c.field.toLowerCase() === name)
+    );
+  }
+
+  /**
+   * Read the operator of a column:value qualifier
+   * @param {string} value - Text after the colon
+   * @param {boolean} quoted - Value was a quoted phrase (taken literally)
+   * @returns {Object} { op, value }
+   */
+  #parseQualifierValue(value, quoted) {
+    if (quoted) return { op: 'contains', value };
+
+    const range = value.match(/^(.*)\.\.(.*)$/);
+    if (range) {
+      return {
+        op: 'between',
+        value: [range[1] || null, range[2] || null],
+      };
+    }
+
+    const first = value[0];
+    if ((first === '>' || first === '<' || first === '=') && value.length > 1) {
+      const op = first === '>' ? 'gt' : first === '<' ? 'lt' : 'eq';
+      return { op, value: value.slice(1) };
+    }
+
+    return { op: 'contains', value };
+  }
+
+  /**
+   * Filter by column
+   * @param {string} columnId - Column ID
+   * @param {*} value - Substring to match, array of values to match any
+   *   of, or { op, value } for a typed filter. Empty value clears it.
+   *
+   * @example
+   *   table.filterColumn('name', 'john');
+   *   table.filterColumn('amount', { op: 'gt', value: 100 });
+   *   table.filterColumn('created', {
+   *     op: 'between',
+   *     value: ['2024-01-01', '2024-03-31'],
+   *   });
+   */
+  filterColumn(columnId, value) {
+    const filter = this.#normalizeColumnFilter(value);
+
+    if (filter) {
+      this.#columnFilters[columnId] = filter;
+    } else {
+      delete this.#columnFilters[columnId];
+    }
+
+    this.#refreshFilterRow();
+
+    this.#refreshView(() => {
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      this.#emit('filter:column', {
+        columnId,
+        filter: filter ? { ...filter } : null,
+        filters: this.getColumnFilters(),
+        count: this.#view.length,
+      });
+    });
+  }
+
+  /**
+   * Get active column filters
+   * @returns {Object} { columnId: { op, value } }
+   */
+  getColumnFilters() {
+    const filters = {};
+    for (const [columnId, filter] of Object.entries(this.#columnFilters)) {
+      filters[columnId] = { ...filter };
+    }
+    return filters;
+  }
+
+  /**
+   * Turn a filterColumn() value into { op, value }, or null to clear.
+   * Plain values keep the legacy substring behaviour ('contains').
+   * @param {*} value - Filter value
+   * @returns {Object|null}
+   */
+  #normalizeColumnFilter(value) {
+    if (value === '' || value === null || value === undefined) return null;
+
+    if (typeof value !== 'object' || value instanceof Date) {
+      return { op: 'contains', value };
+    }
+
+    // Array shorthand: match any of the listed values
+    if (Array.isArray(value)) {
+      return value.length ? { op: 'in', value } : null;
+    }
+
+    const { op } = value;
+    if (!FILTER_OPERATORS.includes(op)) {
+      throw new Error(`BWDataTable: Unknown filter operator "${op}"`);
+    }
+
+    // 'empty' needs no value; everything else does
+    if (op !== 'empty' && (value.value === '' || value.value == null)) {
+      return null;
+    }
+
+    if (op === 'regex' && !(value.value instanceof RegExp)) {
+      new RegExp(value.value); // Throws early on invalid patterns
+    }
+
+    return { op, value: value.value };
+  }
+
+  /**
+   * Set a filter tree of AND/OR groups and column conditions. It is
+   * AND-ed with the global search and column filters.
+   * @param {Object|null} model - Filter tree, or null to clear
+   *   - Group: { op: 'and' | 'or', not?: boolean, children: [...] }
+   *   - Condition: { column, op, value } (same operators as filterColumn)
+   *
+   * @example
+   *   // status = open OR (priority = high AND owner is empty)
+   *   table.setFilterModel({
+   *     op: 'or',
+   *     children: [
+   *       { column: 'status', op: 'eq', value: 'open' },
+   *       {
+   *         op: 'and',
+   *         children: [
+   *           { column: 'priority', op: 'eq', value: 'high' },
+   *           { column: 'owner', op: 'empty' },
+   *         ],
+   *       },
+   *     ],
+   *   });
+   */
+  setFilterModel(model) {
+    this.#filterModel = model ? this.#normalizeFilterNode(model) : null;
+    this.#updateFilterBuilderToggle();
+
+    this.#refreshView(() => {
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      this.#emit('filter:model', {
+        model: this.getFilterModel(),
+        count: this.#view.length,
+      });
+    });
+  }
+
+  /**
+   * Get the current filter tree
+   * @returns {Object|null}
+   */
+  getFilterModel() {
+    return this.#filterModel ? structuredClone(this.#filterModel) : null;
+  }
+
+  /**
+   * Validate a filter tree node and return a clean copy
+   * @param {Object} node - Group or condition
+   * @returns {Object}
+   */
+  #normalizeFilterNode(node) {
+    if (Array.isArray(node?.children)) {
+      if (node.op !== 'and' && node.op !== 'or') {
+        throw new Error(
+          `BWDataTable: Filter group op must be "and" or "or", got "${node.op}"`
+        );
+      }
+      const group = {
+        op: node.op,
+        children: node.children.map((child) =>
+          this.#normalizeFilterNode(child)
+        ),
+      };
+      if (node.not) group.not = true;
+      return group;
+    }
+
+    if (!this.#columns.some((c) => c.id === node?.column)) {
+      throw new Error(`BWDataTable: Unknown filter column "${node?.column}"`);
+    }
+    if (!FILTER_OPERATORS.includes(node.op)) {
+      throw new Error(`BWDataTable: Unknown filter operator "${node.op}"`);
+    }
+
+    const condition = { column: node.column, op: node.op };
+    if (node.value !== undefined) condition.value = node.value;
+    return condition;
+  }
+
+  #updateFilterBuilderToggle() {
+    const toggle = this.#wrapper.querySelector(
+      '.bw-datatable__filter-builder-toggle'
+    );
+    if (toggle) {
+      toggle.classList.toggle(
+        'bw-datatable__toolbar-btn--active',
+        Boolean(this.#filterModel)
+      );
+    }
+  }
+
+  /**
+   * Clear all filters
+   */
+  clearFilters() {
+    this.#globalFilter = '';
+    this.#searchQuery = null;
+    this.#columnFilters = {};
+    this.#filterModel = null;
+    this.#updateFilterBuilderToggle();
+
+    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
+    if (searchInput) searchInput.value = '';
+
+    this.#refreshFilterRow();
+
+    this.#refreshView(() => {
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      this.#emit('filter:clear');
+    });
+  }
+
+  /**
+   * Clear sort
+   */
+  clearSort() {
+    this.#sort = [];
+
+    this.#refreshView(() => {
+      this.#renderHeader();
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      this.#emit('sort:clear');
+    });
+  }
+
+  /**
+   * Reset table (clear filters and sort)
+   */
+  reset() {
+    this.#globalFilter = '';
+    this.#searchQuery = null;
+    this.#columnFilters = {};
+    this.#filterModel = null;
+    this.#updateFilterBuilderToggle();
+    this.#sort = [];
+
+    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
+    if (searchInput) searchInput.value = '';
+
+    this.#refreshView(() => {
+      this.#renderHeader();
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+
+      this.#emit('reset');
+    });
+  }
+
+  // ==========================================================================
+  // ROW GROUPING
+  // ==========================================================================
+
+  /**
+   * Known column IDs to group by, once each. Data sources order and
+   * filter rows on the server, and a tree has its own levels, so they
+   * aren't grouped.
+   * @param {string[]} columnIds
+   * @returns {string[]}
+   */
+  #toGroupBy(columnIds) {
+    const groupBy = [...new Set(columnIds)].filter((id) =>
+      this.#columns.some((col) => col.id === id)
+    );
+    if (groupBy.length && (this.#rowSource || this.#treeData)) {
+      console.warn(
+        'BWDataTable: Row grouping is not available with a dataSource, infiniteScroll or treeData'
+      );
+      return [];
+    }
+    return groupBy;
+  }
+
+  /**
+   * Rebuild #rows after the view or grouping changed: the view itself, the
+   * grouped rows, or with tree data the shown nodes (see #updateTreeRows),
+   * then the detail row under each expanded row
+   */
+  #updateRows() {
+    this.#heightsStale = true;
+
+    if (this.#treeData) {
+      this.#updateTreeRows();
+    } else if (this.#groupBy.length) {
+      this.#updateGroupRows();
+    } else {
+      this.#rows = this.#view;
+      this.#groupKeys.clear();
+    }
+
+    if (this.#expandedRows.size) this.#addDetailRows();
+    this.#clampPage();
+  }
+
+  /**
+   * #rows when grouped: for each group a group row followed (if expanded)
+   * by its subgroups or rows
+   */
+  #updateGroupRows() {
+    const rows = [];
+    const keys = new Set();
+
+    const visit = (groups, level, hidden) => {
+      for (const group of groups) {
+        const key = JSON.stringify(group.path);
+        const expanded = this.#groupsExpanded !== this.#toggledGroups.has(key);
+        keys.add(key);
+
+        if (!hidden) {
+          rows.push({
+            type: 'group',
+            key,
+            level,
+            expanded,
+            columnId: group.columnId,
+            value: group.value,
+            path: group.path,
+            count: group.rows.length,
+            firstIndex: group.rows[0],
+          });
+        }
+
+        // Subgroups are visited even when hidden, to know their keys
+        if (group.children) {
+          visit(group.children, level + 1, hidden || !expanded);
+        } else if (!hidden && expanded) {
+          for (const dataIndex of group.rows) rows.push(dataIndex);
+        }
+      }
+    };
+
+    visit(
+      groupView(this.#data, this.#view, {
+        ...this.#getViewRequest(),
+        groupBy: this.#groupBy,
+      }),
+      0,
+      false
+    );
+
+    this.#rows = rows;
+    this.#groupKeys = keys;
+  }
+
+  /**
+   * @param {number} rowIndex - Index in #rows
+   * @returns {boolean} Whether the row is a group row
+   */
+  #isGroupRow(rowIndex) {
+    return this.#rows[rowIndex]?.type === 'group';
+  }
+
+  /**
+   * Group row: one cell across the table with the chevron, the grouped
+   * column and value, and the number of rows
+   * @param {Object} group - Group row entry of #rows
+   * @param {number} viewIndex - Its index in #rows
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {string} HTML
+   */
+  #renderGroupRow(group, viewIndex, columns) {
+    const col = this.#columns.find((c) => c.id === group.columnId);
+    const isFocused = this.#focusedCell?.rowIndex === viewIndex;
+    const span = this.#getRowSpan(columns);
+
+    const value =
+      group.value === null || group.value === undefined || group.value === ''
+        ? '(Blank)'
+        : this.#formatValue(group.value, col, this.#data[group.firstIndex]);
+
+    const label = `<span class="bw-datatable__group-label" style="padding-left:${
+      group.level * 20
+    }px">
+          <span class="bw-datatable__group-chevron" aria-hidden="true"></span>
+          <span class="bw-datatable__group-column">${this.#escapeHtml(
+            col.header || col.id
+          )}:</span>
+          <span class="bw-datatable__group-value">${value}</span>
+          <span class="bw-datatable__group-count">(${group.count.toLocaleString()})</span>
+        </span>`;
+    const cellClass = `bw-datatable__group-cell ${
+      isFocused ? 'bw-datatable__td--focused' : ''
+    }`;
+    const tabindex = isFocused ? '0' : '-1';
+
+    let html = `<tr class="bw-datatable__row bw-datatable__group-row" data-view-index="${viewIndex}"
+        aria-level="${group.level + 1}" aria-expanded="${
+      group.expanded
+    }"${this.#getRowStyle()}>`;
+
+    // Without aggregates the label spans the whole row
+    const aggregates = this.#getAggregates(group.key);
+    if (!aggregates) {
+      return `${html}
+      <td class="bw-datatable__td ${cellClass}" colspan="${span}" tabindex="${tabindex}">
+        ${label}
+      </td>
+    </tr>`;
+    }
+
+    if (this.#options.selectable) {
+      const pin = this.#getPinnedCell(columns, -1, 'td');
+      html += `<td class="bw-datatable__td bw-datatable__td--checkbox ${pin.className}" style="${pin.style}"></td>`;
+    }
+    html += this.#renderAggregateCells(aggregates, columns, label, cellClass);
+    return html + '</tr>';
+  }
+
+  /**
+   * Columns a cell across the whole row spans: the checkbox column, the
+   * rendered columns and the spacers for virtual columns left out
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {number}
+   */
+  #getRowSpan(columns) {
+    return (
+      columns.indexes.length +
+      (this.#options.selectable ? 1 : 0) +
+      (columns.left ? 1 : 0) +
+      (columns.right ? 1 : 0)
+    );
+  }
+
+  /**
+   * Keys on a focused group row: ArrowRight expands it (or steps into an
+   * expanded one), ArrowLeft collapses it (or steps out to the parent
+   * group), Enter and Space toggle it
+   * @param {KeyboardEvent} e
+   * @param {number} rowIndex - The group row
+   * @returns {boolean} Whether the key was handled
+   */
+  #onGroupRowKey(e, rowIndex) {
+    const group = this.#rows[rowIndex];
+    const { colIndex } = this.#focusedCell;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        if (!group.expanded) {
+          this.#setGroupExpanded(group.key, true);
+        } else if (rowIndex < this.#rows.length - 1) {
+          this.#setFocusedCell(rowIndex + 1, colIndex);
+        }
+        break;
+
+      case 'ArrowLeft':
+        if (group.expanded) {
+          this.#setGroupExpanded(group.key, false);
+        } else {
+          const parent = this.#findGroupRow(rowIndex, group.level - 1);
+          if (parent !== -1) this.#setFocusedCell(parent, colIndex);
+        }
+        break;
+
+      case 'Enter':
+      case ' ':
+        this.#setGroupExpanded(group.key, !group.expanded);
+        break;
+
+      default:
+        return false;
+    }
+
+    e.preventDefault();
+    return true;
+  }
+
+  /**
+   * Nearest group row at a level above a row
+   * @param {number} rowIndex
+   * @param {number} level
+   * @returns {number} Its index, or -1
+   */
+  #findGroupRow(rowIndex, level) {
+    for (let i = rowIndex - 1; i >= 0; i--) {
+      if (this.#isGroupRow(i) && this.#rows[i].level === level) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Expand or collapse groups or tree nodes and re-render. The focused row
+   * keeps focus where it's still shown; an edit in a row that goes away is
+   * cancelled.
+   * @param {Function} update - Changes what's expanded
+   */
+  #updateRowsKeepingFocus(update) {
+    const focused = this.#rows[this.#focusedCell?.rowIndex];
+    const previousPage = this.#page;
+
+    update();
+    this.#updateRows();
+
+    if (focused !== undefined) {
+      const rowIndex = this.#rows.findIndex((entry) =>
+        typeof focused === 'number'
+          ? entry === focused
+          : entry.key === focused.key
+      );
+      this.#focusedCell =
+        rowIndex === -1 ? null : { ...this.#focusedCell, rowIndex };
+    }
+
+    if (this.#editingCell) {
+      const rowIndex = this.#rows.indexOf(this.#editingCell.dataIndex);
+      this.#editingCell =
+        rowIndex === -1 ? null : { ...this.#editingCell, rowIndex };
+    }
+
+    this.#rerenderKeepingEdit();
+    this.#emitPageChange(previousPage);
+  }
+
+  /**
+   * @param {string} key - Group key (JSON of its path)
+   * @param {boolean} expanded
+   */
+  #setGroupExpanded(key, expanded) {
+    const group = this.#rows.find((entry) => entry.key === key);
+    if (group?.expanded === expanded) return;
+
+    this.#updateRowsKeepingFocus(() => {
+      if (expanded === this.#groupsExpanded) {
+        this.#toggledGroups.delete(key);
+      } else {
+        this.#toggledGroups.add(key);
+      }
+    });
+
+    this.#emit('group:toggle', { path: JSON.parse(key), expanded });
+  }
+
+  #createGroupPanel() {
+    this.#groupPanel = document.createElement('div');
+    this.#groupPanel.className = 'bw-datatable__group-panel';
+
+    this.#groupPanel.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-group-remove]');
+      if (remove) {
+        const columnId = remove.dataset.groupRemove;
+        this.setGroupBy(this.#groupBy.filter((id) => id !== columnId));
+      }
+    });
+
+    this.#wrapper.appendChild(this.#groupPanel);
+    this.#renderGroupPanel();
+  }
+
+  /**
+   * Chips for the grouped columns, or a hint while there are none
+   */
+  #renderGroupPanel() {
+    if (!this.#groupPanel) return;
+
+    if (!this.#groupBy.length) {
+      this.#groupPanel.innerHTML = `<span class="bw-datatable__group-panel-hint">Drag a column header here to group rows by it</span>`;
+      return;
+    }
+
+    this.#groupPanel.innerHTML = this.#groupBy
+      .map((columnId) => {
+        const col = this.#columns.find((c) => c.id === columnId);
+        const header = this.#escapeHtml(col.header || col.id);
+        return `
+          <span class="bw-datatable__group-chip">
+            ${header}
+            <button type="button" class="bw-datatable__group-chip-remove"
+              data-group-remove="${this.#escapeHtml(columnId)}"
+              aria-label="Stop grouping by ${header}">&times;</button>
+          </span>
+        `;
+      })
+      .join(
+        '<span class="bw-datatable__group-chip-sep" aria-hidden="true">›</span>'
+      );
+  }
+
+  /**
+   * Whether a pointer is over an element (the group panel, a pivot zone)
+   * @param {Element|null} element
+   * @param {PointerEvent} e
+   * @returns {boolean}
+   */
+  #isPointerOver(element, e) {
+    if (!element) return false;
+    const rect = element.getBoundingClientRect();
+    return (
+      e.clientX >= rect.left &&
+      e.clientX <= rect.right &&
+      e.clientY >= rect.top &&
+      e.clientY <= rect.bottom
+    );
+  }
+
+  // ==========================================================================
+  // TREE DATA
+  // ==========================================================================
+
+  /**
+   * Check the treeData option. Data sources only load some of the rows,
+   * so they can't be shown as a tree.
+   * @param {Object} [treeData]
+   * @returns {Object|null}
+   */
+  #toTreeData(treeData) {
+    if (!treeData) return null;
+
+    if (!treeData.childrenField && !treeData.parentIdField) {
+      throw new Error(
+        'BWDataTable: treeData needs a childrenField or a parentIdField'
+      );
+    }
+    if (this.#rowSource) {
+      console.warn(
+        'BWDataTable: Tree data is not available with a dataSource or infiniteScroll'
+      );
+      return null;
+    }
+    return treeData;
+  }
+
+  /**
+   * With treeData.childrenField, list nested rows depth-first, each
+   * parent before its children
+   * @param {Object[]} rows
+   * @returns {Object[]}
+   */
+  #flattenNodes(rows) {
+    const field = this.#treeData?.childrenField;
+    if (!field) return rows;
+
+    const flat = [];
+    const visit = (list) => {
+      for (const row of list) {
+        flat.push(row);
+        if (Array.isArray(row[field])) visit(row[field]);
+      }
+    };
+    visit(rows);
+    return flat;
+  }
+
+  /**
+   * Parent of each row, found again whenever the data is replaced
+   * @returns {Int32Array} Data index of each row's parent, -1 for none
+   */
+  #getTreeParents() {
+    if (this.#treeParents?.data === this.#data) {
+      return this.#treeParents.parents;
+    }
+
+    const data = this.#data;
+    const parents = new Int32Array(data.length).fill(-1);
+    const { childrenField, parentIdField } = this.#treeData;
+
+    if (childrenField) {
+      const indexOf = new Map();
+      data.forEach((row, i) => indexOf.set(row, i));
+      data.forEach((row, i) => {
+        for (const child of row[childrenField] || []) {
+          const index = indexOf.get(child);
+          if (index !== undefined) parents[index] = i;
+        }
+      });
+    } else {
+      const indexById = new Map();
+      data.forEach((row, i) => indexById.set(this.#getRowId(row, i), i));
+      data.forEach((row, i) => {
+        const parentId = row[parentIdField];
+        if (parentId === null || parentId === undefined) return;
+        parents[i] = indexById.get(String(parentId)) ?? -1;
+      });
+    }
+
+    this.#treeParents = { data, parents };
+    return parents;
+  }
+
+  /**
+   * #rows for tree data: the view's rows and their ancestors, depth-first,
+   * the children of expanded nodes under them. A new filter expands the
+   * nodes on the way to its matches.
+   */
+  #updateTreeRows() {
+    const tree = treeView(
+      this.#data,
+      this.#view,
+      this.#getTreeParents(),
+      this.#getViewRequest()
+    );
+
+    if (
+      this.#view !== this.#treeViewSeen &&
+      this.#view.length < this.#data.length
+    ) {
+      for (const dataIndex of tree.children.keys()) {
+        this.#markNodeExpanded(dataIndex, true);
+      }
+    }
+    this.#treeViewSeen = this.#view;
+
+    const rows = [];
+    const levels = new Map();
+
+    const visit = (nodes, level) => {
+      for (const dataIndex of nodes) {
+        rows.push(dataIndex);
+        levels.set(dataIndex, level);
+
+        const children = tree.children.get(dataIndex);
+        if (children && this.#isNodeExpanded(dataIndex)) {
+          visit(children, level + 1);
+        }
+      }
+    };
+    visit(tree.roots, 0);
+
+    this.#rows = rows;
+    this.#treeLevels = levels;
+    this.#treeChildren = tree.children;
+  }
+
+  /**
+   * @param {number} dataIndex
+   * @returns {boolean} (false while its children are still to be loaded)
+   */
+  #isNodeExpanded(dataIndex) {
+    if (this.#canLoadChildNodes(dataIndex)) return false;
+
+    const rowId = this.#getRowId(this.#data[dataIndex], dataIndex);
+    return this.#nodesExpanded !== this.#toggledNodes.has(rowId);
+  }
+
+  /**
+   * @param {number} dataIndex
+   * @param {boolean} expanded
+   */
+  #markNodeExpanded(dataIndex, expanded) {
+    const rowId = this.#getRowId(this.#data[dataIndex], dataIndex);
+    if (expanded === this.#nodesExpanded) {
+      this.#toggledNodes.delete(rowId);
+    } else {
+      this.#toggledNodes.add(rowId);
+    }
+  }
+
+  /**
+   * Whether a node shows an expand toggle: it has children in the view,
+   * or they can still be loaded
+   * @param {number} dataIndex
+   * @returns {boolean}
+   */
+  #hasChildNodes(dataIndex) {
+    if (this.#treeChildren.has(dataIndex)) return true;
+
+    const rowId = this.#getRowId(this.#data[dataIndex], dataIndex);
+    return this.#loadingNodes.has(rowId) || this.#canLoadChildNodes(dataIndex);
+  }
+
+  /**
+   * @param {number} dataIndex
+   * @returns {boolean} Whether the node's children are still to be loaded
+   */
+  #canLoadChildNodes(dataIndex) {
+    const { loadChildren, hasChildren } = this.#treeData;
+    if (!loadChildren) return false;
+
+    const row = this.#data[dataIndex];
+    const rowId = this.#getRowId(row, dataIndex);
+    if (this.#loadedNodes.has(rowId) || this.#loadingNodes.has(rowId)) {
+      return false;
+    }
+
+    if (typeof hasChildren === 'function') return Boolean(hasChildren(row));
+    return hasChildren ? Boolean(row[hasChildren]) : true;
+  }
+
+  /**
+   * Expand or collapse a node, loading its children the first time it's
+   * expanded if there's a loadChildren callback
+   * @param {number} dataIndex
+   * @param {boolean} expanded
+   */
+  #setNodeExpanded(dataIndex, expanded) {
+    if (this.#isNodeExpanded(dataIndex) === expanded) return;
+
+    const row = this.#data[dataIndex];
+    const rowId = this.#getRowId(row, dataIndex);
+    const load = expanded && this.#canLoadChildNodes(dataIndex);
+
+    this.#updateRowsKeepingFocus(() => {
+      this.#markNodeExpanded(dataIndex, expanded);
+      if (load) this.#loadingNodes.add(rowId);
+    });
+
+    this.#emit('tree:toggle', { rowId, expanded });
+    if (load) this.#loadChildNodes(row, rowId);
+  }
+
+  /**
+   * Add a node's children from treeData.loadChildren(row). With a
+   * parentIdField they have to carry the node's ID; with a childrenField
+   * they're put in the node's children. If loading fails, the node
+   * collapses again so expanding it retries.
+   * @param {Object} row
+   * @param {string} rowId
+   */
+  #loadChildNodes(row, rowId) {
+    const { loadChildren, childrenField } = this.#treeData;
+
+    Promise.resolve()
+      .then(() => loadChildren(row))
+      .then(
+        (children) => {
+          this.#loadingNodes.delete(rowId);
+          // Replaced by setData() in the meantime
+          if (!this.#data.includes(row)) return;
+
+          const rows = Array.isArray(children) ? children : [];
+          this.#loadedNodes.add(rowId);
+          if (childrenField) row[childrenField] = rows;
+
+          if (rows.length) {
+            this.applyTransaction({ add: this.#flattenNodes(rows) });
+          } else {
+            this.#updateRowsKeepingFocus(() => {});
+          }
+          this.#emit('tree:load', { rowId, rows });
+        },
+        (error) => {
+          this.#loadingNodes.delete(rowId);
+          console.error('BWDataTable: Loading child rows failed', error);
+
+          // Not with #setNodeExpanded(): no longer loading, the node
+          // already counts as collapsed
+          const dataIndex = this.#data.indexOf(row);
+          if (dataIndex !== -1) {
+            this.#updateRowsKeepingFocus(() =>
+              this.#markNodeExpanded(dataIndex, false)
+            );
+            this.#emit('tree:toggle', { rowId, expanded: false });
+          }
+          this.#emit('tree:load', { rowId, rows: [], error });
+        }
+      );
+  }
+
+  /**
+   * Level and expanded state of a tree row, for its <tr>
+   * @param {number} dataIndex
+   * @returns {string}
+   */
+  #getTreeRowAttrs(dataIndex) {
+    if (!this.#treeData) return '';
+
+    const level = this.#treeLevels.get(dataIndex) ?? 0;
+    const expanded = this.#hasChildNodes(dataIndex)
+      ? ` aria-expanded="${this.#isNodeExpanded(dataIndex)}"`
+      : '';
+    return ` aria-level="${level + 1}"${expanded}`;
+  }
+
+  /**
+   * First cell of a tree row: indented by level, with the expand toggle
+   * @param {number} dataIndex
+   * @param {string} content - Formatted cell value
+   * @returns {string}
+   */
+  #renderTreeCell(dataIndex, content) {
+    const level = this.#treeLevels.get(dataIndex) ?? 0;
+    let toggle =
+      '<span class="bw-datatable__tree-toggle bw-datatable__tree-toggle--leaf" aria-hidden="true"></span>';
+
+    if (this.#hasChildNodes(dataIndex)) {
+      const rowId = this.#getRowId(this.#data[dataIndex], dataIndex);
+      const expanded = this.#isNodeExpanded(dataIndex);
+      const loading = this.#loadingNodes.has(rowId);
+      toggle = `<button type="button" class="bw-datatable__tree-toggle ${
+        loading ? 'bw-datatable__tree-toggle--loading' : ''
+      }" data-tree-toggle tabindex="-1" aria-label="${
+        expanded ? 'Collapse' : 'Expand'
+      }"></button>`;
+    }
+
+    return `<span class="bw-datatable__tree-cell" style="padding-left:${
+      level * 20
+    }px">${toggle}<span class="bw-datatable__tree-value">${content}</span></span>`;
+  }
+
+  /**
+   * Arrow keys in a tree row's first cell: ArrowRight expands a collapsed
+   * node, ArrowLeft collapses an expanded one or steps out to the parent.
+   * Anywhere else they move between cells as usual.
+   * @param {KeyboardEvent} e
+   * @param {number} rowIndex
+   * @returns {boolean} Whether the key was handled
+   */
+  #onTreeKey(e, rowIndex) {
+    const dataIndex = this.#rows[rowIndex];
+    const { colIndex } = this.#focusedCell;
+    if (typeof dataIndex !== 'number' || colIndex !== this.#stepColumn(-1, 1)) {
+      return false;
+    }
+
+    const expandable = this.#hasChildNodes(dataIndex);
+    const expanded = expandable && this.#isNodeExpanded(dataIndex);
+
+    if (e.key === 'ArrowRight' && expandable && !expanded) {
+      this.#setNodeExpanded(dataIndex, true);
+    } else if (e.key === 'ArrowLeft' && expanded) {
+      this.#setNodeExpanded(dataIndex, false);
+    } else if (e.key === 'ArrowLeft') {
+      const parent = this.#getTreeParents()[dataIndex];
+      const parentRow =
+        parent === -1 ? -1 : this.#rows.lastIndexOf(parent, rowIndex);
+      if (parentRow === -1) return false;
+      this.#setFocusedCell(parentRow, colIndex);
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    return true;
+  }
+
+  /**
+   * @param {string} rowId
+   * @param {boolean} expanded
+   * @returns {boolean} False without tree data or if the row doesn't exist
+   */
+  #setNodeExpandedById(rowId, expanded) {
+    if (!this.#treeData) return false;
+
+    const dataIndex = this.#data.findIndex(
+      (row, i) => this.#getRowId(row, i) === String(rowId)
+    );
+    if (dataIndex === -1) return false;
+
+    this.#setNodeExpanded(dataIndex, expanded);
+    return true;
+  }
+
+  // ==========================================================================
+  // DETAIL ROWS
+  // ==========================================================================
+
+  /**
+   * Put a detail row (one full-width cell) under each expanded row
+   */
+  #addDetailRows() {
+    const rows = [];
+
+    for (const entry of this.#rows) {
+      rows.push(entry);
+
+      const row = typeof entry === 'number' ? this.#data[entry] : undefined;
+      if (row === undefined) continue;
+
+      const rowId = this.#getRowId(row, entry);
+      if (this.#expandedRows.has(rowId)) {
+        rows.push({ type: 'detail', key: `detail:${rowId}`, dataIndex: entry });
+      }
+    }
+
+    this.#rows = rows;
+  }
+
+  /**
+   * @returns {boolean} Whether rows can be expanded (not while pivoted)
+   */
+  #hasDetailRows() {
+    return Boolean(this.#options.detailRenderer) && !this.#pivot;
+  }
+
+  /**
+   * @param {number} rowIndex - Index in #rows
+   * @returns {boolean} Whether the row is a detail row
+   */
+  #isDetailRow(rowIndex) {
+    return this.#rows[rowIndex]?.type === 'detail';
+  }
+
+  /**
+   * Height of a detail row: as measured, else the `detailHeight` guess
+   * @param {Object} row - The row it belongs to
+   * @returns {number}
+   */
+  #getDetailHeight(row) {
+    return this.#detailHeights.get(row) ?? this.#options.detailHeight;
+  }
+
+  /**
+   * Whether an element is inside one of this table's detail panels (which
+   * handle their own clicks and keys)
+   * @param {Element} target
+   * @returns {boolean}
+   */
+  #isInDetailPanel(target) {
+    const panel = target.closest('.bw-datatable__detail');
+    return Boolean(panel) && this.#tbody.contains(panel);
+  }
+
+  /**
+   * Detail row: a cell across the whole row holding the panel from
+   * detailRenderer(row). The panel is rendered once per expand and kept,
+   * so an element (e.g. a nested table) survives re-renders; it's put in
+   * by #render after the HTML.
+   * @param {Object} entry - The detail row's #rows entry
+   * @param {number} viewIndex
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {{html: string, element: Node|null}}
+   */
+  #renderDetailRow(entry, viewIndex, columns) {
+    const row = this.#data[entry.dataIndex];
+    let content = this.#detailContent.get(row);
+    if (content === undefined) {
+      content = this.#options.detailRenderer(row) ?? '';
+      this.#detailContent.set(row, content);
+    }
+
+    const isElement = typeof content === 'object';
+    const isFocused = this.#focusedCell?.rowIndex === viewIndex;
+    const width = this.#viewportWidth
+      ? ` style="max-width:${this.#viewportWidth}px"`
+      : '';
+
+    const html = `<tr class="bw-datatable__row bw-datatable__detail-row" data-view-index="${viewIndex}">
+      <td class="bw-datatable__td bw-datatable__detail-cell ${
+        isFocused ? 'bw-datatable__td--focused' : ''
+      }" colspan="${this.#getRowSpan(columns)}" tabindex="${
+      isFocused ? '0' : '-1'
+    }">
+        <div class="bw-datatable__detail" tabindex="-1"${width}>${
+      isElement ? '' : content
+    }</div>
+      </td>
+    </tr>`;
+
+    return { html, element: isElement ? content : null };
+  }
+
+  /**
+   * Expand toggle at the start of a row's first cell
+   * @param {number} dataIndex
+   * @returns {string}
+   */
+  #renderDetailToggle(dataIndex) {
+    const rowId = this.#getRowId(this.#data[dataIndex], dataIndex);
+    const expanded = this.#expandedRows.has(rowId);
+    return `<button type="button" class="bw-datatable__detail-toggle" data-detail-toggle tabindex="-1" aria-expanded="${expanded}" aria-label="${
+      expanded ? 'Hide details' : 'Show details'
+    }"></button>`;
+  }
+
+  /**
+   * Detail keys: Alt+ArrowDown / Alt+ArrowUp on a row show / hide its
+   * details; on a detail row, Enter moves focus into the panel and
+   * Alt+ArrowUp hides it again
+   * @param {KeyboardEvent} e
+   * @param {number} rowIndex
+   * @returns {boolean} Whether the key was handled
+   */
+  #onDetailKey(e, rowIndex) {
+    const entry = this.#rows[rowIndex];
+
+    if (entry?.type === 'detail') {
+      if (e.key === 'Enter') {
+        const panel = this.#tbody.querySelector(
+          `[data-view-index="${rowIndex}"] .bw-datatable__detail`
+        );
+        const target = panel?.querySelector(
+          'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        (target || panel)?.focus();
+      } else if (e.key === 'ArrowUp' && e.altKey) {
+        // Back to the row the details belong to (just above)
+        this.#focusedCell = { ...this.#focusedCell, rowIndex: rowIndex - 1 };
+        this.#setRowExpanded(entry.dataIndex, false);
+      } else {
+        return false;
+      }
+    } else if (
+      typeof entry === 'number' &&
+      e.altKey &&
+      (e.key === 'ArrowDown' || e.key === 'ArrowUp')
+    ) {
+      this.#setRowExpanded(entry, e.key === 'ArrowDown');
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    return true;
+  }
+
+  /**
+   * Show or hide a row's details
+   * @param {number} dataIndex
+   * @param {boolean} expanded
+   */
+  #setRowExpanded(dataIndex, expanded) {
+    const row = this.#data[dataIndex];
+    const rowId = this.#getRowId(row, dataIndex);
+    if (this.#expandedRows.has(rowId) === expanded) return;
+
+    this.#updateRowsKeepingFocus(() => {
+      if (expanded) {
+        this.#expandedRows.add(rowId);
+      } else {
+        this.#expandedRows.delete(rowId);
+        this.#detailContent.delete(row);
+      }
+    });
+
+    this.#emit(expanded ? 'row:expand' : 'row:collapse', {
+      rowId,
+      row: { ...row },
+    });
+  }
+
+  /**
+   * @param {string} rowId
+   * @param {boolean} expanded
+   * @returns {boolean} False without a detailRenderer or if the row
+   *   doesn't exist
+   */
+  #setRowExpandedById(rowId, expanded) {
+    if (!this.#hasDetailRows()) return false;
+
+    const dataIndex = this.#data.findIndex(
+      (row, i) => row !== undefined && this.#getRowId(row, i) === String(rowId)
+    );
+    if (dataIndex === -1) return false;
+
+    this.#setRowExpanded(dataIndex, expanded);
+    return true;
+  }
+
+  // ==========================================================================
+  // AGGREGATES
+  // ==========================================================================
+
+  /**
+   * Columns with an `aggregate` (none with a data source, which only has
+   * some of the rows)
+   * @returns {Object[]} [{ id, field, aggregate }]
+   */
+  #getAggregateColumns() {
+    if (this.#rowSource) return [];
+
+    return this.#columns
+      .filter((col) => col.aggregate)
+      .map((col) => ({
+        id: col.id,
+        field: col.field || col.id,
+        aggregate: col.aggregate,
+      }));
+  }
+
+  /**
+   * Aggregates of the view or of a row group. They're counted on first use
+   * after the view, the grouping or the columns are replaced, then kept up
+   * to date as rows change (see #patchAggregates).
+   * @param {string} scope - '' for the whole view, else a group key
+   * @returns {Object|null} columnId -> result, null without aggregates
+   */
+  #getAggregates(scope) {
+    const built = this.#aggregatesBuiltFor;
+    if (
+      built?.view !== this.#view ||
+      built.groupBy !== this.#groupBy ||
+      built.columns !== this.#columns
+    ) {
+      this.#buildAggregates();
+    }
+
+    return this.#aggregates ? this.#aggregates.get(scope) : null;
+  }
+
+  #buildAggregates() {
+    const columns = this.#getAggregateColumns();
+    this.#aggregatesBuiltFor = {
+      view: this.#view,
+      groupBy: this.#groupBy,
+      columns: this.#columns,
+    };
+    this.#aggregates = columns.length
+      ? new Aggregates(columns, (scope) => this.#getScopeRows(scope))
+      : null;
+    this.#scopeRows = null;
+    if (!this.#aggregates) return;
+
+    for (const dataIndex of this.#view) {
+      const row = this.#data[dataIndex];
+      this.#aggregates.add(row, this.#getScopes(row));
+    }
+  }
+
+  /**
+   * @param {Object} row
+   * @returns {string[]} '' (the whole view), then the key of each group
+   *   the row is in, outermost first
+   */
+  #getScopes(row) {
+    const scopes = [''];
+    const path = [];
+
+    for (const columnId of this.#groupBy) {
+      const col = this.#columns.find((c) => c.id === columnId);
+      path.push(row[col?.field || columnId]);
+      scopes.push(JSON.stringify(path));
+    }
+
+    return scopes;
+  }
+
+  /**
+   * Rows of the view or of a group, for custom aggregate functions. All
+   * scopes are indexed in one pass over the view, kept until a row
+   * changes.
+   * @param {string} scope
+   * @returns {Object[]}
+   */
+  #getScopeRows(scope) {
+    if (!this.#scopeRows) {
+      this.#scopeRows = new Map();
+      for (const dataIndex of this.#view) {
+        const row = this.#data[dataIndex];
+        for (const key of this.#getScopes(row)) {
+          const rows = this.#scopeRows.get(key);
+          if (rows) rows.push(row);
+          else this.#scopeRows.set(key, [row]);
+        }
+      }
+    }
+
+    return this.#scopeRows.get(scope) ?? [];
+  }
+
+  /**
+   * Swap a changed row's values in the aggregates
+   * @param {Object|null} oldRow - The row as it was counted, null if it
+   *   wasn't in the view
+   * @param {Object|null} row - The row now, null if it left the view
+   */
+  #patchAggregates(oldRow, row) {
+    if (!this.#aggregates) return;
+
+    this.#scopeRows = null;
+    if (oldRow) this.#aggregates.remove(oldRow, this.#getScopes(oldRow));
+    if (row) this.#aggregates.add(row, this.#getScopes(row));
+  }
+
+  /**
+   * Format an aggregate like the column's values. Counts are plain
+   * numbers whatever the column holds; a custom render() gets a row with
+   * just the aggregate in the column's field.
+   * @param {*} value
+   * @param {Object} col
+   * @returns {string}
+   */
+  #formatAggregate(value, col) {
+    const counted = col.aggregate === 'count' || col.aggregate === 'distinct';
+    const format = counted ? { ...col, type: 'number', render: null } : col;
+    return this.#formatValue(value, format, { [col.field || col.id]: value });
+  }
+
+  /**
+   * Cells of a group or totals row: each column's aggregate, with the
+   * label at the start of the first column's cell
+   * @param {Object} aggregates - columnId -> result
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @param {string} label - HTML
+   * @param {string} [labelClass] - Extra classes for the label's cell
+   * @returns {string}
+   */
+  #renderAggregateCells(aggregates, columns, label, labelClass = '') {
+    let html = '';
+
+    columns.indexes.forEach((colIdx, i) => {
+      if (colIdx === columns.start) {
+        html += this.#renderColumnSpacer('td', columns.left);
+      }
+
+      const col = this.#columns[colIdx];
+      const pin = this.#getPinnedCell(columns, colIdx, 'td');
+      const value = col.aggregate
+        ? this.#formatAggregate(aggregates[col.id], col)
+        : '';
+      const first = i === 0;
+
+      html += `<td class="bw-datatable__td bw-datatable__td--aggregate ${
+        first ? labelClass : ''
+      } ${
+        pin.className
+      }" data-col-index="${colIdx}" style="${this.#getWidthStyle(col)}${
+        pin.style
+      }">${first ? label : ''}${value}</td>`;
+
+      if (colIdx === columns.end - 1) {
+        html += this.#renderColumnSpacer('td', columns.right);
+      }
+    });
+
+    return html;
+  }
+
+  /**
+   * Footer row with the aggregates of the whole view, under the pinned
+   * bottom rows
+   * @param {Object} columns - Column window (see #getColumnWindow)
+   * @returns {string}
+   */
+  #renderTotalsRow(columns) {
+    if (this.#options.totalsRow === false) return '';
+
+    const aggregates = this.#getAggregates('');
+    if (!aggregates) return '';
+
+    let html = '<tr class="bw-datatable__row bw-datatable__totals-row">';
+    if (this.#options.selectable) {
+      const pin = this.#getPinnedCell(columns, -1, 'td');
+      html += `<td class="bw-datatable__td bw-datatable__td--checkbox ${pin.className}" style="${pin.style}"></td>`;
+    }
+
+    // "Total" where the first column has no aggregate of its own
+    const first = this.#columns[columns.indexes[0]];
+    const label = first?.aggregate ? '' : 'Total';
+
+    return (
+      html + this.#renderAggregateCells(aggregates, columns, label) + '</tr>'
+    );
+  }
+
+  // ==========================================================================
+  // PIVOT
+  // ==========================================================================
+
+  /**
+   * Normalize a pivot config. Unknown column IDs are left out, and a
+   * column is a row or a column dimension, not both.
+   * @param {Object|null} config - { rows, columns, values }
+   * @returns {Object|null} { rows, columns, values: [{ column, aggregate }] },
+   *   null for no pivot
+   */
+  #toPivotConfig(config) {
+    if (config === null || config === undefined) return null;
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(
+        'BWDataTable: setPivot() expects { rows, columns, values } or null'
+      );
+    }
+
+    const sourceColumns = this.#pivotSource?.columns ?? this.#columns;
+    const known = (id) => sourceColumns.some((col) => col.id === id);
+
+    const rows = [...new Set(config.rows || [])].filter(known);
+    const columns = [...new Set(config.columns || [])].filter(
+      (id) => known(id) && !rows.includes(id)
+    );
+    const values = (config.values || [])
+      .map((value) => (typeof value === 'string' ? { column: value } : value))
+      .filter((value) => known(value?.column))
+      .map(({ column, aggregate = 'sum' }) => {
+        if (
+          typeof aggregate !== 'function' &&
+          !AGGREGATES.includes(aggregate)
+        ) {
+          throw new Error(
+            `BWDataTable: Unknown aggregate "${aggregate}" for column "${column}"`
+          );
+        }
+        return { column, aggregate };
+      });
+
+    if (!rows.length && !columns.length && !values.length) return null;
+    if (this.#rowSource || this.#treeData) {
+      console.warn(
+        'BWDataTable: Pivot mode is not available with a dataSource, infiniteScroll or treeData'
+      );
+      return null;
+    }
+    return { rows, columns, values };
+  }
+
+  /**
+   * Show the pivoted rows with their generated columns, saving the rows
+   * and column state the first time. Sorting, filters (the global search
+   * too), grouping and selection start over, as the columns are new.
+   * @param {Object} pivot - Normalized config (see #toPivotConfig)
+   */
+  #applyPivot(pivot) {
+    // No toolbar yet with the `pivot` option
+    const searchInput = this.#wrapper?.querySelector('.bw-datatable__search');
+
+    if (!this.#pivot) {
+      this.#pivotSource = {
+        data: this.#data,
+        columns: this.#columns,
+        columnGroups: this.#columnGroups,
+        columnParents: this.#columnParents,
+        pinnedColumns: this.#pinnedColumns,
+        hiddenColumns: this.#hiddenColumns,
+        columnWidths: this.#columnWidths,
+        sort: this.#sort,
+        globalFilter: this.#globalFilter,
+        searchQuery: this.#searchQuery,
+        searchText: searchInput?.value ?? '',
+        columnFilters: this.#columnFilters,
+        filterModel: this.#filterModel,
+        groupBy: this.#groupBy,
+        selected: this.#selected,
+        expandedRows: this.#expandedRows,
+        pinnedRows: this.#pinnedRows,
+      };
+    }
+    this.#pivot = pivot;
+
+    const source = this.#pivotSource;
+    const byId = (id) => source.columns.find((col) => col.id === id);
+    const rows = pivot.rows.map(byId);
+    const values = pivot.values.map((value) => ({
+      ...byId(value.column),
+      aggregate: value.aggregate,
+    }));
+    const result = createPivot(
+      source.data,
+      { rows, columns: pivot.columns.map(byId), values },
+      this.#collator
+    );
+
+    this.#data = result.rows;
+    this.#view = this.#data.map((_, i) => i);
+    this.#columnGroups = new Map();
+    this.#columnParents = new Map();
+    this.#pinnedColumns = new Map();
+    this.#hiddenColumns = new Set();
+    this.#columnWidths = new Map();
+    this.#setColumns(
+      this.#flattenColumns(
+        this.#getPivotColumnDefs(rows, values, result.columns)
+      )
+    );
+
+    this.#sort = [];
+    this.#globalFilter = '';
+    this.#searchQuery = null;
+    if (searchInput) searchInput.value = '';
+    this.#columnFilters = {};
+    this.#filterModel = null;
+    this.#groupBy = [];
+    this.#toggledGroups.clear();
+    this.#selected = new Set();
+    this.#expandedRows = new Set();
+    this.#pinnedRows = { top: [], bottom: [] };
+    this.#focusedCell = null;
+    this.#distinctCache.clear();
+    this.#workerHasRows = false;
+  }
+
+  /**
+   * Back to the rows and column state saved by #applyPivot
+   */
+  #leavePivot() {
+    const source = this.#pivotSource;
+
+    this.#data = source.data;
+    this.#view = this.#data.map((_, i) => i);
+    this.#columns = source.columns;
+    this.#columnGroups = source.columnGroups;
+    this.#columnParents = source.columnParents;
+    this.#pinnedColumns = source.pinnedColumns;
+    this.#hiddenColumns = source.hiddenColumns;
+    this.#columnWidths = source.columnWidths;
+    this.#collapsedColumns = this.#getCollapsedColumns();
+
+    this.#sort = source.sort;
+    this.#globalFilter = source.globalFilter;
+    this.#searchQuery = source.searchQuery;
+    this.#columnFilters = source.columnFilters;
+    this.#filterModel = source.filterModel;
+    this.#groupBy = source.groupBy;
+
+    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
+    if (searchInput) searchInput.value = source.searchText;
+    this.#selected = source.selected;
+    this.#expandedRows = source.expandedRows;
+    this.#pinnedRows = source.pinnedRows;
+
+    this.#pivot = null;
+    this.#pivotSource = null;
+    this.#focusedCell = null;
+    this.#distinctCache.clear();
+    this.#workerHasRows = false;
+  }
+
+  /**
+   * Columns of the pivoted rows: the row dimensions (pinned left), then a
+   * column per measure under a group per column dimension value
+   * @param {Object[]} rows - Row dimension columns
+   * @param {Object[]} values - Measure columns, with their aggregate
+   * @param {Object[]} generated - [{ id, path, value }] (see createPivot)
+   * @returns {Array} Column definitions, as for the `columns` option
+   */
+  #getPivotColumnDefs(rows, values, generated) {
+    const defs = rows.map((col) => ({
+      ...col,
+      pinned: 'left',
+      hidden: false,
+      aggregate: undefined,
+      groupShow: undefined,
+    }));
+
+    const groups = new Map();
+    for (const { id, path, value } of generated) {
+      const measure = values[value];
+      const { aggregate } = measure;
+      const counted = aggregate === 'count' || aggregate === 'distinct';
+      const header = measure.header || measure.id;
+
+      // Groups of neighbouring columns share a path prefix
+      let children = defs;
+      path.forEach((part, level) => {
+        const key = JSON.stringify(path.slice(0, level + 1));
+        let group = groups.get(key);
+        if (!group) {
+          group = { header: this.#formatPivotValue(part), children: [] };
+          groups.set(key, group);
+          children.push(group);
+        }
+        children = group.children;
+      });
+
+      // Measures are formatted like the column, with the aggregate as the
+      // only field of the row (as in group rows)
+      const { render } = measure;
+      children.push({
+        id,
+        field: id,
+        header:
+          typeof aggregate === 'function' ? header : `${header} (${aggregate})`,
+        type: counted ? 'number' : measure.type,
+        render:
+          render && !counted
+            ? (cellValue, row, col) =>
+                render(
+                  cellValue,
+                  { [measure.field || measure.id]: cellValue },
+                  col
+                )
+            : undefined,
+        pivotPath: path.map((part) => this.#formatPivotValue(part)),
+      });
+    }
+
+    return defs;
+  }
+
+  /**
+   * Header text of a column dimension value
+   * @param {*} value
+   * @returns {string}
+   */
+  #formatPivotValue(value) {
+    if (value === null) return '(Blank)';
+    return value instanceof Date ? value.toLocaleDateString() : String(value);
+  }
+
+  #createPivotPanel() {
+    this.#pivotPanel = document.createElement('div');
+    this.#pivotPanel.className = 'bw-datatable__pivot-panel';
+
+    this.#pivotPanel.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-pivot-remove]');
+      if (!remove) return;
+
+      const chip = remove.closest('.bw-datatable__pivot-chip');
+      const pivot = this.getPivot();
+      pivot[chip.dataset.pivotZone].splice(Number(chip.dataset.pivotIndex), 1);
+      this.setPivot(pivot);
+    });
+
+    this.#pivotPanel.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-pivot-aggregate]');
+      if (!select) return;
+
+      const pivot = this.getPivot();
+      pivot.values[Number(select.dataset.pivotAggregate)].aggregate =
+        select.value;
+      this.setPivot(pivot);
+    });
+
+    // Drag chips between the zones (pointer events cover mouse and touch)
+    this.#pivotPanel.addEventListener('pointerdown', (e) => {
+      const chip = e.target.closest('.bw-datatable__pivot-chip');
+      if (!chip || e.button !== 0 || e.target.closest('button, select')) {
+        return;
+      }
+
+      this.#pivotDrag = {
+        zone: chip.dataset.pivotZone,
+        index: Number(chip.dataset.pivotIndex),
+        columnId: chip.dataset.pivotColumn,
+        startX: e.clientX,
+        startY: e.clientY,
+        moved: false,
+        target: null,
+      };
+    });
+
+    const { signal } = this.#documentListeners;
+    document.addEventListener(
+      'pointermove',
+      (e) => {
+        const drag = this.#pivotDrag;
+        if (!drag) return;
+
+        if (!drag.moved) {
+          const distance = Math.hypot(
+            e.clientX - drag.startX,
+            e.clientY - drag.startY
+          );
+          if (distance < 5) return;
+          drag.moved = true;
+          document.body.style.cursor = 'grabbing';
+          document.body.style.userSelect = 'none';
+          this.#getPivotChip(drag.zone, drag.index)?.classList.add(
+            'bw-datatable__pivot-chip--dragging'
+          );
+        }
+
+        drag.target = this.#getPivotDropTarget(e);
+        for (const zone of this.#pivotPanel.querySelectorAll(
+          '.bw-datatable__pivot-zone'
+        )) {
+          zone.classList.toggle(
+            'bw-datatable__pivot-zone--over',
+            zone.dataset.pivotZone === drag.target?.zone
+          );
+        }
+      },
+      { signal }
+    );
+
+    const endDrag = (drop) => {
+      const drag = this.#pivotDrag;
+      this.#pivotDrag = null;
+      if (!drag?.moved) return;
+
+      document.body.style.cursor = '';
+      document.body.style.userSelect = '';
+      if (drop && drag.target) {
+        this.#movePivotItem(drag, drag.target);
+      } else {
+        this.#renderPivotPanel();
+      }
+    };
+    document.addEventListener('pointerup', () => endDrag(true), { signal });
+    document.addEventListener('pointercancel', () => endDrag(false), {
+      signal,
+    });
+
+    this.#wrapper.appendChild(this.#pivotPanel);
+    this.#renderPivotPanel();
+  }
+
+  /**
+   * Zones of the pivot panel: the columns to pick from, then the row
+   * dimensions, column dimensions and measures (with their aggregate)
+   */
+  #renderPivotPanel() {
+    if (!this.#pivotPanel) return;
+
+    const pivot = this.#pivot ?? { rows: [], columns: [], values: [] };
+    const sourceColumns = this.#pivotSource?.columns ?? this.#columns;
+    const headerOf = (columnId) => {
+      const col = sourceColumns.find((c) => c.id === columnId);
+      return this.#escapeHtml(col.header || col.id);
+    };
+
+    const chip = (zone, index, columnId, extra = '') => {
+      const id = this.#escapeHtml(columnId);
+      const header = headerOf(columnId);
+      const remove =
+        zone === 'fields'
+          ? ''
+          : `<button type="button" class="bw-datatable__pivot-chip-remove" data-pivot-remove
+              aria-label="Remove ${header}">&times;</button>`;
+      return `
+        <span class="bw-datatable__pivot-chip" data-pivot-zone="${zone}"
+          data-pivot-index="${index}" data-pivot-column="${id}">
+          ${header}${extra}${remove}
+        </span>
+      `;
+    };
+
+    const aggregateSelect = (value, index) => {
+      if (typeof value.aggregate === 'function') return '';
+      const options = AGGREGATES.map(
+        (name) =>
+          `<option value="${name}"${
+            name === value.aggregate ? ' selected' : ''
+          }>${name}</option>`
+      ).join('');
+      const header = headerOf(value.column);
+      return `<select class="bw-datatable__pivot-aggregate" data-pivot-aggregate="${index}"
+        aria-label="Aggregate of ${header}">${options}</select>`;
+    };
+
+    const zones = [
+      [
+        'fields',
+        'Fields',
+        sourceColumns.map((col, i) => chip('fields', i, col.id)),
+      ],
+      ['rows', 'Rows', pivot.rows.map((id, i) => chip('rows', i, id))],
+      [
+        'columns',
+        'Columns',
+        pivot.columns.map((id, i) => chip('columns', i, id)),
+      ],
+      [
+        'values',
+        'Values',
+        pivot.values.map((value, i) =>
+          chip('values', i, value.column, aggregateSelect(value, i))
+        ),
+      ],
+    ];
+
+    this.#pivotPanel.innerHTML = zones
+      .map(
+        ([zone, label, chips]) => `
+          <div class="bw-datatable__pivot-zone" data-pivot-zone="${zone}">
+            <span class="bw-datatable__pivot-zone-label">${label}</span>
+            ${chips.join('')}
+          </div>
+        `
+      )
+      .join('');
+  }
+
+  /**
+   * @param {string} zone
+   * @param {number} index
+   * @returns {Element|null} A chip of the pivot panel
+   */
+  #getPivotChip(zone, index) {
+    return this.#pivotPanel.querySelector(
+      `.bw-datatable__pivot-chip[data-pivot-zone="${zone}"][data-pivot-index="${index}"]`
+    );
+  }
+
+  /**
+   * Where a dragged chip would land: the zone under the pointer, before
+   * the first chip there that the pointer is above or left of the middle of
+   * @param {PointerEvent} e
+   * @returns {{zone: string, index: number}|null}
+   */
+  #getPivotDropTarget(e) {
+    for (const zone of this.#pivotPanel.querySelectorAll(
+      '.bw-datatable__pivot-zone'
+    )) {
+      if (!this.#isPointerOver(zone, e)) continue;
+
+      const chips = zone.querySelectorAll('.bw-datatable__pivot-chip');
+      let index = chips.length;
+      for (let i = 0; i < chips.length; i++) {
+        const rect = chips[i].getBoundingClientRect();
+        if (
+          e.clientY < rect.top ||
+          (e.clientY <= rect.bottom && e.clientX < rect.left + rect.width / 2)
+        ) {
+          index = i;
+          break;
+        }
+      }
+      return { zone: zone.dataset.pivotZone, index };
+    }
+    return null;
+  }
+
+  /**
+   * Drop a dragged chip: taken out of its zone (unless it's a field, which
+   * stay listed) and put in the target zone, unless that's the fields
+   * @param {Object} drag - { zone, index, columnId }
+   * @param {Object} target - { zone, index } (see #getPivotDropTarget)
+   */
+  #movePivotItem(drag, target) {
+    const pivot = this.getPivot() ?? { rows: [], columns: [], values: [] };
+    const { zone, index, columnId } = drag;
+    let at = target.index;
+
+    let item = columnId;
+    if (zone !== 'fields') {
+      [item] = pivot[zone].splice(index, 1);
+      if (zone === target.zone && index < at) at--;
+    }
+
+    if (target.zone === 'values') {
+      // Measures carry an aggregate, dimensions are just the column
+      if (zone !== 'values') item = { column: columnId, aggregate: 'sum' };
+    } else if (target.zone !== 'fields') {
+      // A column is one dimension at a time
+      for (const dimensions of [pivot.rows, pivot.columns]) {
+        const i = dimensions.indexOf(columnId);
+        if (i === -1) continue;
+        dimensions.splice(i, 1);
+        if (dimensions === pivot[target.zone] && i < at) at--;
+      }
+      item = columnId;
+    }
+
+    if (target.zone !== 'fields') pivot[target.zone].splice(at, 0, item);
+    this.setPivot(pivot);
+    this.#renderPivotPanel(); // Also when nothing changed, to drop the drag
+  }
+
+  // ==========================================================================
+  // VIEW BUILDING (Filter + Sort)
+  // ==========================================================================
+
+  #rebuildView() {
+    this.#view = computeView(this.#data, this.#getViewRequest());
+    this.#updateRows();
+  }
+
+  /**
+   * Put one changed row where it now belongs in the view, without a full
+   * rebuild: re-check the filters for just that row, then binary-search
+   * its position in view order. With `holdRowPosition`, a row already in
+   * the view stays where it is until the next sort or filter. The
+   * aggregates swap the row's old values for the new ones.
+   * @param {number} dataIndex - Index of the changed row in #data
+   * @param {Object} oldRow - Copy of the row from before the change
+   */
+  #patchView(dataIndex, oldRow) {
+    // With tree data, the row's parent may have changed along with its
+    // content
+    this.#treeParents = null;
+    this.#detailContent.delete(this.#data[dataIndex]);
+    // autoRowHeight: the old measurement is stale - fall back to the
+    // estimate until the row is rendered and measured again
+    this.#measuredHeights.delete(this.#data[dataIndex]);
+
+    // A data source owns the row order
+    if (this.#rowSource) {
+      this.#updateRowHeight(dataIndex);
+      return;
+    }
+
+    const row = this.#data[dataIndex];
+    const position = this.#view.indexOf(dataIndex);
+    if (position !== -1 && this.#options.holdRowPosition) {
+      this.#patchAggregates(oldRow, row);
+      this.#updateRowHeight(dataIndex);
+      return;
+    }
+
+    if (position !== -1) this.#view.splice(position, 1);
+
+    const request = this.#getViewRequest();
+    const matches = createRowFilter(request);
+    if (matches && !matches(row)) {
+      this.#patchAggregates(position !== -1 ? oldRow : null, null);
+      this.#updateRows();
+      return;
+    }
+    this.#patchAggregates(position !== -1 ? oldRow : null, row);
+
+    const compare = createViewComparator(this.#data, request);
+    let lo = 0;
+    let hi = this.#view.length;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (compare(this.#view[mid], dataIndex) < 0) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    this.#view.splice(lo, 0, dataIndex);
+
+    // Back in the same place: only its height may have changed
+    if (lo === position && !this.#groupBy.length && !this.#treeData) {
+      this.#updateRowHeight(dataIndex);
+    } else {
+      this.#updateRows();
+    }
+  }
+
+  /**
+   * Rebuild the view, then run `after` (render, emit events). With the
+   * `worker` option, large tables compute it in a Web Worker; with a
+   * `dataSource`, the first block of the new query is requested. A
+   * refresh started while another is pending supersedes it, so only the
+   * latest result is applied.
+   * @param {Function} after - Runs once the new view is in place
+   */
+  #refreshView(after) {
+    if (this.#rowSource) {
+      this.#refreshRemoteView(after);
+      return;
+    }
+
+    const generation = ++this.#viewGeneration;
+    const worker = this.#getViewWorker();
+    let request = null;
+
+    try {
+      request = worker && this.#getWorkerRequest();
+    } catch (error) {
+      // e.g. rows holding values that can't be posted to a worker
+      this.#disableViewWorker(error);
+    }
+
+    // A new view starts on the first page, like scrolling back to the top
+    const apply = (view) => {
+      const previousPage = this.#page;
+      this.#pendingViewRefresh = null;
+      if (view) {
+        this.#view = Array.from(view);
+        this.#updateRows();
+      } else {
+        this.#rebuildView();
+      }
+      this.#page = 0;
+      this.#hideLoader();
+      after();
+      this.#emitPageChange(previousPage);
+    };
+
+    if (!request) {
+      this.#pendingViewRefresh = null;
+      this.#withLoader(() => apply(null));
+      return;
+    }
+
+    this.#showLoader();
+    this.#pendingViewRefresh = after;
+
+    worker
+      .compute(request)
+      .then((view) => {
+        if (!view || generation !== this.#viewGeneration) return;
+        apply(view);
+      })
+      .catch((error) => {
+        if (this.#viewWorker === worker) this.#disableViewWorker(error);
+        if (generation !== this.#viewGeneration) return;
+        apply(null);
+      });
+  }
+
+  /**
+   * Everything the pipeline needs to build the view
+   * @returns {Object}
+   */
+  #getViewRequest() {
+    const searchAll = this.#options.searchHidden || !this.#hiddenColumns.size;
+    const sortTypes = this.#getSortTypes();
+    this.#checkSortTypes(sortTypes);
+
+    return {
+      columns: this.#columns,
+      searchColumns: searchAll
+        ? null
+        : this.#columns
+            .filter((col) => !this.#hiddenColumns.has(col.id))
+            .map((col) => col.id),
+      searchQuery: this.#searchQuery,
+      searchMode: this.#options.searchMode,
+      sortByRelevance: this.#options.sortByRelevance,
+      columnFilters: this.#columnFilters,
+      filterModel: this.#filterModel,
+      sort: this.#sort,
+      sortTypes,
+      collator: this.#collator,
+    };
+  }
+
+  /**
+   * Get the view worker when the `worker` option applies to the current
+   * data, starting it on first use
+   * @returns {ViewWorker|null}
+   */
+  #getViewWorker() {
+    const option = this.#options.worker;
+    if (!option || this.#viewWorker === false) return null;
+
+    const { threshold = this.#loaderThreshold, create } =
+      option === true ? {} : option;
+    if (this.#data.length < threshold) return null;
+
+    if (!this.#viewWorker) {
+      if (!create && !ViewWorker.isSupported()) {
+        this.#viewWorker = false;
+        return null;
+      }
+
+      try {
+        this.#viewWorker = new ViewWorker(create);
+        this.#workerHasRows = false;
+      } catch (error) {
+        this.#disableViewWorker(error);
+        return null;
+      }
+    }
+
+    return this.#viewWorker;
+  }
+
+  /**
+   * Build a view request the worker can receive, posting the rows first
+   * if it doesn't have them. Returns null when the view depends on
+   * functions (column `compare`/`sortValue`, registered sort types),
+   * which only run on the main thread.
+   * @returns {Object|null}
+   */
+  #getWorkerRequest() {
+    const request = this.#getViewRequest();
+
+    for (const { column } of this.#sort) {
+      const col = this.#columns.find((c) => c.id === column);
+      if (
+        typeof col?.compare === 'function' ||
+        typeof col?.sortValue === 'function' ||
+        request.sortTypes.has(col?.sortType || col?.type || 'string')
+      ) {
+        return null;
+      }
+    }
+
+    if (!this.#workerHasRows) {
+      this.#viewWorker.setRows(this.#data.map((row) => this.#toWorkerRow(row)));
+      this.#workerHasRows = true;
+    }
+
+    return {
+      ...request,
+      columns: this.#columns.map(({ id, field, type, sortType }) => ({
+        id,
+        field,
+        type,
+        sortType,
+      })),
+      sortTypes: null,
+      collator: this.#collator.resolvedOptions(),
+    };
+  }
+
+  /**
+   * Copy of a row with only the column fields, for posting to the worker
+   * @param {Object} row
+   * @returns {Object}
+   */
+  #toWorkerRow(row) {
+    const copy = {};
+    for (const col of this.#columns) {
+      const field = col.field || col.id;
+      copy[field] = row[field];
+    }
+    return copy;
+  }
+
+  /**
+   * Send an edited row to the worker's copy of the data
+   * @param {number} dataIndex
+   */
+  #syncWorkerRow(dataIndex) {
+    if (!this.#viewWorker || !this.#workerHasRows) return;
+
+    try {
+      this.#viewWorker.patchRows([
+        [dataIndex, this.#toWorkerRow(this.#data[dataIndex])],
+      ]);
+    } catch (error) {
+      this.#disableViewWorker(error);
+    }
+  }
 
-    this.#editingCell = {
-      rowId,
-      rowIndex,
-      colIndex,
-      dataIndex,
-      columnId: column.id,
-      field: column.field || column.id,
-      originalValue: currentValue,
+  #disableViewWorker(error) {
+    console.warn(
+      'BWDataTable: View worker unavailable, filtering on the main thread',
+      error
+    );
+    if (this.#viewWorker) this.#viewWorker.terminate();
+    this.#viewWorker = false;
+  }
+
+  // ==========================================================================
+  // DATA SOURCE (server-side sort, filter and paging, infinite scroll)
+  // ==========================================================================
+
+  /**
+   * Normalize the `dataSource` / `infiniteScroll` options into one row
+   * source the block loader can use
+   * @returns {Object|null} { load, label, infinite, blockSize, debounce,
+   *   maxRows, threshold }
+   */
+  #createRowSource() {
+    const { dataSource, infiniteScroll } = this.#options;
+    const source = dataSource || infiniteScroll;
+    if (!source) return null;
+
+    const name = dataSource ? 'dataSource' : 'infiniteScroll';
+    const method = dataSource ? 'getRows' : 'loadMore';
+    if (typeof source[method] !== 'function') {
+      throw new Error(`BWDataTable: ${name}.${method} must be a function`);
+    }
+
+    const blockSize = source.blockSize || 100;
+    return {
+      load: (params) => source[method](params),
+      label: `${name}.${method}()`,
+      infinite: !dataSource,
+      blockSize,
+      debounce: source.debounce ?? 100,
+      maxRows: source.maxRows || Infinity,
+      threshold: source.threshold ?? blockSize,
     };
+  }
 
-    // Re-render to show input
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render();
+  /**
+   * Start over with the current sort and filters: drop requests in
+   * flight, then ask for the first block. The old rows stay on screen
+   * under the loader until it arrives.
+   * @param {Function} after - Runs once the first block is in place
+   */
+  #refreshRemoteView(after) {
+    this.#viewGeneration++;
+    this.#abortBlockRequests();
+    this.#pendingViewRefresh = after;
+    this.#showLoader();
+    this.#scheduleBlocks([0]);
+  }
 
-    // Focus the input
-    setTimeout(() => {
-      const input = this.#tbody.querySelector('.bw-datatable__edit-input');
-      if (input) {
-        input.focus();
-        input.select();
+  /**
+   * Make sure the blocks covering a render range are loaded or on their
+   * way, and abort requests for blocks that scrolled out of it. Near the
+   * bottom of an infinite list, the block after the last row is wanted
+   * too (or the last block again, if it came back short).
+   * @param {Object} range - { start, end } view indices
+   */
+  #requestBlocks(range) {
+    if (this.#pendingViewRefresh) return;
+
+    const { blockSize, infinite, threshold } = this.#rowSource;
+    const wanted = [];
+    for (
+      let block = Math.floor(range.start / blockSize);
+      block * blockSize < range.end;
+      block++
+    ) {
+      wanted.push(block);
+    }
+
+    let tail = -1;
+    if (
+      infinite &&
+      this.#hasMoreRows &&
+      range.end + threshold >= this.#data.length
+    ) {
+      tail = Math.floor(this.#data.length / blockSize);
+      if (!wanted.includes(tail)) wanted.push(tail);
+    }
+
+    for (const [block, controller] of this.#blockRequests) {
+      if (!wanted.includes(block)) {
+        controller.abort();
+        this.#blockRequests.delete(block);
       }
-    }, 0);
+    }
 
-    this.#emit('cell:edit:start', {
-      rowId,
-      rowIndex,
-      colIndex,
-      columnId: column.id,
-      value: currentValue,
+    const missing = wanted.filter((block) => {
+      if (this.#blockRequests.has(block)) return false;
+      if (!this.#loadedBlocks.has(block)) return true;
+
+      // Most recently used last, so eviction finds the oldest first
+      this.#loadedBlocks.delete(block);
+      this.#loadedBlocks.add(block);
+      return block === tail;
     });
+
+    clearTimeout(this.#blockTimer);
+    this.#blockTimer = null;
+    if (missing.length) this.#scheduleBlocks(missing);
   }
 
-  #saveEdit(newValue) {
-    if (!this.#editingCell) return;
+  /**
+   * Load blocks once scrolling or typing has paused for `debounce` ms
+   * @param {number[]} blocks
+   */
+  #scheduleBlocks(blocks) {
+    clearTimeout(this.#blockTimer);
+    this.#blockTimer = setTimeout(() => {
+      this.#blockTimer = null;
+      blocks.forEach((block) => this.#loadBlock(block));
+    }, this.#rowSource.debounce);
+  }
+
+  /**
+   * Request one block of rows from the row source
+   * @param {number} block
+   */
+  #loadBlock(block) {
+    const generation = this.#viewGeneration;
+    const controller = new AbortController();
+    const { blockSize, label } = this.#rowSource;
+    const start = block * blockSize;
+    const end = start + blockSize;
+    const params = {
+      start,
+      end,
+      sort: this.getSortModel(),
+      filters: this.getColumnFilters(),
+      filterModel: this.getFilterModel(),
+      search: this.#globalFilter,
+      searchQuery: this.getState().searchQuery,
+      signal: controller.signal,
+    };
+
+    const isCurrent = () =>
+      !controller.signal.aborted && generation === this.#viewGeneration;
+
+    const loaded = (count, error) => {
+      this.#emit('rows:loaded', {
+        start,
+        end,
+        count,
+        total: this.#data.length,
+        pending: this.#blockRequests.size,
+        ...(this.#rowSource.infinite && { done: !this.#hasMoreRows }),
+        ...(error && { error }),
+      });
+    };
+
+    this.#blockRequests.set(block, controller);
+    this.#emit('rows:loading', {
+      start,
+      end,
+      pending: this.#blockRequests.size,
+    });
+
+    Promise.resolve()
+      .then(() => this.#rowSource.load(params))
+      .then(
+        (result) => {
+          if (!isCurrent()) return;
+          this.#blockRequests.delete(block);
+          loaded(this.#applyBlock(block, result));
+        },
+        (error) => {
+          if (!isCurrent()) return;
+          this.#blockRequests.delete(block);
+          console.error(`BWDataTable: ${label} failed`, error);
+
+          // Don't leave a refresh hanging; other blocks retry on scroll
+          if (this.#pendingViewRefresh) {
+            this.#applyBlock(block, { rows: [], total: 0, done: true });
+          }
+          loaded(0, error);
+        }
+      );
+  }
 
+  /**
+   * Put a block's rows in place. The first block of a refresh replaces
+   * the data; with a data source it then holds `total` slots (one view
+   * entry each) that later blocks fill in, while an infinite list grows
+   * by each block appended at the end.
+   * @param {number} block
+   * @param {Object|Array} result - { rows, total, done } or just the rows
+   * @returns {number} Rows put in place
+   */
+  #applyBlock(block, result) {
+    const { blockSize, infinite } = this.#rowSource;
     const {
-      dataIndex,
-      field,
-      originalValue,
-      rowId,
-      columnId,
-      rowIndex,
-      colIndex,
-    } = this.#editingCell;
-    const row = this.#data[dataIndex];
+      rows = [],
+      total,
+      done,
+    } = Array.isArray(result) ? { rows: result } : result || {};
+    const start = block * blockSize;
+    const after = this.#pendingViewRefresh;
+    const previousPage = this.#page;
+
+    if (after) {
+      this.#pendingViewRefresh = null;
+      this.#loadedBlocks.clear();
+      this.#data = [];
+      this.#hasMoreRows = true;
+      this.#page = 0;
+    }
 
-    // Store old value for history
-    const oldValue = originalValue;
+    let length;
+    if (!infinite) {
+      // Rows may have been added or removed on the server meanwhile
+      length = Number.isFinite(total) ? total : start + rows.length;
+    } else {
+      length = Math.max(this.#data.length, start + rows.length);
 
-    // Update data
-    row[field] = newValue;
+      // A short block at the end means there's nothing more (for now)
+      if (start + rows.length >= this.#data.length) {
+        this.#hasMoreRows = !(done ?? rows.length < blockSize);
+      }
+    }
 
-    // Clear editing state
-    this.#editingCell = null;
+    this.#data.length = length;
+    if (this.#view.length > length) this.#view.length = length;
+    for (let i = this.#view.length; i < length; i++) this.#view.push(i);
+    this.#heightsStale = true;
 
-    // Keep focus on cell
-    this.#focusedCell = { rowIndex, colIndex };
+    const count = Math.max(0, Math.min(rows.length, length - start));
+    for (let i = 0; i < count; i++) {
+      this.#data[start + i] = rows[i];
+    }
+    this.#loadedBlocks.delete(block);
+    this.#loadedBlocks.add(block);
+    this.#evictBlocks();
 
-    // Re-render
+    if (!this.#columns.length && this.#data[0]) {
+      this.#columns = this.#autoDetectColumns();
+      this.#renderHeader();
+    }
+
+    if (after) {
+      this.#hideLoader();
+      after();
+      this.#emitPageChange(previousPage);
+    } else {
+      // Growing the spacer must not move the rows being looked at
+      const scrollTop = this.#scrollContainer.scrollTop;
+      this.#clampPage();
+      this.#rerenderKeepingEdit();
+      if (this.#scrollContainer.scrollTop !== scrollTop) {
+        this.#scrollContainer.scrollTop = scrollTop;
+      }
+      this.#emitPageChange(previousPage);
+    }
+
+    return count;
+  }
+
+  /**
+   * Drop the least recently used blocks above the `maxRows` cap, except
+   * those on screen; they are fetched again when scrolled back to
+   */
+  #evictBlocks() {
+    const { blockSize, maxRows } = this.#rowSource;
+    const limit = Math.ceil(maxRows / blockSize);
+    const { start, end } = this.#renderedRange;
+
+    for (const block of this.#loadedBlocks) {
+      if (this.#loadedBlocks.size <= limit) break;
+
+      const blockStart = block * blockSize;
+      const blockEnd = Math.min(blockStart + blockSize, this.#data.length);
+      if (blockStart < end && blockEnd > start) continue;
+
+      for (let i = blockStart; i < blockEnd; i++) delete this.#data[i];
+      this.#loadedBlocks.delete(block);
+    }
+  }
+
+  #abortBlockRequests() {
+    clearTimeout(this.#blockTimer);
+    this.#blockTimer = null;
+    this.#blockRequests.forEach((controller) => controller.abort());
+    this.#blockRequests.clear();
+  }
+
+  // ==========================================================================
+  // PAGINATION
+  // ==========================================================================
+
+  /**
+   * Page sizes offered in the pager, from the `pagination` option
+   * @returns {number[]} Empty when pagination is off
+   */
+  #getPageSizes() {
+    const { pagination } = this.#options;
+    if (!pagination) return [];
+
+    const sizes = pagination.pageSizes || [20, 50, 100];
+    const pageSize = pagination.pageSize;
+    return pageSize && !sizes.includes(pageSize)
+      ? [...sizes, pageSize].sort((a, b) => a - b)
+      : sizes;
+  }
+
+  #getPageCount() {
+    if (!this.#pageSize) return 1;
+    return Math.max(1, Math.ceil(this.#rows.length / this.#pageSize));
+  }
+
+  /**
+   * Go back to the last page when rows went away from under the current
+   * one (removed, edited out of the filters, collapsed). Callers announce
+   * the move with #emitPageChange() once they've rendered.
+   */
+  #clampPage() {
+    if (this.#pageSize) {
+      this.#page = Math.min(this.#page, this.#getPageCount() - 1);
+    }
+  }
+
+  /**
+   * View indices shown: the current page, or the whole view unpaginated
+   * @returns {Object} { start, end }
+   */
+  #getPageBounds() {
+    if (!this.#pageSize) return { start: 0, end: this.#rows.length };
+
+    const start = this.#page * this.#pageSize;
+    return {
+      start,
+      end: Math.min(start + this.#pageSize, this.#rows.length),
+    };
+  }
+
+  #createPager() {
+    const options = this.#getPageSizes()
+      .map((size) => `<option value="${size}">${size}</option>`)
+      .join('');
+
+    this.#pager = document.createElement('div');
+    this.#pager.className = 'bw-datatable__pagination';
+    this.#pager.innerHTML = `
+      <label class="bw-datatable__page-size">
+        Rows per page
+        <select class="bw-datatable__page-size-select">${options}</select>
+      </label>
+      <span class="bw-datatable__page-info" aria-live="polite"></span>
+      <div class="bw-datatable__page-nav">
+        <button type="button" class="bw-datatable__page-btn" data-page="first" aria-label="First page">&laquo;</button>
+        <button type="button" class="bw-datatable__page-btn" data-page="prev" aria-label="Previous page">&lsaquo;</button>
+        <span class="bw-datatable__page-number"></span>
+        <button type="button" class="bw-datatable__page-btn" data-page="next" aria-label="Next page">&rsaquo;</button>
+        <button type="button" class="bw-datatable__page-btn" data-page="last" aria-label="Last page">&raquo;</button>
+      </div>
+    `;
+
+    this.#pager.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-page]');
+      if (!button || button.disabled) return;
+
+      const targets = {
+        first: 0,
+        prev: this.#page - 1,
+        next: this.#page + 1,
+        last: this.#getPageCount() - 1,
+      };
+      this.setPage(targets[button.dataset.page]);
+    });
+
+    this.#pager.addEventListener('change', (e) => {
+      if (e.target.matches('.bw-datatable__page-size-select')) {
+        this.setPageSize(Number(e.target.value));
+      }
+    });
+
+    this.#wrapper.appendChild(this.#pager);
+  }
+
+  #updatePager() {
+    if (!this.#pager) return;
+
+    const total = this.#rows.length;
+    const { start, end } = this.#getPageBounds();
+    const pageCount = this.#getPageCount();
+    const isFirst = this.#page === 0;
+    const isLast = this.#page >= pageCount - 1;
+
+    const pager = this.#pager;
+    const format = (n) => n.toLocaleString();
+
+    pager.querySelector('.bw-datatable__page-info').textContent = total
+      ? `${format(start + 1)}–${format(end)} of ${format(total)}`
+      : '0 of 0';
+    pager.querySelector(
+      '.bw-datatable__page-number'
+    ).textContent = `Page ${format(this.#page + 1)} of ${format(pageCount)}`;
+    pager.querySelector('.bw-datatable__page-size-select').value = String(
+      this.#pageSize
+    );
+
+    pager.querySelectorAll('[data-page]').forEach((button) => {
+      const page = button.dataset.page;
+      button.disabled = page === 'first' || page === 'prev' ? isFirst : isLast;
+    });
+  }
+
+  /**
+   * Show a page from its top and announce it
+   * @param {number} page - 0-based, already in range
+   */
+  #changePage(page) {
+    const previousPage = this.#page;
+    this.#page = page;
+
+    // Focus stays only if its row is on the new page
+    if (this.#focusedCell) {
+      const { start, end } = this.#getPageBounds();
+      const { rowIndex } = this.#focusedCell;
+      if (rowIndex < start || rowIndex >= end) this.#focusedCell = null;
+    }
+
+    this.#scrollContainer.scrollTop = 0;
+    this.#scrollTop = 0;
     this.#renderedRange = { start: -1, end: -1 };
-    this.#render();
+    this.#render(true);
 
-    // Refocus scroll container for keyboard nav
-    this.#scrollContainer.focus();
+    this.#emitPageChange(previousPage, true);
+  }
 
-    // Emit event for history plugin
-    this.#emit('cell:edit', {
-      rowId,
-      rowIndex,
-      colIndex,
-      columnId,
-      field,
-      oldValue,
-      newValue,
-      row: { ...row },
+  /**
+   * Fire `page:change` for the current page, e.g. after a new sort or
+   * filter went back to the first page
+   * @param {number} previousPage
+   * @param {boolean} [force] - Also when the page number is the same
+   *   (the page size changed)
+   */
+  #emitPageChange(previousPage, force = false) {
+    if (!this.#pageSize || (!force && this.#page === previousPage)) return;
+
+    this.#emit('page:change', {
+      page: this.#page,
+      previousPage,
+      pageSize: this.#pageSize,
+      pageCount: this.#getPageCount(),
+      totalRows: this.#rows.length,
     });
+  }
 
-    this.#emit('cell:edit:end', {
-      rowId,
-      columnId,
-      oldValue,
-      newValue,
+  /**
+   * Go to a page. Does nothing without the `pagination` option.
+   * @param {number} page - 0-based page index (clamped to the last page)
+   */
+  setPage(page) {
+    if (!this.#pageSize) return;
+
+    const target = Math.max(
+      0,
+      Math.min(Math.floor(page) || 0, this.#getPageCount() - 1)
+    );
+    if (target !== this.#page) this.#changePage(target);
+  }
+
+  /**
+   * Get the current page
+   * @returns {number} 0-based page index
+   */
+  getPage() {
+    return this.#page;
+  }
+
+  /**
+   * Change the number of rows per page, staying on the page that holds
+   * the first row currently shown
+   * @param {number} pageSize - Rows per page
+   */
+  setPageSize(pageSize) {
+    if (!this.#pageSize) return;
+
+    const size = Math.floor(pageSize);
+    if (!(size > 0)) {
+      throw new Error(`BWDataTable: Invalid page size "${pageSize}"`);
+    }
+    if (size === this.#pageSize) return;
+
+    const firstRow = this.#getPageBounds().start;
+    this.#pageSize = size;
+    this.#changePage(Math.floor(firstRow / size));
+  }
+
+  // ==========================================================================
+  // SELECTION
+  // ==========================================================================
+
+  #handleRowSelect(rowId, selected) {
+    if (selected) {
+      this.#selected.add(rowId);
+    } else {
+      this.#selected.delete(rowId);
+    }
+
+    // Force re-render visible rows to update checkboxes
+    this.#render(true);
+
+    this.#emit('selection:change', {
+      selected: Array.from(this.#selected),
+      count: this.#selected.size,
+    });
+  }
+
+  #handleSelectAll(selected) {
+    this.#withLoader(() => {
+      if (selected) {
+        // Select all rows in current view (filtered data)
+        this.#view.forEach((dataIndex) => {
+          const row = this.#data[dataIndex];
+          if (row === undefined) return; // Not loaded from the data source
+          const rowId = this.#getRowId(row, dataIndex);
+          this.#selected.add(rowId);
+        });
+      } else {
+        this.#selected.clear();
+      }
+
+      // Force re-render
+      this.#render(true);
+
+      this.#emit('selection:change', {
+        selected: Array.from(this.#selected),
+        count: this.#selected.size,
+      });
     });
   }
 
-  #cancelEdit() {
-    if (!this.#editingCell) return;
+  #updateSelectAllCheckbox() {
+    const checkbox = this.#thead.querySelector('.bw-datatable__select-all');
+    if (!checkbox) return;
+
+    const totalVisible = this.#view.length;
+    const selectedVisible = this.#view.filter((dataIndex) => {
+      const row = this.#data[dataIndex];
+      if (row === undefined) return false;
+      const rowId = this.#getRowId(row, dataIndex);
+      return this.#selected.has(rowId);
+    }).length;
+
+    checkbox.checked = totalVisible > 0 && selectedVisible === totalVisible;
+    checkbox.indeterminate =
+      selectedVisible > 0 && selectedVisible < totalVisible;
+  }
+
+  // Public selection methods
+  selectAll() {
+    this.#handleSelectAll(true);
+  }
+
+  clearSelection() {
+    this.#selected.clear();
+    this.#render(true);
+    this.#emit('selection:change', { selected: [], count: 0 });
+  }
 
-    const { rowIndex, colIndex } = this.#editingCell;
+  getSelected() {
+    return this.#view
+      .map((dataIndex) => this.#data[dataIndex])
+      .filter(
+        (row) =>
+          row !== undefined &&
+          this.#selected.has(this.#getRowId(row, this.#data.indexOf(row)))
+      );
+  }
 
-    this.#editingCell = null;
-    this.#focusedCell = { rowIndex, colIndex };
+  getSelectedIds() {
+    return Array.from(this.#selected);
+  }
 
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render();
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
 
-    // Refocus scroll container for keyboard nav
-    this.#scrollContainer.focus();
+  /**
+   * Set new data. With a `dataSource` or `infiniteScroll`, drops the
+   * loaded rows and fetches them again instead.
+   * @param {Array} data - New data array
+   */
+  setData(data) {
+    if (this.#pivot) {
+      // New rows to pivot
+      this.#pivotSource.data = data || [];
+      this.#applyPivot(this.#pivot);
+      this.#renderHeader();
+    } else if (!this.#rowSource) {
+      this.#data = this.#flattenNodes(data || []);
+    }
+    this.#selected.clear();
+    this.#distinctCache.clear();
+    this.#refreshFilterRow();
+    this.#workerHasRows = false;
 
-    this.#emit('cell:edit:cancel');
+    this.#refreshView(() => {
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+    });
   }
 
-  #handleEditKeyDown(e) {
-    if (!this.#editingCell) return;
-
-    const input = e.target;
-    const { rowIndex, colIndex } = this.#editingCell;
-    const totalCols = this.#columns.length;
-    const totalRows = this.#view.length;
+  /**
+   * Get all data
+   * @returns {Array}
+   */
+  getData() {
+    return this.#data;
+  }
 
-    switch (e.key) {
-      case 'Enter':
-        e.preventDefault();
-        e.stopPropagation();
-        this.#skipBlurSave = true;
-        this.#saveEdit(input.value);
-        // Move to next row, stay in same column
-        if (rowIndex < totalRows - 1) {
-          this.#setFocusedCell(rowIndex + 1, colIndex);
-        }
-        this.#skipBlurSave = false;
-        break;
+  /**
+   * Get filtered data (rows loaded so far with a dataSource or
+   * infiniteScroll)
+   * @returns {Array}
+   */
+  getFilteredData() {
+    if (this.#rowSource) {
+      return this.#view.map((i) => this.#data[i]).filter(Boolean);
+    }
+    return this.#view.map((i) => this.#data[i]);
+  }
 
-      case 'Tab':
-        e.preventDefault();
-        e.stopPropagation();
-        this.#skipBlurSave = true;
-        this.#saveEdit(input.value);
-        // Move to next/prev cell and start editing
-        if (e.shiftKey) {
-          if (colIndex > 0) {
-            this.#startEditing(rowIndex, colIndex - 1);
-          } else if (rowIndex > 0) {
-            this.#startEditing(rowIndex - 1, totalCols - 1);
-          } else {
-            this.#setFocusedCell(rowIndex, colIndex);
-          }
-        } else {
-          if (colIndex < totalCols - 1) {
-            this.#startEditing(rowIndex, colIndex + 1);
-          } else if (rowIndex < totalRows - 1) {
-            this.#startEditing(rowIndex + 1, 0);
-          } else {
-            this.#setFocusedCell(rowIndex, colIndex);
-          }
-        }
-        this.#skipBlurSave = false;
-        break;
+  /**
+   * Get row count
+   * @returns {Object} { total, filtered }
+   */
+  getRowCount() {
+    return {
+      total: this.#data.length,
+      filtered: this.#view.length,
+    };
+  }
 
-      case 'Escape':
-        e.preventDefault();
-        e.stopPropagation();
-        this.#skipBlurSave = true;
-        this.#cancelEdit();
-        this.#skipBlurSave = false;
-        break;
+  /**
+   * Scroll to row (turning to its page when paginated)
+   * @param {number} index - Row index
+   */
+  scrollToRow(index) {
+    let pageStart = 0;
+    if (this.#pageSize) {
+      this.setPage(Math.floor(index / this.#pageSize));
+      pageStart = this.#page * this.#pageSize;
     }
-  }
 
-  // ==========================================================================
-  // VIEWPORT CALCULATION
-  // ==========================================================================
+    const top = this.#rowTop(index) - this.#rowTop(pageStart);
+    this.#scrollContainer.scrollTop = top;
+  }
 
-  #calculateViewport() {
-    this.#viewportHeight = this.#scrollContainer.clientHeight;
+  /**
+   * Scroll to top
+   */
+  scrollToTop() {
+    this.#scrollContainer.scrollTop = 0;
   }
 
-  #getVisibleRange() {
-    const totalRows = this.#view.length;
+  /**
+   * Scroll to bottom
+   */
+  scrollToBottom() {
+    this.#scrollContainer.scrollTop = this.#rowTop(this.#rows.length);
+  }
 
-    // Calculate visible start
-    const visibleStart = Math.floor(this.#scrollTop / this.#rowHeight);
-    const visibleCount = Math.ceil(this.#viewportHeight / this.#rowHeight);
+  /**
+   * Update a cell value programmatically
+   * @param {string} rowId - Row ID
+   * @param {string} columnId - Column ID
+   * @param {*} value - New value
+   */
+  updateCell(rowId, columnId, value) {
+    // Find row by ID
+    const dataIndex = this.#data.findIndex((row, i) => {
+      return row !== undefined && this.#getRowId(row, i) === String(rowId);
+    });
 
-    // Buffer = 100% of visible (so we render 2x visible rows total)
-    const buffer = visibleCount;
-    const start = Math.max(0, visibleStart - buffer);
-    const end = Math.min(totalRows, visibleStart + visibleCount + buffer);
+    if (dataIndex === -1) return false;
 
-    return { start, end, visibleStart, visibleCount };
-  }
+    const row = this.#data[dataIndex];
+    const column = this.#columns.find((c) => c.id === columnId);
+    if (!column) return false;
 
-  // ==========================================================================
-  // RENDERING - THE CORE
-  // ==========================================================================
+    const field = column.field || column.id;
+    const oldValue = row[field];
+    const oldRow = { ...row };
+    const previousPage = this.#page;
 
-  #render(force = false) {
-    const totalRows = this.#view.length;
-    const totalHeight = totalRows * this.#rowHeight;
+    row[field] = value;
+    this.#syncWorkerRow(dataIndex);
+    this.#patchView(dataIndex, oldRow);
 
-    // Spacer creates the scrollable height
-    this.#heightSpacer.style.height = `${totalHeight}px`;
+    // Force re-render
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render(true);
 
-    // Get visible range
-    const range = this.#getVisibleRange();
+    this.#emit('cell:edit', {
+      rowId,
+      columnId,
+      field,
+      oldValue,
+      newValue: value,
+      row: { ...row },
+    });
+    this.#emitPageChange(previousPage);
 
-    // Only skip re-render if range unchanged AND not forced
-    if (
-      !force &&
-      range.start === this.#renderedRange.start &&
-      range.end === this.#renderedRange.end
-    ) {
-      return;
-    }
+    return true;
+  }
 
-    this.#renderedRange = range;
+  /**
+   * Get row by ID
+   * @param {string} rowId - Row ID
+   * @returns {Object|null}
+   */
+  getRowById(rowId) {
+    const dataIndex = this.#data.findIndex((row, i) => {
+      return row !== undefined && this.#getRowId(row, i) === String(rowId);
+    });
 
-    // Calculate offset for positioning
-    const offsetY = range.start * this.#rowHeight;
+    if (dataIndex === -1) return null;
+    return { ...this.#data[dataIndex] };
+  }
 
-    // Build rows HTML
-    let html = '';
+  /**
+   * Update entire row
+   * @param {string} rowId - Row ID
+   * @param {Object} newData - New row data
+   */
+  updateRow(rowId, newData) {
+    const dataIndex = this.#data.findIndex((row, i) => {
+      return row !== undefined && this.#getRowId(row, i) === String(rowId);
+    });
 
-    for (let i = range.start; i < range.end; i++) {
-      const dataIndex = this.#view[i];
-      const row = this.#data[dataIndex];
-      const rowId = this.#getRowId(row, dataIndex);
-      const isSelected = this.#selected.has(rowId);
+    if (dataIndex === -1) return false;
 
-      html += `<tr class="bw-datatable__row ${
-        isSelected ? 'bw-datatable__row--selected' : ''
-      }" data-row-id="${rowId}" data-view-index="${i}">`;
+    const oldRow = { ...this.#data[dataIndex] };
+    const previousPage = this.#page;
+    this.#data[dataIndex] = { ...this.#data[dataIndex], ...newData };
+    this.#syncWorkerRow(dataIndex);
+    this.#patchView(dataIndex, oldRow);
 
-      // Checkbox
-      if (this.#options.selectable) {
-        html += `
-          <td class="bw-datatable__td bw-datatable__td--checkbox">
-            <input type="checkbox" 
-              class="bw-datatable__row-checkbox" 
-              data-row-id="${rowId}"
-              ${isSelected ? 'checked' : ''}>
-          </td>
-        `;
-      }
+    // Force re-render
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render(true);
 
-      // Data cells
-      for (let colIdx = 0; colIdx < this.#columns.length; colIdx++) {
-        const col = this.#columns[colIdx];
-        const value = row[col.field || col.id];
-
-        const isFocused =
-          this.#focusedCell &&
-          this.#focusedCell.rowIndex === i &&
-          this.#focusedCell.colIndex === colIdx;
-
-        const isEditing =
-          this.#editingCell &&
-          this.#editingCell.rowIndex === i &&
-          this.#editingCell.colIndex === colIdx;
-
-        const focusClass = isFocused ? 'bw-datatable__td--focused' : '';
-        const editClass = isEditing ? 'bw-datatable__td--editing' : '';
-
-        const width = this.#columnWidths.get(col.id) || col.width;
-        const widthStyle = width
-          ? `width:${typeof width === 'number' ? width + 'px' : width};`
-          : '';
-
-        html += `<td class="bw-datatable__td ${focusClass} ${editClass}" 
-                     tabindex="${isFocused ? '0' : '-1'}"
-                     data-col-index="${colIdx}"
-                     style="${widthStyle}">`;
-
-        if (isEditing) {
-          const escapedValue = this.#escapeHtml(String(value ?? ''));
-          html += `<input type="text" 
-                          class="bw-datatable__edit-input" 
-                          value="${escapedValue.replace(/"/g, '&quot;')}"
-                          data-original="${escapedValue.replace(
-                            /"/g,
-                            '&quot;'
-                          )}">`;
-        } else {
-          const formatted = this.#formatValue(value, col, row);
-          html += formatted;
-        }
+    this.#emit('row:update', {
+      rowId,
+      oldRow,
+      newRow: { ...this.#data[dataIndex] },
+    });
+    this.#emitPageChange(previousPage);
 
-        html += '</td>';
-      }
+    return true;
+  }
 
-      html += '</tr>';
+  /**
+   * Add, update and remove rows in one go, matched by row ID. Selection,
+   * focus and scroll position are kept, and only the affected rows are
+   * re-filtered and merged into the sorted view.
+   * @param {Object} transaction
+   * @param {Array} [transaction.add] - New rows, with IDs not already in
+   *   the table
+   * @param {number} [transaction.addIndex] - Where to insert the new rows
+   *   in the data, after removals (default: at the end)
+   * @param {Array} [transaction.update] - Rows (or partial rows with the
+   *   row ID) to merge into the existing ones
+   * @param {Array} [transaction.remove] - Rows or row IDs to remove
+   * @returns {Object} { add, update: [{ rowId, oldRow, newRow }], remove }
+   * @throws {Error} If an added row's ID is already taken; nothing changes
+   *
+   * @example
+   *   table.applyTransaction({
+   *     add: [{ id: 101, name: 'New' }],
+   *     update: [{ id: 7, status: 'closed' }],
+   *     remove: [12, 13],
+   *   });
+   */
+  applyTransaction({ add = [], update = [], remove = [], addIndex } = {}) {
+    if (this.#rowSource) {
+      throw new Error(
+        'BWDataTable: applyTransaction() needs local data; call setData() to reload from the data source'
+      );
     }
 
-    // Update DOM
-    this.#tbody.innerHTML = html;
-
-    // Position tbody using transform to show correct rows at scroll position
-    this.#tbody.style.transform = `translateY(${offsetY}px)`;
+    const oldData = this.#data;
+    const previousPage = this.#page;
+    const indexById = new Map();
+    oldData.forEach((row, i) => indexById.set(this.#getRowId(row, i), i));
 
-    // Bind edit input events if editing
-    if (this.#editingCell) {
-      const input = this.#tbody.querySelector('.bw-datatable__edit-input');
-      if (input) {
-        input.addEventListener('keydown', (e) => this.#handleEditKeyDown(e));
-        input.addEventListener('blur', (e) => {
-          // Save on blur unless explicitly skipped (keyboard nav) or cancelled
-          if (this.#editingCell && !this.#skipBlurSave) {
-            this.#saveEdit(e.target.value);
-          }
-        });
+    const findIndex = (item) =>
+      indexById.get(
+        item !== null && typeof item === 'object'
+          ? this.#getRowId(item)
+          : String(item)
+      );
+
+    // Added rows need IDs of their own, unless the row with that ID is
+    // removed in the same transaction (rows without an ID don't clash)
+    const freed = new Set(remove.map(findIndex));
+    const addedIds = new Set();
+    add.forEach((row, i) => {
+      const id = this.#getRowId(row, `add-${i}`);
+      const index = indexById.get(id);
+      if (addedIds.has(id) || (index !== undefined && !freed.has(index))) {
+        throw new Error(`BWDataTable: Duplicate row ID "${id}"`);
+      }
+      addedIds.add(id);
+    });
+
+    // Remove
+    const removed = new Set();
+    const removedRows = [];
+    let selectionChanged = false;
+    for (const item of remove) {
+      const index = findIndex(item);
+      if (index === undefined || removed.has(index)) continue;
+      removed.add(index);
+      removedRows.push(oldData[index]);
+      if (this.#selected.delete(this.#getRowId(oldData[index], index))) {
+        selectionChanged = true;
       }
     }
 
-    // Update header select-all checkbox
-    this.#updateSelectAllCheckbox();
-  }
+    // Update (rows are replaced, as in updateRow)
+    const changed = new Set();
+    const updated = [];
+    for (const patch of update) {
+      const index = findIndex(patch);
+      if (index === undefined || removed.has(index)) continue;
+      const oldRow = oldData[index];
+      const newRow = { ...oldRow, ...patch };
+      oldData[index] = newRow;
+      changed.add(index);
+      updated.push({ rowId: this.#getRowId(newRow, index), oldRow, newRow });
+    }
 
-  #getRowId(row, index) {
-    const idField = this.#options.rowId;
-    if (typeof idField === 'function') {
-      return String(idField(row, index));
+    if (!removed.size && !changed.size && !add.length) {
+      return { add: [], update: [], remove: [] };
     }
-    return String(row[idField] ?? `__row_${index}`);
-  }
 
-  #formatValue(value, col, row) {
-    // Null/undefined
-    if (value === null || value === undefined) return '';
+    // New data, plus a map from old data indices to new ones (-1 = removed)
+    const kept = [];
+    const remap = new Int32Array(oldData.length).fill(-1);
+    oldData.forEach((row, i) => {
+      if (removed.has(i)) return;
+      remap[i] = kept.length;
+      kept.push(row);
+    });
 
-    // Custom renderer
-    if (col.render && typeof col.render === 'function') {
-      return col.render(value, row, col);
+    const at = Math.max(0, Math.min(addIndex ?? kept.length, kept.length));
+    this.#data = kept.slice(0, at).concat(add, kept.slice(at));
+    if (add.length) {
+      for (let i = 0; i < remap.length; i++) {
+        if (remap[i] >= at) remap[i] += add.length;
+      }
     }
 
-    // Type formatting
-    switch (col.type) {
-      case 'boolean':
-        return value ? '✓' : '✗';
-      case 'number':
-        return typeof value === 'number' ? value.toLocaleString() : value;
-      case 'date':
-        if (value instanceof Date) return value.toLocaleDateString();
-        return String(value);
-      default:
-        return this.#escapeHtml(String(value));
+    // Remember the focused and edited rows so they can be followed
+    const focusedIndex = this.#focusedCell
+      ? remap[this.#rows[this.#focusedCell.rowIndex]] ?? -1
+      : -1;
+    this.#distinctCache.clear();
+    this.#workerHasRows = false;
+
+    if (this.#pendingViewRefresh) {
+      // A worker refresh is in flight for the old data - start over
+      this.#editingCell = null;
+      this.#refreshView(this.#pendingViewRefresh);
+    } else {
+      this.#mergeIntoView(remap, changed, at, add.length);
+      this.#followRows(focusedIndex, remap);
     }
-  }
 
-  #escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  }
+    this.#refreshFilterRow();
+    this.#rerenderKeepingEdit();
 
-  // ==========================================================================
-  // SORTING
-  // ==========================================================================
+    const result = {
+      add: [...add],
+      update: updated,
+      remove: removedRows,
+    };
 
-  #handleSort(columnId) {
-    // Toggle direction
-    let direction = 'asc';
-    if (this.#sort.column === columnId) {
-      if (this.#sort.direction === 'asc') {
-        direction = 'desc';
-      } else if (this.#sort.direction === 'desc') {
-        direction = null; // Remove sort
-      }
+    this.#emit('rows:change', { ...result, addIndex: at });
+
+    if (selectionChanged) {
+      this.#emit('selection:change', {
+        selected: Array.from(this.#selected),
+        count: this.#selected.size,
+      });
     }
+    this.#emitPageChange(previousPage);
 
-    this.sort(columnId, direction);
+    return result;
   }
 
   /**
-   * Sort by column
-   * @param {string} columnId - Column ID
-   * @param {string|null} direction - 'asc', 'desc', or null
+   * Move the focused and edited cells along with their rows after the
+   * view changed under them
+   * @param {number} focusedIndex - New data index of the focused row
+   * @param {Int32Array} remap - Old data index → new one (-1 = removed)
    */
-  sort(columnId, direction = 'asc') {
-    this.#sort = { column: direction ? columnId : null, direction };
+  #followRows(focusedIndex, remap) {
+    if (this.#focusedCell) {
+      const position = this.#rows.indexOf(focusedIndex);
+      if (position !== -1) {
+        this.#focusedCell = { ...this.#focusedCell, rowIndex: position };
+      } else if (this.#rows.length === 0) {
+        this.#focusedCell = null;
+      } else if (this.#focusedCell.rowIndex >= this.#rows.length) {
+        this.#focusedCell = {
+          ...this.#focusedCell,
+          rowIndex: this.#rows.length - 1,
+        };
+      }
+    }
 
-    this.#withLoader(() => {
-      // Rebuild view
-      this.#rebuildView();
+    if (this.#editingCell) {
+      const dataIndex = remap[this.#editingCell.dataIndex];
+      const position = dataIndex === -1 ? -1 : this.#rows.indexOf(dataIndex);
+      this.#editingCell =
+        position === -1
+          ? null
+          : { ...this.#editingCell, dataIndex, rowIndex: position };
+    }
+  }
 
-      // Re-render header (for sort indicator)
-      this.#renderHeader();
+  /**
+   * Carry the view over a data change: remap kept indices, then filter,
+   * sort and merge in the changed and added rows. O(n + k log k) for
+   * k changed rows, instead of re-sorting everything.
+   * @param {Int32Array} remap - Old data index → new one (-1 = removed)
+   * @param {Set<number>} changed - Old data indices of updated rows
+   * @param {number} addAt - New data index of the first added row
+   * @param {number} addCount - Number of added rows
+   */
+  #mergeIntoView(remap, changed, addAt, addCount) {
+    const hold = this.#options.holdRowPosition;
+    const view = [];
+    const placed = new Set();
+
+    for (const i of this.#view) {
+      const index = remap[i];
+      if (index === -1) continue;
+      // Changed rows are placed again below, unless they hold position
+      if (changed.has(i) && !hold) continue;
+      view.push(index);
+      placed.add(index);
+    }
 
-      // Reset scroll and force render
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
+    const candidates = [];
+    for (const i of changed) {
+      if (!placed.has(remap[i])) candidates.push(remap[i]);
+    }
+    for (let i = 0; i < addCount; i++) candidates.push(addAt + i);
+
+    const request = this.#getViewRequest();
+    const matches = createRowFilter(request);
+    const compare = createViewComparator(this.#data, request);
+    const incoming = (
+      matches ? candidates.filter((i) => matches(this.#data[i])) : candidates
+    ).sort(compare);
+
+    // Merge two lists that are both in view order
+    const merged = new Array(view.length + incoming.length);
+    let a = 0;
+    let b = 0;
+    for (let i = 0; i < merged.length; i++) {
+      if (
+        b >= incoming.length ||
+        (a < view.length && compare(view[a], incoming[b]) <= 0)
+      ) {
+        merged[i] = view[a++];
+      } else {
+        merged[i] = incoming[b++];
+      }
+    }
 
-      this.#emit('sort', { column: columnId, direction });
-      this.#emit('sort:after', { column: columnId, direction });
-    });
+    this.#view = merged;
+    this.#updateRows();
   }
 
-  // ==========================================================================
-  // FILTERING
-  // ==========================================================================
+  /**
+   * Get state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      data: this.#data,
+      view: this.#view,
+      columns: this.#columns,
+      selected: Array.from(this.#selected),
+      sort: this.#sort[0]
+        ? { ...this.#sort[0] }
+        : { column: null, direction: null },
+      sortModel: this.getSortModel(),
+      globalFilter: this.#globalFilter,
+      searchQuery: this.#searchQuery
+        ? JSON.parse(JSON.stringify(this.#searchQuery))
+        : null,
+      columnFilters: this.getColumnFilters(),
+      filterModel: this.getFilterModel(),
+      columnWidths: Object.fromEntries(this.#columnWidths),
+      columnOrder: this.getColumnOrder(),
+      hiddenColumns: this.#columns
+        .filter((col) => this.#hiddenColumns.has(col.id))
+        .map((col) => col.id),
+      collapsedGroups: [...this.#columnGroups.values()]
+        .filter((group) => group.collapsed)
+        .map((group) => group.id),
+      groupBy: [...this.#groupBy],
+      pivot: this.getPivot(),
+      expandedRows: [...this.#expandedRows],
+      pinnedLeft: this.#getPinnedIds('left'),
+      pinnedRight: this.#getPinnedIds('right'),
+      pinnedRows: {
+        top: this.#pinnedRows.top.map(({ id }) => id),
+        bottom: this.#pinnedRows.bottom.map(({ id }) => id),
+      },
+      rowCount: this.#view.length,
+      totalCount: this.#data.length,
+      page: this.#page,
+      pageSize: this.#pageSize,
+      pageCount: this.#getPageCount(),
+    };
+  }
 
   /**
-   * Filter by search term
-   * @param {string} term - Search term
+   * Set column width
+   * @param {string} columnId - Column ID
+   * @param {number} width - Width in pixels
    */
-  filter(term) {
-    this.#globalFilter = term?.toLowerCase() || '';
+  setColumnWidth(columnId, width) {
+    this.#columnWidths.set(columnId, width);
+    this.#renderHeader();
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render();
+    this.#emit('column:resize', { columnId, width });
+  }
 
-    this.#withLoader(() => {
-      // Rebuild view
-      this.#rebuildView();
+  /**
+   * Get column width
+   * @param {string} columnId - Column ID
+   * @returns {number|undefined}
+   */
+  getColumnWidth(columnId) {
+    return this.#columnWidths.get(columnId);
+  }
 
-      // Reset scroll and force render
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
+  /**
+   * Get all column widths
+   * @returns {Object}
+   */
+  getColumnWidths() {
+    return Object.fromEntries(this.#columnWidths);
+  }
 
-      this.#emit('filter', { term });
-      this.#emit('filter:after', { term, count: this.#view.length });
-    });
+  /**
+   * Reset all column widths to default
+   */
+  resetColumnWidths() {
+    this.#columnWidths.clear();
+    this.#renderHeader();
+    this.#renderedRange = { start: -1, end: -1 };
+    this.#render();
+    this.#emit('column:resize:reset');
   }
 
   /**
-   * Filter by column
+   * Pin a column to the left or right edge, so it stays in view while the
+   * other columns scroll sideways
    * @param {string} columnId - Column ID
-   * @param {*} value - Filter value
+   * @param {'left'|'right'} [side='left']
+   * @returns {boolean} False if the column doesn't exist
    */
-  filterColumn(columnId, value) {
-    if (value === '' || value === null || value === undefined) {
-      delete this.#columnFilters[columnId];
-    } else {
-      this.#columnFilters[columnId] = value;
+  pinColumn(columnId, side = 'left') {
+    if (side !== 'left' && side !== 'right') {
+      throw new Error(
+        `BWDataTable: pinColumn() side must be 'left' or 'right', got "${side}"`
+      );
     }
-
-    this.#withLoader(() => {
-      this.#rebuildView();
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
-    });
+    return this.#setColumnPin(columnId, side);
   }
 
   /**
-   * Clear all filters
+   * Let a pinned column scroll with the others again
+   * @param {string} columnId - Column ID
+   * @returns {boolean} False if the column doesn't exist
    */
-  clearFilters() {
-    this.#globalFilter = '';
-    this.#columnFilters = {};
-
-    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
-    if (searchInput) searchInput.value = '';
-
-    this.#withLoader(() => {
-      this.#rebuildView();
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
-
-      this.#emit('filter:clear');
-    });
+  unpinColumn(columnId) {
+    return this.#setColumnPin(columnId, null);
   }
 
   /**
-   * Clear sort
+   * Pinned column IDs, in display order
+   * @param {'left'|'right'} side
+   * @returns {string[]}
    */
-  clearSort() {
-    this.#sort = { column: null, direction: null };
-
-    this.#withLoader(() => {
-      this.#rebuildView();
-      this.#renderHeader();
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
-
-      this.#emit('sort:clear');
-    });
+  #getPinnedIds(side) {
+    return this.#columns
+      .filter((col) => this.#pinnedColumns.get(col.id) === side)
+      .map((col) => col.id);
   }
 
   /**
-   * Reset table (clear filters and sort)
+   * @param {string} columnId
+   * @param {'left'|'right'|null} side
+   * @returns {boolean}
    */
-  reset() {
-    this.#globalFilter = '';
-    this.#columnFilters = {};
-    this.#sort = { column: null, direction: null };
+  #setColumnPin(columnId, side) {
+    if (!this.#columns.some((c) => c.id === columnId)) return false;
+    if ((this.#pinnedColumns.get(columnId) ?? null) === side) return true;
 
-    const searchInput = this.#wrapper.querySelector('.bw-datatable__search');
-    if (searchInput) searchInput.value = '';
+    this.#updateColumns(() => {
+      if (side) {
+        this.#pinnedColumns.set(columnId, side);
+      } else {
+        this.#pinnedColumns.delete(columnId);
+        this.#pinnedWidths.delete(columnId);
+      }
+      this.#columns = this.#arrangeColumns(this.#columns);
+    });
 
-    this.#withLoader(() => {
-      this.#rebuildView();
-      this.#renderHeader();
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
+    this.#emit('column:pin', { columnId, side });
+    return true;
+  }
 
-      this.#emit('reset');
-    });
+  /**
+   * Column IDs in display order
+   * @returns {string[]}
+   */
+  getColumnOrder() {
+    return this.#columns.map((col) => col.id);
   }
 
-  // ==========================================================================
-  // VIEW BUILDING (Filter + Sort)
-  // ==========================================================================
+  /**
+   * Move a column to another display position. Pinned columns stay in
+   * their pinned group (and unpinned ones out of it), and columns of a
+   * column group within it.
+   * @param {string} columnId - Column ID
+   * @param {number} toIndex - New index in getColumnOrder()
+   * @returns {boolean} False if the column doesn't exist
+   */
+  moveColumn(columnId, toIndex) {
+    const order = this.getColumnOrder();
+    const fromIndex = order.indexOf(columnId);
+    if (fromIndex === -1) return false;
+
+    order.splice(fromIndex, 1);
+    const index = Math.max(0, Math.min(toIndex, order.length));
+    order.splice(
+      this.#snapToGroups(columnId, order, index, fromIndex),
+      0,
+      columnId
+    );
+    this.#applyColumnOrder(order, columnId);
+    return true;
+  }
 
-  #rebuildView() {
-    // Start with all indices
-    let indices = this.#data.map((_, i) => i);
-
-    // Apply global filter
-    if (this.#globalFilter) {
-      const term = this.#globalFilter;
-      indices = indices.filter((i) => {
-        const row = this.#data[i];
-        return this.#columns.some((col) => {
-          const value = row[col.field || col.id];
-          return String(value ?? '')
-            .toLowerCase()
-            .includes(term);
-        });
-      });
+  /**
+   * Set the display order of the columns. Unknown IDs are ignored; columns
+   * not listed keep their relative order after the listed ones.
+   * @param {string[]} columnIds
+   */
+  setColumnOrder(columnIds) {
+    if (!Array.isArray(columnIds)) {
+      throw new Error('BWDataTable: setColumnOrder() expects an array of IDs');
     }
 
-    // Apply column filters
-    for (const [columnId, filterValue] of Object.entries(this.#columnFilters)) {
-      const col = this.#columns.find((c) => c.id === columnId);
-      if (!col) continue;
-
-      const field = col.field || col.id;
-      const filterLower = String(filterValue).toLowerCase();
-
-      indices = indices.filter((i) => {
-        const value = this.#data[i][field];
-        return String(value ?? '')
-          .toLowerCase()
-          .includes(filterLower);
-      });
+    const current = this.getColumnOrder();
+    const order = [...new Set(columnIds)].filter((id) => current.includes(id));
+    for (const id of current) {
+      if (!order.includes(id)) order.push(id);
     }
+    this.#applyColumnOrder(order, null);
+  }
 
-    // Apply sort
-    if (this.#sort.column && this.#sort.direction) {
-      const col = this.#columns.find((c) => c.id === this.#sort.column);
-      const field = col?.field || this.#sort.column;
-      const mult = this.#sort.direction === 'asc' ? 1 : -1;
-      const type = col?.type || 'string';
-
-      indices.sort((aIdx, bIdx) => {
-        const a = this.#data[aIdx][field];
-        const b = this.#data[bIdx][field];
-
-        // Null handling
-        if (a == null && b == null) return 0;
-        if (a == null) return 1;
-        if (b == null) return -1;
-
-        // Compare based on type
-        let result;
-        switch (type) {
-          case 'number':
-            result = Number(a) - Number(b);
-            break;
-          case 'date':
-            result = new Date(a).getTime() - new Date(b).getTime();
-            break;
-          default:
-            result = String(a).localeCompare(String(b));
-        }
+  /**
+   * @param {string[]} order - Every column ID, once
+   * @param {string|null} columnId - The column moved by moveColumn()
+   */
+  #applyColumnOrder(order, columnId) {
+    const previousOrder = this.getColumnOrder();
+    const byId = new Map(this.#columns.map((col) => [col.id, col]));
+    const columns = this.#arrangeColumns(order.map((id) => byId.get(id)));
+    if (columns.every((col, i) => col.id === previousOrder[i])) return;
+
+    this.#updateColumns(() => {
+      this.#columns = columns;
+    });
 
-        return result * mult;
-      });
+    const detail = { order: this.getColumnOrder(), previousOrder };
+    if (columnId) {
+      detail.columnId = columnId;
+      detail.fromIndex = previousOrder.indexOf(columnId);
+      detail.toIndex = detail.order.indexOf(columnId);
     }
+    this.#emit('column:move', detail);
+  }
 
-    this.#view = indices;
+  /**
+   * Hide a column. It can still be sorted and filtered by, and comes back
+   * where it was with showColumn().
+   * @param {string} columnId - Column ID
+   * @returns {boolean} False if the column doesn't exist
+   */
+  hideColumn(columnId) {
+    if (!this.#columns.some((c) => c.id === columnId)) return false;
+    this.setColumnVisibility({ [columnId]: false });
+    return true;
   }
 
-  // ==========================================================================
-  // SELECTION
-  // ==========================================================================
+  /**
+   * Show a hidden column
+   * @param {string} columnId - Column ID
+   * @returns {boolean} False if the column doesn't exist
+   */
+  showColumn(columnId) {
+    if (!this.#columns.some((c) => c.id === columnId)) return false;
+    this.setColumnVisibility({ [columnId]: true });
+    return true;
+  }
 
-  #handleRowSelect(rowId, selected) {
-    if (selected) {
-      this.#selected.add(rowId);
-    } else {
-      this.#selected.delete(rowId);
+  /**
+   * Show and hide several columns at once
+   * @param {Object<string, boolean>} visibility - Column ID -> visible;
+   *   columns not listed (and unknown IDs) are left alone
+   */
+  setColumnVisibility(visibility) {
+    if (!visibility || typeof visibility !== 'object') {
+      throw new Error(
+        'BWDataTable: setColumnVisibility() expects an object of column ID -> boolean'
+      );
+    }
+
+    const changes = {};
+    for (const col of this.#columns) {
+      if (!Object.hasOwn(visibility, col.id)) continue;
+      const visible = Boolean(visibility[col.id]);
+      if (visible !== !this.#hiddenColumns.has(col.id)) {
+        changes[col.id] = visible;
+      }
+    }
+    if (!Object.keys(changes).length) return;
+
+    // The cell being edited or focused may be going away
+    const isHiding = (cell) =>
+      changes[this.#columns[cell?.colIndex]?.id] === false;
+    if (isHiding(this.#editingCell)) this.#cancelEdit();
+    if (isHiding(this.#focusedCell)) this.#focusedCell = null;
+
+    this.#updateColumns(() => {
+      for (const [columnId, visible] of Object.entries(changes)) {
+        if (visible) {
+          this.#hiddenColumns.delete(columnId);
+        } else {
+          this.#hiddenColumns.add(columnId);
+        }
+      }
+    });
+
+    // Global search only looks in visible columns
+    if (this.#searchQuery && !this.#options.searchHidden) {
+      this.#refreshView(() => {
+        this.#renderedRange = { start: -1, end: -1 };
+        this.#render(true);
+      });
     }
 
-    // Force re-render visible rows to update checkboxes
-    this.#render(true);
+    if (this.#isColumnChooserOpen()) this.#renderColumnChooser();
 
-    this.#emit('selection:change', {
-      selected: Array.from(this.#selected),
-      count: this.#selected.size,
+    this.#emit('column:visibility', {
+      changes,
+      hiddenColumns: this.getState().hiddenColumns,
     });
   }
 
-  #handleSelectAll(selected) {
-    this.#withLoader(() => {
-      if (selected) {
-        // Select all rows in current view (filtered data)
-        this.#view.forEach((dataIndex) => {
-          const row = this.#data[dataIndex];
-          const rowId = this.#getRowId(row, dataIndex);
-          this.#selected.add(rowId);
-        });
-      } else {
-        this.#selected.clear();
-      }
-
-      // Force re-render
-      this.#render(true);
-
-      this.#emit('selection:change', {
-        selected: Array.from(this.#selected),
-        count: this.#selected.size,
-      });
-    });
+  /**
+   * Collapse a column group to its summary columns (see `groupShow`)
+   * @param {string} groupId - Group ID
+   * @returns {boolean} False if the group doesn't exist
+   */
+  collapseColumnGroup(groupId) {
+    return this.#setGroupCollapsed(groupId, true);
   }
 
-  #updateSelectAllCheckbox() {
-    const checkbox = this.#thead.querySelector('.bw-datatable__select-all');
-    if (!checkbox) return;
+  /**
+   * Expand a collapsed column group
+   * @param {string} groupId - Group ID
+   * @returns {boolean} False if the group doesn't exist
+   */
+  expandColumnGroup(groupId) {
+    return this.#setGroupCollapsed(groupId, false);
+  }
 
-    const totalVisible = this.#view.length;
-    const selectedVisible = this.#view.filter((dataIndex) => {
-      const row = this.#data[dataIndex];
-      const rowId = this.#getRowId(row, dataIndex);
-      return this.#selected.has(rowId);
-    }).length;
+  /**
+   * Group rows by columns, outermost group first. An empty array turns
+   * grouping off. Unknown IDs are ignored.
+   * @param {string[]} columnIds
+   */
+  setGroupBy(columnIds) {
+    if (!Array.isArray(columnIds)) {
+      throw new Error('BWDataTable: setGroupBy() expects an array of IDs');
+    }
 
-    checkbox.checked = totalVisible > 0 && selectedVisible === totalVisible;
-    checkbox.indeterminate =
-      selectedVisible > 0 && selectedVisible < totalVisible;
-  }
+    const groupBy = this.#toGroupBy(columnIds);
+    const previousGroupBy = this.#groupBy;
+    if (
+      groupBy.length === previousGroupBy.length &&
+      groupBy.every((id, i) => id === previousGroupBy[i])
+    ) {
+      return;
+    }
 
-  // Public selection methods
-  selectAll() {
-    this.#handleSelectAll(true);
-  }
+    // Rows move around, so start over from the top
+    const previousPage = this.#page;
+    this.#page = 0;
+    this.#cancelEdit();
+    this.#focusedCell = null;
+    this.#groupBy = groupBy;
+    this.#toggledGroups.clear();
+    this.#updateRows();
+    this.#renderGroupPanel();
 
-  clearSelection() {
-    this.#selected.clear();
+    this.#scrollContainer.scrollTop = 0;
+    this.#scrollTop = 0;
+    this.#renderedRange = { start: -1, end: -1 };
     this.#render(true);
-    this.#emit('selection:change', { selected: [], count: 0 });
+
+    this.#emit('group:change', { groupBy: [...groupBy], previousGroupBy });
+    this.#emitPageChange(previousPage);
   }
 
-  getSelected() {
-    return this.#view
-      .map((dataIndex) => this.#data[dataIndex])
-      .filter((row) =>
-        this.#selected.has(this.#getRowId(row, this.#data.indexOf(row)))
-      );
+  /**
+   * Column IDs the rows are grouped by
+   * @returns {string[]}
+   */
+  getGroupBy() {
+    return [...this.#groupBy];
   }
 
-  getSelectedIds() {
-    return Array.from(this.#selected);
+  /**
+   * Expand a row group
+   * @param {Array} path - Group values from the outermost group, e.g.
+   *   ['East', 'Sales']
+   * @returns {boolean} False if there is no such group
+   */
+  expandGroup(path) {
+    const key = JSON.stringify(path);
+    if (!this.#groupKeys.has(key)) return false;
+    this.#setGroupExpanded(key, true);
+    return true;
   }
 
-  // ==========================================================================
-  // PUBLIC API
-  // ==========================================================================
+  /**
+   * Collapse a row group
+   * @param {Array} path - Group values from the outermost group
+   * @returns {boolean} False if there is no such group
+   */
+  collapseGroup(path) {
+    const key = JSON.stringify(path);
+    if (!this.#groupKeys.has(key)) return false;
+    this.#setGroupExpanded(key, false);
+    return true;
+  }
 
   /**
-   * Set new data
-   * @param {Array} data - New data array
+   * Expand every row group (including ones that appear later)
    */
-  setData(data) {
-    this.#data = data || [];
-    this.#selected.clear();
+  expandAllGroups() {
+    this.#setAllGroupsExpanded(true);
+  }
 
-    // For setData, check NEW data size
-    const needsLoader = this.#data.length > this.#loaderThreshold;
+  /**
+   * Collapse every row group (including ones that appear later)
+   */
+  collapseAllGroups() {
+    this.#setAllGroupsExpanded(false);
+  }
 
-    if (needsLoader) {
-      this.#showLoader();
-      setTimeout(() => {
-        this.#rebuildView();
-        this.#scrollContainer.scrollTop = 0;
-        this.#scrollTop = 0;
-        this.#renderedRange = { start: -1, end: -1 };
-        this.#render(true);
-        this.#hideLoader();
-      }, 10);
-    } else {
-      this.#rebuildView();
-      this.#scrollContainer.scrollTop = 0;
-      this.#scrollTop = 0;
-      this.#renderedRange = { start: -1, end: -1 };
-      this.#render(true);
-    }
+  /**
+   * @param {boolean} expanded
+   */
+  #setAllGroupsExpanded(expanded) {
+    this.#updateRowsKeepingFocus(() => {
+      this.#groupsExpanded = expanded;
+      this.#toggledGroups.clear();
+    });
+    this.#emit('group:toggle', { path: null, expanded });
   }
 
   /**
-   * Get all data
-   * @returns {Array}
+   * Expand a tree node, loading its children first if needed
+   * @param {string} rowId - Row ID
+   * @returns {boolean} False without tree data or if the row doesn't exist
    */
-  getData() {
-    return this.#data;
+  expandNode(rowId) {
+    return this.#setNodeExpandedById(rowId, true);
   }
 
   /**
-   * Get filtered data
-   * @returns {Array}
+   * Collapse a tree node
+   * @param {string} rowId - Row ID
+   * @returns {boolean} False without tree data or if the row doesn't exist
    */
-  getFilteredData() {
-    return this.#view.map((i) => this.#data[i]);
+  collapseNode(rowId) {
+    return this.#setNodeExpandedById(rowId, false);
   }
 
   /**
-   * Get row count
-   * @returns {Object} { total, filtered }
+   * Expand every tree node whose children are there (children still to
+   * be loaded aren't requested)
    */
-  getRowCount() {
-    return {
-      total: this.#data.length,
-      filtered: this.#view.length,
-    };
+  expandAllNodes() {
+    this.#setAllNodesExpanded(true);
   }
 
   /**
-   * Scroll to row
-   * @param {number} index - Row index
+   * Collapse every tree node
    */
-  scrollToRow(index) {
-    const top = index * this.#rowHeight;
-    this.#scrollContainer.scrollTop = top;
+  collapseAllNodes() {
+    this.#setAllNodesExpanded(false);
   }
 
   /**
-   * Scroll to top
+   * @param {boolean} expanded
    */
-  scrollToTop() {
-    this.#scrollContainer.scrollTop = 0;
+  #setAllNodesExpanded(expanded) {
+    if (!this.#treeData) return;
+
+    this.#updateRowsKeepingFocus(() => {
+      this.#nodesExpanded = expanded;
+      this.#toggledNodes.clear();
+    });
+    this.#emit('tree:toggle', { rowId: null, expanded });
   }
 
   /**
-   * Scroll to bottom
+   * Show a row's details (from detailRenderer) under it
+   * @param {string} rowId - Row ID
+   * @returns {boolean} False without a detailRenderer or if the row
+   *   doesn't exist
    */
-  scrollToBottom() {
-    this.#scrollContainer.scrollTop = this.#view.length * this.#rowHeight;
+  expandRow(rowId) {
+    return this.#setRowExpandedById(rowId, true);
   }
 
   /**
-   * Update a cell value programmatically
+   * Hide a row's details
    * @param {string} rowId - Row ID
-   * @param {string} columnId - Column ID
-   * @param {*} value - New value
+   * @returns {boolean} False without a detailRenderer or if the row
+   *   doesn't exist
    */
-  updateCell(rowId, columnId, value) {
-    // Find row by ID
-    const dataIndex = this.#data.findIndex((row, i) => {
-      return this.#getRowId(row, i) === String(rowId);
-    });
+  collapseRow(rowId) {
+    return this.#setRowExpandedById(rowId, false);
+  }
 
-    if (dataIndex === -1) return false;
+  /**
+   * @param {string} rowId - Row ID
+   * @returns {boolean} Whether the row's details are shown
+   */
+  isRowExpanded(rowId) {
+    return this.#expandedRows.has(String(rowId));
+  }
 
-    const row = this.#data[dataIndex];
-    const column = this.#columns.find((c) => c.id === columnId);
-    if (!column) return false;
+  /**
+   * Aggregates of the filtered rows, or of one row group
+   * @param {Array} [path] - Group values from the outermost group, e.g.
+   *   ['East', 'Sales']; leave out for the whole view
+   * @returns {Object|null} columnId -> aggregate, for the columns with an
+   *   `aggregate`; null if there are none or no such group
+   */
+  getAggregates(path) {
+    if (!path?.length) return this.#getAggregates('');
 
-    const field = column.field || column.id;
-    const oldValue = row[field];
+    const key = JSON.stringify(path);
+    return this.#groupKeys.has(key) ? this.#getAggregates(key) : null;
+  }
 
-    row[field] = value;
+  /**
+   * Pivot the rows: a row per combination of the `rows` columns' values,
+   * and per combination of the `columns` columns' values a column for each
+   * of the `values`, aggregated. Null (or an empty config) shows the rows
+   * as they were. Unknown column IDs are ignored.
+   * @param {Object|null} config - { rows, columns, values }, values being
+   *   column IDs (summed) or { column, aggregate }
+   */
+  setPivot(config) {
+    const pivot = this.#toPivotConfig(config);
+    if (!pivot && !this.#pivot) return;
+
+    const previousPivot = this.getPivot();
+    const previousPage = this.#page;
+    this.#page = 0;
+    this.#cancelEdit();
+    if (pivot) {
+      this.#applyPivot(pivot);
+    } else {
+      this.#leavePivot();
+    }
+    this.#updateRows();
 
-    // Force re-render
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render(true);
+    this.#renderHeader();
+    this.#renderGroupPanel();
+    this.#renderPivotPanel();
+    if (this.#isColumnChooserOpen()) this.#renderColumnChooser();
 
-    this.#emit('cell:edit', {
-      rowId,
-      columnId,
-      field,
-      oldValue,
-      newValue: value,
-      row: { ...row },
+    this.#refreshView(() => {
+      this.#scrollContainer.scrollTop = 0;
+      this.#scrollTop = 0;
+      this.#renderedRange = { start: -1, end: -1 };
+      this.#render(true);
+      this.#emitPageChange(previousPage);
     });
 
-    return true;
+    this.#emit('pivot:change', { pivot: this.getPivot(), previousPivot });
   }
 
   /**
-   * Get row by ID
-   * @param {string} rowId - Row ID
-   * @returns {Object|null}
+   * The pivot config, null when not pivoted
+   * @returns {Object|null} { rows, columns, values: [{ column, aggregate }] }
    */
-  getRowById(rowId) {
-    const dataIndex = this.#data.findIndex((row, i) => {
-      return this.#getRowId(row, i) === String(rowId);
-    });
-
-    if (dataIndex === -1) return null;
-    return { ...this.#data[dataIndex] };
+  getPivot() {
+    if (!this.#pivot) return null;
+    return {
+      rows: [...this.#pivot.rows],
+      columns: [...this.#pivot.columns],
+      values: this.#pivot.values.map((value) => ({ ...value })),
+    };
   }
 
   /**
-   * Update entire row
+   * Pin a row above or below the scrolling rows, where it stays whatever
+   * the scroll position, sort and filters
    * @param {string} rowId - Row ID
-   * @param {Object} newData - New row data
+   * @param {'top'|'bottom'} [side='top']
+   * @returns {boolean} False if the row doesn't exist
    */
-  updateRow(rowId, newData) {
+  pinRow(rowId, side = 'top') {
+    this.#assertRowSide('pinRow', side);
+
     const dataIndex = this.#data.findIndex((row, i) => {
-      return this.#getRowId(row, i) === String(rowId);
+      return row !== undefined && this.#getRowId(row, i) === String(rowId);
     });
-
     if (dataIndex === -1) return false;
 
-    const oldRow = { ...this.#data[dataIndex] };
-    this.#data[dataIndex] = { ...this.#data[dataIndex], ...newData };
-
-    // Force re-render
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render(true);
-
-    this.#emit('row:update', {
-      rowId,
-      oldRow,
-      newRow: { ...this.#data[dataIndex] },
+    this.#removePinnedRow(String(rowId));
+    this.#pinnedRows[side].push({
+      id: String(rowId),
+      row: this.#data[dataIndex],
     });
 
+    this.#rerenderKeepingEdit();
+    this.#emit('row:pin', { rowId, side });
     return true;
   }
 
   /**
-   * Get state
-   * @returns {Object}
+   * Put a row pinned with pinRow() (or the pinned row options) back
+   * @param {string} rowId - Row ID
+   * @returns {boolean} False if the row wasn't pinned
    */
-  getState() {
-    return {
-      data: this.#data,
-      view: this.#view,
-      columns: this.#columns,
-      selected: Array.from(this.#selected),
-      sort: { ...this.#sort },
-      globalFilter: this.#globalFilter,
-      columnFilters: { ...this.#columnFilters },
-      columnWidths: Object.fromEntries(this.#columnWidths),
-      rowCount: this.#view.length,
-      totalCount: this.#data.length,
-    };
-  }
+  unpinRow(rowId) {
+    if (!this.#removePinnedRow(String(rowId))) return false;
 
-  /**
-   * Set column width
-   * @param {string} columnId - Column ID
-   * @param {number} width - Width in pixels
-   */
-  setColumnWidth(columnId, width) {
-    this.#columnWidths.set(columnId, width);
-    this.#renderHeader();
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render();
-    this.#emit('column:resize', { columnId, width });
+    this.#rerenderKeepingEdit();
+    this.#emit('row:pin', { rowId, side: null });
+    return true;
   }
 
   /**
-   * Get column width
-   * @param {string} columnId - Column ID
-   * @returns {number|undefined}
+   * Replace the rows pinned to one side, e.g. to update a totals row
+   * @param {'top'|'bottom'} side
+   * @param {Object[]} rows - Row objects, not necessarily in the data
    */
-  getColumnWidth(columnId) {
-    return this.#columnWidths.get(columnId);
+  setPinnedRows(side, rows) {
+    this.#assertRowSide('setPinnedRows', side);
+    this.#pinnedRows[side] = this.#toPinnedRows(rows, side);
+    this.#rerenderKeepingEdit();
   }
 
   /**
-   * Get all column widths
-   * @returns {Object}
+   * @param {string} method - API method, for the error message
+   * @param {string} side
    */
-  getColumnWidths() {
-    return Object.fromEntries(this.#columnWidths);
+  #assertRowSide(method, side) {
+    if (side !== 'top' && side !== 'bottom') {
+      throw new Error(
+        `BWDataTable: ${method}() side must be 'top' or 'bottom', got "${side}"`
+      );
+    }
   }
 
   /**
-   * Reset all column widths to default
+   * @param {string} rowId
+   * @returns {boolean} Whether the row was pinned
    */
-  resetColumnWidths() {
-    this.#columnWidths.clear();
-    this.#renderHeader();
-    this.#renderedRange = { start: -1, end: -1 };
-    this.#render();
-    this.#emit('column:resize:reset');
+  #removePinnedRow(rowId) {
+    let removed = false;
+    for (const side of ['top', 'bottom']) {
+      const rows = this.#pinnedRows[side];
+      const index = rows.findIndex(({ id }) => id === rowId);
+      if (index !== -1) {
+        rows.splice(index, 1);
+        removed = true;
+      }
+    }
+    return removed;
   }
 
   /**
    * Destroy table
    */
   destroy() {
+    this.#documentListeners.abort();
+    this.#abortBlockRequests();
+    if (this.#viewWorker) this.#viewWorker.terminate();
+    this.#viewWorker = false;
     this.#container.innerHTML = '';
     this.#eventHandlers = {};
   }
@@ -1726,6 +7707,7 @@ class BWDataTable {
       },
       getState: () => this.getState(),
       getOptions: () => ({ ...this.#options }),
+      registerSortType: (name, compare) => this.registerSortType(name, compare),
       options: pluginOptions,
     };
   }
@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * Black & White UI Engineering
+ * BWDataTable - Pivot
+ * ============================================================================
+ *
+ * Pivots rows: one output row per combination of the row dimensions, and
+ * per combination of the column dimensions a cell for each value measure,
+ * aggregated with Aggregates (one scope per row/column combination).
+ *
+ * Dimension values are sorted ascending, blanks last. The table builds the
+ * grouped headers from the `path` of each generated column.
+ *
+ * @module core/Pivot
+ * @license MIT
+ * ============================================================================
+ */
+
+import { Aggregates } from './Aggregates.js';
+
+/**
+ * Blank values (undefined, null, '') are one value
+ * @param {*} value
+ * @returns {*}
+ */
+function normalize(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Order of dimension values: numbers and dates by value, the rest as
+ * strings, blanks last
+ * @param {Intl.Collator} collator
+ * @returns {Function} (a, b) => number
+ */
+function createValueComparator(collator) {
+  return (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    if (
+      (typeof a === 'number' && typeof b === 'number') ||
+      (a instanceof Date && b instanceof Date)
+    ) {
+      return a - b;
+    }
+    return collator.compare(String(a), String(b));
+  };
+}
+
+/**
+ * The distinct combinations of some dimensions, sorted
+ * @param {Map<string, Array>} keys - Combination key -> values
+ * @param {Function} compare - Value comparator
+ * @returns {Array<[string, Array]>}
+ */
+function sortKeys(keys, compare) {
+  return [...keys].sort(([, a], [, b]) => {
+    for (let i = 0; i < a.length; i++) {
+      const order = compare(a[i], b[i]);
+      if (order) return order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * @param {Object[]} data - Source rows
+ * @param {Object} config
+ * @param {Object[]} config.rows - Row dimensions: [{ id, field }]
+ * @param {Object[]} config.columns - Column dimensions: [{ id, field }]
+ * @param {Object[]} config.values - Measures: [{ field, aggregate }],
+ *   aggregate being one of AGGREGATES or a function (values, rows)
+ * @param {Intl.Collator} [collator] - For sorting string values
+ * @returns {{rows: Object[], columns: Object[]}} The pivoted rows (row
+ *   dimension values under their column IDs, cells under the generated
+ *   column IDs) and the generated columns: [{ id, path, value }], path
+ *   being the column dimension values and value the index of the measure
+ */
+export function createPivot(data, config, collator = new Intl.Collator()) {
+  const { rows: rowDims, columns: columnDims, values } = config;
+  const compare = createValueComparator(collator);
+  const valuesOf = (row, dims) =>
+    dims.map((dim) => normalize(row[dim.field || dim.id]));
+
+  // Custom aggregates need the rows of each scope
+  const custom = values.some((value) => typeof value.aggregate === 'function');
+  const scopeRows = new Map();
+
+  const aggregates = new Aggregates(
+    values.map((value, i) => ({
+      id: i,
+      field: value.field || value.id,
+      aggregate: value.aggregate,
+    })),
+    (scope) => scopeRows.get(scope) || []
+  );
+
+  const rowKeys = new Map();
+  const columnKeys = new Map();
+  const filled = new Set();
+
+  for (const row of data) {
+    const rowValues = valuesOf(row, rowDims);
+    const columnValues = valuesOf(row, columnDims);
+    const rowKey = JSON.stringify(rowValues);
+    const columnKey = JSON.stringify(columnValues);
+    if (!rowKeys.has(rowKey)) rowKeys.set(rowKey, rowValues);
+    if (!columnKeys.has(columnKey)) columnKeys.set(columnKey, columnValues);
+
+    const scope = `${rowKey}|${columnKey}`;
+    aggregates.add(row, [scope]);
+    filled.add(scope);
+    if (custom) {
+      if (!scopeRows.has(scope)) scopeRows.set(scope, []);
+      scopeRows.get(scope).push(row);
+    }
+  }
+
+  // No rows: still one column per measure
+  if (!columnKeys.size) columnKeys.set('[]', []);
+
+  const columns = [];
+  const sortedColumnKeys = sortKeys(columnKeys, compare);
+  sortedColumnKeys.forEach(([, path], k) => {
+    values.forEach((_, value) => {
+      columns.push({ id: `pivot-${k}-${value}`, path, value });
+    });
+  });
+
+  const rows = sortKeys(rowKeys, compare).map(([rowKey, rowValues]) => {
+    const row = {};
+    rowDims.forEach((dim, i) => {
+      row[dim.field || dim.id] = rowValues[i];
+    });
+
+    sortedColumnKeys.forEach(([columnKey], k) => {
+      // Combinations without rows stay empty rather than counting 0
+      const scope = `${rowKey}|${columnKey}`;
+      if (!filled.has(scope)) return;
+
+      const cell = aggregates.get(scope);
+      values.forEach((_, value) => {
+        row[`pivot-${k}-${value}`] = cell[value];
+      });
+    });
+
+    return row;
+  });
+
+  return { rows, columns };
+}
+
+export default createPivot;
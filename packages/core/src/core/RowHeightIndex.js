@@ -0,0 +1,122 @@
+/**
+ * ============================================================================
+ * Black & White UI Engineering
+ * BWDataTable - RowHeightIndex
+ * ============================================================================
+ *
+ * Row heights for the virtualizer when rows aren't all the same height.
+ *
+ * A Fenwick (binary indexed) tree over the heights, so that for 100k rows
+ * both directions stay O(log n):
+ * - offsetOf(i): top of row i (sum of the heights above it)
+ * - indexAt(y):  row under a scroll offset
+ * and changing one row's height (after measuring it) is O(log n) too.
+ *
+ * @module core/RowHeightIndex
+ * @license MIT
+ * ============================================================================
+ */
+
+export class RowHeightIndex {
+  /** @type {Float64Array} Height of each row */
+  #heights = new Float64Array(0);
+
+  /** @type {Float64Array} Fenwick tree, 1-based */
+  #tree = new Float64Array(1);
+
+  /** @type {number} Highest power of two <= length, for indexAt() */
+  #topStep = 0;
+
+  /**
+   * Replace all heights - O(n)
+   * @param {ArrayLike<number>} heights - One height per row
+   */
+  reset(heights) {
+    const n = heights.length;
+    this.#heights = Float64Array.from(heights);
+    this.#tree = new Float64Array(n + 1);
+
+    for (let i = 1; i <= n; i++) {
+      this.#tree[i] += this.#heights[i - 1];
+      const parent = i + (i & -i);
+      if (parent <= n) this.#tree[parent] += this.#tree[i];
+    }
+
+    this.#topStep = 1;
+    while (this.#topStep * 2 <= n) this.#topStep *= 2;
+  }
+
+  /** @type {number} Number of rows */
+  get length() {
+    return this.#heights.length;
+  }
+
+  /**
+   * Height of one row
+   * @param {number} index
+   * @returns {number}
+   */
+  get(index) {
+    return this.#heights[index] ?? 0;
+  }
+
+  /**
+   * Change one row's height
+   * @param {number} index
+   * @param {number} height
+   */
+  set(index, height) {
+    const delta = height - this.#heights[index];
+    if (!delta) return;
+
+    this.#heights[index] = height;
+    for (let i = index + 1; i < this.#tree.length; i += i & -i) {
+      this.#tree[i] += delta;
+    }
+  }
+
+  /**
+   * Top of a row: the heights of all rows above it
+   * @param {number} index - 0..length (length = total height)
+   * @returns {number}
+   */
+  offsetOf(index) {
+    let offset = 0;
+    for (let i = Math.min(index, this.length); i > 0; i -= i & -i) {
+      offset += this.#tree[i];
+    }
+    return offset;
+  }
+
+  /**
+   * Total height of all rows
+   * @returns {number}
+   */
+  total() {
+    return this.offsetOf(this.length);
+  }
+
+  /**
+   * Row at a vertical offset
+   * @param {number} offset
+   * @returns {number} 0..length (length when past the last row)
+   */
+  indexAt(offset) {
+    if (offset < 0) return 0;
+
+    let index = 0;
+    let remaining = offset;
+
+    for (let step = this.#topStep; step > 0; step >>= 1) {
+      const next = index + step;
+      if (next < this.#tree.length && this.#tree[next] <= remaining) {
+        index = next;
+        remaining -= this.#tree[next];
+      }
+    }
+
+    return index;
+  }
+}
+
+export default RowHeightIndex;
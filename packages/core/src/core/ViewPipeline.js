@@ -0,0 +1,671 @@
+/**
+ * ============================================================================
+ * Black & White UI Engineering
+ * BWDataTable - ViewPipeline
+ * ============================================================================
+ *
+ * Filter + sort pipeline: turns raw rows into the view (row indices in
+ * display order).
+ *
+ * createViewPipeline() is self-contained - it references nothing outside
+ * its own body - so the same source runs on the main thread and, shipped
+ * as a string, inside the view worker (see ViewWorker.js).
+ *
+ * View request shape:
+ *   columns, searchColumns, searchQuery, searchMode, sortByRelevance,
+ *   columnFilters, filterModel, sort, sortTypes, collator
+ * (searchColumns: IDs of the columns free-text search terms look in;
+ * null for all of them). groupView() also takes groupBy: column IDs,
+ * outermost group first; treeView() the parent of each row.
+ *
+ * @module core/ViewPipeline
+ * @license MIT
+ * ============================================================================
+ */
+
+/**
+ * Create the pipeline functions
+ * @returns {Object} { computeView, createRowFilter, createComparator, ... }
+ */
+export function createViewPipeline() {
+  /** Max start positions tried per fuzzy match (bounds cost on long text) */
+  const FUZZY_MAX_STARTS = 8;
+
+  /**
+   * Compute the view for a request
+   * @param {Array} rows - Raw data
+   * @param {Object} request - View request
+   * @returns {number[]} Data indices in display order
+   */
+  function computeView(rows, request) {
+    const { searchQuery } = request;
+    const fuzzy = isFuzzySearch(request);
+
+    // Fuzzy search is scored separately to keep the relevance
+    const matches = createRowFilter(
+      fuzzy ? { ...request, searchQuery: null } : request
+    );
+    const scoreRow = fuzzy
+      ? createFuzzyScorer(searchQuery, request.columns, request.searchColumns)
+      : null;
+    const relevance = fuzzy ? new Float64Array(rows.length) : null;
+
+    const indices = [];
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (matches && !matches(row)) continue;
+      if (scoreRow) {
+        const score = scoreRow(row);
+        if (score === -1) continue;
+        relevance[i] = score;
+      }
+      indices.push(i);
+    }
+
+    // Apply sort (or relevance order for an unsorted fuzzy search)
+    if (request.sort && request.sort.length > 0) {
+      indices.sort(createComparator(rows, request));
+    } else if (relevance && request.sortByRelevance) {
+      indices.sort((a, b) => relevance[b] - relevance[a] || a - b);
+    }
+
+    return indices;
+  }
+
+  /**
+   * Split a view into groups by the values of the groupBy columns, one
+   * level per column. Rows keep their view order within a group (so the
+   * sort applies inside it); groups are ordered by value, in the column's
+   * direction if the sort model has it, else ascending.
+   * @param {Array} rows - Raw data
+   * @param {number[]} view - Data indices in display order
+   * @param {Object} request - View request with groupBy
+   * @returns {Object[]} [{ columnId, value, path, rows, children }] - path
+   *   holds the values from the outermost group down, rows the data
+   *   indices, children the next level's groups (null on the last level)
+   */
+  function groupView(rows, view, request) {
+    const { groupBy, columns, sort } = request;
+
+    const split = (indices, level, parentPath) => {
+      const columnId = groupBy[level];
+      const field = findColumn(columns, columnId)?.field || columnId;
+      const buckets = new Map();
+
+      for (const i of indices) {
+        const value = rows[i][field];
+        const key = value instanceof Date ? value.getTime() : value;
+        let bucket = buckets.get(key);
+        if (!bucket) {
+          bucket = [];
+          buckets.set(key, bucket);
+        }
+        bucket.push(i);
+      }
+
+      // Order groups by their first row, sorting on the grouped column
+      const direction =
+        (sort || []).find((s) => s.column === columnId)?.direction || 'asc';
+      const compare = createComparator(rows, {
+        ...request,
+        sort: [{ column: columnId, direction }],
+      });
+
+      return [...buckets.values()]
+        .sort((a, b) => compare(a[0], b[0]))
+        .map((bucket) => {
+          const value = rows[bucket[0]][field];
+          const path = [...parentPath, value];
+          return {
+            columnId,
+            value,
+            path,
+            rows: bucket,
+            children:
+              level + 1 < groupBy.length
+                ? split(bucket, level + 1, path)
+                : null,
+          };
+        });
+    };
+
+    return groupBy.length ? split(view, 0, []) : [];
+  }
+
+  /**
+   * Arrange a view as a tree: the rows in it plus their ancestors (so a
+   * match deep down can be reached), each row's children in view order,
+   * so the sort applies among siblings
+   * @param {Array} rows - Raw data
+   * @param {number[]} view - Data indices in display order
+   * @param {Int32Array} parents - Parent data index of each row, -1 for
+   *   the top-level ones
+   * @param {Object} request - View request
+   * @returns {Object} { roots, children } - the top-level rows, and the
+   *   children of each row that has any (data index -> data indices)
+   */
+  function treeView(rows, view, parents, request) {
+    const kept = new Uint8Array(rows.length);
+    for (const i of view) kept[i] = 1;
+
+    // A kept parent's own ancestors are (or will be) kept already
+    const ancestors = [];
+    for (const i of view) {
+      for (let p = parents[i]; p !== -1 && !kept[p]; p = parents[p]) {
+        kept[p] = 1;
+        ancestors.push(p);
+      }
+    }
+
+    // Ancestors the filters left out have no place in the view order yet
+    const order = ancestors.length
+      ? view.concat(ancestors).sort(createViewComparator(rows, request))
+      : view;
+
+    const roots = [];
+    const children = new Map();
+    for (const i of order) {
+      const parent = parents[i];
+      if (parent === -1) {
+        roots.push(i);
+        continue;
+      }
+
+      let siblings = children.get(parent);
+      if (!siblings) {
+        siblings = [];
+        children.set(parent, siblings);
+      }
+      siblings.push(i);
+    }
+
+    return { roots, children };
+  }
+
+  /**
+   * Comparator for the order computeView() produces: the sort model,
+   * else relevance for an unsorted fuzzy search, else data order
+   * @param {Array} rows - Raw data
+   * @param {Object} request - View request
+   * @returns {Function} (aIdx, bIdx) => number
+   */
+  function createViewComparator(rows, request) {
+    if (request.sort && request.sort.length > 0) {
+      return createComparator(rows, request);
+    }
+
+    if (isFuzzySearch(request) && request.sortByRelevance) {
+      const scoreRow = createFuzzyScorer(
+        request.searchQuery,
+        request.columns,
+        request.searchColumns
+      );
+      return (a, b) => scoreRow(rows[b]) - scoreRow(rows[a]) || a - b;
+    }
+
+    return (a, b) => a - b;
+  }
+
+  function isFuzzySearch({ searchMode, searchQuery }) {
+    return (
+      searchMode === 'fuzzy' &&
+      Boolean(searchQuery) &&
+      searchQuery.terms.length > 0
+    );
+  }
+
+  /**
+   * Combine the global search, column filters and filter tree of a
+   * request into one row predicate
+   * @param {Object} request - View request
+   * @returns {Function|null} (row) => boolean, or null when nothing filters
+   */
+  function createRowFilter(request) {
+    const { columns, searchColumns, searchQuery, columnFilters, filterModel } =
+      request;
+    const tests = [];
+
+    if (searchQuery && searchQuery.terms.length > 0) {
+      if (request.searchMode === 'fuzzy') {
+        const scoreRow = createFuzzyScorer(searchQuery, columns, searchColumns);
+        tests.push((row) => scoreRow(row) !== -1);
+      } else {
+        tests.push(createSearchPredicate(searchQuery, columns, searchColumns));
+      }
+    }
+
+    for (const [columnId, filter] of Object.entries(columnFilters || {})) {
+      const col = findColumn(columns, columnId);
+      if (col) tests.push(createColumnPredicate(col, filter));
+    }
+
+    if (filterModel) tests.push(compileFilterNode(filterModel, columns));
+
+    if (tests.length === 0) return null;
+    if (tests.length === 1) return tests[0];
+    return (row) => tests.every((test) => test(row));
+  }
+
+  function findColumn(columns, id) {
+    return columns.find((c) => c.id === id);
+  }
+
+  /**
+   * Fields free-text search terms look in
+   * @param {Array} columns - Column definitions
+   * @param {string[]|null} [searchColumns] - Column IDs (null = all)
+   * @returns {string[]}
+   */
+  function getSearchFields(columns, searchColumns) {
+    return columns
+      .filter((col) => !searchColumns || searchColumns.includes(col.id))
+      .map((col) => col.field || col.id);
+  }
+
+  /**
+   * Build a row predicate for a parsed search query (all terms must match)
+   * @param {Object} query - { terms: [{ column, op, value, negate }] }
+   * @param {Array} columns - Column definitions
+   * @param {string[]|null} [searchColumns] - Columns free-text terms look in
+   * @returns {Function} (row) => boolean
+   */
+  function createSearchPredicate(query, columns, searchColumns) {
+    const fields = getSearchFields(columns, searchColumns);
+
+    const tests = [];
+
+    for (const { column, op, value, negate } of query.terms) {
+      let test;
+
+      if (column) {
+        // A column that's gone (e.g. columns swapped by a pivot) doesn't
+        // filter, like in column filters and the filter model
+        const col = findColumn(columns, column);
+        if (!col) continue;
+        test = createColumnPredicate(col, { op, value });
+      } else {
+        test = (row) =>
+          fields.some((field) =>
+            String(row[field] ?? '')
+              .toLowerCase()
+              .includes(value)
+          );
+      }
+
+      tests.push(negate ? (row) => !test(row) : test);
+    }
+
+    return (row) => tests.every((test) => test(row));
+  }
+
+  /**
+   * Build a row scorer for fuzzy search. Plain terms are fuzzy-matched
+   * against every column and add their best column score; negated and
+   * column:value terms stay exact filters.
+   * @param {Object} query - { terms: [{ column, op, value, negate }] }
+   * @param {Array} columns - Column definitions
+   * @param {string[]|null} [searchColumns] - Columns free-text terms look in
+   * @returns {Function} (row) => score, or -1 when the row doesn't match
+   */
+  function createFuzzyScorer(query, columns, searchColumns) {
+    const fields = getSearchFields(columns, searchColumns);
+    const fuzzyTerms = [];
+    const exactTerms = [];
+
+    for (const term of query.terms) {
+      if (!term.column && !term.negate) {
+        fuzzyTerms.push(term.value);
+      } else {
+        exactTerms.push(term);
+      }
+    }
+
+    const exact = exactTerms.length
+      ? createSearchPredicate({ terms: exactTerms }, columns, searchColumns)
+      : null;
+
+    return (row) => {
+      if (exact && !exact(row)) return -1;
+
+      let total = 0;
+      for (const pattern of fuzzyTerms) {
+        let best = -1;
+        for (const field of fields) {
+          const value = row[field];
+          if (value === null || value === undefined) continue;
+          const match = fuzzyMatch(String(value).toLowerCase(), pattern);
+          if (match && match.score > best) best = match.score;
+        }
+        if (best === -1) return -1;
+        total += best;
+      }
+
+      return total;
+    };
+  }
+
+  /**
+   * Fuzzy-match a pattern against text. Exact substrings score highest;
+   * otherwise the pattern's characters must appear in order. Consecutive
+   * characters and word starts score extra, gaps cost a little.
+   * @param {string} text - Lowercased text
+   * @param {string} pattern - Lowercased pattern
+   * @returns {Object|null} { score, ranges: [[start, end], ...] } or null
+   */
+  function fuzzyMatch(text, pattern) {
+    if (!pattern) return null;
+
+    const exact = text.indexOf(pattern);
+    if (exact !== -1) {
+      const match = fuzzyMatchFrom(text, pattern, exact);
+      match.score += 10;
+      return match;
+    }
+
+    let best = null;
+    let start = text.indexOf(pattern[0]);
+
+    for (let tries = 0; start !== -1 && tries < FUZZY_MAX_STARTS; tries++) {
+      const match = fuzzyMatchFrom(text, pattern, start);
+      // No match from here means none from any later start either
+      if (!match) break;
+      if (!best || match.score > best.score) best = match;
+      start = text.indexOf(pattern[0], start + 1);
+    }
+
+    return best;
+  }
+
+  function fuzzyMatchFrom(text, pattern, start) {
+    const ranges = [];
+    let score = 0;
+    let prev = -1;
+    let pos = start;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const idx = text.indexOf(pattern[i], pos);
+      if (idx === -1) return null;
+
+      if (prev !== -1 && idx === prev + 1) {
+        score += 5;
+        ranges[ranges.length - 1][1] = idx + 1;
+      } else {
+        if (prev !== -1) score -= Math.min(idx - prev - 1, 10) * 0.5;
+        ranges.push([idx, idx + 1]);
+      }
+
+      score += 1;
+      if (idx === 0 || !/[a-z0-9]/.test(text[idx - 1])) score += 3;
+
+      prev = idx;
+      pos = idx + 1;
+    }
+
+    return { score, ranges };
+  }
+
+  /**
+   * Compile a filter tree node into a row predicate. Conditions with an
+   * empty value match everything, as do empty groups.
+   * @param {Object} node - Group or condition
+   * @param {Array} columns - Column definitions
+   * @returns {Function} (row) => boolean
+   */
+  function compileFilterNode(node, columns) {
+    if (Array.isArray(node.children)) {
+      const children = node.children.map((child) =>
+        compileFilterNode(child, columns)
+      );
+      const test =
+        children.length === 0
+          ? () => true
+          : node.op === 'or'
+          ? (row) => children.some((matches) => matches(row))
+          : (row) => children.every((matches) => matches(row));
+      return node.not ? (row) => !test(row) : test;
+    }
+
+    const col = findColumn(columns, node.column);
+    const blank =
+      node.op !== 'empty' && (node.value === '' || node.value == null);
+    if (!col || blank) return () => true;
+
+    return createColumnPredicate(col, { op: node.op, value: node.value });
+  }
+
+  /**
+   * Build a row predicate for a column filter, comparing by column type
+   * @param {Object} col - Column definition
+   * @param {Object} filter - { op, value }
+   * @returns {Function} (row) => boolean
+   */
+  function createColumnPredicate(col, filter) {
+    const field = col.field || col.id;
+    const type = col.type || 'string';
+    const { op, value } = filter;
+
+    const get = (row) => row[field];
+    const comparable = (v) => toComparable(v, type);
+    const text = (v) => String(v ?? '').toLowerCase();
+
+    switch (op) {
+      case 'contains': {
+        const term = text(value);
+        return (row) => text(get(row)).includes(term);
+      }
+
+      case 'startsWith': {
+        const term = text(value);
+        return (row) => text(get(row)).startsWith(term);
+      }
+
+      case 'eq': {
+        const target = comparable(value);
+        return (row) => comparable(get(row)) === target;
+      }
+
+      case 'in': {
+        const targets = new Set(
+          (Array.isArray(value) ? value : [value]).map(comparable)
+        );
+        return (row) => targets.has(comparable(get(row)));
+      }
+
+      case 'gt':
+      case 'lt': {
+        const target = comparable(value);
+        if (target === null) return () => true;
+        return (row) => {
+          const v = comparable(get(row));
+          if (v === null) return false;
+          return op === 'gt' ? v > target : v < target;
+        };
+      }
+
+      case 'between': {
+        // Inclusive; either bound may be null for an open range
+        const [min, max] = Array.isArray(value) ? value : [value, null];
+        const lo = comparable(min);
+        const hi = comparable(max);
+        return (row) => {
+          const v = comparable(get(row));
+          if (v === null) return false;
+          if (lo !== null && v < lo) return false;
+          if (hi !== null && v > hi) return false;
+          return true;
+        };
+      }
+
+      case 'regex': {
+        // Drop 'g'/'y' so test() doesn't carry lastIndex between rows
+        const re =
+          value instanceof RegExp
+            ? new RegExp(value.source, value.flags.replace(/[gy]/g, ''))
+            : new RegExp(value, 'i');
+        return (row) => re.test(String(get(row) ?? ''));
+      }
+
+      case 'empty': {
+        // { op: 'empty', value: false } matches non-empty cells
+        const wantEmpty = value !== false;
+        return (row) => {
+          const v = get(row);
+          const isEmpty = v === null || v === undefined || v === '';
+          return isEmpty === wantEmpty;
+        };
+      }
+
+      default:
+        return () => true;
+    }
+  }
+
+  /**
+   * Convert a cell or filter value to a comparable primitive by column type.
+   * Returns null for empty or unparseable values.
+   * @param {*} value
+   * @param {string} type - Column type
+   * @returns {number|string|boolean|null}
+   */
+  function toComparable(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (type) {
+      case 'number': {
+        const num = Number(value);
+        return isNaN(num) ? null : num;
+      }
+      case 'date': {
+        const time =
+          value instanceof Date ? value.getTime() : new Date(value).getTime();
+        return isNaN(time) ? null : time;
+      }
+      case 'boolean':
+        return typeof value === 'string' ? value === 'true' : Boolean(value);
+      default:
+        return String(value).toLowerCase();
+    }
+  }
+
+  /**
+   * Build a composite comparator over data indices from the sort model.
+   * Later keys only break ties of earlier ones; original order breaks
+   * the remaining ties so the sort is stable.
+   * @param {Array} rows - Raw data
+   * @param {Object} request - { sort, columns, sortTypes, collator }
+   * @returns {Function} (aIdx, bIdx) => number
+   */
+  function createComparator(rows, { sort, columns, sortTypes, collator }) {
+    const strings = toCollator(collator);
+
+    const keys = sort.map(({ column, direction }) => {
+      const col = findColumn(columns, column);
+      return {
+        getValue: createSortValueGetter(col, column),
+        compare: resolveCompare(col, sortTypes, strings),
+        mult: direction === 'asc' ? 1 : -1,
+      };
+    });
+
+    return (aIdx, bIdx) => {
+      const rowA = rows[aIdx];
+      const rowB = rows[bIdx];
+
+      for (const { getValue, compare, mult } of keys) {
+        const a = getValue(rowA);
+        const b = getValue(rowB);
+
+        // Null handling - nulls always last, regardless of direction
+        if (a == null && b == null) continue;
+        if (a == null) return 1;
+        if (b == null) return -1;
+
+        const result = compare(a, b, rowA, rowB);
+        if (result !== 0) return result * mult;
+      }
+
+      return aIdx - bIdx;
+    };
+  }
+
+  /**
+   * Accept an Intl.Collator, or its resolvedOptions() when the request
+   * has been posted to a worker
+   * @param {Intl.Collator|Object|null} collator
+   * @returns {Intl.Collator}
+   */
+  function toCollator(collator) {
+    if (collator && typeof collator.compare === 'function') return collator;
+    if (!collator) return new Intl.Collator();
+
+    const { locale, ...options } = collator;
+    return new Intl.Collator(locale, options);
+  }
+
+  /**
+   * Value accessor for sorting: column `sortValue(row)` or the raw field
+   * @param {Object} col - Column definition
+   * @param {string} columnId - Fallback field name
+   * @returns {Function} (row) => value
+   */
+  function createSortValueGetter(col, columnId) {
+    if (typeof col?.sortValue === 'function') {
+      return (row) => col.sortValue(row);
+    }
+
+    const field = col?.field || columnId;
+    return (row) => row[field];
+  }
+
+  /**
+   * Pick the comparator for a column, in order of precedence:
+   * column `compare`, named `sortType`, then the built-in for `type`
+   * @param {Object} col - Column definition
+   * @param {Map<string, Function>} [sortTypes] - Named sort types
+   * @param {Intl.Collator} collator - String comparison
+   * @returns {Function} (a, b, rowA, rowB) => number
+   */
+  function resolveCompare(col, sortTypes, collator) {
+    if (typeof col?.compare === 'function') return col.compare;
+
+    const typeName = col?.sortType || col?.type || 'string';
+    const named = sortTypes && sortTypes.get(typeName);
+    if (named) return named;
+
+    // Unknown sort types fall back to the type (the table warns about them)
+    const type = col?.type || 'string';
+    return (a, b) => compareValues(a, b, type, collator);
+  }
+
+  /**
+   * Compare two non-null values based on column type
+   * @param {*} a
+   * @param {*} b
+   * @param {string} type - Column type
+   * @param {Intl.Collator} collator - String comparison
+   * @returns {number}
+   */
+  function compareValues(a, b, type, collator) {
+    switch (type) {
+      case 'number':
+        return Number(a) - Number(b);
+      case 'date':
+        return new Date(a).getTime() - new Date(b).getTime();
+      case 'boolean':
+        return Number(Boolean(a)) - Number(Boolean(b));
+      default:
+        return collator.compare(String(a), String(b));
+    }
+  }
+
+  return {
+    computeView,
+    createRowFilter,
+    createComparator,
+    createViewComparator,
+    groupView,
+    treeView,
+    fuzzyMatch,
+    toCollator,
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * ============================================================================
+ * Black & White UI Engineering
+ * BWDataTable - ViewWorker
+ * ============================================================================
+ *
+ * Runs the view pipeline in a Web Worker so filtering and sorting large
+ * tables doesn't block the main thread.
+ *
+ * - The worker keeps its own copy of the rows (posted on setRows())
+ * - The view comes back as a transferred Uint32Array
+ * - At most one request runs at a time; a newer request replaces the
+ *   queued one, and a finished request resolves with null when a newer
+ *   one is waiting (stale)
+ *
+ * The worker is built from a Blob of the pipeline source, so no separate
+ * file needs to be served. Anything with postMessage/onmessage/terminate
+ * can stand in for it (e.g. a shim in tests).
+ *
+ * @module core/ViewWorker
+ * @license MIT
+ * ============================================================================
+ */
+
+import { createViewPipeline } from './ViewPipeline.js';
+
+const WORKER_SOURCE = `
+const pipeline = (${createViewPipeline})();
+let rows = [];
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'rows') {
+    rows = message.rows;
+  } else if (message.type === 'patch') {
+    for (const [index, row] of message.rows) rows[index] = row;
+  } else if (message.type === 'view') {
+    try {
+      const view = new Uint32Array(pipeline.computeView(rows, message.request));
+      self.postMessage({ id: message.id, view }, [view.buffer]);
+    } catch (error) {
+      self.postMessage({ id: message.id, error: String(error.message || error) });
+    }
+  }
+};
+`;
+
+export class ViewWorker {
+  /** @type {Worker} */
+  #worker = null;
+
+  /** @type {string|null} Blob URL of the worker script */
+  #url = null;
+
+  #nextId = 0;
+
+  /** @type {Object|null} Request running in the worker: { id, resolve, reject } */
+  #running = null;
+
+  /** @type {Object|null} Request waiting for the worker: { request, resolve, reject } */
+  #queued = null;
+
+  /**
+   * @param {Function} [create] - Returns a Worker-like object (default:
+   *   a Worker running the view pipeline)
+   */
+  constructor(create) {
+    if (create) {
+      this.#worker = create();
+    } else {
+      this.#url = URL.createObjectURL(
+        new Blob([WORKER_SOURCE], { type: 'text/javascript' })
+      );
+      this.#worker = new Worker(this.#url);
+    }
+
+    this.#worker.onmessage = (event) => this.#onMessage(event.data);
+    this.#worker.onerror = (event) => {
+      this.#failAll(new Error(event?.message || 'Worker error'));
+    };
+  }
+
+  /**
+   * Check if the default worker can be created here
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== 'undefined' &&
+      typeof Blob !== 'undefined' &&
+      typeof URL?.createObjectURL === 'function'
+    );
+  }
+
+  /**
+   * Replace the worker's rows
+   * @param {Array} rows - Plain, cloneable row objects
+   */
+  setRows(rows) {
+    this.#worker.postMessage({ type: 'rows', rows });
+  }
+
+  /**
+   * Replace single rows in the worker's copy
+   * @param {Array} entries - [[dataIndex, row], ...]
+   */
+  patchRows(entries) {
+    this.#worker.postMessage({ type: 'patch', rows: entries });
+  }
+
+  /**
+   * Compute a view
+   * @param {Object} request - Cloneable view request
+   * @returns {Promise<Uint32Array|null>} The view, or null when superseded
+   */
+  compute(request) {
+    return new Promise((resolve, reject) => {
+      // Never started - drop it in favour of the newer request
+      if (this.#queued) this.#queued.resolve(null);
+
+      this.#queued = { request, resolve, reject };
+      if (!this.#running) this.#dispatch();
+    });
+  }
+
+  /**
+   * Stop the worker; pending requests resolve with null
+   */
+  terminate() {
+    this.#worker.terminate();
+    if (this.#url) URL.revokeObjectURL(this.#url);
+
+    this.#running?.resolve(null);
+    this.#queued?.resolve(null);
+    this.#running = null;
+    this.#queued = null;
+  }
+
+  #dispatch() {
+    const job = this.#queued;
+    this.#queued = null;
+    if (!job) return;
+
+    const id = ++this.#nextId;
+    this.#running = { id, resolve: job.resolve, reject: job.reject };
+
+    try {
+      this.#worker.postMessage({ type: 'view', id, request: job.request });
+    } catch (error) {
+      // e.g. DataCloneError for a value the worker can't receive
+      this.#running = null;
+      job.reject(error);
+      this.#dispatch();
+    }
+  }
+
+  #onMessage({ id, view, error }) {
+    const job = this.#running;
+    if (!job || job.id !== id) return;
+    this.#running = null;
+
+    if (this.#queued) {
+      job.resolve(null); // Stale - a newer request is waiting
+    } else if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(view);
+    }
+
+    this.#dispatch();
+  }
+
+  #failAll(error) {
+    this.#running?.reject(error);
+    this.#queued?.reject(error);
+    this.#running = null;
+    this.#queued = null;
+  }
+}
+
+export default ViewWorker;
@@ -12,11 +12,29 @@
  */
 export type ColumnType = 'string' | 'number' | 'boolean' | 'date';
 
+/**
+ * Comparator for two non-null sort values
+ */
+export type CompareFn = (a: any, b: any, rowA: any, rowB: any) => number;
+
 /**
  * Sort direction
  */
 export type SortDirection = 'asc' | 'desc' | null;
 
+/**
+ * Built-in column aggregate, or a function of the values (and rows) of the
+ * filtered view or of a row group
+ */
+export type Aggregate =
+  | 'sum'
+  | 'avg'
+  | 'min'
+  | 'max'
+  | 'count'
+  | 'distinct'
+  | ((values: any[], rows: any[]) => any);
+
 /**
  * Column definition
  */
@@ -42,9 +60,42 @@ export interface Column {
   /** Maximum column width */
   maxWidth?: string | number;
 
+  /** Keep the column at the left or right edge while scrolling sideways */
+  pinned?: 'left' | 'right';
+
+  /** Start hidden (see hideColumn / showColumn) */
+  hidden?: boolean;
+
+  /**
+   * In a collapsible group: show only while the group is collapsed (e.g. a
+   * total), or only while it's expanded
+   */
+  groupShow?: 'collapsed' | 'expanded';
+
+  /** Aggregate shown in group rows and the totals row */
+  aggregate?: Aggregate;
+
+  /**
+   * Set on the columns a pivot generates: the column dimension values
+   * they're under, outermost first (read-only)
+   */
+  readonly pivotPath?: string[];
+
   /** Enable sorting for this column (default: true) */
   sortable?: boolean;
 
+  /** Custom comparator (takes precedence over sortType/type) */
+  compare?: CompareFn;
+
+  /** Named sort type registered via registerSortType() */
+  sortType?: string;
+
+  /** Value to sort by, for computed or nested values */
+  sortValue?: (row: any) => any;
+
+  /** Filter row control (default: by type), false to hide it */
+  filter?: 'text' | 'number' | 'date' | 'boolean' | 'set' | false;
+
   /** Enable filtering for this column (default: true) */
   filterable?: boolean;
 
@@ -61,6 +112,182 @@ export interface Column {
   align?: 'left' | 'center' | 'right';
 }
 
+/**
+ * Column group: a header over its columns (and nested groups)
+ */
+export interface ColumnGroup {
+  /** Group ID (default: group-1, group-2, ...) */
+  id?: string;
+
+  /** Header text */
+  header?: string;
+
+  /** Columns and nested groups */
+  children: Array<Column | ColumnGroup>;
+
+  /** Show a toggle to collapse the group to its summary columns */
+  collapsible?: boolean;
+
+  /** Start collapsed (implies collapsible) */
+  collapsed?: boolean;
+}
+
+/**
+ * Anything that can stand in for the view Web Worker (e.g. a test shim)
+ */
+export interface ViewWorkerLike {
+  postMessage(message: any, transfer?: Transferable[]): void;
+  terminate(): void;
+  onmessage: ((event: { data: any }) => void) | null;
+  onerror: ((event: { message?: string }) => void) | null;
+}
+
+/**
+ * Off-main-thread filter/sort settings
+ */
+export interface ViewWorkerOptions {
+  /** Minimum row count before the worker is used (default: 10000) */
+  threshold?: number;
+
+  /** Create the worker (default: a Blob-backed Web Worker) */
+  create?: () => ViewWorkerLike;
+}
+
+/**
+ * Pager settings
+ */
+export interface PaginationOptions {
+  /** Rows per page (default: first of pageSizes) */
+  pageSize?: number;
+
+  /** Choices in the rows-per-page select (default: [20, 50, 100]) */
+  pageSizes?: number[];
+}
+
+export interface VirtualColumnsOptions {
+  /** Extra columns rendered left/right of the visible ones (default: 2) */
+  buffer?: number;
+
+  /** Width of columns without a pixel `width` (default: 150) */
+  columnWidth?: number;
+}
+
+/**
+ * One block request to a data source: rows [start, end) of the result
+ * of the current sort and filters
+ */
+export interface GetRowsParams {
+  start: number;
+  end: number;
+  sort: SortModelEntry[];
+  filters: Record<string, ColumnFilter>;
+  filterModel: FilterNode | null;
+
+  /** Global search text (lowercased) */
+  search: string;
+
+  /** Global search parsed into terms */
+  searchQuery: SearchQuery | null;
+
+  /** Aborted when the block is no longer needed */
+  signal: AbortSignal;
+}
+
+export interface GetRowsResult<T = any> {
+  rows: T[];
+
+  /** Number of rows matching the filters (default: start + rows.length) */
+  total?: number;
+}
+
+/**
+ * Server-side rows: sorting, filtering and paging happen in getRows()
+ */
+export interface DataSource<T = any> {
+  getRows(params: GetRowsParams): Promise<GetRowsResult<T>> | GetRowsResult<T>;
+
+  /** Rows per request (default: 100) */
+  blockSize?: number;
+
+  /** Wait this many ms after scrolling or filtering stops (default: 100) */
+  debounce?: number;
+
+  /** Rows kept in memory; least recently viewed blocks go first (default: no limit) */
+  maxRows?: number;
+}
+
+export interface LoadMoreResult<T = any> {
+  rows: T[];
+
+  /** No more rows (default: fewer rows than requested) */
+  done?: boolean;
+}
+
+/**
+ * Infinite scroll: rows are appended by loadMore() as the bottom comes near
+ */
+export interface InfiniteScrollOptions<T = any> {
+  /**
+   * Load rows [start, end); also called again for blocks dropped from
+   * the cache. Gets the same params as DataSource.getRows().
+   */
+  loadMore(
+    params: GetRowsParams
+  ): Promise<T[] | LoadMoreResult<T>> | T[] | LoadMoreResult<T>;
+
+  /** Rows per request (default: 100) */
+  blockSize?: number;
+
+  /** Load more when this many rows from the bottom (default: blockSize) */
+  threshold?: number;
+
+  /** Wait this many ms after scrolling stops (default: 100) */
+  debounce?: number;
+
+  /** Rows kept in memory; least recently viewed blocks go first (default: no limit) */
+  maxRows?: number;
+}
+
+/**
+ * Pivot: row dimensions, column dimensions and measures, by column ID
+ */
+export interface PivotConfig {
+  /** A row per combination of these columns' values */
+  rows?: string[];
+
+  /** Per combination of these columns' values, a column for each measure */
+  columns?: string[];
+
+  /** Measures: column IDs (summed), or the column and its aggregate */
+  values?: (string | { column: string; aggregate?: Aggregate })[];
+}
+
+/**
+ * Rows forming a tree, by nesting or by parent ID
+ */
+export interface TreeDataOptions {
+  /** Field holding each row's child rows (nested data) */
+  childrenField?: string;
+
+  /** Field holding the ID of each row's parent (flat data) */
+  parentIdField?: string;
+
+  /** Whether nodes start expanded (default: false) */
+  expanded?: boolean;
+
+  /**
+   * Load a node's children the first time it's expanded. With a
+   * parentIdField they need to carry the node's ID.
+   */
+  loadChildren?: (row: any) => Promise<any[]> | any[];
+
+  /**
+   * Whether a node has children to load: a function or a field name
+   * (default: every node not loaded yet might)
+   */
+  hasChildren?: string | ((row: any) => boolean);
+}
+
 /**
  * Table configuration options
  */
@@ -68,11 +295,14 @@ export interface BWDataTableOptions {
   /** Data array */
   data?: any[];
 
-  /** Column definitions (auto-detected if not provided) */
-  columns?: Column[];
+  /** Column definitions and groups (auto-detected if not provided) */
+  columns?: Array<Column | ColumnGroup>;
+
+  /** Row height in pixels, or per row (default: 40) */
+  rowHeight?: number | ((row: any) => number);
 
-  /** Fixed row height in pixels (default: 40) */
-  rowHeight?: number;
+  /** Measure rendered rows; rowHeight is the estimate until then (default: false) */
+  autoRowHeight?: boolean;
 
   /** Buffer rows above/below viewport (default: 20) */
   bufferSize?: number;
@@ -95,10 +325,171 @@ export interface BWDataTableOptions {
   /** Enable column resizing (default: false) */
   resizable?: boolean;
 
+  /** Move columns by dragging headers or Alt+ArrowLeft/Right (default: true) */
+  reorderable?: boolean;
+
+  /** Show a row of per-column filter controls under the header (default: false) */
+  filterRow?: boolean;
+
+  /** Max distinct values for an automatic checkbox list filter (default: 12) */
+  filterSetLimit?: number;
+
+  /** Show a toolbar button opening the AND/OR filter builder (default: false) */
+  filterBuilder?: boolean;
+
+  /** Show a toolbar "Columns" menu to show/hide columns (default: false) */
+  columnChooser?: boolean;
+
+  /** Group rows by these column IDs, outermost group first */
+  groupBy?: string[];
+
+  /** Whether row groups start expanded (default: true) */
+  groupsExpanded?: boolean;
+
+  /** Show a bar to drag column headers into to group by them (default: false) */
+  groupPanel?: boolean;
+
+  /** Footer row with the column aggregates, if any (default: true) */
+  totalsRow?: boolean;
+
+  /** Show the rows as a tree, with expandable nodes */
+  treeData?: TreeDataOptions;
+
+  /**
+   * Content of the detail panel shown under an expanded row: HTML or an
+   * element (e.g. one holding a nested table). Adds an expand toggle to
+   * each row.
+   */
+  detailRenderer?: (row: any) => string | Node;
+
+  /** Detail panel height in px until it's been measured (default: 200) */
+  detailHeight?: number;
+
+  /** Start pivoted (see setPivot) */
+  pivot?: PivotConfig | null;
+
+  /** Panel to drag columns into pivot rows, columns and values (default: false) */
+  pivotPanel?: boolean;
+
+  /** Parse quotes, -negation and column:value in global search (default: true) */
+  searchSyntax?: boolean;
+
+  /** Global search matching: substring or fuzzy (default: 'contains') */
+  searchMode?: 'contains' | 'fuzzy';
+
+  /** Global search also looks in hidden columns (default: false) */
+  searchHidden?: boolean;
+
+  /** Fuzzy mode: order by match score when no sort is set (default: true) */
+  sortByRelevance?: boolean;
+
+  /** Wrap search matches in <mark> (default: only in fuzzy mode) */
+  highlightSearch?: boolean | null;
+
+  /** String collation for sorting, e.g. { numeric: true } so "item2" < "item10" */
+  collator?: Intl.Collator | (Intl.CollatorOptions & { locale?: string });
+
+  /** Filter and sort large tables in a Web Worker (default: false) */
+  worker?: boolean | ViewWorkerOptions;
+
+  /** Keep edited rows in place until the next sort or filter (default: false) */
+  holdRowPosition?: boolean;
+
+  /** Show rows page by page with a pager bar (default: false) */
+  pagination?: boolean | PaginationOptions;
+
+  /** Render only the columns in the horizontal scroll window (default: false) */
+  virtualColumns?: boolean | VirtualColumnsOptions;
+
+  /** Rows kept above the scrolling rows, e.g. a "new entry" row (default: []) */
+  pinnedTopRows?: any[];
+
+  /** Rows kept below the scrolling rows, e.g. totals (default: []) */
+  pinnedBottomRows?: any[];
+
+  /** Load rows from a server instead of `data` (default: null) */
+  dataSource?: DataSource | null;
+
+  /** Load rows as the user scrolls near the bottom (default: null) */
+  infiniteScroll?: InfiniteScrollOptions | null;
+
   /** Callback when table is ready */
   onReady?: (table: BWDataTable) => void;
 }
 
+// =============================================================================
+// FILTER TYPES
+// =============================================================================
+
+/**
+ * Column filter operator
+ */
+export type FilterOperator =
+  | 'contains'
+  | 'eq'
+  | 'in'
+  | 'gt'
+  | 'lt'
+  | 'between'
+  | 'startsWith'
+  | 'regex'
+  | 'empty';
+
+/**
+ * Typed column filter, compared using the column `type`
+ */
+export interface ColumnFilter {
+  op: FilterOperator;
+  /**
+   * Operand: `between` takes [min, max] (either may be null),
+   * `in` takes an array, `regex` a RegExp or pattern string,
+   * `empty` takes `false` to match non-empty cells
+   */
+  value?: any;
+}
+
+/**
+ * One term of a parsed global search
+ */
+export interface SearchTerm {
+  /** Column ID for column:value qualifiers, null for plain text */
+  column: string | null;
+  op: 'contains' | 'eq' | 'gt' | 'lt' | 'between';
+  value: any;
+  /** Term was prefixed with "-" */
+  negate: boolean;
+}
+
+/**
+ * Parsed global search (terms are AND-ed)
+ */
+export interface SearchQuery {
+  text: string;
+  terms: SearchTerm[];
+}
+
+/**
+ * Leaf of a filter tree
+ */
+export interface FilterCondition extends ColumnFilter {
+  /** Column ID */
+  column: string;
+}
+
+/**
+ * Group of a filter tree; `not` negates the whole group
+ */
+export interface FilterGroup {
+  op: 'and' | 'or';
+  not?: boolean;
+  children: FilterNode[];
+}
+
+/**
+ * Serializable filter tree
+ */
+export type FilterNode = FilterGroup | FilterCondition;
+
 // =============================================================================
 // STATE TYPES
 // =============================================================================
@@ -111,6 +502,14 @@ export interface SortState {
   direction: SortDirection;
 }
 
+/**
+ * Single entry of a multi-column sort model
+ */
+export interface SortModelEntry {
+  column: string;
+  direction: 'asc' | 'desc';
+}
+
 /**
  * Table state
  */
@@ -127,20 +526,65 @@ export interface TableState {
   /** Selected row IDs */
   selected: string[];
 
-  /** Current sort state */
+  /** Primary sort key */
   sort: SortState;
 
+  /** All sort keys in priority order */
+  sortModel: SortModelEntry[];
+
   /** Global filter term */
   globalFilter: string;
 
+  /** Parsed global filter, null when not searching */
+  searchQuery: SearchQuery | null;
+
   /** Column-specific filters */
-  columnFilters: Record<string, any>;
+  columnFilters: Record<string, ColumnFilter>;
+
+  /** Filter tree set via setFilterModel() */
+  filterModel: FilterNode | null;
 
   /** Filtered row count */
   rowCount: number;
 
   /** Total row count */
   totalCount: number;
+
+  /** Current page, 0-based (0 without pagination) */
+  page: number;
+
+  /** Rows per page (0 without pagination) */
+  pageSize: number;
+
+  /** Number of pages (1 without pagination) */
+  pageCount: number;
+
+  /** Column IDs in display order */
+  columnOrder: string[];
+
+  /** Hidden column IDs, in display order */
+  hiddenColumns: string[];
+
+  /** IDs of the collapsed column groups */
+  collapsedGroups: string[];
+
+  /** Column IDs the rows are grouped by */
+  groupBy: string[];
+
+  /** Pivot config, null when not pivoted */
+  pivot: Required<PivotConfig> | null;
+
+  /** IDs of the rows whose details are shown */
+  expandedRows: string[];
+
+  /** Column IDs pinned left, in display order */
+  pinnedLeft: string[];
+
+  /** Column IDs pinned right, in display order */
+  pinnedRight: string[];
+
+  /** IDs of the pinned rows */
+  pinnedRows: { top: string[]; bottom: string[] };
 }
 
 /**
@@ -161,6 +605,8 @@ export interface RowCount {
 export interface SortEventData {
   column: string;
   direction: SortDirection;
+  /** Full sort model in priority order */
+  sort: SortModelEntry[];
 }
 
 /**
@@ -168,6 +614,20 @@ export interface SortEventData {
  */
 export interface FilterEventData {
   term: string;
+  query: SearchQuery | null;
+}
+
+/**
+ * Column filter event data
+ */
+export interface ColumnFilterEventData {
+  columnId: string;
+  /** New filter for the column, null when cleared */
+  filter: ColumnFilter | null;
+  /** All active column filters */
+  filters: Record<string, ColumnFilter>;
+  /** Rows matching after the change */
+  count: number;
 }
 
 /**
@@ -212,6 +672,72 @@ export interface RowUpdateEventData {
   newRow: any;
 }
 
+/**
+ * Rows to add, update and remove in one applyTransaction() call
+ */
+export interface RowTransaction {
+  /** New rows */
+  add?: any[];
+  /** Where to insert added rows in the data, after removals (default: end) */
+  addIndex?: number;
+  /** Rows, or partial rows with the row ID, merged into existing rows */
+  update?: any[];
+  /** Rows or row IDs to remove */
+  remove?: any[];
+}
+
+/**
+ * What an applyTransaction() call changed (unknown row IDs are skipped)
+ */
+export interface RowTransactionResult {
+  add: any[];
+  update: RowUpdateEventData[];
+  remove: any[];
+}
+
+export interface RowsLoadingEventData {
+  start: number;
+  end: number;
+  /** Block requests in flight */
+  pending: number;
+}
+
+export interface RowsLoadedEventData extends RowsLoadingEventData {
+  /** Rows received */
+  count: number;
+  /** Rows known so far (dataSource: the reported total) */
+  total: number;
+  /** infiniteScroll: no more rows to load */
+  done?: boolean;
+  /** Set when the request failed */
+  error?: any;
+}
+
+export interface PageChangeEventData {
+  /** New page, 0-based */
+  page: number;
+  previousPage: number;
+  pageSize: number;
+  pageCount: number;
+  /** Rows in the filtered view */
+  totalRows: number;
+}
+
+export interface ColumnMoveEventData {
+  /** Column IDs in display order */
+  order: string[];
+  previousOrder: string[];
+  /** Set when a single column was moved (drag, keyboard or moveColumn) */
+  columnId?: string;
+  fromIndex?: number;
+  toIndex?: number;
+}
+
+export interface RowsChangeEventData extends RowTransactionResult {
+  /** Data index of the first added row */
+  addIndex: number;
+}
+
 /**
  * Event callback type
  */
@@ -226,6 +752,8 @@ export interface BWDataTableEvents {
   filter: FilterEventData;
   'filter:after': FilterEventData;
   'filter:clear': void;
+  'filter:column': ColumnFilterEventData;
+  'filter:model': { model: FilterNode | null; count: number };
   'sort:clear': void;
   reset: void;
   'selection:change': SelectionEventData;
@@ -239,6 +767,31 @@ export interface BWDataTableEvents {
   };
   'cell:edit:cancel': void;
   'row:update': RowUpdateEventData;
+  'rows:change': RowsChangeEventData;
+  'page:change': PageChangeEventData;
+  'column:pin': { columnId: string; side: 'left' | 'right' | null };
+  'column:move': ColumnMoveEventData;
+  'column:visibility': {
+    /** Column ID -> now visible, for the columns that changed */
+    changes: Record<string, boolean>;
+    hiddenColumns: string[];
+  };
+  'column:group:toggle': { groupId: string; collapsed: boolean };
+  'group:change': { groupBy: string[]; previousGroupBy: string[] };
+  /** path is null for expandAllGroups() / collapseAllGroups() */
+  'group:toggle': { path: any[] | null; expanded: boolean };
+  /** rowId is null for expandAllNodes() / collapseAllNodes() */
+  'tree:toggle': { rowId: string | null; expanded: boolean };
+  'tree:load': { rowId: string; rows: any[]; error?: unknown };
+  'row:expand': { rowId: string; row: any };
+  'row:collapse': { rowId: string; row: any };
+  'pivot:change': {
+    pivot: Required<PivotConfig> | null;
+    previousPivot: Required<PivotConfig> | null;
+  };
+  'row:pin': { rowId: string; side: 'top' | 'bottom' | null };
+  'rows:loading': RowsLoadingEventData;
+  'rows:loaded': RowsLoadedEventData;
   'table:ready': { table: BWDataTable };
 }
 
@@ -282,6 +835,9 @@ export interface PluginAPI {
 
   /** Plugin-specific options passed during .use() */
   options: any;
+
+  /** Register a named sort type on this table */
+  registerSortType(name: string, compare: CompareFn): BWDataTable;
 }
 
 /**
@@ -349,7 +905,7 @@ export declare class BWDataTable {
   // ===========================================================================
 
   /**
-   * Set new data
+   * Set new data (with a dataSource or infiniteScroll: reload from it)
    * @param data - Array of row objects
    */
   setData(data: any[]): void;
@@ -360,7 +916,8 @@ export declare class BWDataTable {
   getData(): any[];
 
   /**
-   * Get filtered/sorted data
+   * Get filtered/sorted data (with a dataSource or infiniteScroll: the
+   * rows loaded so far)
    */
   getFilteredData(): any[];
 
@@ -376,7 +933,8 @@ export declare class BWDataTable {
   getRowById(rowId: string): any | null;
 
   /**
-   * Update a single cell
+   * Update a single cell. The row moves to its sorted position, or leaves
+   * the view if it no longer matches the filters.
    * @param rowId - Row identifier
    * @param columnId - Column identifier
    * @param value - New value
@@ -384,12 +942,20 @@ export declare class BWDataTable {
   updateCell(rowId: string, columnId: string, value: any): boolean;
 
   /**
-   * Update entire row
+   * Update entire row (repositioned like updateCell)
    * @param rowId - Row identifier
    * @param newData - Partial row data to merge
    */
   updateRow(rowId: string, newData: Partial<any>): boolean;
 
+  /**
+   * Add, update and remove rows by row ID, keeping selection, focus and
+   * scroll position. Emits one 'rows:change' event. Throws with a
+   * dataSource or infiniteScroll.
+   * @param transaction - Rows to add, update and remove
+   */
+  applyTransaction(transaction: RowTransaction): RowTransactionResult;
+
   // ===========================================================================
   // SORT METHODS
   // ===========================================================================
@@ -401,6 +967,31 @@ export declare class BWDataTable {
    */
   sort(columnId: string, direction?: SortDirection): void;
 
+  /**
+   * Sort by several columns in priority order
+   * @param model - Sort keys, first entry has highest priority
+   */
+  sort(model: SortModelEntry[]): void;
+
+  /**
+   * Get active sort keys in priority order
+   */
+  getSortModel(): SortModelEntry[];
+
+  /**
+   * Register a named sort type for this table
+   * @param name - Sort type name (column `sortType`)
+   * @param compare - Comparator for non-null values
+   */
+  registerSortType(name: string, compare: CompareFn): this;
+
+  /**
+   * Register a named sort type for all tables
+   * @param name - Sort type name (column `sortType`)
+   * @param compare - Comparator for non-null values
+   */
+  static registerSortType(name: string, compare: CompareFn): void;
+
   /**
    * Clear current sort
    */
@@ -419,9 +1010,29 @@ export declare class BWDataTable {
   /**
    * Filter by specific column
    * @param columnId - Column to filter
-   * @param value - Filter value
+   * @param value - Substring, array of values (any of), or typed filter;
+   *   empty clears the column filter
+   */
+  filterColumn(
+    columnId: string,
+    value: string | number | any[] | ColumnFilter | null
+  ): void;
+
+  /**
+   * Get active column filters
+   */
+  getColumnFilters(): Record<string, ColumnFilter>;
+
+  /**
+   * Set a filter tree of AND/OR groups (null to clear)
+   * @param model - Filter tree, AND-ed with search and column filters
    */
-  filterColumn(columnId: string, value: any): void;
+  setFilterModel(model: FilterNode | null): void;
+
+  /**
+   * Get the current filter tree
+   */
+  getFilterModel(): FilterNode | null;
 
   /**
    * Clear all filters
@@ -462,11 +1073,28 @@ export declare class BWDataTable {
   // ===========================================================================
 
   /**
-   * Scroll to specific row
+   * Scroll to specific row (turning to its page when paginated)
    * @param index - Row index (0-based)
    */
   scrollToRow(index: number): void;
 
+  /**
+   * Go to a page (requires the pagination option)
+   * @param page - 0-based page index, clamped to the last page
+   */
+  setPage(page: number): void;
+
+  /**
+   * Get the current page (0-based)
+   */
+  getPage(): number;
+
+  /**
+   * Change rows per page, keeping the first shown row on screen
+   * @param pageSize - Rows per page
+   */
+  setPageSize(pageSize: number): void;
+
   /**
    * Scroll to top
    */
@@ -477,6 +1105,213 @@ export declare class BWDataTable {
    */
   scrollToBottom(): void;
 
+  // ===========================================================================
+  // COLUMN METHODS
+  // ===========================================================================
+
+  /**
+   * Pin a column to the left or right edge
+   * @param columnId - Column ID
+   * @param side - Edge to pin to (default: 'left')
+   * @returns False if the column doesn't exist
+   */
+  pinColumn(columnId: string, side?: 'left' | 'right'): boolean;
+
+  /**
+   * Let a pinned column scroll with the others again
+   * @param columnId - Column ID
+   * @returns False if the column doesn't exist
+   */
+  unpinColumn(columnId: string): boolean;
+
+  /**
+   * Column IDs in display order
+   */
+  getColumnOrder(): string[];
+
+  /**
+   * Move a column to another display position (pinned columns stay in
+   * their pinned group, and grouped columns in their column group)
+   * @param columnId - Column ID
+   * @param toIndex - New index in getColumnOrder()
+   * @returns False if the column doesn't exist
+   */
+  moveColumn(columnId: string, toIndex: number): boolean;
+
+  /**
+   * Set the display order. Unknown IDs are ignored; unlisted columns
+   * follow the listed ones.
+   * @param columnIds - Column IDs in display order
+   */
+  setColumnOrder(columnIds: string[]): void;
+
+  /**
+   * Hide a column (it can still be sorted and filtered by)
+   * @param columnId - Column ID
+   * @returns False if the column doesn't exist
+   */
+  hideColumn(columnId: string): boolean;
+
+  /**
+   * Show a hidden column
+   * @param columnId - Column ID
+   * @returns False if the column doesn't exist
+   */
+  showColumn(columnId: string): boolean;
+
+  /**
+   * Show and hide several columns at once; unlisted columns are left alone
+   * @param visibility - Column ID -> visible
+   */
+  setColumnVisibility(visibility: Record<string, boolean>): void;
+
+  /**
+   * Collapse a column group to its summary columns (see Column.groupShow)
+   * @param groupId - Group ID
+   * @returns False if the group doesn't exist
+   */
+  collapseColumnGroup(groupId: string): boolean;
+
+  /**
+   * Expand a collapsed column group
+   * @param groupId - Group ID
+   * @returns False if the group doesn't exist
+   */
+  expandColumnGroup(groupId: string): boolean;
+
+  // ===========================================================================
+  // ROW GROUPING
+  // ===========================================================================
+
+  /**
+   * Group rows by columns, outermost group first ([] to stop grouping)
+   * @param columnIds - Column IDs
+   */
+  setGroupBy(columnIds: string[]): void;
+
+  /**
+   * Column IDs the rows are grouped by
+   */
+  getGroupBy(): string[];
+
+  /**
+   * Expand a row group
+   * @param path - Group values from the outermost group, e.g. ['East', 'Sales']
+   * @returns False if there is no such group
+   */
+  expandGroup(path: any[]): boolean;
+
+  /**
+   * Collapse a row group
+   * @param path - Group values from the outermost group
+   * @returns False if there is no such group
+   */
+  collapseGroup(path: any[]): boolean;
+
+  /**
+   * Expand every row group
+   */
+  expandAllGroups(): void;
+
+  /**
+   * Collapse every row group
+   */
+  collapseAllGroups(): void;
+
+  /**
+   * Aggregates of the filtered rows, or of one row group
+   * @param path - Group values from the outermost group; leave out for all
+   *   filtered rows
+   * @returns Column ID -> aggregate; null without aggregate columns or if
+   *   there is no such group
+   */
+  getAggregates(path?: any[]): Record<string, any> | null;
+
+  // ===========================================================================
+  // TREE DATA
+  // ===========================================================================
+
+  /**
+   * Expand a tree node, loading its children first if needed
+   * @returns False without treeData or if the row doesn't exist
+   */
+  expandNode(rowId: string): boolean;
+
+  /**
+   * Collapse a tree node
+   * @returns False without treeData or if the row doesn't exist
+   */
+  collapseNode(rowId: string): boolean;
+
+  /**
+   * Expand every tree node (children still to be loaded aren't requested)
+   */
+  expandAllNodes(): void;
+
+  /**
+   * Collapse every tree node
+   */
+  collapseAllNodes(): void;
+
+  // ===========================================================================
+  // DETAIL ROWS
+  // ===========================================================================
+
+  /**
+   * Show a row's details (from detailRenderer) under it
+   * @returns False without a detailRenderer or if the row doesn't exist
+   */
+  expandRow(rowId: string): boolean;
+
+  /**
+   * Hide a row's details
+   * @returns False without a detailRenderer or if the row doesn't exist
+   */
+  collapseRow(rowId: string): boolean;
+
+  /** Whether a row's details are shown */
+  isRowExpanded(rowId: string): boolean;
+
+  // ===========================================================================
+  // PIVOT
+  // ===========================================================================
+
+  /**
+   * Pivot the rows; null (or an empty config) shows them as they were.
+   * Sorting, filters, grouping and selection start over.
+   * @throws If an aggregate is unknown
+   */
+  setPivot(config: PivotConfig | null): void;
+
+  /** The pivot config, null when not pivoted */
+  getPivot(): Required<PivotConfig> | null;
+
+  // ===========================================================================
+  // ROW PINNING
+  // ===========================================================================
+
+  /**
+   * Pin a row above or below the scrolling rows
+   * @param rowId - Row ID
+   * @param side - Where to pin it (default: 'top')
+   * @returns False if the row doesn't exist
+   */
+  pinRow(rowId: string, side?: 'top' | 'bottom'): boolean;
+
+  /**
+   * Put a pinned row back
+   * @param rowId - Row ID
+   * @returns False if the row wasn't pinned
+   */
+  unpinRow(rowId: string): boolean;
+
+  /**
+   * Replace the rows pinned to one side
+   * @param side - 'top' or 'bottom'
+   * @param rows - Row objects, not necessarily in the data
+   */
+  setPinnedRows(side: 'top' | 'bottom', rows: any[]): void;
+
   // ===========================================================================
   // STATE METHODS
   // ===========================================================================
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable, createWorkerShim, tick } from './setup.js';
+import { ViewWorker } from '../src/core/ViewWorker.js';
+
+const view = (...indexes) => new Uint32Array(indexes);
+
+describe('ViewWorker', () => {
+  it('drops superseded and stale requests, resolving the latest', async () => {
+    const shim = createWorkerShim();
+    const worker = new ViewWorker(() => shim);
+
+    const first = worker.compute({ n: 1 });
+    const second = worker.compute({ n: 2 });
+    const third = worker.compute({ n: 3 });
+
+    // Second never started: replaced in the queue by the third
+    assert.equal(await second, null);
+    assert.equal(shim.pending.length, 1);
+
+    // First finished while the third was waiting: stale
+    shim.respond({ view: view(0) });
+    assert.equal(await first, null);
+
+    assert.equal(shim.pending.length, 1);
+    assert.deepEqual(shim.pending[0].request, { n: 3 });
+    shim.respond({ view: view(2, 1) });
+    assert.deepEqual(await third, view(2, 1));
+  });
+
+  it('ignores responses to other request IDs', async () => {
+    const shim = createWorkerShim();
+    const worker = new ViewWorker(() => shim);
+
+    let result;
+    worker.compute({}).then((value) => (result = value));
+    const { id } = shim.pending[0];
+
+    shim.onmessage({ data: { id: id + 1, view: view(9) } });
+    await tick();
+    assert.equal(result, undefined);
+
+    shim.respond({ view: view(1) });
+    await tick();
+    assert.deepEqual(result, view(1));
+  });
+
+  it('rejects when the worker reports an error', async () => {
+    const shim = createWorkerShim();
+    const worker = new ViewWorker(() => shim);
+
+    const result = worker.compute({});
+    shim.respond({ error: 'boom' });
+    await assert.rejects(result, { message: 'boom' });
+  });
+
+  it('resolves pending requests with null on terminate', async () => {
+    const shim = createWorkerShim();
+    const worker = new ViewWorker(() => shim);
+
+    const running = worker.compute({ n: 1 });
+    const queued = worker.compute({ n: 2 });
+    worker.terminate();
+
+    assert.equal(shim.terminated, true);
+    assert.equal(await running, null);
+    assert.equal(await queued, null);
+  });
+});
+
+describe('worker option', () => {
+  const data = Array.from({ length: 50 }, (_, i) => ({ id: i, n: i % 7 }));
+  const ids = (rows) => rows.map((row) => row.id);
+
+  // Ties keep their order
+  const byN = (direction) =>
+    [...data]
+      .sort((a, b) => (a.n - b.n) * direction || a.id - b.id)
+      .map((row) => row.id);
+
+  it('sorts in the worker', async () => {
+    const shim = createWorkerShim();
+    const table = createTable({
+      data,
+      worker: { threshold: 0, create: () => shim },
+    });
+
+    table.sort('n', 'desc');
+    assert.equal(shim.pending.length, 1);
+    shim.respond();
+    await tick();
+
+    assert.deepEqual(ids(table.getFilteredData()), byN(-1));
+  });
+
+  it('falls back to the main thread when the worker fails', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const shim = createWorkerShim();
+    const table = createTable({
+      data,
+      worker: { threshold: 0, create: () => shim },
+    });
+
+    table.sort('n', 'desc');
+    shim.respond({ error: 'boom' });
+    await tick();
+
+    assert.deepEqual(ids(table.getFilteredData()), byN(-1));
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(shim.terminated, true);
+
+    // Later views are built on the main thread
+    table.sort('n', 'asc');
+    assert.equal(shim.pending.length, 0);
+    assert.deepEqual(ids(table.getFilteredData()), byN(1));
+  });
+
+  it('terminates the worker on destroy', async () => {
+    const shim = createWorkerShim();
+    const table = createTable({
+      data,
+      worker: { threshold: 0, create: () => shim },
+    });
+
+    table.sort('n', 'desc');
+    table.destroy();
+    assert.equal(shim.terminated, true);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, region: 'East', team: 'A', amount: 10 },
+  { id: 2, region: 'West', team: 'B', amount: 20 },
+  { id: 3, region: 'East', team: 'B', amount: 30 },
+  { id: 4, region: 'East', team: 'A', amount: 40 },
+];
+
+const columns = [
+  { id: 'id', type: 'number', aggregate: 'count' },
+  { id: 'region' },
+  { id: 'team', aggregate: 'distinct' },
+  { id: 'amount', type: 'number', aggregate: 'sum' },
+];
+
+function createAggregateTable(options) {
+  return createTable({
+    data: data.map((row) => ({ ...row })),
+    columns,
+    selectable: false,
+    ...options,
+  });
+}
+
+const totalsCells = () =>
+  [
+    ...document.querySelectorAll('.bw-datatable__totals-row [data-col-index]'),
+  ].map((td) => td.textContent.trim());
+
+describe('aggregates', () => {
+  it('aggregates the filtered rows', () => {
+    const table = createAggregateTable({
+      columns: [
+        { id: 'id', type: 'number', aggregate: 'min' },
+        { id: 'region', aggregate: 'count' },
+        { id: 'team', aggregate: 'max' },
+        { id: 'amount', type: 'number', aggregate: 'avg' },
+      ],
+    });
+    assert.deepEqual(table.getAggregates(), {
+      id: 1,
+      region: 4,
+      team: 'B',
+      amount: 25,
+    });
+
+    table.filter('East');
+    assert.deepEqual(table.getAggregates(), {
+      id: 1,
+      region: 3,
+      team: 'B',
+      amount: 80 / 3,
+    });
+  });
+
+  it('aggregates each row group', () => {
+    const table = createAggregateTable({ groupBy: ['region', 'team'] });
+
+    assert.deepEqual(table.getAggregates(['East']), {
+      id: 3,
+      team: 2,
+      amount: 80,
+    });
+    assert.deepEqual(table.getAggregates(['East', 'A']), {
+      id: 2,
+      team: 1,
+      amount: 50,
+    });
+    assert.equal(table.getAggregates(['North']), null);
+
+    const groupCells = [
+      ...document.querySelectorAll(
+        '.bw-datatable__group-row:first-child [data-col-index]'
+      ),
+    ].map((td) => td.textContent.replace(/\s+/g, ' ').trim());
+    assert.deepEqual(groupCells, ['region: East (3) 3', '', '2', '80']);
+  });
+
+  it('keeps up with edited rows', () => {
+    const table = createAggregateTable({ groupBy: ['region'] });
+    table.getAggregates(['East']);
+
+    table.updateCell(1, 'amount', 110);
+    table.updateCell(3, 'region', 'West');
+
+    assert.deepEqual(table.getAggregates(), { id: 4, team: 2, amount: 200 });
+    assert.deepEqual(table.getAggregates(['East']), {
+      id: 2,
+      team: 1,
+      amount: 150,
+    });
+    assert.deepEqual(table.getAggregates(['West']), {
+      id: 2,
+      team: 1,
+      amount: 50,
+    });
+  });
+
+  it('calls custom aggregates with the rows of their scope', () => {
+    const calls = [];
+    const table = createAggregateTable({
+      groupBy: ['region'],
+      columns: [
+        {
+          id: 'amount',
+          aggregate: (values, rows) => {
+            calls.push(rows.map((row) => row.id));
+            return Math.max(...values) - Math.min(...values);
+          },
+        },
+        { id: 'region' },
+      ],
+    });
+    // Counted for the group rows and the totals row
+    assert.deepEqual(
+      calls.sort((a, b) => a.length - b.length),
+      [[2], [1, 3, 4], [1, 2, 3, 4]]
+    );
+    assert.deepEqual(table.getAggregates(['East']), { amount: 30 });
+    assert.equal(calls.length, 3);
+
+    // Called again once an edit leaves it stale
+    calls.length = 0;
+    table.updateCell(4, 'region', 'West');
+    assert.deepEqual(table.getAggregates(['West']), { amount: 20 });
+    assert.deepEqual(table.getAggregates(['East']), { amount: 20 });
+    assert.deepEqual(
+      calls.sort((a, b) => a.length - b.length),
+      [
+        [1, 3],
+        [2, 4],
+        [1, 2, 3, 4],
+      ]
+    );
+  });
+
+  it('shows the totals in a footer row unless totalsRow is false', () => {
+    const table = createAggregateTable();
+    assert.deepEqual(totalsCells(), ['4', '', '2', '100']);
+
+    table.filter('West');
+    assert.deepEqual(totalsCells(), ['1', '', '1', '20']);
+
+    // The label goes where the first column has no aggregate
+    table.moveColumn('region', 0);
+    assert.deepEqual(totalsCells(), ['Total', '1', '1', '20']);
+
+    table.destroy();
+    createAggregateTable({ totalsRow: false });
+    assert.deepEqual(totalsCells(), []);
+  });
+
+  it('rejects unknown aggregates', () => {
+    assert.throws(
+      () =>
+        createAggregateTable({
+          columns: [{ id: 'amount', aggregate: 'median' }],
+        }),
+      { message: 'BWDataTable: Unknown aggregate "median" for column "amount"' }
+    );
+  });
+});
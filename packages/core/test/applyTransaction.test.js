@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const ids = (rows) => rows.map((row) => row.id);
+
+describe('applyTransaction', () => {
+  const data = () => [
+    { id: 1, name: 'a' },
+    { id: 2, name: 'b' },
+  ];
+
+  it('adds, updates and removes rows by ID', () => {
+    const table = createTable({ data: data() });
+
+    table.applyTransaction({
+      add: [{ id: 3, name: 'c' }],
+      update: [{ id: 1, name: 'A' }],
+      remove: [2],
+    });
+
+    assert.deepEqual(table.getData(), [
+      { id: 1, name: 'A' },
+      { id: 3, name: 'c' },
+    ]);
+  });
+
+  it('rejects added rows whose ID is already in the table', () => {
+    const table = createTable({ data: data() });
+    let changes = 0;
+    table.on('rows:change', () => changes++);
+
+    assert.throws(
+      () =>
+        table.applyTransaction({
+          add: [{ id: 2, name: 'again' }],
+          update: [{ id: 1, name: 'A' }],
+        }),
+      { message: 'BWDataTable: Duplicate row ID "2"' }
+    );
+
+    assert.deepEqual(table.getData(), data());
+    assert.equal(changes, 0);
+  });
+
+  it('rejects IDs repeated within the added rows', () => {
+    const table = createTable({ data: data() });
+
+    assert.throws(
+      () =>
+        table.applyTransaction({
+          add: [
+            { id: 3, name: 'c' },
+            { id: 3, name: 'c again' },
+          ],
+        }),
+      { message: 'BWDataTable: Duplicate row ID "3"' }
+    );
+
+    assert.deepEqual(ids(table.getData()), [1, 2]);
+  });
+
+  it('accepts the ID of a row removed in the same transaction', () => {
+    const table = createTable({ data: data() });
+
+    table.applyTransaction({ add: [{ id: 2, name: 'B' }], remove: [2] });
+
+    assert.deepEqual(table.getData(), [
+      { id: 1, name: 'a' },
+      { id: 2, name: 'B' },
+    ]);
+  });
+
+  it('adds rows without an ID', () => {
+    const table = createTable({ data: data() });
+
+    table.applyTransaction({ add: [{ name: 'x' }, { name: 'y' }] });
+
+    assert.equal(table.getData().length, 4);
+  });
+});
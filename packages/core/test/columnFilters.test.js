@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Acme', amount: 50, created: '2024-01-15', owner: 'ann' },
+  { id: 2, name: 'Globex', amount: 150, created: '2024-02-20', owner: '' },
+  { id: 3, name: 'Initech', amount: 100, created: '2024-04-02', owner: null },
+  { id: 4, name: 'Acme West', amount: 300, created: '2023-12-31', owner: 'bo' },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'amount', type: 'number' },
+  { id: 'created', type: 'date' },
+  { id: 'owner' },
+];
+
+function filtered(columnId, filter) {
+  const table = createTable({ data, columns });
+  table.filterColumn(columnId, filter);
+  return table.getFilteredData().map((row) => row.id);
+}
+
+describe('column filters', () => {
+  it('matches substrings for plain values', () => {
+    assert.deepEqual(filtered('name', 'acme'), [1, 4]);
+  });
+
+  it('compares numbers and dates by the column type', () => {
+    assert.deepEqual(filtered('amount', { op: 'gt', value: 100 }), [2, 4]);
+    assert.deepEqual(filtered('amount', { op: 'lt', value: '100' }), [1]);
+    assert.deepEqual(filtered('amount', { op: 'eq', value: '100' }), [3]);
+    assert.deepEqual(
+      filtered('created', {
+        op: 'between',
+        value: ['2024-01-01', '2024-03-31'],
+      }),
+      [1, 2]
+    );
+    assert.deepEqual(
+      filtered('created', { op: 'between', value: [null, '2024-01-15'] }),
+      [1, 4]
+    );
+  });
+
+  it('supports in, startsWith, regex and empty', () => {
+    assert.deepEqual(filtered('id', [2, 3]), [2, 3]);
+    assert.deepEqual(filtered('name', { op: 'startsWith', value: 'GL' }), [2]);
+    assert.deepEqual(filtered('name', { op: 'regex', value: 'ch$' }), [3]);
+    assert.deepEqual(filtered('name', { op: 'regex', value: /^A/ }), [1, 4]);
+    assert.deepEqual(filtered('owner', { op: 'empty' }), [2, 3]);
+    assert.deepEqual(filtered('owner', { op: 'empty', value: false }), [1, 4]);
+  });
+
+  it('combines filters on several columns and clears them', () => {
+    const table = createTable({ data, columns });
+
+    table.filterColumn('name', 'acme');
+    table.filterColumn('amount', { op: 'gt', value: 100 });
+    assert.deepEqual(
+      table.getFilteredData().map((row) => row.id),
+      [4]
+    );
+    assert.deepEqual(table.getColumnFilters(), {
+      name: { op: 'contains', value: 'acme' },
+      amount: { op: 'gt', value: 100 },
+    });
+
+    table.filterColumn('name', null);
+    table.filterColumn('amount', { op: 'gt', value: '' });
+    assert.deepEqual(table.getColumnFilters(), {});
+    assert.equal(table.getFilteredData().length, 4);
+  });
+
+  it('fires filter:column with the row count', () => {
+    const table = createTable({ data, columns });
+    const events = [];
+    table.on('filter:column', (event) => events.push(event));
+
+    table.filterColumn('amount', { op: 'lt', value: 200 });
+
+    assert.deepEqual(events, [
+      {
+        columnId: 'amount',
+        filter: { op: 'lt', value: 200 },
+        filters: { amount: { op: 'lt', value: 200 } },
+        count: 3,
+      },
+    ]);
+  });
+
+  it('rejects unknown operators and invalid patterns', () => {
+    const table = createTable({ data, columns });
+
+    assert.throws(() => table.filterColumn('name', { op: 'like', value: 1 }), {
+      message: 'BWDataTable: Unknown filter operator "like"',
+    });
+    assert.throws(
+      () => table.filterColumn('name', { op: 'regex', value: '(' }),
+      SyntaxError
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { region: 'North', jan: 1, feb: 2, mar: 3, q1Total: 6, apr: 4 },
+  { region: 'South', jan: 5, feb: 6, mar: 7, q1Total: 18, apr: 8 },
+];
+
+const columns = [
+  { id: 'region' },
+  {
+    header: 'H1',
+    children: [
+      {
+        id: 'q1',
+        header: 'Q1',
+        collapsible: true,
+        children: [
+          { id: 'jan' },
+          { id: 'feb' },
+          { id: 'mar' },
+          { id: 'q1Total', groupShow: 'collapsed' },
+        ],
+      },
+      { id: 'apr' },
+    ],
+  },
+];
+
+function createGroupTable(options) {
+  const table = createTable({ data, columns, selectable: false, ...options });
+  const events = [];
+  table.on('column:group:toggle', (event) => events.push(event));
+  return { table, events };
+}
+
+const headerRows = () =>
+  [...document.querySelectorAll('.bw-datatable__header-row')].map((tr) =>
+    [...tr.children].map(
+      (th) => `${th.dataset.group ?? th.dataset.column}:${th.colSpan}`
+    )
+  );
+
+const firstRowCells = () =>
+  [
+    ...document.querySelectorAll(
+      '.bw-datatable__row[data-view-index="0"] [data-col-index]'
+    ),
+  ].map((td) => td.textContent.trim());
+
+describe('column groups', () => {
+  it('renders a header row per group level', () => {
+    const { table } = createGroupTable();
+
+    assert.deepEqual(headerRows(), [
+      ['region:1', 'group-1:4'],
+      ['q1:3', 'apr:1'],
+      ['jan:1', 'feb:1', 'mar:1'],
+    ]);
+    assert.equal(
+      document.querySelector('.bw-datatable__th[data-column="region"]').rowSpan,
+      3
+    );
+    assert.deepEqual(table.getColumnOrder(), [
+      'region',
+      'jan',
+      'feb',
+      'mar',
+      'q1Total',
+      'apr',
+    ]);
+  });
+
+  it('collapses a group to its summary columns', () => {
+    const { table, events } = createGroupTable();
+
+    assert.equal(table.collapseColumnGroup('q1'), true);
+    table.collapseColumnGroup('q1');
+    assert.deepEqual(firstRowCells(), ['North', '6', '4']);
+    assert.deepEqual(table.getState().collapsedGroups, ['q1']);
+
+    table.expandColumnGroup('q1');
+    assert.deepEqual(firstRowCells(), ['North', '1', '2', '3', '4']);
+    assert.equal(table.expandColumnGroup('nope'), false);
+    assert.deepEqual(events, [
+      { groupId: 'q1', collapsed: true },
+      { groupId: 'q1', collapsed: false },
+    ]);
+  });
+
+  it('keeps just the first column of a group without summary columns', () => {
+    const { table } = createGroupTable();
+
+    table.collapseColumnGroup('group-1');
+
+    assert.deepEqual(firstRowCells(), ['North', '1']);
+  });
+
+  it('toggles a collapsible group from its header', () => {
+    const { table } = createGroupTable();
+    const toggle = () => document.querySelector('[data-group-toggle="q1"]');
+    assert.equal(document.querySelector('[data-group-toggle="group-1"]'), null);
+
+    toggle().click();
+    assert.deepEqual(table.getState().collapsedGroups, ['q1']);
+    assert.equal(toggle().getAttribute('aria-expanded'), 'false');
+
+    toggle().click();
+    assert.deepEqual(table.getState().collapsedGroups, []);
+  });
+
+  it('reorders columns within their group only', () => {
+    const { table } = createGroupTable();
+
+    table.moveColumn('jan', 5);
+    assert.deepEqual(table.getColumnOrder(), [
+      'region',
+      'feb',
+      'mar',
+      'q1Total',
+      'jan',
+      'apr',
+    ]);
+
+    // Past the whole group rather than into it
+    table.moveColumn('region', 2);
+    assert.equal(table.getColumnOrder()[0], 'feb');
+    assert.equal(table.getColumnOrder().at(-1), 'region');
+  });
+
+  it('rejects duplicate group IDs', () => {
+    assert.throws(
+      () =>
+        createTable({
+          data,
+          columns: [
+            { id: 'a', children: [{ id: 'jan' }] },
+            { id: 'a', children: [{ id: 'feb' }] },
+          ],
+        }),
+      { message: 'BWDataTable: Duplicate column group ID "a"' }
+    );
+  });
+});
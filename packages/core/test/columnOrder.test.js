@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Acme', city: 'London', amount: 10 },
+  { id: 2, name: 'Globex', city: 'Paris', amount: 20 },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'city' },
+  { id: 'amount', type: 'number' },
+];
+
+function createOrderTable(options) {
+  const table = createTable({ data, columns, selectable: false, ...options });
+  const events = [];
+  table.on('column:move', (event) => events.push(event));
+  return { table, events };
+}
+
+const header = (columnId) =>
+  document.querySelector(`.bw-datatable__th[data-column="${columnId}"]`);
+
+const headerIds = () =>
+  [
+    ...document.querySelectorAll('.bw-datatable__header-row > th[data-column]'),
+  ].map((th) => th.dataset.column);
+
+const firstRowCells = () =>
+  [
+    ...document.querySelectorAll(
+      '.bw-datatable__row[data-view-index="0"] [data-col-index]'
+    ),
+  ].map((td) => td.textContent.trim());
+
+function pointer(target, type, clientX) {
+  target.dispatchEvent(
+    new MouseEvent(type, { bubbles: true, button: 0, clientX })
+  );
+}
+
+describe('column order', () => {
+  it('moves a column and fires column:move', () => {
+    const { table, events } = createOrderTable();
+
+    assert.equal(table.moveColumn('id', 2), true);
+
+    assert.deepEqual(table.getColumnOrder(), ['name', 'city', 'id', 'amount']);
+    assert.deepEqual(headerIds(), ['name', 'city', 'id', 'amount']);
+    assert.deepEqual(firstRowCells(), ['Acme', 'London', '1', '10']);
+    assert.deepEqual(events, [
+      {
+        order: ['name', 'city', 'id', 'amount'],
+        previousOrder: ['id', 'name', 'city', 'amount'],
+        columnId: 'id',
+        fromIndex: 0,
+        toIndex: 2,
+      },
+    ]);
+
+    assert.equal(table.moveColumn('nope', 0), false);
+    table.moveColumn('id', 2);
+    assert.equal(events.length, 1);
+  });
+
+  it('sets the whole order, unlisted columns following', () => {
+    const { table, events } = createOrderTable();
+
+    table.setColumnOrder(['amount', 'nope', 'city', 'amount']);
+
+    assert.deepEqual(table.getColumnOrder(), ['amount', 'city', 'id', 'name']);
+    assert.deepEqual(table.getState().columnOrder, table.getColumnOrder());
+    assert.equal(events[0].columnId, undefined);
+    assert.throws(() => table.setColumnOrder('id'), {
+      message: 'BWDataTable: setColumnOrder() expects an array of IDs',
+    });
+  });
+
+  it('keeps a column within its pinned group', () => {
+    const { table } = createOrderTable();
+    table.pinColumn('amount', 'left');
+
+    table.moveColumn('id', 0);
+    table.moveColumn('amount', 3);
+
+    assert.deepEqual(table.getColumnOrder(), ['amount', 'id', 'name', 'city']);
+  });
+
+  it('moves the focused header with Alt+Arrow keys', () => {
+    const { table } = createOrderTable();
+
+    header('name').dispatchEvent(
+      new KeyboardEvent('keydown', {
+        key: 'ArrowRight',
+        altKey: true,
+        bubbles: true,
+      })
+    );
+    assert.deepEqual(table.getColumnOrder(), ['id', 'city', 'name', 'amount']);
+
+    header('name').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true })
+    );
+    assert.deepEqual(table.getColumnOrder(), ['id', 'city', 'name', 'amount']);
+  });
+
+  it('moves a dragged header to the drop point without sorting', (t) => {
+    // Headers side by side, 100px each
+    t.mock.method(HTMLElement.prototype, 'getBoundingClientRect', function () {
+      const left = [...this.parentNode.children].indexOf(this) * 100;
+      return { left, right: left + 100, width: 100, top: 0, bottom: 40 };
+    });
+    const { table } = createOrderTable();
+
+    pointer(header('id'), 'pointerdown', 10);
+    pointer(document, 'pointermove', 250);
+    assert.ok(
+      document.querySelector('.bw-datatable__drop-indicator'),
+      'drop indicator'
+    );
+    pointer(document, 'pointerup', 250);
+    header('id').click();
+
+    assert.deepEqual(table.getColumnOrder(), ['name', 'city', 'id', 'amount']);
+    assert.deepEqual(table.getSortModel(), []);
+    assert.equal(document.querySelector('.bw-datatable__drop-indicator'), null);
+  });
+
+  it("doesn't move without reorderable", () => {
+    const { table } = createOrderTable({ reorderable: false });
+
+    pointer(header('id'), 'pointerdown', 10);
+    pointer(document, 'pointermove', 250);
+    pointer(document, 'pointerup', 250);
+
+    assert.deepEqual(table.getColumnOrder(), ['id', 'name', 'city', 'amount']);
+  });
+
+  it('removes its document listeners on destroy', (t) => {
+    const listen = t.mock.method(document, 'addEventListener');
+    const { table } = createOrderTable();
+
+    const signals = listen.mock.calls
+      .filter((call) => call.arguments[0].startsWith('pointer'))
+      .map((call) => call.arguments[2]?.signal);
+    assert.equal(signals.length, 3);
+
+    table.destroy();
+    assert.ok(signals.every((signal) => signal?.aborted));
+  });
+});
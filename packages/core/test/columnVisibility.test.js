@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Acme', notes: 'call back' },
+  { id: 2, name: 'Globex', notes: 'paid' },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'notes', hidden: true },
+];
+
+function createVisibilityTable(options) {
+  const table = createTable({ data, columns, selectable: false, ...options });
+  const events = [];
+  table.on('column:visibility', (event) => events.push(event));
+  return { table, events };
+}
+
+const headerIds = () =>
+  [
+    ...document.querySelectorAll('.bw-datatable__header-row > th[data-column]'),
+  ].map((th) => th.dataset.column);
+
+const chooserBox = (columnId) =>
+  document.querySelector(
+    `.bw-datatable__column-chooser input[data-column-id="${columnId}"]`
+  );
+
+const ids = (table) => table.getFilteredData().map((row) => row.id);
+
+describe('column visibility', () => {
+  it('starts with hidden columns left out', () => {
+    const { table } = createVisibilityTable();
+
+    assert.deepEqual(headerIds(), ['id', 'name']);
+    assert.deepEqual(table.getState().hiddenColumns, ['notes']);
+  });
+
+  it('hides and shows columns and fires column:visibility', () => {
+    const { table, events } = createVisibilityTable();
+
+    assert.equal(table.hideColumn('name'), true);
+    assert.deepEqual(headerIds(), ['id']);
+
+    table.setColumnVisibility({ name: true, notes: true, nope: false });
+    assert.deepEqual(headerIds(), ['id', 'name', 'notes']);
+
+    table.showColumn('notes');
+    assert.equal(table.hideColumn('nope'), false);
+    assert.deepEqual(events, [
+      { changes: { name: false }, hiddenColumns: ['name', 'notes'] },
+      { changes: { name: true, notes: true }, hiddenColumns: [] },
+    ]);
+    assert.throws(() => table.setColumnVisibility(null), {
+      message:
+        'BWDataTable: setColumnVisibility() expects an object of column ID -> boolean',
+    });
+  });
+
+  it('still sorts and filters by hidden columns', () => {
+    const { table } = createVisibilityTable();
+
+    table.sort('notes', 'desc');
+    assert.deepEqual(ids(table), [2, 1]);
+
+    table.filterColumn('notes', 'call');
+    assert.deepEqual(ids(table), [1]);
+  });
+
+  it('leaves hidden columns out of global search unless searchHidden', () => {
+    const { table } = createVisibilityTable();
+    table.filter('paid');
+    assert.deepEqual(ids(table), []);
+
+    table.showColumn('notes');
+    assert.deepEqual(ids(table), [2]);
+
+    const { table: all } = createVisibilityTable({ searchHidden: true });
+    all.filter('paid');
+    assert.deepEqual(ids(all), [2]);
+  });
+
+  it('shows and hides columns from the column chooser', () => {
+    const { table } = createVisibilityTable({ columnChooser: true });
+    const toggle = document.querySelector(
+      '.bw-datatable__column-chooser-toggle'
+    );
+
+    toggle.click();
+    assert.equal(chooserBox('notes').checked, false);
+
+    chooserBox('notes').click();
+    assert.deepEqual(table.getState().hiddenColumns, []);
+
+    chooserBox('id').click();
+    chooserBox('notes').click();
+    // The last visible column can't be hidden
+    assert.equal(chooserBox('name').disabled, true);
+    assert.deepEqual(headerIds(), ['name']);
+
+    const search = document.querySelector(
+      '.bw-datatable__column-chooser-search'
+    );
+    search.value = 'NO';
+    search.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(chooserBox('notes').closest('label').hidden, false);
+    assert.equal(chooserBox('id').closest('label').hidden, true);
+  });
+
+  it('closes the chooser on outside clicks until destroyed', (t) => {
+    const listen = t.mock.method(document, 'addEventListener');
+    const { table } = createVisibilityTable({ columnChooser: true });
+    const isOpen = () =>
+      !!document.querySelector('.bw-datatable__column-chooser--open');
+
+    document.querySelector('.bw-datatable__column-chooser-toggle').click();
+    assert.equal(isOpen(), true);
+    document.body.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    assert.equal(isOpen(), false);
+
+    const signals = listen.mock.calls
+      .filter((call) => call.arguments[0] === 'mousedown')
+      .map((call) => call.arguments[2]?.signal);
+    assert.ok(signals.length > 0);
+
+    table.destroy();
+    assert.ok(signals.every((signal) => signal?.aborted));
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+import { BWDataTable } from '../src/index.js';
+
+const names = (table) => table.getFilteredData().map((row) => row.name);
+
+describe('comparators', () => {
+  it('sorts with a column compare function', () => {
+    const table = createTable({
+      data: [{ name: 'bb' }, { name: 'a' }, { name: 'ccc' }],
+      columns: [{ id: 'name', compare: (a, b) => a.length - b.length }],
+    });
+
+    table.sort('name', 'desc');
+
+    assert.deepEqual(names(table), ['ccc', 'bb', 'a']);
+  });
+
+  it('sorts by a computed sortValue', () => {
+    const table = createTable({
+      data: [
+        { name: 'Ada', person: { last: 'Lovelace' } },
+        { name: 'Alan', person: { last: 'Turing' } },
+        { name: 'Grace', person: { last: 'Hopper' } },
+      ],
+      columns: [{ id: 'name', sortValue: (row) => row.person.last }],
+    });
+
+    table.sort('name', 'asc');
+
+    assert.deepEqual(names(table), ['Grace', 'Ada', 'Alan']);
+  });
+
+  it('compares strings with the collator option', () => {
+    const data = [{ name: 'item 10' }, { name: 'item 9' }, { name: 'item 1' }];
+
+    const plain = createTable({ data, columns: [{ id: 'name' }] });
+    plain.sort('name', 'asc');
+    assert.deepEqual(names(plain), ['item 1', 'item 10', 'item 9']);
+
+    const numeric = createTable({
+      data,
+      columns: [{ id: 'name' }],
+      collator: { numeric: true },
+    });
+    numeric.sort('name', 'asc');
+    assert.deepEqual(names(numeric), ['item 1', 'item 9', 'item 10']);
+  });
+
+  it('uses sort types registered for all tables or for one', () => {
+    BWDataTable.registerSortType('by-length', (a, b) => a.length - b.length);
+    const data = [{ name: 'bb' }, { name: 'a' }, { name: 'ccc' }];
+    const columns = [{ id: 'name', sortType: 'by-length' }];
+
+    const shared = createTable({ data, columns });
+    shared.sort('name', 'asc');
+    assert.deepEqual(names(shared), ['a', 'bb', 'ccc']);
+
+    // A table's own type wins over the shared one
+    const own = createTable({ data, columns });
+    own.registerSortType('by-length', (a, b) => b.length - a.length);
+    own.sort('name', 'asc');
+    assert.deepEqual(names(own), ['ccc', 'bb', 'a']);
+  });
+
+  it('warns once about an unknown sort type and sorts by type', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const table = createTable({
+      data: [{ name: 'b' }, { name: 'c' }, { name: 'a' }],
+      columns: [{ id: 'name', sortType: 'missing' }],
+    });
+
+    table.sort('name', 'asc');
+    table.sort('name', 'desc');
+    table.filter('');
+
+    assert.deepEqual(names(table), ['c', 'b', 'a']);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /"missing"/);
+  });
+
+  it('rejects a sort type without a compare function', () => {
+    assert.throws(() => BWDataTable.registerSortType('bad', null), {
+      message: 'BWDataTable: Sort type "bad" needs a compare function',
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable, tick } from './setup.js';
+
+const TOTAL = 1000;
+
+/**
+ * A dataSource that records its calls and answers each one when told to
+ * (or right away with `auto`)
+ */
+function createSource({ auto = false, ...options } = {}) {
+  const calls = [];
+
+  const answer = (call) => {
+    const { start, end } = call.params;
+    const rows = [];
+    for (let id = start; id < Math.min(end, TOTAL); id++) rows.push({ id });
+    call.resolve({ rows, total: TOTAL });
+  };
+
+  return {
+    calls,
+    starts: () => calls.map((call) => call.params.start),
+    respond: (call = calls.find((c) => !c.answered)) => {
+      call.answered = true;
+      answer(call);
+    },
+    options: {
+      blockSize: 10,
+      debounce: 0,
+      ...options,
+      getRows(params) {
+        return new Promise((resolve) => {
+          const call = { params, resolve, answered: false };
+          calls.push(call);
+          if (auto) {
+            call.answered = true;
+            answer(call);
+          }
+        });
+      },
+    },
+  };
+}
+
+function createRemoteTable(source) {
+  return createTable({
+    columns: [{ id: 'id', type: 'number' }, { id: 'name' }],
+    dataSource: source.options,
+  });
+}
+
+function scrollTo(table, top) {
+  const container = document.querySelector('.bw-datatable__scroll-container');
+  container.scrollTop = top;
+  container.dispatchEvent(new Event('scroll'));
+}
+
+/** Wait until the table settled, e.g. for the blocks of a scroll */
+async function until(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) await tick(10);
+  assert.ok(condition(), 'timed out');
+}
+
+const loadedIds = (table) => table.getFilteredData().map((row) => row.id);
+const range = (start, end) =>
+  Array.from({ length: end - start }, (_, i) => start + i);
+
+describe('dataSource', () => {
+  it('loads the blocks on screen', async () => {
+    const source = createSource({ auto: true });
+    const table = createRemoteTable(source);
+    await until(() => source.calls.length === 2);
+
+    assert.deepEqual(source.starts(), [0, 10]);
+    assert.equal(source.calls[0].params.end, 10);
+    assert.deepEqual(table.getRowCount(), { total: TOTAL, filtered: TOTAL });
+    assert.deepEqual(loadedIds(table), range(0, 20));
+  });
+
+  it('keeps loaded blocks instead of fetching them again', async () => {
+    const source = createSource({ auto: true });
+    const table = createRemoteTable(source);
+    await until(() => source.calls.length === 2);
+
+    scrollTo(table, 4000);
+    await until(() => source.calls.length === 5);
+    scrollTo(table, 0);
+    await tick(50);
+
+    assert.deepEqual(source.starts(), [0, 10, 90, 100, 110]);
+    assert.deepEqual(loadedIds(table), [...range(0, 20), ...range(90, 120)]);
+  });
+
+  it('evicts the least recently used blocks above maxRows', async () => {
+    const source = createSource({ auto: true, maxRows: 30 });
+    const table = createRemoteTable(source);
+    await until(() => source.calls.length === 2);
+
+    // Rows 90-120 on screen: three more blocks, so the first two go
+    scrollTo(table, 4000);
+    await until(() => source.calls.length === 5);
+
+    assert.deepEqual(source.starts(), [0, 10, 90, 100, 110]);
+    assert.deepEqual(loadedIds(table), range(90, 120));
+
+    // Gone blocks are fetched again when scrolled back to, pushing out
+    // the oldest of the others
+    scrollTo(table, 0);
+    await until(() => source.calls.length === 7);
+
+    assert.deepEqual(source.starts().slice(5), [0, 10]);
+    assert.deepEqual(loadedIds(table), [...range(0, 20), ...range(110, 120)]);
+  });
+
+  it('aborts requests in flight when the sort changes', async () => {
+    const source = createSource();
+    const table = createRemoteTable(source);
+    await until(() => source.calls.length === 1);
+    source.respond();
+    await until(() => source.calls.length === 2);
+
+    const [first, second] = source.calls;
+    table.sort('id', 'desc');
+    assert.equal(first.params.signal.aborted, false);
+    assert.equal(second.params.signal.aborted, true);
+
+    await until(() => source.calls.length === 3);
+    const refresh = source.calls[2];
+    assert.equal(refresh.params.signal.aborted, false);
+    assert.deepEqual(refresh.params.sort, [
+      { column: 'id', direction: 'desc' },
+    ]);
+
+    // Late answers to aborted requests are dropped
+    let loaded = 0;
+    table.on('rows:loaded', () => loaded++);
+    source.respond(second);
+    await tick();
+    assert.equal(loaded, 0);
+
+    source.respond(refresh);
+    await tick();
+    assert.equal(loaded, 1);
+  });
+
+  it('aborts requests in flight when the filter changes', async () => {
+    const source = createSource();
+    const table = createRemoteTable(source);
+    await until(() => source.calls.length === 1);
+
+    const [first] = source.calls;
+    table.filter('Acme');
+    assert.equal(first.params.signal.aborted, true);
+
+    await until(() => source.calls.length === 2);
+    const refresh = source.calls.at(-1);
+    assert.equal(refresh.params.start, 0);
+    assert.equal(refresh.params.search, 'acme');
+    assert.equal(refresh.params.signal.aborted, false);
+  });
+
+  it('waits for scrolling to pause for the debounce', async () => {
+    const source = createSource({ auto: true, debounce: 200 });
+    const table = createRemoteTable(source);
+    await until(() => source.calls.length === 2);
+
+    // Only where the scrolling stopped is loaded
+    scrollTo(table, 2000);
+    await tick(20);
+    scrollTo(table, 4000);
+    await tick(20);
+    assert.equal(source.calls.length, 2);
+
+    await until(() => source.calls.length === 5);
+    assert.deepEqual(source.starts().slice(2), [90, 100, 110]);
+  });
+});
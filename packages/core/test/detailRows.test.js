@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, customer: 'Acme', total: 30 },
+  { id: 2, customer: 'Globex', total: 10 },
+  { id: 3, customer: 'Initech', total: 20 },
+];
+
+const columns = [{ id: 'customer' }, { id: 'total', type: 'number' }];
+
+function createDetailTable(options) {
+  const renders = [];
+  const table = createTable({
+    data: data.map((row) => ({ ...row })),
+    columns,
+    rowId: 'id',
+    selectable: false,
+    detailRenderer: (row) => {
+      renders.push(row.id);
+      return `<p class="order">Order ${row.id} for ${row.customer}</p>`;
+    },
+    ...options,
+  });
+  const events = [];
+  table.on('row:expand', (event) => events.push(['expand', event.rowId]));
+  table.on('row:collapse', (event) => events.push(['collapse', event.rowId]));
+  return { table, events, renders };
+}
+
+// Customers, and the detail panels' text under their rows
+const renderedRows = () =>
+  [...document.querySelectorAll('tbody .bw-datatable__row')].map((tr) =>
+    tr.classList.contains('bw-datatable__detail-row')
+      ? `> ${tr.textContent.trim()}`
+      : tr.querySelector('[data-col-index="0"]').textContent.trim()
+  );
+
+const row = (customer) =>
+  [...document.querySelectorAll('tbody .bw-datatable__row')].find(
+    (tr) =>
+      tr.querySelector('[data-col-index="0"]')?.textContent.trim() === customer
+  );
+
+function press(key, init) {
+  document
+    .querySelector('.bw-datatable__scroll-container')
+    .dispatchEvent(
+      new KeyboardEvent('keydown', { key, bubbles: true, ...init })
+    );
+}
+
+describe('detail rows', () => {
+  it('shows a panel under an expanded row', () => {
+    const { table, events } = createDetailTable();
+
+    assert.equal(table.expandRow(2), true);
+    table.expandRow(2);
+
+    assert.deepEqual(renderedRows(), [
+      'Acme',
+      'Globex',
+      '> Order 2 for Globex',
+      'Initech',
+    ]);
+    assert.equal(table.isRowExpanded(2), true);
+    assert.deepEqual(table.getState().expandedRows, ['2']);
+
+    table.collapseRow(2);
+    assert.deepEqual(renderedRows(), ['Acme', 'Globex', 'Initech']);
+    assert.equal(table.expandRow('nope'), false);
+    assert.deepEqual(events, [
+      ['expand', '2'],
+      ['collapse', '2'],
+    ]);
+  });
+
+  it('keeps the panel while sorting and filtering', () => {
+    const element = document.createElement('div');
+    const { table } = createDetailTable({ detailRenderer: () => element });
+    table.expandRow(1);
+
+    table.sort('total', 'asc');
+    table.filter('Ac');
+
+    assert.deepEqual(renderedRows(), ['Acme', '> ']);
+    assert.equal(
+      document.querySelector('.bw-datatable__detail').firstChild,
+      element
+    );
+  });
+
+  it('renders the panel again for a new expand or a changed row', () => {
+    const { table, renders } = createDetailTable();
+
+    table.expandRow(1);
+    table.sort('total', 'asc');
+    assert.deepEqual(renders, [1]);
+
+    table.updateCell(1, 'customer', 'Acme Ltd');
+    assert.ok(renderedRows().includes('> Order 1 for Acme Ltd'));
+
+    table.collapseRow(1);
+    table.expandRow(1);
+    assert.deepEqual(renders, [1, 1, 1]);
+  });
+
+  it('toggles details with the toggle and Alt+Arrow keys', () => {
+    const { table } = createDetailTable();
+
+    row('Acme').querySelector('[data-detail-toggle]').click();
+    assert.equal(table.isRowExpanded(1), true);
+    assert.equal(
+      row('Acme')
+        .querySelector('[data-detail-toggle]')
+        .getAttribute('aria-expanded'),
+      'true'
+    );
+
+    press('ArrowUp', { altKey: true });
+    assert.equal(table.isRowExpanded(1), false);
+
+    press('ArrowDown');
+    press('ArrowDown', { altKey: true });
+    assert.equal(table.isRowExpanded(2), true);
+
+    // From the panel row
+    press('ArrowDown');
+    press('ArrowUp', { altKey: true });
+    assert.equal(table.isRowExpanded(2), false);
+  });
+
+  it('leaves clicks in the panel to its content', () => {
+    const { table } = createDetailTable({ selectable: true });
+    table.expandRow(1);
+
+    document
+      .querySelector('.order')
+      .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    assert.deepEqual(table.getSelected(), []);
+    assert.equal(document.querySelector('.bw-datatable__td--focused'), null);
+  });
+
+  it("doesn't expand rows without detailRenderer", () => {
+    const table = createTable({ data, columns, rowId: 'id' });
+
+    assert.equal(table.expandRow(1), false);
+    assert.equal(document.querySelector('[data-detail-toggle]'), null);
+  });
+});
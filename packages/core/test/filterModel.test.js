@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Acme', region: 'East', amount: 50 },
+  { id: 2, name: 'Globex', region: 'West', amount: 150 },
+  { id: 3, name: 'Initech', region: 'East', amount: 300 },
+  { id: 4, name: 'Acme West', region: 'West', amount: 80 },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'region' },
+  { id: 'amount', type: 'number' },
+];
+
+const ids = (table) => table.getFilteredData().map((row) => row.id);
+
+describe('filter model', () => {
+  it('combines conditions with and, or and not', () => {
+    const table = createTable({ data, columns });
+
+    table.setFilterModel({
+      op: 'or',
+      children: [
+        { column: 'amount', op: 'gt', value: 200 },
+        {
+          op: 'and',
+          children: [
+            { column: 'region', op: 'eq', value: 'West' },
+            { column: 'name', op: 'startsWith', value: 'acme' },
+          ],
+        },
+      ],
+    });
+    assert.deepEqual(ids(table), [3, 4]);
+
+    table.setFilterModel({
+      op: 'and',
+      not: true,
+      children: [{ column: 'region', op: 'eq', value: 'East' }],
+    });
+    assert.deepEqual(ids(table), [2, 4]);
+
+    table.setFilterModel(null);
+    assert.equal(table.getFilterModel(), null);
+    assert.equal(table.getFilteredData().length, 4);
+  });
+
+  it('rejects unknown columns, operators and group ops', () => {
+    const table = createTable({ data, columns });
+
+    assert.throws(
+      () => table.setFilterModel({ column: 'nope', op: 'eq', value: 1 }),
+      { message: 'BWDataTable: Unknown filter column "nope"' }
+    );
+    assert.throws(
+      () => table.setFilterModel({ column: 'name', op: 'like', value: 1 }),
+      { message: 'BWDataTable: Unknown filter operator "like"' }
+    );
+    assert.throws(() => table.setFilterModel({ op: 'xor', children: [] }), {
+      message: 'BWDataTable: Filter group op must be "and" or "or", got "xor"',
+    });
+  });
+
+  it('reads back a copy of the model', () => {
+    const table = createTable({ data, columns });
+    table.setFilterModel({
+      op: 'and',
+      children: [{ column: 'amount', op: 'lt', value: 100 }],
+    });
+
+    const model = table.getFilterModel();
+    model.children[0].value = 1000;
+
+    assert.deepEqual(table.getFilterModel().children[0].value, 100);
+    assert.deepEqual(ids(table), [1, 4]);
+  });
+
+  it('keeps regex values when read back and re-applied', () => {
+    const table = createTable({ data, columns, filterBuilder: true });
+    table.setFilterModel({
+      op: 'and',
+      children: [{ column: 'name', op: 'regex', value: /^acme/i }],
+    });
+
+    const { value } = table.getFilterModel().children[0];
+    assert.ok(value instanceof RegExp);
+    assert.equal(value.source, '^acme');
+    assert.equal(value.flags, 'i');
+
+    table.setFilterModel(table.getFilterModel());
+    assert.deepEqual(ids(table), [1, 4]);
+
+    // Through the builder: open it on the current model and apply as is
+    document.querySelector('.bw-datatable__filter-builder-toggle').click();
+    document.querySelector('[data-fb="apply"]').click();
+
+    assert.ok(table.getFilterModel().children[0].value instanceof RegExp);
+    assert.deepEqual(ids(table), [1, 4]);
+  });
+
+  it('closes the builder on outside clicks until destroyed', (t) => {
+    const listen = t.mock.method(document, 'addEventListener');
+    const table = createTable({ data, columns, filterBuilder: true });
+    const toggle = document.querySelector(
+      '.bw-datatable__filter-builder-toggle'
+    );
+
+    toggle.click();
+    document.body.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+
+    const signals = listen.mock.calls
+      .filter((call) => call.arguments[0] === 'mousedown')
+      .map((call) => call.arguments[2]?.signal);
+    assert.ok(signals.length > 0);
+
+    table.destroy();
+    assert.ok(signals.every((signal) => signal?.aborted));
+  });
+});
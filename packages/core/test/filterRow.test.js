@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable, tick } from './setup.js';
+
+const data = Array.from({ length: 20 }, (_, i) => ({
+  id: i,
+  name: `item ${i}`,
+  region: ['East', 'West', 'North'][i % 3],
+  amount: i * 10,
+  active: i % 2 === 0,
+}));
+
+const columns = [
+  { id: 'name' },
+  { id: 'region' },
+  { id: 'amount', type: 'number' },
+  { id: 'active', type: 'boolean' },
+  { id: 'id', type: 'number', filter: false },
+];
+
+const cell = (columnId) =>
+  document.querySelector(`[data-filter-column="${columnId}"]`);
+
+const control = (columnId, role) =>
+  cell(columnId).querySelector(`[data-filter-role="${role}"]`);
+
+function type(input, value, event = 'input') {
+  input.value = value;
+  input.dispatchEvent(new Event(event, { bubbles: true }));
+}
+
+describe('filter row', () => {
+  it('picks a control per column type', () => {
+    createTable({ data, columns, filterRow: true });
+
+    assert.equal(cell('name').dataset.filter, 'text');
+    assert.equal(cell('region').dataset.filter, 'set');
+    assert.equal(cell('amount').dataset.filter, 'number');
+    assert.equal(cell('active').dataset.filter, 'boolean');
+    assert.equal(cell('id'), null);
+  });
+
+  it('filters text as you type, after a pause', async () => {
+    const table = createTable({ data, columns, filterRow: true });
+
+    type(control('name', 'text'), 'item 1');
+    assert.equal(table.getFilteredData().length, 20);
+
+    await tick(250);
+    assert.deepEqual(table.getColumnFilters(), {
+      name: { op: 'contains', value: 'item 1' },
+    });
+    assert.equal(table.getFilteredData().length, 11);
+  });
+
+  it('filters numbers between min and max', async () => {
+    const table = createTable({ data, columns, filterRow: true });
+
+    type(control('amount', 'min'), '50');
+    type(control('amount', 'max'), '80');
+    await tick(250);
+
+    assert.deepEqual(table.getColumnFilters(), {
+      amount: { op: 'between', value: [50, 80] },
+    });
+    assert.deepEqual(
+      table.getFilteredData().map((row) => row.id),
+      [5, 6, 7, 8]
+    );
+  });
+
+  it('filters booleans and value lists on change', async () => {
+    const table = createTable({ data, columns, filterRow: true });
+
+    type(control('active', 'bool'), 'false', 'change');
+    await tick();
+    assert.deepEqual(table.getColumnFilters().active, {
+      op: 'eq',
+      value: false,
+    });
+
+    const west = cell('region').querySelector('input[value="West"]');
+    west.checked = false;
+    west.dispatchEvent(new Event('change', { bubbles: true }));
+    await tick();
+
+    assert.deepEqual(table.getColumnFilters().region, {
+      op: 'in',
+      value: ['East', 'North'],
+    });
+    assert.ok(
+      table
+        .getFilteredData()
+        .every((row) => !row.active && row.region !== 'West')
+    );
+    assert.equal(
+      cell('region').querySelector('.bw-datatable__filter-summary').textContent,
+      '2 selected'
+    );
+  });
+
+  it('shows filters set through the API', () => {
+    const table = createTable({ data, columns, filterRow: true });
+
+    table.filterColumn('name', 'item');
+    table.filterColumn('amount', { op: 'gt', value: 30 });
+    table.filterColumn('region', ['East']);
+
+    assert.equal(control('name', 'text').value, 'item');
+    assert.equal(control('amount', 'min').value, '30');
+    assert.equal(control('amount', 'max').value, '');
+    const checked = [
+      ...cell('region').querySelectorAll('input[type="checkbox"]:checked'),
+    ].map((box) => box.value);
+    assert.deepEqual(checked, ['East']);
+  });
+});
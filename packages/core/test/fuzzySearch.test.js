@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Academy', city: 'Paris' },
+  { id: 2, name: 'Macaroni', city: 'Rome' },
+  { id: 3, name: 'Acme', city: 'London' },
+  { id: 4, name: 'Globex', city: 'Acton' },
+];
+
+const columns = [{ id: 'id', type: 'number' }, { id: 'name' }, { id: 'city' }];
+
+const ids = (table) => table.getFilteredData().map((row) => row.id);
+
+const cellHtml = (viewIndex, colIndex) =>
+  document.querySelector(
+    `.bw-datatable__row[data-view-index="${viewIndex}"] [data-col-index="${colIndex}"]`
+  ).innerHTML;
+
+describe('fuzzy search', () => {
+  it('matches characters in order, best matches first', () => {
+    const table = createTable({ data, columns, searchMode: 'fuzzy' });
+
+    table.filter('acm');
+
+    assert.deepEqual(ids(table), [3, 1]);
+  });
+
+  it('keeps data order without sortByRelevance or with a sort', () => {
+    const plain = createTable({
+      data,
+      columns,
+      searchMode: 'fuzzy',
+      sortByRelevance: false,
+    });
+    plain.filter('acm');
+    assert.deepEqual(ids(plain), [1, 3]);
+
+    const sorted = createTable({ data, columns, searchMode: 'fuzzy' });
+    sorted.sort('name', 'asc');
+    sorted.filter('acm');
+    assert.deepEqual(ids(sorted), [1, 3]);
+  });
+
+  it('keeps negated and column terms exact', () => {
+    const table = createTable({ data, columns, searchMode: 'fuzzy' });
+
+    table.filter('ac -acme');
+    assert.deepEqual(ids(table), [1, 4, 2]);
+
+    table.filter('ac city:lon');
+    assert.deepEqual(ids(table), [3]);
+  });
+
+  it('only matches substrings in contains mode', () => {
+    const table = createTable({ data, columns });
+
+    table.filter('acm');
+
+    assert.deepEqual(ids(table), [3]);
+  });
+
+  it('highlights fuzzy matches in cells', () => {
+    const table = createTable({ data, columns, searchMode: 'fuzzy' });
+
+    table.filter('acm');
+
+    assert.equal(
+      cellHtml(0, 1),
+      '<mark class="bw-datatable__mark">Acm</mark>e'
+    );
+    assert.equal(
+      cellHtml(1, 1),
+      '<mark class="bw-datatable__mark">Ac</mark>ade' +
+        '<mark class="bw-datatable__mark">m</mark>y'
+    );
+  });
+
+  it('highlights contains matches only with highlightSearch', () => {
+    createTable({ data, columns }).filter('ac');
+    assert.equal(cellHtml(0, 1), 'Academy');
+
+    createTable({ data, columns, highlightSearch: true }).filter('ac');
+    assert.equal(
+      cellHtml(0, 1),
+      '<mark class="bw-datatable__mark">Ac</mark>ademy'
+    );
+    assert.equal(
+      cellHtml(3, 2),
+      '<mark class="bw-datatable__mark">Ac</mark>ton'
+    );
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable, tick } from './setup.js';
+
+/**
+ * An infinite list of `total` rows that records the loadMore() calls
+ */
+function createLog(total, options = {}) {
+  const calls = [];
+  const events = [];
+
+  const table = createTable({
+    columns: [{ id: 'id', type: 'number' }, { id: 'message' }],
+    infiniteScroll: {
+      blockSize: 10,
+      debounce: 0,
+      ...options,
+      async loadMore(params) {
+        calls.push(params);
+        if (options.loadMore) return options.loadMore(params);
+        const rows = [];
+        for (let id = params.start; id < Math.min(params.end, total); id++) {
+          rows.push({ id, message: `line ${id}` });
+        }
+        return rows;
+      },
+    },
+  });
+  table.on('rows:loading', (event) => events.push(['loading', event]));
+  table.on('rows:loaded', (event) => events.push(['loaded', event]));
+
+  return { table, calls, events };
+}
+
+function scrollToBottom(table) {
+  const container = document.querySelector('.bw-datatable__scroll-container');
+  container.scrollTop = table.getFilteredData().length * 40 - 400;
+  container.dispatchEvent(new Event('scroll'));
+}
+
+/** Wait until the table settled, e.g. for the blocks of a scroll */
+async function until(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) await tick(10);
+  assert.ok(condition(), 'timed out');
+}
+
+const starts = (calls) => calls.map((params) => params.start);
+
+describe('infiniteScroll', () => {
+  it('loads blocks until the screen is filled', async () => {
+    const { table, calls, events } = createLog(1000);
+    await until(() => calls.length === 4);
+    await tick(20);
+
+    // 10 rows on screen plus a block of threshold below them
+    assert.deepEqual(starts(calls), [0, 10, 20, 30]);
+    assert.equal(table.getFilteredData().length, 40);
+    assert.deepEqual(events.slice(0, 2), [
+      ['loading', { start: 0, end: 10, pending: 1 }],
+      [
+        'loaded',
+        { start: 0, end: 10, count: 10, total: 10, pending: 0, done: false },
+      ],
+    ]);
+  });
+
+  it('loads more when scrolled near the bottom', async () => {
+    const { table, calls } = createLog(1000);
+    await until(() => calls.length === 4);
+
+    scrollToBottom(table);
+    await until(() => calls.length === 7);
+    await tick(20);
+
+    assert.deepEqual(starts(calls).slice(4), [40, 50, 60]);
+    assert.equal(table.getFilteredData().length, 70);
+    assert.equal(
+      document.querySelector('.bw-datatable__spacer').style.height,
+      '2800px'
+    );
+  });
+
+  it('ends the list at a short block', async () => {
+    const { table, calls, events } = createLog(25);
+    await until(() => calls.length === 3);
+    await tick(20);
+
+    assert.equal(table.getFilteredData().length, 25);
+    assert.deepEqual(events.at(-1), [
+      'loaded',
+      { start: 20, end: 30, count: 5, total: 25, pending: 0, done: true },
+    ]);
+
+    scrollToBottom(table);
+    await tick(50);
+    assert.equal(calls.length, 3);
+  });
+
+  it('keeps asking when a short block says more may come', async () => {
+    let available = 15;
+    const { table, calls } = createLog(0, {
+      loadMore({ start, end }) {
+        const rows = [];
+        for (let id = start; id < Math.min(end, available); id++) {
+          rows.push({ id });
+        }
+        return { rows, done: false };
+      },
+    });
+    await until(() => calls.length >= 2);
+
+    available = 30;
+    scrollToBottom(table);
+    await until(() => table.getFilteredData().length === 30);
+
+    assert.deepEqual(starts(calls).slice(0, 3), [0, 10, 10]);
+
+    // Still polling for more at the bottom
+    table.destroy();
+  });
+
+  it('starts over from the first block on sort', async () => {
+    const { table, calls } = createLog(1000);
+    await until(() => calls.length === 4);
+
+    table.sort('id', 'desc');
+    await until(() => calls.length > 4);
+
+    assert.equal(calls[4].start, 0);
+    assert.deepEqual(calls[4].sort, [{ column: 'id', direction: 'desc' }]);
+    await until(() => calls.length === 8);
+    await tick(20);
+    assert.deepEqual(starts(calls).slice(4), [0, 10, 20, 30]);
+    assert.equal(table.getFilteredData().length, 40);
+  });
+
+  it('reports failed blocks and rejects a missing loadMore', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const { calls, events } = createLog(0, {
+      loadMore: () => Promise.reject(new Error('offline')),
+    });
+    await until(() => events.length === 2);
+
+    assert.equal(calls.length, 1);
+    assert.equal(events[1][1].error.message, 'offline');
+    assert.equal(error.mock.callCount(), 1);
+
+    assert.throws(() => createTable({ infiniteScroll: { blockSize: 10 } }), {
+      message: 'BWDataTable: infiniteScroll.loadMore must be a function',
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = Array.from({ length: 100 }, (_, i) => ({ id: i, n: i % 10 }));
+
+function createPagedTable() {
+  const table = createTable({ data, pagination: { pageSize: 10 } });
+  const events = [];
+  table.on('page:change', (event) => events.push(event));
+  return { table, events };
+}
+
+describe('pagination', () => {
+  it('announces page changes', () => {
+    const { table, events } = createPagedTable();
+
+    table.setPage(3);
+    table.setPage(3);
+
+    assert.equal(table.getPage(), 3);
+    assert.deepEqual(events, [
+      {
+        page: 3,
+        previousPage: 0,
+        pageSize: 10,
+        pageCount: 10,
+        totalRows: 100,
+      },
+    ]);
+  });
+
+  it('announces the return to the first page on sort', () => {
+    const { table, events } = createPagedTable();
+
+    table.setPage(4);
+    table.sort('n', 'desc');
+
+    assert.equal(table.getPage(), 0);
+    assert.equal(events.length, 2);
+    assert.deepEqual(events[1], {
+      page: 0,
+      previousPage: 4,
+      pageSize: 10,
+      pageCount: 10,
+      totalRows: 100,
+    });
+  });
+
+  it('stays quiet when a new view is already on the first page', () => {
+    const { table, events } = createPagedTable();
+
+    table.sort('n', 'desc');
+
+    assert.equal(events.length, 0);
+  });
+
+  it('moves back a page when the last page loses its rows', () => {
+    const { table, events } = createPagedTable();
+    table.setPage(9);
+
+    table.applyTransaction({ remove: [91, 92, 93, 94, 95, 96, 97, 98, 99] });
+    assert.equal(table.getPage(), 9);
+
+    table.applyTransaction({ remove: [90] });
+
+    assert.equal(table.getPage(), 8);
+    assert.deepEqual(events.at(-1), {
+      page: 8,
+      previousPage: 9,
+      pageSize: 10,
+      pageCount: 9,
+      totalRows: 90,
+    });
+    assert.equal(
+      document.querySelectorAll('.bw-datatable__row[data-view-index]').length,
+      10
+    );
+  });
+
+  it('moves back a page when edits filter out the last rows', () => {
+    const table = createTable({
+      data: Array.from({ length: 12 }, (_, i) => ({ id: i, n: 1 })),
+      pagination: { pageSize: 10 },
+    });
+    table.filterColumn('n', { op: 'eq', value: 1 });
+    table.setPage(1);
+    const events = [];
+    table.on('page:change', (event) => events.push(event));
+
+    table.updateCell(10, 'n', 2);
+    assert.equal(events.length, 0);
+    table.updateRow(11, { n: 2 });
+
+    assert.equal(table.getPage(), 0);
+    assert.deepEqual(
+      events.map(({ page, previousPage }) => [page, previousPage]),
+      [[0, 1]]
+    );
+  });
+
+  it('moves back a page when groups collapse', () => {
+    const table = createTable({
+      data,
+      groupBy: ['n'],
+      pagination: { pageSize: 10 },
+    });
+    table.setPage(10);
+    const events = [];
+    table.on('page:change', (event) => events.push(event));
+
+    table.collapseAllGroups();
+
+    assert.equal(table.getPage(), 0);
+    assert.deepEqual(
+      events.map(({ page, previousPage }) => [page, previousPage]),
+      [[0, 10]]
+    );
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Acme', city: 'London', amount: 10, actions: 'edit' },
+  { id: 2, name: 'Globex', city: 'Paris', amount: 20, actions: 'edit' },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'actions', pinned: 'right' },
+  { id: 'city' },
+  { id: 'amount', type: 'number' },
+];
+
+const header = (columnId) =>
+  document.querySelector(`.bw-datatable__th[data-column="${columnId}"]`);
+
+const headerIds = () =>
+  [
+    ...document.querySelectorAll('.bw-datatable__header-row > th[data-column]'),
+  ].map((th) => th.dataset.column);
+
+describe('pinned columns', () => {
+  it('moves pinned columns to the edges', () => {
+    const table = createTable({ data, columns, selectable: false });
+
+    table.pinColumn('city');
+
+    assert.deepEqual(table.getColumnOrder(), [
+      'city',
+      'id',
+      'name',
+      'amount',
+      'actions',
+    ]);
+    assert.deepEqual(headerIds(), table.getColumnOrder());
+
+    const { pinnedLeft, pinnedRight } = table.getState();
+    assert.deepEqual(pinnedLeft, ['city']);
+    assert.deepEqual(pinnedRight, ['actions']);
+  });
+
+  it('renders sticky cells with an edge shadow', () => {
+    const table = createTable({ data, columns, selectable: false });
+    table.pinColumn('id');
+    table.pinColumn('name');
+
+    assert.equal(header('id').style.left, '0px');
+    assert.equal(header('name').style.left, '100px');
+    assert.equal(header('actions').style.right, '0px');
+    assert.ok(
+      header('name').classList.contains('bw-datatable__th--pinned-left-edge')
+    );
+    assert.ok(
+      !header('id').classList.contains('bw-datatable__th--pinned-left-edge')
+    );
+    assert.equal(header('city').style.left, '');
+
+    const cell = document.querySelector(
+      '.bw-datatable__row[data-view-index="0"] [data-col-index="1"]'
+    );
+    assert.ok(cell.classList.contains('bw-datatable__td--pinned'));
+    assert.equal(cell.style.left, '100px');
+  });
+
+  it('pins the checkbox column along with left-pinned columns', () => {
+    const table = createTable({ data, columns });
+    const checkbox = () =>
+      document.querySelector('.bw-datatable__th--checkbox');
+
+    assert.ok(!checkbox().classList.contains('bw-datatable__th--pinned'));
+
+    table.pinColumn('name');
+
+    assert.ok(checkbox().classList.contains('bw-datatable__th--pinned'));
+    assert.equal(checkbox().style.left, '0px');
+    assert.equal(header('name').style.left, '100px');
+  });
+
+  it('unpins back into the other columns and fires column:pin', () => {
+    const table = createTable({ data, columns, selectable: false });
+    const events = [];
+    table.on('column:pin', (event) => events.push(event));
+
+    table.pinColumn('amount', 'left');
+    table.pinColumn('amount', 'left');
+    table.unpinColumn('actions');
+
+    assert.deepEqual(events, [
+      { columnId: 'amount', side: 'left' },
+      { columnId: 'actions', side: null },
+    ]);
+    assert.deepEqual(table.getState().pinnedRight, []);
+    assert.ok(
+      !header('actions').classList.contains('bw-datatable__th--pinned')
+    );
+    assert.equal(table.pinColumn('nope'), false);
+    assert.throws(() => table.pinColumn('id', 'top'), {
+      message: `BWDataTable: pinColumn() side must be 'left' or 'right', got "top"`,
+    });
+  });
+
+  it('keeps pinned columns rendered with virtual columns', () => {
+    const wide = Array.from({ length: 50 }, (_, i) => ({ id: `c${i}` }));
+    createTable({
+      data: [Object.fromEntries(wide.map((col) => [col.id, col.id]))],
+      columns: [{ ...wide[0], pinned: 'left' }, ...wide.slice(1)],
+      selectable: false,
+      virtualColumns: { buffer: 0, columnWidth: 100 },
+    });
+
+    const container = document.querySelector('.bw-datatable__scroll-container');
+    container.scrollLeft = 3000;
+    container.dispatchEvent(new Event('scroll'));
+
+    const rendered = [
+      ...document.querySelectorAll(
+        '.bw-datatable__row[data-view-index="0"] [data-col-index]'
+      ),
+    ].map((td) => Number(td.dataset.colIndex));
+    assert.equal(rendered[0], 0);
+    assert.ok(rendered.length < 15, `${rendered.length} columns`);
+    assert.ok(rendered.includes(35));
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = Array.from({ length: 50 }, (_, i) => ({
+  id: i,
+  name: `item ${i}`,
+  amount: i * 10,
+}));
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name', editable: true },
+  { id: 'amount', type: 'number' },
+];
+
+const pinnedNames = (side) =>
+  [
+    ...document.querySelectorAll(
+      `.bw-datatable__pinned-${side} .bw-datatable__row--pinned`
+    ),
+  ].map((tr) => tr.querySelector('[data-col-index="1"]').textContent.trim());
+
+const focusedCell = () => document.querySelector('.bw-datatable__td--focused');
+
+function press(key) {
+  document
+    .querySelector('.bw-datatable__scroll-container')
+    .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('pinned rows', () => {
+  it('renders the pinned row options above and below the rows', () => {
+    const table = createTable({
+      data,
+      columns,
+      pinnedTopRows: [{ id: 'new', name: '(new entry)' }],
+      pinnedBottomRows: [{ id: 'total', name: 'Total', amount: 12250 }],
+    });
+
+    assert.deepEqual(pinnedNames('top'), ['(new entry)']);
+    assert.deepEqual(pinnedNames('bottom'), ['Total']);
+    assert.deepEqual(table.getState().pinnedRows, {
+      top: ['new'],
+      bottom: ['total'],
+    });
+    // Not part of the data
+    assert.equal(table.getFilteredData().length, 50);
+  });
+
+  it('keeps pinned rows whatever the sort and filters', () => {
+    const table = createTable({
+      data,
+      columns,
+      pinnedBottomRows: [{ id: 'total', name: 'Total' }],
+    });
+    table.pinRow(7);
+
+    table.sort('amount', 'desc');
+    table.filter('item 4');
+
+    assert.deepEqual(pinnedNames('top'), ['item 7']);
+    assert.deepEqual(pinnedNames('bottom'), ['Total']);
+  });
+
+  it('pins and unpins data rows, which stay in the list', () => {
+    const table = createTable({ data, columns });
+    const events = [];
+    table.on('row:pin', (event) => events.push(event));
+
+    assert.equal(table.pinRow(3, 'bottom'), true);
+    assert.equal(table.pinRow(3, 'top'), true);
+    assert.deepEqual(pinnedNames('top'), ['item 3']);
+    assert.deepEqual(pinnedNames('bottom'), []);
+    assert.ok(table.getFilteredData().some((row) => row.id === 3));
+
+    assert.equal(table.unpinRow(3), true);
+    assert.equal(table.unpinRow(3), false);
+    assert.equal(table.pinRow('nope'), false);
+    assert.deepEqual(pinnedNames('top'), []);
+    assert.deepEqual(events, [
+      { rowId: 3, side: 'bottom' },
+      { rowId: 3, side: 'top' },
+      { rowId: 3, side: null },
+    ]);
+
+    assert.throws(() => table.pinRow(3, 'left'), {
+      message: `BWDataTable: pinRow() side must be 'top' or 'bottom', got "left"`,
+    });
+  });
+
+  it('replaces the rows on one side with setPinnedRows', () => {
+    const table = createTable({
+      data,
+      columns,
+      pinnedBottomRows: [{ id: 'total', name: 'Total' }],
+    });
+
+    table.setPinnedRows('bottom', [
+      { id: 'sum', name: 'Sum' },
+      { id: 'avg', name: 'Average' },
+    ]);
+
+    assert.deepEqual(pinnedNames('bottom'), ['Sum', 'Average']);
+    assert.deepEqual(table.getState().pinnedRows.bottom, ['sum', 'avg']);
+  });
+
+  it('moves focus into the pinned rows with the arrow keys', () => {
+    createTable({
+      data: data.slice(0, 3),
+      columns,
+      pinnedTopRows: [{ id: 'new', name: '(new entry)' }],
+      pinnedBottomRows: [{ id: 'total', name: 'Total' }],
+    });
+    document
+      .querySelector(
+        '.bw-datatable__row[data-view-index="0"] [data-col-index="1"]'
+      )
+      .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    press('ArrowUp');
+    assert.equal(focusedCell().textContent.trim(), '(new entry)');
+    press('ArrowUp');
+    assert.equal(focusedCell().textContent.trim(), '(new entry)');
+
+    press('ArrowDown');
+    press('ArrowDown');
+    press('ArrowDown');
+    press('ArrowDown');
+    assert.equal(focusedCell().closest('tr').dataset.pinnedRowId, 'total');
+  });
+
+  it("doesn't edit pinned rows", () => {
+    createTable({
+      data,
+      columns,
+      pinnedTopRows: [{ id: 'new', name: '(new entry)' }],
+    });
+
+    document
+      .querySelector('.bw-datatable__pinned-top [data-col-index="1"]')
+      .dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+
+    assert.equal(document.querySelector('.bw-datatable__edit-input'), null);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, region: 'E', team: 'a', amount: 2 },
+  { id: 2, region: 'E', team: 'b', amount: 3 },
+  { id: 3, region: 'W', team: 'a', amount: 7 },
+  { id: 4, region: 'W', team: 'b', amount: 1 },
+];
+
+function pointer(target, type, clientX, clientY) {
+  target.dispatchEvent(
+    new MouseEvent(type, { bubbles: true, button: 0, clientX, clientY })
+  );
+}
+
+describe('pivot', () => {
+  it('starts pivoted with the pivot option', () => {
+    const table = createTable({
+      data,
+      pivot: { rows: ['region'], values: ['amount'] },
+    });
+
+    assert.deepEqual(table.getFilteredData(), [
+      { region: 'E', 'pivot-0-0': 5 },
+      { region: 'W', 'pivot-0-0': 8 },
+    ]);
+  });
+
+  it('pivots and sorts with a global search on a source column', () => {
+    const table = createTable({ data });
+    table.filter('team:a');
+    assert.equal(table.getFilteredData().length, 2);
+
+    table.setPivot({ rows: ['region'], values: ['amount'] });
+    table.sort('region', 'desc');
+
+    assert.deepEqual(table.getFilteredData(), [
+      { region: 'W', 'pivot-0-0': 8 },
+      { region: 'E', 'pivot-0-0': 5 },
+    ]);
+    assert.equal(table.getState().searchQuery, null);
+  });
+
+  it('brings the global search back when leaving pivot mode', () => {
+    const table = createTable({ data });
+    table.filter('team:a');
+
+    table.setPivot({ rows: ['region'], values: ['amount'] });
+    table.setPivot(null);
+
+    assert.deepEqual(
+      table.getFilteredData().map((row) => row.id),
+      [1, 3]
+    );
+  });
+
+  it('pivots by chips dragged into the panel zones', (t) => {
+    // Zones stacked 100px apart, their chips out of the way
+    t.mock.method(HTMLElement.prototype, 'getBoundingClientRect', function () {
+      const top = this.classList.contains('bw-datatable__pivot-zone')
+        ? [...this.parentNode.children].indexOf(this) * 100
+        : -1000;
+      return { left: 0, right: 1000, width: 1000, top, bottom: top + 100 };
+    });
+    const table = createTable({ data, pivotPanel: true });
+    const chip = (zone, columnId) =>
+      document.querySelector(
+        `.bw-datatable__pivot-chip[data-pivot-zone="${zone}"][data-pivot-column="${columnId}"]`
+      );
+    const drag = (from, y) => {
+      pointer(from, 'pointerdown', 10, 10);
+      pointer(document, 'pointermove', 50, y);
+      pointer(document, 'pointerup', 50, y);
+    };
+
+    drag(chip('fields', 'region'), 150);
+    drag(chip('fields', 'amount'), 350);
+    assert.deepEqual(table.getPivot(), {
+      rows: ['region'],
+      columns: [],
+      values: [{ column: 'amount', aggregate: 'sum' }],
+    });
+
+    // Back to the fields to take it out
+    drag(chip('rows', 'region'), 50);
+    assert.deepEqual(table.getPivot().rows, []);
+  });
+
+  it('removes its document listeners on destroy', (t) => {
+    const listen = t.mock.method(document, 'addEventListener');
+    const table = createTable({ data, pivotPanel: true });
+
+    const signals = listen.mock.calls
+      .filter((call) => call.arguments[0].startsWith('pointer'))
+      .map((call) => call.arguments[2]?.signal);
+    assert.equal(signals.length, 6);
+
+    table.destroy();
+    assert.ok(signals.every((signal) => signal?.aborted));
+  });
+});
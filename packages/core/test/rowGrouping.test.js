@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, region: 'East', team: 'Sales', amount: 10 },
+  { id: 2, region: 'West', team: 'Sales', amount: 20 },
+  { id: 3, region: 'East', team: 'Ops', amount: 30 },
+  { id: 4, region: 'East', team: 'Sales', amount: 40 },
+  { id: 5, region: '', team: 'Ops', amount: 50 },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'region' },
+  { id: 'team' },
+  { id: 'amount', type: 'number' },
+];
+
+function createGroupedTable(options) {
+  const table = createTable({
+    data,
+    columns,
+    selectable: false,
+    groupBy: ['region'],
+    ...options,
+  });
+  const events = [];
+  table.on('group:change', (event) => events.push(event));
+  table.on('group:toggle', (event) => events.push(event));
+  return { table, events };
+}
+
+// Group rows as "value (count)", data rows by ID
+const renderedRows = () =>
+  [...document.querySelectorAll('tbody .bw-datatable__row')].map((tr) =>
+    tr.classList.contains('bw-datatable__group-row')
+      ? `${tr.querySelector('.bw-datatable__group-value').textContent} ${
+          tr.querySelector('.bw-datatable__group-count').textContent
+        }`
+      : Number(tr.querySelector('[data-col-index="0"]').textContent)
+  );
+
+const groupRow = (value) =>
+  [...document.querySelectorAll('.bw-datatable__group-row')].find(
+    (tr) => tr.querySelector('.bw-datatable__group-value').textContent === value
+  );
+
+function pointer(target, type, clientX, clientY) {
+  target.dispatchEvent(
+    new MouseEvent(type, { bubbles: true, button: 0, clientX, clientY })
+  );
+}
+
+function press(key) {
+  document
+    .querySelector('.bw-datatable__scroll-container')
+    .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('row grouping', () => {
+  it('renders a group row above the rows of each value', () => {
+    createGroupedTable();
+
+    assert.deepEqual(renderedRows(), [
+      '(Blank) (1)',
+      5,
+      'East (3)',
+      1,
+      3,
+      4,
+      'West (1)',
+      2,
+    ]);
+  });
+
+  it('nests groups and sorts within them', () => {
+    const { table } = createGroupedTable({ groupBy: ['region', 'team'] });
+    table.filter('East');
+    table.sort('amount', 'desc');
+
+    assert.deepEqual(renderedRows(), [
+      'East (3)',
+      'Ops (1)',
+      3,
+      'Sales (2)',
+      4,
+      1,
+    ]);
+  });
+
+  it('collapses and expands groups by path', () => {
+    const { table, events } = createGroupedTable({
+      groupBy: ['region', 'team'],
+    });
+
+    assert.equal(table.collapseGroup(['East', 'Sales']), true);
+    assert.equal(table.collapseGroup(['North']), false);
+    assert.deepEqual(renderedRows(), [
+      '(Blank) (1)',
+      'Ops (1)',
+      5,
+      'East (3)',
+      'Ops (1)',
+      3,
+      'Sales (2)',
+      'West (1)',
+      'Sales (1)',
+      2,
+    ]);
+
+    table.collapseAllGroups();
+    assert.deepEqual(renderedRows(), ['(Blank) (1)', 'East (3)', 'West (1)']);
+
+    table.expandGroup(['West']);
+    assert.deepEqual(renderedRows(), [
+      '(Blank) (1)',
+      'East (3)',
+      'West (1)',
+      'Sales (1)',
+    ]);
+    assert.deepEqual(events, [
+      { path: ['East', 'Sales'], expanded: false },
+      { path: null, expanded: false },
+      { path: ['West'], expanded: true },
+    ]);
+  });
+
+  it('starts collapsed without groupsExpanded', () => {
+    createGroupedTable({ groupsExpanded: false });
+
+    assert.deepEqual(renderedRows(), ['(Blank) (1)', 'East (3)', 'West (1)']);
+  });
+
+  it('toggles a group row on click and with the arrow keys', () => {
+    createGroupedTable();
+
+    groupRow('East').click();
+    assert.equal(groupRow('East').getAttribute('aria-expanded'), 'false');
+    assert.deepEqual(renderedRows(), [
+      '(Blank) (1)',
+      5,
+      'East (3)',
+      'West (1)',
+      2,
+    ]);
+
+    press('ArrowRight');
+    assert.equal(groupRow('East').getAttribute('aria-expanded'), 'true');
+
+    // Into the group, then back up to collapse it
+    press('ArrowRight');
+    assert.equal(
+      document.querySelector('.bw-datatable__td--focused').textContent.trim(),
+      '1'
+    );
+    press('ArrowUp');
+    press('ArrowLeft');
+    assert.equal(groupRow('East').getAttribute('aria-expanded'), 'false');
+  });
+
+  it('changes the grouping with setGroupBy', () => {
+    const { table, events } = createGroupedTable();
+
+    table.setGroupBy(['team', 'nope']);
+    table.setGroupBy(['team']);
+
+    assert.deepEqual(table.getGroupBy(), ['team']);
+    assert.deepEqual(table.getState().groupBy, ['team']);
+    assert.deepEqual(renderedRows(), ['Ops (2)', 3, 5, 'Sales (3)', 1, 2, 4]);
+    assert.deepEqual(events, [
+      { groupBy: ['team'], previousGroupBy: ['region'] },
+    ]);
+
+    table.setGroupBy([]);
+    assert.deepEqual(renderedRows(), [1, 2, 3, 4, 5]);
+    assert.throws(() => table.setGroupBy('team'), {
+      message: 'BWDataTable: setGroupBy() expects an array of IDs',
+    });
+  });
+
+  it('groups by headers dropped on the group panel', (t) => {
+    // The panel sits below the headers
+    t.mock.method(HTMLElement.prototype, 'getBoundingClientRect', function () {
+      const top = this.classList.contains('bw-datatable__group-panel')
+        ? 500
+        : 0;
+      return { left: 0, right: 1000, width: 1000, top, bottom: top + 40 };
+    });
+    const { table } = createGroupedTable({ groupPanel: true });
+    const header = document.querySelector(
+      '.bw-datatable__th[data-column="team"]'
+    );
+
+    pointer(header, 'pointerdown', 10, 10);
+    pointer(document, 'pointermove', 100, 520);
+    pointer(document, 'pointerup', 100, 520);
+    assert.deepEqual(table.getGroupBy(), ['region', 'team']);
+    assert.equal(
+      document.querySelectorAll('.bw-datatable__group-chip').length,
+      2
+    );
+
+    document.querySelector('[data-group-remove="region"]').click();
+    assert.deepEqual(table.getGroupBy(), ['team']);
+  });
+});
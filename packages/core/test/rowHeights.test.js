@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+function createNoteTable(options) {
+  let calls = 0;
+  const table = createTable({
+    // Inline edits change the rows in place
+    data: Array.from({ length: 1000 }, (_, i) => ({ id: i, note: 'short' })),
+    columns: [{ id: 'id', type: 'number' }, { id: 'note' }],
+    rowHeight: (row) => {
+      calls++;
+      return row.note.length > 10 ? 80 : 40;
+    },
+    ...options,
+  });
+
+  return { table, calls: () => calls };
+}
+
+const spacerHeight = () =>
+  document.querySelector('.bw-datatable__spacer').style.height;
+
+function editCell(rowIndex, colIndex, value) {
+  const cell = document.querySelector(
+    `.bw-datatable__row[data-view-index="${rowIndex}"] [data-col-index="${colIndex}"]`
+  );
+  cell.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+
+  const input = document.querySelector('.bw-datatable__edit-input');
+  input.value = value;
+  input.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+  );
+}
+
+describe('row heights', () => {
+  it('updates just the edited row height after an inline edit', () => {
+    const { calls } = createNoteTable();
+    assert.equal(spacerHeight(), '40000px');
+
+    const before = calls();
+    editCell(2, 1, 'a much longer note');
+
+    assert.equal(spacerHeight(), '40040px');
+    // The rendered rows, not all 1000
+    assert.ok(calls() - before < 100, `${calls() - before} calls`);
+  });
+
+  it('updates the height of a row changed with updateCell', () => {
+    const { table } = createNoteTable({ holdRowPosition: true });
+
+    table.updateCell(5, 'note', 'a much longer note');
+    assert.equal(spacerHeight(), '40040px');
+
+    table.updateCell(5, 'note', 'short');
+    assert.equal(spacerHeight(), '40000px');
+  });
+
+  it('measures an updated row again with autoRowHeight', (t) => {
+    // Rows holding a long note lay out twice as tall
+    const layout = Object.getOwnPropertyDescriptor(
+      HTMLElement.prototype,
+      'offsetHeight'
+    );
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+      get() {
+        const long =
+          this.matches('.bw-datatable__row') &&
+          this.textContent.includes('long');
+        return long ? 80 : layout.get.call(this);
+      },
+      configurable: true,
+    });
+    t.after(() =>
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', layout)
+    );
+
+    const table = createTable({
+      data: Array.from({ length: 1000 }, (_, i) => ({
+        id: i,
+        note: i === 5 ? 'a long note' : 'short',
+      })),
+      columns: [{ id: 'id', type: 'number' }, { id: 'note' }],
+      autoRowHeight: true,
+      holdRowPosition: true,
+    });
+    assert.equal(spacerHeight(), '40040px');
+
+    // Out of the rendered rows, so it isn't measured again on render
+    const container = document.querySelector('.bw-datatable__scroll-container');
+    container.scrollTop = 20000;
+    container.dispatchEvent(new Event('scroll'));
+
+    table.updateCell(5, 'note', 'short');
+    assert.equal(spacerHeight(), '40000px');
+  });
+});
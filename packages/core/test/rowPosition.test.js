@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'amount', type: 'number', editable: true },
+];
+
+function createSortedTable(options) {
+  const table = createTable({
+    // Edits change the rows in place
+    data: [
+      { id: 1, name: 'a', amount: 10 },
+      { id: 2, name: 'b', amount: 20 },
+      { id: 3, name: 'c', amount: 30 },
+      { id: 4, name: 'd', amount: 40 },
+    ],
+    columns,
+    ...options,
+  });
+  table.sort('amount', 'asc');
+  return table;
+}
+
+const ids = (table) => table.getFilteredData().map((row) => row.id);
+
+const renderedIds = () =>
+  [
+    ...document.querySelectorAll(
+      '.bw-datatable__row[data-view-index] [data-col-index="0"]'
+    ),
+  ].map((cell) => Number(cell.textContent));
+
+describe('row position after updates', () => {
+  it('moves an updated row to its sorted position', () => {
+    const table = createSortedTable();
+
+    table.updateCell(1, 'amount', 35);
+    assert.deepEqual(ids(table), [2, 3, 1, 4]);
+
+    table.updateRow(4, { amount: 5 });
+    assert.deepEqual(ids(table), [4, 2, 3, 1]);
+    assert.deepEqual(renderedIds(), [4, 2, 3, 1]);
+  });
+
+  it('drops an updated row that no longer matches the filters', () => {
+    const table = createSortedTable();
+    table.filterColumn('amount', { op: 'gt', value: 15 });
+
+    table.updateCell(3, 'amount', 1);
+    assert.deepEqual(ids(table), [2, 4]);
+
+    table.updateCell(3, 'amount', 25);
+    assert.deepEqual(ids(table), [2, 3, 4]);
+  });
+
+  it('moves an inline-edited row', () => {
+    const table = createSortedTable();
+
+    const cell = document.querySelector(
+      '.bw-datatable__row[data-view-index="0"] [data-col-index="2"]'
+    );
+    cell.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    const input = document.querySelector('.bw-datatable__edit-input');
+    input.value = '50';
+    input.dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+    );
+
+    assert.deepEqual(ids(table), [2, 3, 4, 1]);
+  });
+
+  it('holds updated rows in place until the next sort', () => {
+    const table = createSortedTable({ holdRowPosition: true });
+
+    table.updateCell(1, 'amount', 35);
+    table.applyTransaction({ update: [{ id: 2, name: 'b', amount: 50 }] });
+    assert.deepEqual(ids(table), [1, 2, 3, 4]);
+
+    table.sort('amount', 'asc');
+    assert.deepEqual(ids(table), [3, 1, 4, 2]);
+  });
+
+  it('still places rows that come back into the view', () => {
+    const table = createSortedTable({ holdRowPosition: true });
+    table.filterColumn('amount', { op: 'gt', value: 15 });
+
+    table.updateCell(1, 'amount', 35);
+    assert.deepEqual(ids(table), [2, 3, 1, 4]);
+
+    // A held row stays even when it stops matching
+    table.updateCell(1, 'amount', 0);
+    assert.deepEqual(ids(table), [2, 3, 1, 4]);
+  });
+});
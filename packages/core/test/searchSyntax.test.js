@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Acme Corp', city: 'London', status: 'open', amount: 50 },
+  { id: 2, name: 'Corp Acme', city: 'Paris', status: 'closed', amount: 600 },
+  { id: 3, name: 'Globex', city: 'London', status: 'open', amount: 500 },
+  { id: 4, name: 'Initech', city: 'Berlin', status: 'pending', amount: 900 },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'name' },
+  { id: 'city' },
+  { id: 'status' },
+  { id: 'amount', type: 'number' },
+];
+
+function search(term, options = {}) {
+  const table = createTable({ data, columns, ...options });
+  table.filter(term);
+  return table.getFilteredData().map((row) => row.id);
+}
+
+describe('search syntax', () => {
+  it('ands words and matches quoted phrases', () => {
+    assert.deepEqual(search('acme london'), [1]);
+    assert.deepEqual(search('acme corp'), [1, 2]);
+    assert.deepEqual(search('"acme corp"'), [1]);
+  });
+
+  it('excludes negated terms', () => {
+    assert.deepEqual(search('-london'), [2, 4]);
+    assert.deepEqual(search('corp -"corp acme"'), [1]);
+  });
+
+  it('matches column qualifiers with operators and ranges', () => {
+    assert.deepEqual(search('status:open'), [1, 3]);
+    assert.deepEqual(search('city:lon -status:open'), []);
+    assert.deepEqual(search('amount:>500'), [2, 4]);
+    assert.deepEqual(search('amount:<500'), [1]);
+    assert.deepEqual(search('amount:=500'), [3]);
+    assert.deepEqual(search('amount:500..700'), [2, 3]);
+    assert.deepEqual(search('amount:..100'), [1]);
+  });
+
+  it('searches unknown qualifiers and half-typed terms as text', () => {
+    assert.deepEqual(search('nope:acme'), []);
+    assert.deepEqual(search('status:'), [1, 2, 3, 4]);
+    assert.deepEqual(search('- london'), [1, 3]);
+  });
+
+  it('exposes the parsed query in the state and filter event', () => {
+    const table = createTable({ data, columns });
+    const events = [];
+    table.on('filter', (event) => events.push(event));
+
+    table.filter('Acme -status:closed amount:>100');
+
+    const query = {
+      text: 'acme -status:closed amount:>100',
+      terms: [
+        { column: null, op: 'contains', value: 'acme', negate: false },
+        { column: 'status', op: 'contains', value: 'closed', negate: true },
+        { column: 'amount', op: 'gt', value: '100', negate: false },
+      ],
+    };
+    assert.deepEqual(table.getState().searchQuery, query);
+    assert.deepEqual(events, [
+      { term: 'Acme -status:closed amount:>100', query },
+    ]);
+
+    table.filter('');
+    assert.equal(table.getState().searchQuery, null);
+  });
+
+  it('searches the whole term as one substring without searchSyntax', () => {
+    assert.deepEqual(search('"acme', { searchSyntax: false }), []);
+    assert.deepEqual(search('acme corp', { searchSyntax: false }), [1]);
+    assert.deepEqual(search('status:open', { searchSyntax: false }), []);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Test helpers: a jsdom document for the table to render into, and a
+ * stand-in for the view worker.
+ */
+
+import { JSDOM } from 'jsdom';
+import { createViewPipeline } from '../src/core/ViewPipeline.js';
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true,
+});
+
+for (const key of [
+  'window',
+  'AbortController',
+  'AbortSignal',
+  'document',
+  'navigator',
+  'HTMLElement',
+  'Element',
+  'Node',
+  'Event',
+  'KeyboardEvent',
+  'MouseEvent',
+  'CustomEvent',
+  'getComputedStyle',
+  'requestAnimationFrame',
+  'cancelAnimationFrame',
+]) {
+  Object.defineProperty(globalThis, key, {
+    value: dom.window[key],
+    configurable: true,
+    writable: true,
+  });
+}
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// jsdom doesn't lay out: give elements a viewport and row size
+for (const [key, value] of [
+  ['clientHeight', 400],
+  ['clientWidth', 1000],
+  ['offsetHeight', 40],
+  ['offsetWidth', 100],
+]) {
+  Object.defineProperty(dom.window.HTMLElement.prototype, key, {
+    get: () => value,
+    configurable: true,
+  });
+}
+
+const { BWDataTable } = await import('../src/index.js');
+
+/**
+ * A table in a fresh container
+ * @param {Object} options
+ * @returns {BWDataTable}
+ */
+export function createTable(options) {
+  document.body.innerHTML = '<div id="table"></div>';
+  return new BWDataTable('#table', options);
+}
+
+/**
+ * Wait for timers and promises
+ * @param {number} [ms=0]
+ * @returns {Promise<void>}
+ */
+export function tick(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Worker-like object for ViewWorker: keeps the rows like the real worker
+ * does, and holds view requests until the test answers them
+ * @returns {Object}
+ */
+export function createWorkerShim() {
+  const pipeline = createViewPipeline();
+  let rows = [];
+
+  const shim = {
+    onmessage: null,
+    onerror: null,
+    pending: [],
+    terminated: false,
+
+    postMessage(message) {
+      if (message.type === 'rows') {
+        rows = message.rows;
+      } else if (message.type === 'patch') {
+        for (const [index, row] of message.rows) rows[index] = row;
+      } else if (message.type === 'view') {
+        shim.pending.push(message);
+      }
+    },
+
+    /**
+     * Answer the oldest view request, with its view or an error
+     * @param {Object} [answer] - { view } or { error } (default: the view
+     *   the pipeline computes)
+     */
+    respond(answer = {}) {
+      const { id, request } = shim.pending.shift();
+      const data =
+        'error' in answer
+          ? { id, error: answer.error }
+          : {
+              id,
+              view:
+                answer.view ??
+                new Uint32Array(pipeline.computeView(rows, request)),
+            };
+      shim.onmessage({ data });
+    },
+
+    terminate() {
+      shim.terminated = true;
+    },
+  };
+
+  return shim;
+}
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const data = [
+  { id: 1, region: 'West', amount: 5 },
+  { id: 2, region: 'East', amount: 1 },
+  { id: 3, region: 'West', amount: 9 },
+  { id: 4, region: 'East', amount: 7 },
+  { id: 5, region: 'North', amount: 5 },
+];
+
+const columns = [
+  { id: 'id', type: 'number' },
+  { id: 'region' },
+  { id: 'amount', type: 'number' },
+];
+
+const ids = (table) => table.getFilteredData().map((row) => row.id);
+
+function clickHeader(columnId, shiftKey = false) {
+  document
+    .querySelector(`.bw-datatable__th[data-column="${columnId}"]`)
+    .dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey }));
+}
+
+describe('sort', () => {
+  it('sorts by one column', () => {
+    const table = createTable({ data, columns });
+
+    table.sort('amount', 'desc');
+
+    assert.deepEqual(ids(table), [3, 4, 1, 5, 2]);
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'amount', direction: 'desc' },
+    ]);
+  });
+
+  it('sorts by several columns in priority order', () => {
+    const table = createTable({ data, columns });
+
+    table.sort([
+      { column: 'region', direction: 'asc' },
+      { column: 'amount', direction: 'desc' },
+    ]);
+
+    assert.deepEqual(ids(table), [4, 2, 5, 3, 1]);
+  });
+
+  it('drops duplicate and invalid sort keys', () => {
+    const table = createTable({ data, columns });
+
+    table.sort([
+      { column: 'region', dir: 'desc' },
+      { column: 'region', direction: 'asc' },
+      { column: 'amount', direction: 'sideways' },
+      { direction: 'asc' },
+    ]);
+
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'region', direction: 'desc' },
+    ]);
+  });
+
+  it('keeps the original order of ties', () => {
+    const table = createTable({ data, columns });
+
+    table.sort('amount', 'asc');
+
+    assert.deepEqual(ids(table), [2, 1, 5, 4, 3]);
+  });
+
+  it('fires sort with the whole model', () => {
+    const table = createTable({ data, columns });
+    const events = [];
+    table.on('sort', (event) => events.push(event));
+
+    table.sort([
+      { column: 'region', direction: 'asc' },
+      { column: 'amount', direction: 'desc' },
+    ]);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].column, 'region');
+    assert.equal(events[0].direction, 'asc');
+    assert.equal(events[0].sort.length, 2);
+  });
+
+  it('cycles a header through asc, desc and unsorted', () => {
+    const table = createTable({ data, columns });
+
+    clickHeader('amount');
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'amount', direction: 'asc' },
+    ]);
+    clickHeader('amount');
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'amount', direction: 'desc' },
+    ]);
+    clickHeader('amount');
+    assert.deepEqual(table.getSortModel(), []);
+  });
+
+  it('adds sort keys with shift-click, keeping their priority', () => {
+    const table = createTable({ data, columns });
+
+    clickHeader('region');
+    clickHeader('amount', true);
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'region', direction: 'asc' },
+      { column: 'amount', direction: 'asc' },
+    ]);
+    assert.deepEqual(
+      [...document.querySelectorAll('.bw-datatable__th-sort-index')].map(
+        (badge) => badge.textContent
+      ),
+      ['1', '2']
+    );
+
+    // Toggling the first key keeps it first; unsorting it drops it
+    clickHeader('region', true);
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'region', direction: 'desc' },
+      { column: 'amount', direction: 'asc' },
+    ]);
+    clickHeader('region', true);
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'amount', direction: 'asc' },
+    ]);
+
+    // A plain click starts over
+    clickHeader('region', true);
+    clickHeader('id');
+    assert.deepEqual(table.getSortModel(), [
+      { column: 'id', direction: 'asc' },
+    ]);
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable, tick } from './setup.js';
+
+const data = [
+  { id: 1, name: 'Bike', weight: 9, parentId: null },
+  { id: 2, name: 'Wheel', weight: 2, parentId: 1 },
+  { id: 3, name: 'Spoke', weight: 0.1, parentId: 2 },
+  { id: 4, name: 'Frame', weight: 4, parentId: 1 },
+  { id: 5, name: 'Car', weight: 1200, parentId: null },
+  { id: 6, name: 'Door', weight: 30, parentId: 5 },
+];
+
+const columns = [{ id: 'name' }, { id: 'weight', type: 'number' }];
+
+function createTreeTable(treeData, options) {
+  const table = createTable({
+    data: data.map((row) => ({ ...row })),
+    columns,
+    rowId: 'id',
+    selectable: false,
+    treeData: { parentIdField: 'parentId', ...treeData },
+    ...options,
+  });
+  const events = [];
+  table.on('tree:toggle', (event) => events.push(event));
+  table.on('tree:load', (event) => events.push(event));
+  return { table, events };
+}
+
+// Names indented by level
+const renderedRows = () =>
+  [...document.querySelectorAll('tbody .bw-datatable__row')].map(
+    (tr) =>
+      '  '.repeat(Number(tr.getAttribute('aria-level')) - 1) +
+      tr.querySelector('.bw-datatable__tree-value').textContent.trim()
+  );
+
+const row = (name) =>
+  [...document.querySelectorAll('tbody .bw-datatable__row')].find(
+    (tr) => tr.querySelector('.bw-datatable__tree-value').textContent === name
+  );
+
+function press(key) {
+  document
+    .querySelector('.bw-datatable__scroll-container')
+    .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('tree data', () => {
+  it('shows the top level rows collapsed', () => {
+    createTreeTable();
+
+    assert.deepEqual(renderedRows(), ['Bike', 'Car']);
+    assert.equal(row('Bike').getAttribute('aria-expanded'), 'false');
+    assert.ok(row('Bike').querySelector('[data-tree-toggle]'));
+  });
+
+  it('expands and collapses nodes', () => {
+    const { table, events } = createTreeTable();
+
+    assert.equal(table.expandNode(1), true);
+    table.expandNode(2);
+    assert.deepEqual(renderedRows(), [
+      'Bike',
+      '  Wheel',
+      '    Spoke',
+      '  Frame',
+      'Car',
+    ]);
+    assert.equal(row('Spoke').hasAttribute('aria-expanded'), false);
+
+    table.collapseNode(1);
+    assert.deepEqual(renderedRows(), ['Bike', 'Car']);
+    assert.equal(table.expandNode('nope'), false);
+
+    table.expandAllNodes();
+    assert.equal(renderedRows().length, 6);
+    table.collapseAllNodes();
+    assert.deepEqual(renderedRows(), ['Bike', 'Car']);
+
+    assert.deepEqual(events, [
+      { rowId: '1', expanded: true },
+      { rowId: '2', expanded: true },
+      { rowId: '1', expanded: false },
+      { rowId: null, expanded: true },
+      { rowId: null, expanded: false },
+    ]);
+  });
+
+  it('reads nested rows from a childrenField', () => {
+    const { table } = createTreeTable(
+      { childrenField: 'parts', expanded: true },
+      {
+        data: [
+          { id: 1, name: 'Bike', parts: [{ id: 2, name: 'Wheel' }] },
+          { id: 3, name: 'Car' },
+        ],
+      }
+    );
+
+    assert.deepEqual(renderedRows(), ['Bike', '  Wheel', 'Car']);
+    assert.deepEqual(
+      table.getData().map((r) => r.name),
+      ['Bike', 'Wheel', 'Car']
+    );
+  });
+
+  it('sorts siblings within their parent', () => {
+    const { table } = createTreeTable({ expanded: true });
+
+    table.sort('weight', 'asc');
+
+    assert.deepEqual(renderedRows(), [
+      'Bike',
+      '  Wheel',
+      '    Spoke',
+      '  Frame',
+      'Car',
+      '  Door',
+    ]);
+  });
+
+  it('keeps and expands the ancestors of filtered rows', () => {
+    const { table } = createTreeTable();
+
+    table.filter('Spoke');
+
+    assert.deepEqual(renderedRows(), ['Bike', '  Wheel', '    Spoke']);
+  });
+
+  it('toggles nodes with the toggle and the arrow keys', () => {
+    createTreeTable();
+
+    row('Bike').querySelector('[data-tree-toggle]').click();
+    assert.deepEqual(renderedRows(), ['Bike', '  Wheel', '  Frame', 'Car']);
+
+    press('ArrowDown');
+    press('ArrowRight');
+    assert.equal(row('Wheel').getAttribute('aria-expanded'), 'true');
+
+    // Collapse, then out to the parent
+    press('ArrowLeft');
+    press('ArrowLeft');
+    assert.equal(
+      document.querySelector('.bw-datatable__td--focused').closest('tr'),
+      row('Bike')
+    );
+    press('ArrowLeft');
+    assert.deepEqual(renderedRows(), ['Bike', 'Car']);
+  });
+
+  it('loads children on first expand', async () => {
+    const loads = [];
+    const { table, events } = createTreeTable({
+      hasChildren: 'hasParts',
+      loadChildren: async (parent) => {
+        loads.push(parent.id);
+        return [{ id: 10, name: 'Seat', parentId: parent.id }];
+      },
+    });
+    table.applyTransaction({
+      add: [
+        { id: 7, name: 'Chair', parentId: null, hasParts: true },
+        { id: 8, name: 'Stool', parentId: null, hasParts: false },
+      ],
+    });
+    assert.equal(row('Stool').querySelector('[data-tree-toggle]'), null);
+
+    table.expandNode(7);
+    assert.ok(
+      row('Chair').querySelector('.bw-datatable__tree-toggle--loading')
+    );
+    await tick();
+
+    assert.deepEqual(renderedRows().slice(2), ['Chair', '  Seat', 'Stool']);
+    assert.deepEqual(events.at(-1), {
+      rowId: '7',
+      rows: [{ id: 10, name: 'Seat', parentId: 7 }],
+    });
+
+    table.collapseNode(7);
+    table.expandNode(7);
+    assert.deepEqual(loads, [7]);
+  });
+
+  it('collapses the node again when loading fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    let attempts = 0;
+    const { table, events } = createTreeTable({
+      loadChildren: () => {
+        attempts++;
+        return Promise.reject(new Error('offline'));
+      },
+    });
+    table.applyTransaction({ add: [{ id: 7, name: 'Chair', parentId: null }] });
+
+    table.expandNode(7);
+    await tick();
+
+    assert.equal(row('Chair').getAttribute('aria-expanded'), 'false');
+    assert.equal(
+      row('Chair').querySelector('.bw-datatable__tree-toggle--loading'),
+      null
+    );
+    assert.deepEqual(events.slice(1, 2), [{ rowId: '7', expanded: false }]);
+    assert.equal(events[2].error.message, 'offline');
+
+    // Expanding retries
+    table.expandNode(7);
+    await tick();
+    assert.equal(attempts, 2);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTable } from './setup.js';
+
+const columns = Array.from({ length: 100 }, (_, i) => ({
+  id: `c${i}`,
+  type: 'number',
+}));
+
+const data = Array.from({ length: 20 }, (_, r) =>
+  Object.fromEntries(columns.map((col, i) => [col.id, r * 100 + i]))
+);
+
+function createWideTable(options) {
+  return createTable({
+    data,
+    columns,
+    selectable: false,
+    virtualColumns: { buffer: 2, columnWidth: 100 },
+    ...options,
+  });
+}
+
+const firstRow = () =>
+  document.querySelector('.bw-datatable__row[data-view-index="0"]');
+
+const renderedColumns = () =>
+  [...firstRow().querySelectorAll('[data-col-index]')].map((td) =>
+    Number(td.dataset.colIndex)
+  );
+
+const spacerWidths = () =>
+  [...firstRow().querySelectorAll('.bw-datatable__td--spacer')].map(
+    (td) => td.style.width
+  );
+
+const range = (start, end) =>
+  Array.from({ length: end - start }, (_, i) => start + i);
+
+function scrollLeft(left) {
+  const container = document.querySelector('.bw-datatable__scroll-container');
+  container.scrollLeft = left;
+  container.dispatchEvent(new Event('scroll'));
+}
+
+function press(key) {
+  document
+    .querySelector('.bw-datatable__scroll-container')
+    .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('virtual columns', () => {
+  it('renders the columns in view plus the buffer', () => {
+    createWideTable();
+
+    // 1000px viewport: columns 0-9, and 2 more to the right
+    assert.deepEqual(renderedColumns(), range(0, 12));
+    assert.deepEqual(spacerWidths(), ['8800px']);
+
+    const headers = document.querySelectorAll('.bw-datatable__th[data-column]');
+    assert.equal(headers.length, 12);
+  });
+
+  it('moves the window when scrolled sideways', () => {
+    createWideTable();
+
+    scrollLeft(5000);
+
+    assert.deepEqual(renderedColumns(), range(48, 62));
+    assert.deepEqual(spacerWidths(), ['4800px', '3800px']);
+    assert.equal(
+      firstRow().querySelector('[data-col-index="48"]').textContent,
+      '48'
+    );
+  });
+
+  it('places columns by their own width', () => {
+    createWideTable({
+      columns: columns.map((col, i) => (i < 5 ? { ...col, width: 300 } : col)),
+    });
+
+    // 300px columns: only 0-3 fit
+    assert.deepEqual(renderedColumns(), range(0, 6));
+    assert.deepEqual(spacerWidths(), [`${94 * 100}px`]);
+  });
+
+  it('scrolls the focused column into view', () => {
+    createWideTable();
+    const container = document.querySelector('.bw-datatable__scroll-container');
+
+    firstRow()
+      .querySelector('[data-col-index="9"]')
+      .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    press('ArrowRight');
+    press('ArrowRight');
+
+    // Column 11 ends at 1200px
+    assert.equal(container.scrollLeft, 200);
+    assert.ok(renderedColumns().includes(13));
+
+    press('Home');
+    assert.equal(container.scrollLeft, 0);
+  });
+
+  it('renders every column without virtualColumns', () => {
+    createTable({ data, columns });
+
+    assert.equal(renderedColumns().length, 100);
+    assert.deepEqual(spacerWidths(), []);
+  });
+});
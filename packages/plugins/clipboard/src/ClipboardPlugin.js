@@ -27,13 +27,19 @@ export const ClipboardPlugin = {
     const opts = { ...DEFAULTS, ...pluginOptions };
     let keyboardHandler = null;
 
+    // Columns as shown - hidden ones are neither copied nor pasted into
+    function getVisibleColumns() {
+      const state = table.getState();
+      const hidden = new Set(state.hiddenColumns || []);
+      return (state.columns || []).filter((col) => !hidden.has(col.id));
+    }
+
     // =========================================================================
     // COPY
     // =========================================================================
 
     function copy(selectedOnly = true) {
-      const state = table.getState();
-      const columns = state.columns || [];
+      const columns = getVisibleColumns();
 
       let data;
       if (selectedOnly) {
@@ -98,8 +104,7 @@ export const ClipboardPlugin = {
             return;
           }
 
-          const state = table.getState();
-          const columns = state.columns || [];
+          const columns = getVisibleColumns();
 
           const lines = text.trim().split('\n');
           const parsedRows = [];
@@ -158,17 +163,12 @@ export const ClipboardPlugin = {
             return;
           }
 
-          // Add rows to table
-          const currentData = table.getData ? table.getData() : [];
-          const newData = [...currentData, ...parsedRows];
-
-          if (table.setData) {
-            table.setData(newData);
-            console.log(
-              '[Clipboard] Added',
-              parsedRows.length,
-              'rows to table'
-            );
+          // Add rows to table, keeping selection and scroll position
+          if (table.applyTransaction) {
+            table.applyTransaction({ add: parsedRows });
+          } else if (table.setData) {
+            const currentData = table.getData ? table.getData() : [];
+            table.setData([...currentData, ...parsedRows]);
           }
 
           if (eventBus && eventBus.emit) {
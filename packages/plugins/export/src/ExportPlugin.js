@@ -13,6 +13,7 @@ const DEFAULTS = {
   filename: 'export',
   includeHeaders: true,
   selectedOnly: false,
+  visibleOnly: true,
 };
 
 export const ExportPlugin = {
@@ -39,9 +40,20 @@ export const ExportPlugin = {
       return table.getFilteredData ? table.getFilteredData() : [];
     }
 
-    function getColumns() {
+    function getColumns(visibleOnly = true) {
       const state = table.getState();
-      return state.columns || [];
+      const columns = state.columns || [];
+      if (!visibleOnly) return columns;
+
+      // Leave out columns hidden with hideColumn() / the column chooser
+      const hidden = new Set(state.hiddenColumns || []);
+      return columns.filter(col => !hidden.has(col.id));
+    }
+
+    // Pivot columns are under the column dimension values they're for
+    function getHeader(col) {
+      const header = col.header || col.id;
+      return col.pivotPath ? [...col.pivotPath, header].join(' / ') : header;
     }
 
     function downloadFile(content, filename, mimeType) {
@@ -74,7 +86,7 @@ export const ExportPlugin = {
     function exportCSV(options = {}) {
       const config = { ...opts, ...options };
       const data = getExportData(config.selectedOnly);
-      const columns = getColumns();
+      const columns = getColumns(config.visibleOnly);
 
       if (data.length === 0) {
         console.warn('ExportPlugin: No data to export');
@@ -85,7 +97,7 @@ export const ExportPlugin = {
 
       // Headers
       if (config.includeHeaders) {
-        const headers = columns.map(col => escapeCSV(col.header || col.id));
+        const headers = columns.map(col => escapeCSV(getHeader(col)));
         rows.push(headers.join(','));
       }
 
@@ -122,7 +134,19 @@ export const ExportPlugin = {
         return false;
       }
 
-      const json = JSON.stringify(data, null, 2);
+      // Pivoted rows have generated keys - use the headers instead
+      const pivoted = table.getPivot ? table.getPivot() : null;
+      const records = pivoted
+        ? data.map(row => {
+            const record = {};
+            for (const col of getColumns(config.visibleOnly)) {
+              record[getHeader(col)] = row[col.field || col.id];
+            }
+            return record;
+          })
+        : data;
+
+      const json = JSON.stringify(records, null, 2);
       const filename = `${config.filename}.json`;
       downloadFile(json, filename, 'application/json');
       
@@ -140,7 +164,7 @@ export const ExportPlugin = {
     function copyToClipboard(options = {}) {
       const config = { ...opts, ...options };
       const data = getExportData(config.selectedOnly);
-      const columns = getColumns();
+      const columns = getColumns(config.visibleOnly);
 
       if (data.length === 0) {
         console.warn('ExportPlugin: No data to copy');
@@ -150,7 +174,7 @@ export const ExportPlugin = {
       const rows = [];
 
       if (config.includeHeaders) {
-        rows.push(columns.map(col => col.header || col.id).join('\t'));
+        rows.push(columns.map(col => getHeader(col)).join('\t'));
       }
 
       for (const row of data) {
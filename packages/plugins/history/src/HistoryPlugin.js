@@ -53,8 +53,10 @@ export const HistoryPlugin = {
         sort: state.sort
           ? { ...state.sort }
           : { column: null, direction: null },
+        sortModel: state.sortModel ? state.sortModel.map((s) => ({ ...s })) : [],
         globalFilter: state.globalFilter || '',
         selected: [...(state.selected || [])],
+        columnOrder: state.columnOrder ? [...state.columnOrder] : null,
         _action: action,
         _timestamp: Date.now(),
       };
@@ -94,8 +96,10 @@ export const HistoryPlugin = {
           table.setData(cloneData(snapshot.data));
         }
 
-        // Restore sort if exists
-        if (snapshot.sort && snapshot.sort.column && table.sort) {
+        // Restore sort if exists (multi-column model first)
+        if (snapshot.sortModel && snapshot.sortModel.length && table.sort) {
+          table.sort(snapshot.sortModel);
+        } else if (snapshot.sort && snapshot.sort.column && table.sort) {
           table.sort(snapshot.sort.column, snapshot.sort.direction);
         }
 
@@ -103,6 +107,11 @@ export const HistoryPlugin = {
         if (snapshot.globalFilter && table.filter) {
           table.filter(snapshot.globalFilter);
         }
+
+        // Restore column order
+        if (snapshot.columnOrder && table.setColumnOrder) {
+          table.setColumnOrder(snapshot.columnOrder);
+        }
       } catch (e) {
         console.error('HistoryPlugin: Failed to restore snapshot', e);
       }
@@ -207,6 +216,15 @@ export const HistoryPlugin = {
         }
       });
 
+      // Listen for column moves (fired after the move, so the snapshot
+      // gets the order from before it)
+      eventBus.on('column:move', (data) => {
+        if (isRestoring) return;
+        const snapshot = createSnapshot(`Move ${data.columnId || 'columns'}`);
+        snapshot.columnOrder = [...data.previousOrder];
+        pushToUndo(snapshot);
+      });
+
       // Legacy event support
       eventBus.on('edit:before', (data) => {
         if (isRestoring) return;
@@ -38,6 +38,9 @@ export interface HistorySnapshot {
   /** Selected row IDs */
   selected: string[];
 
+  /** Column IDs in display order */
+  columnOrder: string[] | null;
+
   /** Action description */
   _action: string;
 
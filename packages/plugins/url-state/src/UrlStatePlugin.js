@@ -3,8 +3,9 @@
  * Sync table state with URL
  * 
  * Features:
- * - Sync sort state to URL (?sort=name:asc)
+ * - Sync sort state to URL (?sort=name:asc, multi: ?sort=region:asc,amount:desc)
  * - Sync search/filter to URL (?search=john)
+ * - Sync column order to URL (?columns=email,name,role)
  * - Restore state from URL on load
  * - Browser back/forward support
  */
@@ -15,6 +16,7 @@ const DEFAULTS = {
   syncSort: true,
   syncFilter: true,
   syncSearch: true,
+  syncColumnOrder: true,
 };
 
 export const UrlStatePlugin = {
@@ -37,6 +39,11 @@ export const UrlStatePlugin = {
     let isRestoring = false;
     let popstateHandler = null;
 
+    // Order at startup; only a different order goes in the URL
+    const defaultColumnOrder = table.getColumnOrder
+      ? table.getColumnOrder()
+      : [];
+
     // =========================================================================
     // URL HELPERS
     // =========================================================================
@@ -80,13 +87,13 @@ export const UrlStatePlugin = {
       const state = table.getState();
       const updates = {};
 
-      // Sort
+      // Sort (all keys in priority order)
       if (opts.syncSort) {
-        if (state.sort && state.sort.column && state.sort.direction) {
-          updates.sort = `${state.sort.column}:${state.sort.direction}`;
-        } else {
-          updates.sort = null;
-        }
+        const model = state.sortModel
+          || (state.sort && state.sort.column ? [state.sort] : []);
+        updates.sort = model.length
+          ? model.map((s) => `${s.column}:${s.direction}`).join(',')
+          : null;
       }
 
       // Search/Filter
@@ -98,6 +105,13 @@ export const UrlStatePlugin = {
         }
       }
 
+      // Column order
+      if (opts.syncColumnOrder && state.columnOrder) {
+        const order = state.columnOrder.join(',');
+        updates.columns =
+          order !== defaultColumnOrder.join(',') ? order : null;
+      }
+
       setParams(updates);
       
       if (eventBus && eventBus.emit) {
@@ -118,9 +132,18 @@ export const UrlStatePlugin = {
         if (opts.syncSort) {
           const sortParam = getParam('sort');
           if (sortParam && sortParam.includes(':')) {
-            const [column, direction] = sortParam.split(':');
-            if (column && (direction === 'asc' || direction === 'desc')) {
-              table.sort(column, direction);
+            const model = sortParam
+              .split(',')
+              .map((part) => {
+                const [column, direction] = part.split(':');
+                return { column, direction };
+              })
+              .filter(
+                ({ column, direction }) =>
+                  column && (direction === 'asc' || direction === 'desc')
+              );
+            if (model.length) {
+              table.sort(model);
               restored = true;
             }
           }
@@ -141,10 +164,21 @@ export const UrlStatePlugin = {
           }
         }
 
+        // Restore column order (no param = the default order, e.g. after
+        // navigating back)
+        if (opts.syncColumnOrder && table.setColumnOrder) {
+          const columnsParam = getParam('columns');
+          table.setColumnOrder(
+            columnsParam ? columnsParam.split(',') : defaultColumnOrder
+          );
+          if (columnsParam) restored = true;
+        }
+
         if (restored && eventBus && eventBus.emit) {
           eventBus.emit('urlstate:restore', { 
             sort: getParam('sort'),
-            search: getParam('search')
+            search: getParam('search'),
+            columns: getParam('columns')
           });
         }
       } catch (err) {
@@ -167,6 +201,9 @@ export const UrlStatePlugin = {
     eventBus.on('filter:after', updateUrl);
     eventBus.on('filter:clear', updateUrl);
 
+    // Listen to column reordering
+    eventBus.on('column:move', updateUrl);
+
     // Handle browser back/forward
     popstateHandler = () => {
       restoreFromUrl();
@@ -185,6 +222,7 @@ export const UrlStatePlugin = {
     table.getUrlState = () => ({
       sort: getParam('sort'),
       search: getParam('search'),
+      columns: getParam('columns'),
     });
     
     table.updateUrl = updateUrl;
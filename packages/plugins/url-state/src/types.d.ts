@@ -19,12 +19,16 @@ export interface UrlStatePluginOptions {
   syncFilter?: boolean;
   /** Sync global search to URL */
   syncSearch?: boolean;
+  /** Sync column order to URL (only when it differs from the initial order) */
+  syncColumnOrder?: boolean;
 }
 
 export interface UrlStateParams {
   page?: number;
   sort?: string;
   search?: string;
+  /** Comma-separated column IDs in display order */
+  columns?: string;
   [key: `filter_${string}`]: string;
 }
 